@@ -16,6 +16,7 @@ const swaggerUi = require('swagger-ui-express');
 const config = require('./config');
 const { sendError } = require('./lib/httpResponses');
 const accountManager = require('./services/accountManager');
+const { userRoom } = require('./services/savedSearches');
 const { logger, requestContext } = require('./services/logger');
 const { requireAuth, requireRole } = require('./routes/middleware/auth');
 
@@ -472,6 +473,10 @@ function createApp() {
         session.accountId = resolvedAccountId;
 
         socket.join(resolvedAccountId);
+        if (session.userId) {
+            // Kullaniciya ozel olaylar (kayitli arama sayilari) bu odaya gonderilir
+            socket.join(userRoom(resolvedAccountId, session.userId));
+        }
         logger.info('Client connected', { socketId: socket.id, accountId: resolvedAccountId });
         socket.emit('status', context.whatsapp.getStatus());
 
@@ -108,7 +108,23 @@ const envSchema = z.object({
     WEBHOOK_CONCURRENCY: positiveInt(2),
     WEBHOOK_QUEUE_LIMIT: positiveInt(2000),
 
+    OUTBOX_MAX_ATTEMPTS: positiveInt(5),
+    OUTBOX_RETRY_BASE_MS: positiveInt(5000),
+    OUTBOX_FLUSH_INTERVAL_MS: positiveInt(15000),
+
+    IDEMPOTENCY_TTL_MS: positiveInt(24 * 60 * 60 * 1000),
+
+    CAMPAIGN_THROTTLE_MS: positiveInt(3000),
+    CAMPAIGN_LOCK_TTL_MS: positiveInt(5 * 60 * 1000),
+
     WHATSAPP_INIT_TIMEOUT_MS: positiveInt(60000),
+    WHATSAPP_TRANSPORT: z.preprocess(emptyToUndefined, z.enum(['webjs', 'simulator']).default('webjs')),
+    SIMULATOR_ACK_DELAY_MS: positiveInt(1500),
+    SIMULATOR_INBOUND_INTERVAL_MS: z.preprocess(emptyToUndefined, z.coerce.number().int().positive()).optional(),
+    RECONNECT_BASE_MS: positiveInt(5000),
+    RECONNECT_MAX_MS: positiveInt(5 * 60 * 1000),
+    SUPERVISOR_CHECK_INTERVAL_MS: positiveInt(15000),
+    SESSION_ARCHIVE_MAX_BYTES: positiveInt(512 * 1024 * 1024),
 
     LOG_RETENTION_DAYS: positiveInt(30),
     SCRIPT_LOG_RETENTION_DAYS: positiveInt(30),
@@ -195,6 +211,19 @@ module.exports = {
         '--disable-gpu'
     ],
     WHATSAPP_INIT_TIMEOUT_MS: env.WHATSAPP_INIT_TIMEOUT_MS,
+    WHATSAPP_TRANSPORT: env.WHATSAPP_TRANSPORT,
+
+    // Simulator transport
+    SIMULATOR_ACK_DELAY_MS: env.SIMULATOR_ACK_DELAY_MS,
+    SIMULATOR_INBOUND_INTERVAL_MS: env.SIMULATOR_INBOUND_INTERVAL_MS || 0,
+
+    // Connection supervisor
+    RECONNECT_BASE_MS: env.RECONNECT_BASE_MS,
+    RECONNECT_MAX_MS: env.RECONNECT_MAX_MS,
+    SUPERVISOR_CHECK_INTERVAL_MS: env.SUPERVISOR_CHECK_INTERVAL_MS,
+
+    // Session backup/restore
+    SESSION_ARCHIVE_MAX_BYTES: env.SESSION_ARCHIVE_MAX_BYTES,
     
     // Scheduler
     SCHEDULER_CHECK_INTERVAL: 60000, // 1 minute
@@ -216,6 +245,18 @@ module.exports = {
     WEBHOOK_RETRY_BASE_MS: env.WEBHOOK_RETRY_BASE_MS,
     WEBHOOK_CONCURRENCY: env.WEBHOOK_CONCURRENCY,
     WEBHOOK_QUEUE_LIMIT: env.WEBHOOK_QUEUE_LIMIT,
+
+    // Outbox
+    OUTBOX_MAX_ATTEMPTS: env.OUTBOX_MAX_ATTEMPTS,
+    OUTBOX_RETRY_BASE_MS: env.OUTBOX_RETRY_BASE_MS,
+    OUTBOX_FLUSH_INTERVAL_MS: env.OUTBOX_FLUSH_INTERVAL_MS,
+
+    // Idempotency-Key retention
+    IDEMPOTENCY_TTL_MS: env.IDEMPOTENCY_TTL_MS,
+
+    // Campaigns
+    CAMPAIGN_THROTTLE_MS: env.CAMPAIGN_THROTTLE_MS,
+    CAMPAIGN_LOCK_TTL_MS: env.CAMPAIGN_LOCK_TTL_MS,
     
     // Logging
     LOG_LEVEL: env.LOG_LEVEL
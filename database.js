@@ -6,6 +6,9 @@ const fs = require('fs');
 const { logger } = require('./services/logger');
 const { hashPassword } = require('./services/passwords');
 
+// Sabitlenen sohbetler once (en son sabitlenen en ustte), sonra son mesaja gore
+const CHAT_LIST_ORDER = 'is_pinned DESC, pinned_at DESC, last_message_at DESC';
+
 function createDatabase(config) {
     // Ensure data directory exists
     if (!fs.existsSync(config.DATA_DIR)) {
@@ -55,6 +58,14 @@ function createDatabase(config) {
         ack INTEGER DEFAULT 0,
         is_deleted_for_everyone INTEGER DEFAULT 0,
         deleted_for_everyone_at INTEGER,
+        is_edited INTEGER DEFAULT 0,
+        edited_at INTEGER,
+        location_latitude REAL,
+        location_longitude REAL,
+        location_description TEXT,
+        vcards TEXT,
+        is_forwarded INTEGER DEFAULT 0,
+        forwarded_from_message_id TEXT,
         timestamp INTEGER,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
@@ -69,6 +80,13 @@ function createDatabase(config) {
         last_message_at INTEGER,
         unread_count INTEGER DEFAULT 0,
         is_archived INTEGER DEFAULT 0,
+        description TEXT,
+        left_at INTEGER,
+        is_pinned INTEGER DEFAULT 0,
+        pinned_at INTEGER,
+        muted_until INTEGER,
+        is_blocked INTEGER DEFAULT 0,
+        marked_unread INTEGER DEFAULT 0,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
 
@@ -222,6 +240,7 @@ function createDatabase(config) {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         name TEXT UNIQUE NOT NULL,
         color TEXT,
+        wa_label_id TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
 
@@ -291,6 +310,191 @@ function createDatabase(config) {
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
 
+    CREATE TABLE IF NOT EXISTS campaigns (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        message TEXT,
+        template_id INTEGER,
+        target_type TEXT NOT NULL,
+        target_value TEXT,
+        status TEXT NOT NULL DEFAULT 'draft',
+        throttle_ms INTEGER NOT NULL,
+        total_count INTEGER DEFAULT 0,
+        created_by INTEGER,
+        last_error TEXT,
+        started_at DATETIME,
+        completed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS campaign_recipients (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        campaign_id INTEGER NOT NULL,
+        chat_id TEXT NOT NULL,
+        name TEXT,
+        variables TEXT,
+        status TEXT NOT NULL DEFAULT 'queued',
+        message_id TEXT,
+        error TEXT,
+        sent_at DATETIME,
+        delivered_at DATETIME,
+        read_at DATETIME,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(campaign_id, chat_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id TEXT NOT NULL,
+        body TEXT,
+        options TEXT,
+        source TEXT NOT NULL DEFAULT 'api',
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at DATETIME,
+        last_error TEXT,
+        message_id TEXT,
+        created_by INTEGER,
+        sent_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+        scope TEXT NOT NULL,
+        idempotency_key TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        state TEXT NOT NULL DEFAULT 'in_progress',
+        status_code INTEGER,
+        response_body TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at INTEGER NOT NULL,
+        PRIMARY KEY (scope, idempotency_key)
+    );
+
+    CREATE TABLE IF NOT EXISTS message_edits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id TEXT NOT NULL,
+        chat_id TEXT,
+        previous_body TEXT,
+        new_body TEXT,
+        edited_at INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS message_reactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id TEXT NOT NULL,
+        chat_id TEXT,
+        sender_id TEXT NOT NULL,
+        reaction TEXT NOT NULL,
+        timestamp INTEGER,
+        is_from_me INTEGER DEFAULT 0,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(message_id, sender_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS group_participants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id TEXT NOT NULL,
+        participant_id TEXT NOT NULL,
+        is_admin INTEGER DEFAULT 0,
+        is_super_admin INTEGER DEFAULT 0,
+        joined_at INTEGER,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(group_id, participant_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS group_membership_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id TEXT NOT NULL,
+        participant_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        actor_id TEXT,
+        source TEXT DEFAULT 'event',
+        occurred_at INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS polls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id TEXT UNIQUE NOT NULL,
+        chat_id TEXT,
+        question TEXT NOT NULL,
+        options TEXT NOT NULL,
+        allow_multiple INTEGER DEFAULT 0,
+        created_at INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS poll_votes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        poll_message_id TEXT NOT NULL,
+        voter_id TEXT NOT NULL,
+        selected_options TEXT NOT NULL,
+        voted_at INTEGER,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(poll_message_id, voter_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS calls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        call_id TEXT UNIQUE NOT NULL,
+        caller_id TEXT NOT NULL,
+        is_video INTEGER DEFAULT 0,
+        is_group INTEGER DEFAULT 0,
+        outcome TEXT NOT NULL DEFAULT 'received',
+        replied_at INTEGER,
+        timestamp INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS status_updates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id TEXT UNIQUE NOT NULL,
+        author_id TEXT NOT NULL,
+        author_name TEXT,
+        type TEXT,
+        body TEXT,
+        media_path TEXT,
+        media_url TEXT,
+        media_mimetype TEXT,
+        is_from_me INTEGER DEFAULT 0,
+        timestamp INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS connection_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event TEXT NOT NULL,
+        reason TEXT,
+        attempt INTEGER DEFAULT 0,
+        delay_ms INTEGER,
+        created_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS saved_searches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        query TEXT NOT NULL DEFAULT '',
+        tag TEXT,
+        note TEXT,
+        is_shared INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS saved_search_pins (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        saved_search_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        position INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(saved_search_id, user_id)
+    );
+
     CREATE INDEX IF NOT EXISTS idx_messages_chat ON messages(chat_id);
     CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp);
     CREATE INDEX IF NOT EXISTS idx_messages_chat_timestamp ON messages(chat_id, timestamp);
@@ -311,6 +515,23 @@ function createDatabase(config) {
     CREATE INDEX IF NOT EXISTS idx_contact_tags_chat ON contact_tags(chat_id);
     CREATE INDEX IF NOT EXISTS idx_contact_tags_tag ON contact_tags(tag_id);
     CREATE INDEX IF NOT EXISTS idx_notes_chat ON notes(chat_id);
+    CREATE INDEX IF NOT EXISTS idx_campaigns_status ON campaigns(status);
+    CREATE INDEX IF NOT EXISTS idx_campaign_recipients_campaign ON campaign_recipients(campaign_id, status);
+    CREATE INDEX IF NOT EXISTS idx_campaign_recipients_message ON campaign_recipients(message_id);
+    CREATE INDEX IF NOT EXISTS idx_outbox_status ON outbox(status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+    CREATE INDEX IF NOT EXISTS idx_message_edits_message ON message_edits(message_id, edited_at);
+    CREATE INDEX IF NOT EXISTS idx_message_reactions_chat ON message_reactions(chat_id);
+    CREATE INDEX IF NOT EXISTS idx_group_participants_participant ON group_participants(participant_id);
+    CREATE INDEX IF NOT EXISTS idx_group_membership_events_group ON group_membership_events(group_id, occurred_at);
+    CREATE INDEX IF NOT EXISTS idx_polls_chat ON polls(chat_id);
+    CREATE INDEX IF NOT EXISTS idx_calls_timestamp ON calls(timestamp);
+    CREATE INDEX IF NOT EXISTS idx_calls_caller ON calls(caller_id, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_status_updates_author ON status_updates(author_id, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_status_updates_expires ON status_updates(expires_at);
+    CREATE INDEX IF NOT EXISTS idx_connection_events_created ON connection_events(created_at);
+    CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches(user_id);
+    CREATE INDEX IF NOT EXISTS idx_saved_search_pins_user ON saved_search_pins(user_id, position);
 `);
 
     const columnExists = (tableName, columnName) => {
@@ -543,6 +764,160 @@ function createDatabase(config) {
                     db.exec('ALTER TABLE users ADD COLUMN ai_max_tokens INTEGER');
                 }
             }
+        },
+        {
+            version: 17,
+            name: 'add_group_fields_to_chats',
+            apply: () => {
+                if (!columnExists('chats', 'description')) {
+                    db.exec('ALTER TABLE chats ADD COLUMN description TEXT');
+                }
+                if (!columnExists('chats', 'left_at')) {
+                    db.exec('ALTER TABLE chats ADD COLUMN left_at INTEGER');
+                }
+            }
+        },
+        {
+            version: 18,
+            name: 'add_message_edit_flags',
+            apply: () => {
+                if (!columnExists('messages', 'is_edited')) {
+                    db.exec('ALTER TABLE messages ADD COLUMN is_edited INTEGER DEFAULT 0');
+                }
+                if (!columnExists('messages', 'edited_at')) {
+                    db.exec('ALTER TABLE messages ADD COLUMN edited_at INTEGER');
+                }
+            }
+        },
+        {
+            version: 19,
+            name: 'add_message_location_and_vcards',
+            apply: () => {
+                if (!columnExists('messages', 'location_latitude')) {
+                    db.exec('ALTER TABLE messages ADD COLUMN location_latitude REAL');
+                }
+                if (!columnExists('messages', 'location_longitude')) {
+                    db.exec('ALTER TABLE messages ADD COLUMN location_longitude REAL');
+                }
+                if (!columnExists('messages', 'location_description')) {
+                    db.exec('ALTER TABLE messages ADD COLUMN location_description TEXT');
+                }
+                if (!columnExists('messages', 'vcards')) {
+                    db.exec('ALTER TABLE messages ADD COLUMN vcards TEXT');
+                }
+            }
+        },
+        {
+            version: 20,
+            name: 'add_message_forward_fields',
+            apply: () => {
+                if (!columnExists('messages', 'is_forwarded')) {
+                    db.exec('ALTER TABLE messages ADD COLUMN is_forwarded INTEGER DEFAULT 0');
+                }
+                if (!columnExists('messages', 'forwarded_from_message_id')) {
+                    db.exec('ALTER TABLE messages ADD COLUMN forwarded_from_message_id TEXT');
+                }
+                db.exec('CREATE INDEX IF NOT EXISTS idx_messages_forwarded_from ON messages(forwarded_from_message_id)');
+            }
+        },
+        {
+            version: 21,
+            name: 'add_wa_label_id_to_tags',
+            apply: () => {
+                if (!columnExists('tags', 'wa_label_id')) {
+                    db.exec('ALTER TABLE tags ADD COLUMN wa_label_id TEXT');
+                }
+                db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_wa_label ON tags(wa_label_id)');
+            }
+        },
+        {
+            version: 22,
+            name: 'add_chat_action_fields',
+            apply: () => {
+                // muted_until: NULL sessiz degil, -1 suresiz, aksi halde bitis zamani (ms)
+                const columns = {
+                    is_pinned: 'INTEGER DEFAULT 0',
+                    pinned_at: 'INTEGER',
+                    muted_until: 'INTEGER',
+                    is_blocked: 'INTEGER DEFAULT 0',
+                    marked_unread: 'INTEGER DEFAULT 0'
+                };
+                for (const [column, definition] of Object.entries(columns)) {
+                    if (!columnExists('chats', column)) {
+                        db.exec(`ALTER TABLE chats ADD COLUMN ${column} ${definition}`);
+                    }
+                }
+            }
+        },
+        {
+            version: 23,
+            name: 'add_messages_fts',
+            apply: () => {
+                // rowid = messages.id; media_name medya dosyasinin adidir (media_path'in son parcasi).
+                // Metin FTS tablosunda da tutulur ki highlight()/snippet() kullanilabilsin.
+                const mediaName = (alias) => `replace(${alias}.media_path, rtrim(${alias}.media_path, replace(${alias}.media_path, '/', '')), '')`;
+                const ftsRow = (alias) => `${alias}.id, ${alias}.body, ${alias}.quoted_body, ${alias}.from_name, ${mediaName(alias)}`;
+                db.exec(`
+                    CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+                        body, quoted_body, from_name, media_name,
+                        tokenize = 'unicode61 remove_diacritics 2'
+                    );
+
+                    CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+                        INSERT INTO messages_fts (rowid, body, quoted_body, from_name, media_name)
+                        VALUES (${ftsRow('new')});
+                    END;
+
+                    CREATE TRIGGER IF NOT EXISTS messages_fts_update
+                    AFTER UPDATE OF body, quoted_body, from_name, media_path ON messages BEGIN
+                        DELETE FROM messages_fts WHERE rowid = old.id;
+                        INSERT INTO messages_fts (rowid, body, quoted_body, from_name, media_name)
+                        VALUES (${ftsRow('new')});
+                    END;
+
+                    CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+                        DELETE FROM messages_fts WHERE rowid = old.id;
+                    END;
+                `);
+                db.exec('DELETE FROM messages_fts');
+                db.exec(`
+                    INSERT INTO messages_fts (rowid, body, quoted_body, from_name, media_name)
+                    SELECT ${ftsRow('m')} FROM messages m
+                `);
+            }
+        },
+        {
+            version: 24,
+            name: 'link_outbox_sources',
+            apply: () => {
+                // source_ref: outbox kaydini olusturan satirin id'si (zamanli mesaj / kampanya alicisi)
+                if (!columnExists('outbox', 'source_ref')) {
+                    db.exec('ALTER TABLE outbox ADD COLUMN source_ref TEXT');
+                }
+                if (!columnExists('scheduled_messages', 'outbox_id')) {
+                    db.exec('ALTER TABLE scheduled_messages ADD COLUMN outbox_id INTEGER');
+                }
+            }
+        },
+        {
+            version: 25,
+            name: 'link_campaign_outbox',
+            apply: () => {
+                if (!columnExists('campaign_recipients', 'outbox_id')) {
+                    db.exec('ALTER TABLE campaign_recipients ADD COLUMN outbox_id INTEGER');
+                }
+            }
+        },
+        {
+            version: 26,
+            name: 'add_reaction_is_from_me',
+            apply: () => {
+                if (!columnExists('message_reactions', 'is_from_me')) {
+                    db.exec('ALTER TABLE message_reactions ADD COLUMN is_from_me INTEGER DEFAULT 0');
+                    // Bagli hesap bilinmeden panelden verilen tepkiler 'me' gondericisiyle saklanmisti
+                    db.exec(`UPDATE message_reactions SET is_from_me = 1 WHERE sender_id = 'me'`);
+                }
+            }
         }
     ];
 
@@ -608,9 +983,22 @@ function createDatabase(config) {
     `),
         updateAck: db.prepare(`UPDATE messages SET ack = ? WHERE message_id = ?`),
         markDeletedForEveryone: db.prepare(`UPDATE messages SET is_deleted_for_everyone = 1, deleted_for_everyone_at = ? WHERE message_id = ?`),
-        getByChatId: db.prepare(`SELECT * FROM messages WHERE chat_id = ? ORDER BY timestamp DESC LIMIT ? OFFSET ?`),
-        getAll: db.prepare(`SELECT * FROM messages ORDER BY timestamp DESC LIMIT ? OFFSET ?`),
-        search: db.prepare(`SELECT * FROM messages WHERE body LIKE ? ORDER BY timestamp DESC LIMIT 100`),
+        markEdited: db.prepare(`UPDATE messages SET body = ?, is_edited = 1, edited_at = ? WHERE message_id = ?`),
+        setLocation: db.prepare(`UPDATE messages SET location_latitude = ?, location_longitude = ?, location_description = ? WHERE message_id = ?`),
+        setVcards: db.prepare(`UPDATE messages SET vcards = ? WHERE message_id = ?`),
+        markForwarded: db.prepare(`UPDATE messages SET is_forwarded = 1 WHERE message_id = ?`),
+        // Iletilen kopya kaynak mesaja baglanir; medya yeniden indirilmeden kaynaktan paylasilir
+        linkForwardedCopy: db.prepare(`
+        UPDATE messages SET
+            is_forwarded = 1,
+            forwarded_from_message_id = ?,
+            media_path = COALESCE(media_path, (SELECT media_path FROM messages WHERE message_id = ?)),
+            media_url = COALESCE(media_url, (SELECT media_url FROM messages WHERE message_id = ?)),
+            media_mimetype = COALESCE(media_mimetype, (SELECT media_mimetype FROM messages WHERE message_id = ?))
+        WHERE message_id = ?
+    `),
+        getForwardedCopies: db.prepare(`SELECT * FROM messages WHERE forwarded_from_message_id = ? ORDER BY timestamp ASC`),
+        getByMessageId: db.prepare(`SELECT * FROM messages WHERE message_id = ?`),
         getStats: db.prepare(`
         SELECT
             COUNT(*) as total,
@@ -631,12 +1019,19 @@ function createDatabase(config) {
             last_message = excluded.last_message, last_message_at = excluded.last_message_at,
             unread_count = excluded.unread_count, updated_at = datetime('now')
     `),
-        getAll: db.prepare(`SELECT * FROM chats ORDER BY last_message_at DESC`),
-        getActive: db.prepare(`SELECT * FROM chats WHERE is_archived = 0 ORDER BY last_message_at DESC`),
-        getArchived: db.prepare(`SELECT * FROM chats WHERE is_archived = 1 ORDER BY last_message_at DESC`),
+        getAll: db.prepare(`SELECT * FROM chats ORDER BY ${CHAT_LIST_ORDER}`),
+        getActive: db.prepare(`SELECT * FROM chats WHERE is_archived = 0 ORDER BY ${CHAT_LIST_ORDER}`),
+        getArchived: db.prepare(`SELECT * FROM chats WHERE is_archived = 1 ORDER BY ${CHAT_LIST_ORDER}`),
         getById: db.prepare(`SELECT * FROM chats WHERE chat_id = ?`),
         setArchived: db.prepare(`UPDATE chats SET is_archived = ?, updated_at = datetime('now') WHERE chat_id = ?`),
-        search: db.prepare(`SELECT * FROM chats WHERE name LIKE ? ORDER BY last_message_at DESC LIMIT ? OFFSET ?`)
+        setPinned: db.prepare(`UPDATE chats SET is_pinned = ?, pinned_at = ?, updated_at = datetime('now') WHERE chat_id = ?`),
+        setMutedUntil: db.prepare(`UPDATE chats SET muted_until = ?, updated_at = datetime('now') WHERE chat_id = ?`),
+        setBlocked: db.prepare(`UPDATE chats SET is_blocked = ?, updated_at = datetime('now') WHERE chat_id = ?`),
+        setMarkedUnread: db.prepare(`UPDATE chats SET marked_unread = ?, updated_at = datetime('now') WHERE chat_id = ?`),
+        setName: db.prepare(`UPDATE chats SET name = ?, updated_at = datetime('now') WHERE chat_id = ?`),
+        setDescription: db.prepare(`UPDATE chats SET description = ?, updated_at = datetime('now') WHERE chat_id = ?`),
+        setLeftAt: db.prepare(`UPDATE chats SET left_at = ?, updated_at = datetime('now') WHERE chat_id = ?`),
+        search: db.prepare(`SELECT * FROM chats WHERE name LIKE ? ORDER BY ${CHAT_LIST_ORDER} LIMIT ? OFFSET ?`)
     };
 
     const autoReplies = {
@@ -663,6 +1058,7 @@ function createDatabase(config) {
         getPending: db.prepare(`
         SELECT * FROM scheduled_messages
         WHERE is_sent = 0
+          AND outbox_id IS NULL
           AND datetime(scheduled_at) <= datetime('now')
           AND (next_attempt_at IS NULL OR datetime(next_attempt_at) <= datetime('now'))
           AND retry_count < ?
@@ -689,6 +1085,17 @@ function createDatabase(config) {
             next_attempt_at = ?,
             last_error = ?
         WHERE id = ?
+    `),
+        // Outbox'a birakilan mesaj, outbox sonucu gelene kadar tekrar secilmez
+        attachOutbox: db.prepare('UPDATE scheduled_messages SET outbox_id = ? WHERE id = ?'),
+        // Outbox kaydi basarisiz/iptal oldu: satir tekrar deneme sinirina birakilir
+        markOutboxFailed: db.prepare(`
+        UPDATE scheduled_messages
+        SET outbox_id = NULL,
+            retry_count = ?,
+            next_attempt_at = ?,
+            last_error = ?
+        WHERE id = ? AND is_sent = 0
     `),
         delete: db.prepare('DELETE FROM scheduled_messages WHERE id = ?')
     };
@@ -845,8 +1252,12 @@ function createDatabase(config) {
         getAll: db.prepare(`SELECT * FROM tags ORDER BY name ASC`),
         getById: db.prepare(`SELECT * FROM tags WHERE id = ?`),
         getByName: db.prepare(`SELECT * FROM tags WHERE name = ?`),
+        getByLabelId: db.prepare(`SELECT * FROM tags WHERE wa_label_id = ?`),
+        getLabelBacked: db.prepare(`SELECT * FROM tags WHERE wa_label_id IS NOT NULL`),
         create: db.prepare(`INSERT INTO tags (name, color) VALUES (?, ?)`),
+        createFromLabel: db.prepare(`INSERT INTO tags (name, color, wa_label_id) VALUES (?, ?, ?)`),
         update: db.prepare(`UPDATE tags SET name = ?, color = ? WHERE id = ?`),
+        setLabelId: db.prepare(`UPDATE tags SET wa_label_id = ? WHERE id = ?`),
         delete: db.prepare(`DELETE FROM tags WHERE id = ?`)
     };
 
@@ -854,13 +1265,19 @@ function createDatabase(config) {
         add: db.prepare(`INSERT OR IGNORE INTO contact_tags (chat_id, tag_id) VALUES (?, ?)`),
         remove: db.prepare(`DELETE FROM contact_tags WHERE chat_id = ? AND tag_id = ?`),
         getByChatId: db.prepare(`
-        SELECT tags.id, tags.name, tags.color
+        SELECT tags.id, tags.name, tags.color, tags.wa_label_id
         FROM contact_tags
         JOIN tags ON tags.id = contact_tags.tag_id
         WHERE contact_tags.chat_id = ?
         ORDER BY tags.name ASC
     `),
         getChatIdsByTagId: db.prepare(`SELECT DISTINCT chat_id FROM contact_tags WHERE tag_id = ?`),
+        getLabelIdsByChatId: db.prepare(`
+        SELECT tags.wa_label_id
+        FROM contact_tags
+        JOIN tags ON tags.id = contact_tags.tag_id
+        WHERE contact_tags.chat_id = ? AND tags.wa_label_id IS NOT NULL
+    `),
         getChatIdsByTagName: db.prepare(`
         SELECT DISTINCT contact_tags.chat_id
         FROM contact_tags
@@ -873,8 +1290,7 @@ function createDatabase(config) {
         getByChatId: db.prepare(`SELECT * FROM notes WHERE chat_id = ? ORDER BY created_at DESC`),
         create: db.prepare(`INSERT INTO notes (chat_id, content) VALUES (?, ?)`),
         update: db.prepare(`UPDATE notes SET content = ?, updated_at = datetime('now') WHERE id = ? AND chat_id = ?`),
-        delete: db.prepare(`DELETE FROM notes WHERE id = ? AND chat_id = ?`),
-        searchChatIds: db.prepare(`SELECT DISTINCT chat_id FROM notes WHERE content LIKE ?`)
+        delete: db.prepare(`DELETE FROM notes WHERE id = ? AND chat_id = ?`)
     };
 
     const whatsappSettings = {
@@ -1081,6 +1497,388 @@ function createDatabase(config) {
         `)
     };
 
+    const campaigns = {
+        getAll: db.prepare('SELECT * FROM campaigns ORDER BY created_at DESC, id DESC'),
+        getById: db.prepare('SELECT * FROM campaigns WHERE id = ?'),
+        getByStatus: db.prepare('SELECT * FROM campaigns WHERE status = ? ORDER BY id ASC'),
+        create: db.prepare(`
+            INSERT INTO campaigns (name, message, template_id, target_type, target_value, status, throttle_ms, total_count, created_by)
+            VALUES (?, ?, ?, ?, ?, 'draft', ?, ?, ?)
+        `),
+        updateStatus: db.prepare(`
+            UPDATE campaigns
+            SET status = ?,
+                last_error = ?,
+                started_at = CASE WHEN ? = 'running' THEN COALESCE(started_at, datetime('now')) ELSE started_at END,
+                completed_at = CASE WHEN ? IN ('completed', 'cancelled') THEN datetime('now') ELSE completed_at END,
+                updated_at = datetime('now')
+            WHERE id = ?
+        `),
+        delete: db.prepare('DELETE FROM campaigns WHERE id = ?')
+    };
+
+    const campaignRecipients = {
+        add: db.prepare(`
+            INSERT OR IGNORE INTO campaign_recipients (campaign_id, chat_id, name, variables, status, updated_at)
+            VALUES (?, ?, ?, ?, 'queued', datetime('now'))
+        `),
+        getByCampaign: db.prepare(`
+            SELECT * FROM campaign_recipients
+            WHERE campaign_id = ?
+            ORDER BY id ASC
+            LIMIT ? OFFSET ?
+        `),
+        getByCampaignAndStatus: db.prepare(`
+            SELECT * FROM campaign_recipients
+            WHERE campaign_id = ? AND status = ?
+            ORDER BY id ASC
+            LIMIT ? OFFSET ?
+        `),
+        getNextQueued: db.prepare(`
+            SELECT * FROM campaign_recipients
+            WHERE campaign_id = ? AND status = 'queued' AND outbox_id IS NULL
+            ORDER BY id ASC
+            LIMIT 1
+        `),
+        // Outbox'ta sonucu beklenen alicilar
+        countAwaitingOutbox: db.prepare(`
+            SELECT COUNT(*) AS total FROM campaign_recipients
+            WHERE campaign_id = ? AND status = 'queued' AND outbox_id IS NOT NULL
+        `),
+        getAwaitingOutbox: db.prepare(`
+            SELECT * FROM campaign_recipients
+            WHERE campaign_id = ? AND status = 'queued' AND outbox_id IS NOT NULL
+        `),
+        getById: db.prepare('SELECT * FROM campaign_recipients WHERE id = ?'),
+        attachOutbox: db.prepare('UPDATE campaign_recipients SET outbox_id = ?, updated_at = datetime(\'now\') WHERE id = ?'),
+        getByMessageId: db.prepare('SELECT * FROM campaign_recipients WHERE message_id = ?'),
+        markSent: db.prepare(`
+            UPDATE campaign_recipients
+            SET status = 'sent', message_id = ?, error = NULL, sent_at = datetime('now'), updated_at = datetime('now')
+            WHERE id = ?
+        `),
+        markFailed: db.prepare(`
+            UPDATE campaign_recipients
+            SET status = 'failed', error = ?, updated_at = datetime('now')
+            WHERE id = ?
+        `),
+        markDelivered: db.prepare(`
+            UPDATE campaign_recipients
+            SET status = 'delivered', delivered_at = COALESCE(delivered_at, datetime('now')), updated_at = datetime('now')
+            WHERE message_id = ? AND status = 'sent'
+        `),
+        markRead: db.prepare(`
+            UPDATE campaign_recipients
+            SET status = 'read',
+                delivered_at = COALESCE(delivered_at, datetime('now')),
+                read_at = COALESCE(read_at, datetime('now')),
+                updated_at = datetime('now')
+            WHERE message_id = ? AND status IN ('sent', 'delivered')
+        `),
+        countByStatus: db.prepare(`
+            SELECT status, COUNT(*) as total
+            FROM campaign_recipients
+            WHERE campaign_id = ?
+            GROUP BY status
+        `),
+        deleteByCampaign: db.prepare('DELETE FROM campaign_recipients WHERE campaign_id = ?')
+    };
+
+    const outbox = {
+        create: db.prepare(`
+            INSERT INTO outbox (chat_id, body, options, source, source_ref, status, created_by, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, 'pending', ?, datetime('now'), datetime('now'))
+        `),
+        getById: db.prepare('SELECT * FROM outbox WHERE id = ?'),
+        list: db.prepare('SELECT * FROM outbox ORDER BY id DESC LIMIT ? OFFSET ?'),
+        listByStatus: db.prepare('SELECT * FROM outbox WHERE status = ? ORDER BY id DESC LIMIT ? OFFSET ?'),
+        getRunnable: db.prepare(`
+            SELECT * FROM outbox
+            WHERE status = 'pending'
+              AND (next_attempt_at IS NULL OR datetime(next_attempt_at) <= datetime('now'))
+            ORDER BY id ASC
+            LIMIT ?
+        `),
+        claim: db.prepare(`
+            UPDATE outbox
+            SET status = 'sending', attempts = attempts + 1, updated_at = datetime('now')
+            WHERE id = ? AND status = 'pending'
+        `),
+        markSent: db.prepare(`
+            UPDATE outbox
+            SET status = 'sent',
+                message_id = ?,
+                next_attempt_at = NULL,
+                last_error = NULL,
+                sent_at = datetime('now'),
+                updated_at = datetime('now')
+            WHERE id = ?
+        `),
+        reschedule: db.prepare(`
+            UPDATE outbox
+            SET status = 'pending', next_attempt_at = ?, last_error = ?, updated_at = datetime('now')
+            WHERE id = ?
+        `),
+        markFailed: db.prepare(`
+            UPDATE outbox
+            SET status = 'failed', next_attempt_at = NULL, last_error = ?, updated_at = datetime('now')
+            WHERE id = ?
+        `),
+        retry: db.prepare(`
+            UPDATE outbox
+            SET status = 'pending', attempts = 0, next_attempt_at = NULL, updated_at = datetime('now')
+            WHERE id = ? AND status = 'failed'
+        `),
+        resetSending: db.prepare(`UPDATE outbox SET status = 'pending', updated_at = datetime('now') WHERE status = 'sending'`),
+        cancel: db.prepare(`DELETE FROM outbox WHERE id = ? AND status IN ('pending', 'failed')`),
+        countByStatus: db.prepare(`
+            SELECT status, COUNT(*) as total
+            FROM outbox
+            GROUP BY status
+        `)
+    };
+
+    const idempotencyKeys = {
+        get: db.prepare('SELECT * FROM idempotency_keys WHERE scope = ? AND idempotency_key = ? AND expires_at > ?'),
+        reserve: db.prepare(`
+            INSERT INTO idempotency_keys (scope, idempotency_key, request_hash, state, expires_at)
+            VALUES (?, ?, ?, 'in_progress', ?)
+            ON CONFLICT(scope, idempotency_key) DO UPDATE SET
+                request_hash = excluded.request_hash,
+                state = 'in_progress',
+                status_code = NULL,
+                response_body = NULL,
+                created_at = datetime('now'),
+                expires_at = excluded.expires_at
+            WHERE idempotency_keys.expires_at <= ?
+        `),
+        complete: db.prepare(`
+            UPDATE idempotency_keys
+            SET state = 'completed', status_code = ?, response_body = ?
+            WHERE scope = ? AND idempotency_key = ?
+        `),
+        release: db.prepare('DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?'),
+        cleanupExpired: db.prepare('DELETE FROM idempotency_keys WHERE expires_at < ?')
+    };
+
+    const messageEdits = {
+        add: db.prepare(`
+        INSERT INTO message_edits (message_id, chat_id, previous_body, new_body, edited_at)
+        VALUES (?, ?, ?, ?, ?)
+    `),
+        getByMessageId: db.prepare('SELECT * FROM message_edits WHERE message_id = ? ORDER BY edited_at ASC, id ASC')
+    };
+
+    const messageReactions = {
+        upsert: db.prepare(`
+        INSERT INTO message_reactions (message_id, chat_id, sender_id, reaction, timestamp, is_from_me, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+        ON CONFLICT(message_id, sender_id) DO UPDATE SET
+            reaction = excluded.reaction,
+            chat_id = COALESCE(excluded.chat_id, message_reactions.chat_id),
+            timestamp = excluded.timestamp,
+            is_from_me = excluded.is_from_me,
+            updated_at = datetime('now')
+    `),
+        remove: db.prepare('DELETE FROM message_reactions WHERE message_id = ? AND sender_id = ?'),
+        getByMessageId: db.prepare('SELECT * FROM message_reactions WHERE message_id = ? ORDER BY timestamp ASC')
+    };
+
+    const polls = {
+        upsert: db.prepare(`
+        INSERT INTO polls (message_id, chat_id, question, options, allow_multiple, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(message_id) DO UPDATE SET
+            chat_id = COALESCE(excluded.chat_id, polls.chat_id),
+            question = excluded.question,
+            options = excluded.options,
+            allow_multiple = excluded.allow_multiple
+    `),
+        getByMessageId: db.prepare('SELECT * FROM polls WHERE message_id = ?')
+    };
+
+    const pollVotes = {
+        upsert: db.prepare(`
+        INSERT INTO poll_votes (poll_message_id, voter_id, selected_options, voted_at, updated_at)
+        VALUES (?, ?, ?, ?, datetime('now'))
+        ON CONFLICT(poll_message_id, voter_id) DO UPDATE SET
+            selected_options = excluded.selected_options,
+            voted_at = excluded.voted_at,
+            updated_at = datetime('now')
+    `),
+        remove: db.prepare('DELETE FROM poll_votes WHERE poll_message_id = ? AND voter_id = ?'),
+        getByPoll: db.prepare('SELECT * FROM poll_votes WHERE poll_message_id = ? ORDER BY voted_at ASC, id ASC')
+    };
+
+    const calls = {
+        upsert: db.prepare(`
+        INSERT INTO calls (call_id, caller_id, is_video, is_group, outcome, timestamp)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(call_id) DO UPDATE SET
+            outcome = excluded.outcome
+    `),
+        setRepliedAt: db.prepare('UPDATE calls SET replied_at = ? WHERE call_id = ?'),
+        getByCallId: db.prepare('SELECT * FROM calls WHERE call_id = ?'),
+        list: db.prepare(`
+        SELECT c.*, COALESCE(ch.name, ct.name) as caller_name
+        FROM calls c
+        LEFT JOIN chats ch ON ch.chat_id = c.caller_id
+        LEFT JOIN contacts ct ON ct.chat_id = c.caller_id
+        ORDER BY c.timestamp DESC, c.id DESC
+        LIMIT ? OFFSET ?
+    `),
+        listByCaller: db.prepare(`
+        SELECT c.*, COALESCE(ch.name, ct.name) as caller_name
+        FROM calls c
+        LEFT JOIN chats ch ON ch.chat_id = c.caller_id
+        LEFT JOIN contacts ct ON ct.chat_id = c.caller_id
+        WHERE c.caller_id = ?
+        ORDER BY c.timestamp DESC, c.id DESC
+        LIMIT ? OFFSET ?
+    `),
+        getLastReplyAt: db.prepare(`
+        SELECT MAX(replied_at) as last_reply_at
+        FROM calls
+        WHERE caller_id = ?
+    `)
+    };
+
+    const statusUpdates = {
+        save: db.prepare(`
+        INSERT OR IGNORE INTO status_updates
+            (message_id, author_id, author_name, type, body, media_mimetype, is_from_me, timestamp, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+        setMedia: db.prepare('UPDATE status_updates SET media_path = ?, media_url = ?, media_mimetype = ? WHERE message_id = ?'),
+        getByMessageId: db.prepare('SELECT * FROM status_updates WHERE message_id = ?'),
+        listActive: db.prepare(`
+        SELECT * FROM status_updates
+        WHERE expires_at > ?
+        ORDER BY timestamp DESC, id DESC
+        LIMIT ?
+    `),
+        listByAuthor: db.prepare(`
+        SELECT * FROM status_updates
+        WHERE author_id = ? AND expires_at > ?
+        ORDER BY timestamp ASC, id ASC
+    `),
+        getExpiredMedia: db.prepare('SELECT message_id, media_path FROM status_updates WHERE expires_at <= ? AND media_path IS NOT NULL'),
+        deleteExpired: db.prepare('DELETE FROM status_updates WHERE expires_at <= ?')
+    };
+
+    const connectionEvents = {
+        add: db.prepare('INSERT INTO connection_events (event, reason, attempt, delay_ms, created_at) VALUES (?, ?, ?, ?, ?)'),
+        list: db.prepare(`
+        SELECT * FROM connection_events
+        ORDER BY created_at DESC, id DESC
+        LIMIT ? OFFSET ?
+    `),
+        listByEvent: db.prepare(`
+        SELECT * FROM connection_events
+        WHERE event = ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT ? OFFSET ?
+    `),
+        cleanup: db.prepare('DELETE FROM connection_events WHERE created_at < ?')
+    };
+
+    // Kayitli aramalar hesaba aittir; user_id varsayilan hesabin users tablosuna isaret eder.
+    // Pinler kullanici bazindadir: paylasilan bir aramayi her kullanici kendi kenar cubuguna sabitler.
+    const savedSearches = {
+        create: db.prepare(`
+        INSERT INTO saved_searches (user_id, name, query, tag, note, is_shared)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `),
+        update: db.prepare(`
+        UPDATE saved_searches
+        SET name = ?, query = ?, tag = ?, note = ?, is_shared = ?, updated_at = datetime('now')
+        WHERE id = ?
+    `),
+        delete: db.prepare('DELETE FROM saved_searches WHERE id = ?'),
+        getById: db.prepare('SELECT * FROM saved_searches WHERE id = ?'),
+        getVisibleForUser: db.prepare(`
+        SELECT s.*,
+            CASE WHEN p.id IS NULL THEN 0 ELSE 1 END AS is_pinned,
+            p.position AS pin_position
+        FROM saved_searches s
+        LEFT JOIN saved_search_pins p ON p.saved_search_id = s.id AND p.user_id = ?
+        WHERE s.user_id = ? OR s.is_shared = 1
+        ORDER BY is_pinned DESC, p.position ASC, s.name COLLATE NOCASE ASC
+    `),
+        getPinnedForUser: db.prepare(`
+        SELECT s.*
+        FROM saved_search_pins p
+        JOIN saved_searches s ON s.id = p.saved_search_id
+        WHERE p.user_id = ? AND (s.user_id = p.user_id OR s.is_shared = 1)
+        ORDER BY p.position ASC, p.id ASC
+    `)
+    };
+
+    const savedSearchPins = {
+        pin: db.prepare(`
+        INSERT INTO saved_search_pins (saved_search_id, user_id, position)
+        VALUES (?, ?, ?)
+        ON CONFLICT(saved_search_id, user_id) DO UPDATE SET position = excluded.position
+    `),
+        unpin: db.prepare('DELETE FROM saved_search_pins WHERE saved_search_id = ? AND user_id = ?'),
+        deleteBySearch: db.prepare('DELETE FROM saved_search_pins WHERE saved_search_id = ?'),
+        // Paylasim kaldirildiginda sahibi disindaki pinler silinir
+        deleteOthers: db.prepare('DELETE FROM saved_search_pins WHERE saved_search_id = ? AND user_id != ?'),
+        getNextPosition: db.prepare('SELECT COALESCE(MAX(position), -1) + 1 AS position FROM saved_search_pins WHERE user_id = ?'),
+        getUserIds: db.prepare('SELECT DISTINCT user_id FROM saved_search_pins')
+    };
+
+    const groupParticipants = {
+        upsert: db.prepare(`
+        INSERT INTO group_participants (group_id, participant_id, is_admin, is_super_admin, joined_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, datetime('now'))
+        ON CONFLICT(group_id, participant_id) DO UPDATE SET
+            is_admin = excluded.is_admin,
+            is_super_admin = excluded.is_super_admin,
+            joined_at = COALESCE(group_participants.joined_at, excluded.joined_at),
+            updated_at = datetime('now')
+    `),
+        // Katilma bildirimi: uye zaten kayitliysa yonetici bayraklari korunur
+        addMember: db.prepare(`
+        INSERT INTO group_participants (group_id, participant_id, is_admin, is_super_admin, joined_at, updated_at)
+        VALUES (?, ?, 0, 0, ?, datetime('now'))
+        ON CONFLICT(group_id, participant_id) DO UPDATE SET
+            joined_at = COALESCE(group_participants.joined_at, excluded.joined_at),
+            updated_at = datetime('now')
+    `),
+        setAdmin: db.prepare(`UPDATE group_participants SET is_admin = ?, updated_at = datetime('now') WHERE group_id = ? AND participant_id = ?`),
+        remove: db.prepare('DELETE FROM group_participants WHERE group_id = ? AND participant_id = ?'),
+        getIdsByGroup: db.prepare('SELECT participant_id FROM group_participants WHERE group_id = ?'),
+        getByGroup: db.prepare(`
+        SELECT gp.*, c.name AS contact_name, c.phone AS contact_phone
+        FROM group_participants gp
+        LEFT JOIN contacts c ON c.chat_id = gp.participant_id
+        WHERE gp.group_id = ?
+        ORDER BY gp.is_super_admin DESC, gp.is_admin DESC, gp.participant_id ASC
+    `)
+    };
+
+    const groupMembershipEvents = {
+        add: db.prepare(`
+        INSERT INTO group_membership_events (group_id, participant_id, action, actor_id, source, occurred_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `),
+        getByGroup: db.prepare(`
+        SELECT * FROM group_membership_events
+        WHERE group_id = ?
+        ORDER BY occurred_at DESC, id DESC
+        LIMIT ? OFFSET ?
+    `),
+        getByGroupAndParticipant: db.prepare(`
+        SELECT * FROM group_membership_events
+        WHERE group_id = ? AND participant_id = ?
+        ORDER BY occurred_at DESC, id DESC
+        LIMIT ? OFFSET ?
+    `),
+        countByGroup: db.prepare('SELECT COUNT(*) as total FROM group_membership_events WHERE group_id = ?'),
+        countByGroupAndParticipant: db.prepare('SELECT COUNT(*) as total FROM group_membership_events WHERE group_id = ? AND participant_id = ?')
+    };
+
     const maintenance = {
         cleanupMessages: db.prepare(`DELETE FROM messages WHERE timestamp < ?`)
     };
@@ -1258,6 +2056,55 @@ function createDatabase(config) {
         WHERE response_ts IS NOT NULL
         GROUP BY bucket
         ORDER BY bucket ASC
+    `),
+        getCallSummary: db.prepare(`
+        SELECT
+            COUNT(*) as total,
+            SUM(CASE WHEN is_video = 1 THEN 1 ELSE 0 END) as video,
+            SUM(CASE WHEN is_video = 0 THEN 1 ELSE 0 END) as voice,
+            SUM(CASE WHEN is_group = 1 THEN 1 ELSE 0 END) as group_calls,
+            SUM(CASE WHEN outcome = 'rejected' THEN 1 ELSE 0 END) as rejected,
+            SUM(CASE WHEN outcome = 'received' THEN 1 ELSE 0 END) as received,
+            COUNT(DISTINCT caller_id) as callers
+        FROM calls
+        WHERE timestamp BETWEEN ? AND ?
+    `),
+        getTopCallers: db.prepare(`
+        SELECT
+            c.caller_id,
+            COALESCE(ch.name, c.caller_id) as name,
+            COUNT(*) as call_count,
+            SUM(CASE WHEN c.outcome = 'rejected' THEN 1 ELSE 0 END) as rejected,
+            MAX(c.timestamp) as last_call_at
+        FROM calls c
+        LEFT JOIN chats ch ON ch.chat_id = c.caller_id
+        WHERE c.timestamp BETWEEN ? AND ?
+        GROUP BY c.caller_id
+        ORDER BY call_count DESC
+        LIMIT ?
+    `),
+        getCallDailyTrend: db.prepare(`
+        SELECT
+            date(datetime(timestamp/1000, 'unixepoch')) as bucket,
+            COUNT(*) as total,
+            SUM(CASE WHEN is_video = 1 THEN 1 ELSE 0 END) as video,
+            SUM(CASE WHEN outcome = 'rejected' THEN 1 ELSE 0 END) as rejected
+        FROM calls
+        WHERE timestamp BETWEEN ? AND ?
+        GROUP BY bucket
+        ORDER BY bucket ASC
+    `),
+        getCallWeeklyTrend: db.prepare(`
+        SELECT
+            strftime('%Y-%W', datetime(timestamp/1000, 'unixepoch')) as bucket,
+            MIN(date(datetime(timestamp/1000, 'unixepoch'))) as week_start,
+            COUNT(*) as total,
+            SUM(CASE WHEN is_video = 1 THEN 1 ELSE 0 END) as video,
+            SUM(CASE WHEN outcome = 'rejected' THEN 1 ELSE 0 END) as rejected
+        FROM calls
+        WHERE timestamp BETWEEN ? AND ?
+        GROUP BY bucket
+        ORDER BY bucket ASC
     `)
     };
 
@@ -1322,9 +2169,24 @@ function createDatabase(config) {
         chatSyncState,
         mediaTasks,
         profilePicTasks,
+        campaigns,
+        campaignRecipients,
+        outbox,
+        idempotencyKeys,
+        messageEdits,
+        messageReactions,
+        polls,
+        pollVotes,
+        calls,
+        statusUpdates,
+        connectionEvents,
+        savedSearches,
+        savedSearchPins,
+        groupParticipants,
+        groupMembershipEvents,
         maintenance,
         reports
     };
 }
 
-module.exports = { createDatabase };
+module.exports = { createDatabase, CHAT_LIST_ORDER };
@@ -0,0 +1,32 @@
+/**
+ * Sohbet etiket atamalari. chats ve contacts rotalari ayni islemi kullanir.
+ * Etiket WhatsApp Business etiketine bagliysa sohbetin etiketleri telefona da yazilir;
+ * sonucu labelSync olarak doner, hata panel atamasini geri almaz.
+ */
+async function syncLabelBackedTag(account, chatId, tag) {
+    if (!tag?.wa_label_id) return { success: true };
+    const labelSync = await account.whatsapp.syncChatLabels(chatId);
+    return { success: true, labelSync };
+}
+
+async function addChatTag(account, chatId, tag) {
+    const chat = account.db.chats.getById.get(chatId);
+    const name = chat?.name || chatId;
+    const phone = chatId && chatId.includes('@c.us') ? chatId.split('@')[0] : null;
+    account.db.contacts.upsert.run(chatId, name, phone);
+    account.db.contactTags.add.run(chatId, tag.id);
+    account.savedSearches.scheduleRefresh();
+    return syncLabelBackedTag(account, chatId, tag);
+}
+
+async function removeChatTag(account, chatId, tagId) {
+    const tag = account.db.tags.getById.get(tagId);
+    account.db.contactTags.remove.run(chatId, tagId);
+    account.savedSearches.scheduleRefresh();
+    return syncLabelBackedTag(account, chatId, tag);
+}
+
+module.exports = {
+    addChatTag,
+    removeChatTag
+};
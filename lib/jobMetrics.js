@@ -0,0 +1,24 @@
+/**
+ * Arka plan islerinin Prometheus metrikleri. Metrik nesnesi yoksa ya da hata verirse sessizce gecilir.
+ */
+function accountIdLabel(accountId) {
+    return typeof accountId === 'string' && accountId ? accountId : 'unknown';
+}
+
+function recordJob(metrics, accountId, job, outcome, durationSeconds = null) {
+    const labels = { accountId: accountIdLabel(accountId), job, outcome };
+    try {
+        metrics?.backgroundJobRunsTotal?.inc?.(labels, 1);
+    } catch (e) {}
+
+    if (typeof durationSeconds === 'number' && Number.isFinite(durationSeconds)) {
+        try {
+            metrics?.backgroundJobDurationSeconds?.observe?.(labels, durationSeconds);
+        } catch (e) {}
+    }
+}
+
+module.exports = {
+    accountIdLabel,
+    recordJob
+};
@@ -0,0 +1,213 @@
+/**
+ * Mesaj listeleri icin imlec (cursor) tabanli sayfalama.
+ *
+ * Siralama anahtari (timestamp, id) ciftidir; ayni milisaniyedeki mesajlar id ile ayrisir.
+ * Imlec bu ciftin base64url halidir ve istemci icin opaktir. OFFSET'in aksine kaydirma
+ * sirasinda yeni mesaj gelse bile satir atlanmaz veya tekrarlanmaz.
+ *
+ * Sayfalar her zaman yeniden eskiye (DESC) doner:
+ *   before=<imlec>  imlecten daha eski mesajlar
+ *   after=<imlec>   imlecten daha yeni mesajlar
+ */
+const { z } = require('zod');
+
+const { summarizePoll } = require('./polls');
+const { first } = require('./zodHelpers');
+
+function cursorError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_CURSOR';
+    return error;
+}
+
+function encodeMessageCursor(message) {
+    if (!message) return null;
+    return Buffer.from(`${message.timestamp}:${message.id}`, 'utf8').toString('base64url');
+}
+
+function decodeMessageCursor(value) {
+    const match = /^(-?\d+):(\d+)$/.exec(Buffer.from(String(value || ''), 'base64url').toString('utf8'));
+    if (!match) {
+        throw cursorError('Invalid cursor');
+    }
+    const timestamp = Number(match[1]);
+    const id = Number(match[2]);
+    if (!Number.isSafeInteger(timestamp) || !Number.isSafeInteger(id)) {
+        throw cursorError('Invalid cursor');
+    }
+    return { timestamp, id };
+}
+
+/**
+ * Sorgu parametresi olarak imlec: bos ise undefined, gecersiz ise zod hatasi.
+ */
+function messageCursorField() {
+    return z.preprocess(
+        (value) => {
+            const firstValue = first(value);
+            if (firstValue === undefined || firstValue === null || firstValue === '') return undefined;
+            return String(firstValue);
+        },
+        z.string().max(64, 'Invalid cursor').optional()
+    ).transform((value, ctx) => {
+        if (value === undefined) return undefined;
+        try {
+            return decodeMessageCursor(value);
+        } catch (error) {
+            if (error.code !== 'INVALID_CURSOR') throw error;
+            ctx.addIssue({ code: z.ZodIssueCode.custom, message: error.message });
+            return z.NEVER;
+        }
+    });
+}
+
+// chatId verilirse sohbete, cursor verilirse (timestamp, id) araligina daraltir
+function buildWhere(chatId, cursor, operator) {
+    const conditions = [];
+    const params = [];
+    if (chatId) {
+        conditions.push('chat_id = ?');
+        params.push(chatId);
+    }
+    if (cursor) {
+        conditions.push(`(timestamp, id) ${operator} (?, ?)`);
+        params.push(cursor.timestamp, cursor.id);
+    }
+    return { sql: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+function selectOlder(db, chatId, cursor, limit, offset = 0) {
+    const where = buildWhere(chatId, cursor, '<');
+    return db.db.prepare(`
+        SELECT * FROM messages
+        ${where.sql}
+        ORDER BY timestamp DESC, id DESC
+        LIMIT ? OFFSET ?
+    `).all(...where.params, limit, offset);
+}
+
+// Artan sirada okunur, cagiran taraf DESC'e cevirir
+function selectNewer(db, chatId, cursor, limit) {
+    const where = buildWhere(chatId, cursor, '>');
+    return db.db.prepare(`
+        SELECT * FROM messages
+        ${where.sql}
+        ORDER BY timestamp ASC, id ASC
+        LIMIT ?
+    `).all(...where.params, limit);
+}
+
+function hasRows(db, chatId, cursor, operator) {
+    const where = buildWhere(chatId, cursor, operator);
+    return Boolean(db.db.prepare(`SELECT 1 FROM messages ${where.sql} LIMIT 1`).get(...where.params));
+}
+
+// Bos sayfada istemci ayni imlecle tekrar sorabilsin diye gelen imlec korunur
+function buildPagination(messages, { limit, hasOlder, hasNewer, before = null, after = null }) {
+    const newest = messages[0] || null;
+    const oldest = messages[messages.length - 1] || null;
+    return {
+        limit,
+        hasOlder,
+        hasNewer,
+        olderCursor: oldest ? encodeMessageCursor(oldest) : encodeMessageCursor(before),
+        newerCursor: newest ? encodeMessageCursor(newest) : encodeMessageCursor(after)
+    };
+}
+
+/**
+ * Bir sayfa mesaj dondurur (chatId verilmezse tum sohbetler).
+ * Imlec yoksa en yeni sayfa doner; offset yalnizca geriye uyumluluk icindir.
+ */
+function listMessagePage(db, { chatId = null, before, after, limit = 50, offset = 0 } = {}) {
+    if (before && after) {
+        throw cursorError('Use either before or after, not both');
+    }
+
+    if (after) {
+        const rows = selectNewer(db, chatId, after, limit + 1);
+        const hasNewer = rows.length > limit;
+        const messages = rows.slice(0, limit).reverse();
+        const hasOlder = hasRows(db, chatId, messages[messages.length - 1] || after, '<');
+        return { messages, pagination: buildPagination(messages, { limit, hasOlder, hasNewer, after }) };
+    }
+
+    // Imlec yoksa selectOlder en yeni mesajdan baslar
+    const rows = selectOlder(db, chatId, before || null, limit + 1, before ? 0 : offset);
+    const hasOlder = rows.length > limit;
+    const messages = rows.slice(0, limit);
+    let hasNewer = false;
+    if (messages.length) {
+        hasNewer = hasRows(db, chatId, messages[0], '>');
+    } else if (before) {
+        hasNewer = hasRows(db, chatId, before, '>');
+    }
+    return { messages, pagination: buildPagination(messages, { limit, hasOlder, hasNewer, before }) };
+}
+
+/**
+ * "Mesaja git": hedef mesaj ortada kalacak sekilde bir pencere dondurur.
+ * Mesaj yoksa (veya baska sohbete aitse) null doner.
+ */
+function getMessageWindow(db, { chatId = null, messageId, limit = 50 } = {}) {
+    const anchor = db.messages.getByMessageId.get(messageId);
+    if (!anchor || (chatId && anchor.chat_id !== chatId)) {
+        return null;
+    }
+
+    // Sohbetin sonuna yakin mesajlarda eksik kalan yer eski mesajlarla doldurulur
+    const newerLimit = Math.floor((limit - 1) / 2);
+    const newerRows = selectNewer(db, anchor.chat_id, anchor, newerLimit + 1);
+    const hasNewer = newerRows.length > newerLimit;
+    const newer = newerRows.slice(0, newerLimit).reverse();
+    const olderLimit = limit - 1 - newer.length;
+    const olderRows = selectOlder(db, anchor.chat_id, anchor, olderLimit + 1);
+    const hasOlder = olderRows.length > olderLimit;
+    const messages = [...newer, anchor, ...olderRows.slice(0, olderLimit)];
+    return {
+        anchor: anchor.message_id,
+        messages,
+        pagination: buildPagination(messages, { limit, hasOlder, hasNewer })
+    };
+}
+
+/**
+ * Sayfadaki mesajlara tepkileri ve anket ozetlerini ekler.
+ */
+function attachMessageExtras(db, messages) {
+    const messageIds = messages.map(message => message.message_id).filter(Boolean);
+    const reactionsByMessage = new Map();
+    const pollsByMessage = new Map();
+    if (messageIds.length) {
+        const placeholders = messageIds.map(() => '?').join(',');
+        db.db.prepare(`
+            SELECT * FROM message_reactions
+            WHERE message_id IN (${placeholders})
+            ORDER BY timestamp ASC
+        `).all(...messageIds).forEach(reaction => {
+            if (!reactionsByMessage.has(reaction.message_id)) {
+                reactionsByMessage.set(reaction.message_id, []);
+            }
+            reactionsByMessage.get(reaction.message_id).push(reaction);
+        });
+        db.db.prepare(`SELECT * FROM polls WHERE message_id IN (${placeholders})`).all(...messageIds).forEach(poll => {
+            pollsByMessage.set(poll.message_id, summarizePoll(poll, db.pollVotes.getByPoll.all(poll.message_id)));
+        });
+    }
+    messages.forEach(message => {
+        message.reactions = reactionsByMessage.get(message.message_id) || [];
+        if (pollsByMessage.has(message.message_id)) {
+            message.poll = pollsByMessage.get(message.message_id);
+        }
+    });
+    return messages;
+}
+
+module.exports = {
+    encodeMessageCursor,
+    decodeMessageCursor,
+    messageCursorField,
+    listMessagePage,
+    getMessageWindow,
+    attachMessageExtras
+};
@@ -0,0 +1,61 @@
+const { parseSearchQuery, isEmptySearch, compileMessageSearch } = require('./searchQuery');
+
+// compileMessageSearch highlight()/snippet() icin bu isaretleri kullanir
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;'
+};
+
+/**
+ * Vurgulu metni HTML olarak dondurur: icerik kacislanir, eslesmeler <mark> ile sarilir.
+ */
+function renderHighlight(text) {
+    if (text === null || text === undefined) return null;
+    return String(text)
+        .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+        .split(HIGHLIGHT_START).join('<mark>')
+        .split(HIGHLIGHT_END).join('</mark>');
+}
+
+/**
+ * Arama satirini API sonucuna cevirir; ham vurgu kolonlari HTML'e donusur.
+ */
+function formatSearchRow(row) {
+    const { rank, body_highlight: bodyHighlight, snippet, ...message } = row;
+    return {
+        ...message,
+        rank,
+        highlight: {
+            body: renderHighlight(bodyHighlight),
+            snippet: renderHighlight(snippet)
+        }
+    };
+}
+
+/**
+ * Mesajlarda arama dili ile tam metin arama (bkz. lib/searchQuery).
+ * query metin ya da parseSearchQuery sonucu olabilir; chatId verilirse sonuc tek sohbetle sinirlanir.
+ * Donus: { items, total }
+ */
+function searchMessages(db, { query, chatId = null, limit = 50, offset = 0 } = {}) {
+    const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+    if (isEmptySearch(parsed)) return { items: [], total: 0 };
+    const compiled = compileMessageSearch(parsed, { chatId });
+    const rows = db.db.prepare(compiled.sql).all(...compiled.params, limit, offset);
+    const { total } = db.db.prepare(compiled.countSql).get(...compiled.countParams);
+    return { items: rows.map(formatSearchRow), total };
+}
+
+module.exports = {
+    HIGHLIGHT_START,
+    HIGHLIGHT_END,
+    renderHighlight,
+    formatSearchRow,
+    searchMessages
+};
@@ -0,0 +1,55 @@
+function parseJsonArray(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string' || !value) return [];
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * polls satiri ve poll_votes satirlarindan secenek bazli sonuc ozeti uretir.
+ * Oylarda secenekler localId ile tutulur; bilinmeyen localId'ler sayilmaz.
+ */
+function summarizePoll(poll, votes = []) {
+    const options = parseJsonArray(poll.options).map(option => ({
+        localId: Number(option.localId),
+        name: String(option.name || ''),
+        votes: 0,
+        voters: []
+    }));
+    const byLocalId = new Map(options.map(option => [option.localId, option]));
+
+    let totalVoters = 0;
+    let totalVotes = 0;
+    for (const vote of votes) {
+        const selected = parseJsonArray(vote.selected_options)
+            .map(Number)
+            .filter(localId => byLocalId.has(localId));
+        if (!selected.length) continue;
+        totalVoters += 1;
+        for (const localId of new Set(selected)) {
+            const option = byLocalId.get(localId);
+            option.votes += 1;
+            option.voters.push(vote.voter_id);
+            totalVotes += 1;
+        }
+    }
+
+    return {
+        messageId: poll.message_id,
+        chatId: poll.chat_id || null,
+        question: poll.question,
+        allowMultipleAnswers: Boolean(poll.allow_multiple),
+        options,
+        totalVoters,
+        totalVotes
+    };
+}
+
+module.exports = {
+    parseJsonArray,
+    summarizePoll
+};
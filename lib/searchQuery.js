@@ -0,0 +1,410 @@
+/**
+ * Panel arama dili (Gmail benzeri):
+ *   kelime "tam ifade" -haric from:ali from:me in:<sohbet> tag:<etiket> has:media
+ *   type:document before:2024-05-01 after:7d is:fromme is:deleted is:unread is:unanswered
+ *
+ * parseSearchQuery metni { text, filters } yapisina cevirir; compileMessageSearch ve
+ * compileChatSearch bunu parametreli SQL parcalarina donusturur. Hatali ifadeler
+ * code = 'INVALID_SEARCH_QUERY' olan Error firlatir (searchQueryField ile zod 400 olur).
+ */
+const { z } = require('zod');
+
+const { first } = require('./zodHelpers');
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'ptt', 'document', 'sticker'];
+
+// type: degeri -> messages.type degerleri
+const MESSAGE_TYPES = {
+    chat: ['chat'],
+    text: ['chat'],
+    image: ['image'],
+    video: ['video'],
+    audio: ['audio', 'ptt'],
+    ptt: ['ptt'],
+    voice: ['ptt'],
+    document: ['document'],
+    sticker: ['sticker'],
+    location: ['location'],
+    vcard: ['vcard', 'multi_vcard'],
+    poll: ['poll_creation']
+};
+
+const HAS_VALUES = ['media'];
+const IS_VALUES = ['fromme', 'deleted', 'unread', 'unanswered'];
+// Sohbetin durumuna bakan is: degerleri; mesaj aramasinda mesajin sohbetine uygulanir
+const CHAT_STATE_VALUES = new Set(['unread', 'unanswered']);
+const OPERATORS = ['from', 'in', 'tag', 'has', 'type', 'before', 'after', 'is'];
+// Mesaj satirina bakan filtreler; sohbet aramasinda EXISTS ile uygulanir
+const MESSAGE_LEVEL_OPERATORS = new Set(['from', 'has', 'type', 'before', 'after', 'is']);
+
+const RELATIVE_UNITS = {
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+function searchQueryError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_SEARCH_QUERY';
+    return error;
+}
+
+function hasWordCharacters(value) {
+    return /[\p{L}\p{N}]/u.test(value);
+}
+
+// YYYY-MM-DD / YYYY/MM/DD (sunucu saatiyle gun basi) veya goreli 12h, 7d, 2w
+function parseDateValue(operator, value, now) {
+    const relative = /^(\d{1,4})([hdw])$/i.exec(value);
+    if (relative) {
+        return now - Number(relative[1]) * RELATIVE_UNITS[relative[2].toLowerCase()];
+    }
+    const absolute = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/.exec(value);
+    if (absolute) {
+        const [year, month, day] = absolute.slice(1).map(Number);
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day) {
+            return date.getTime();
+        }
+    }
+    throw searchQueryError(`Invalid date for ${operator}: (use YYYY-MM-DD or 7d)`);
+}
+
+function normalizeFilter(operator, value, now) {
+    const lower = value.toLowerCase();
+    switch (operator) {
+        case 'from':
+            return lower === 'me' ? { key: 'from', me: true, value } : { key: 'from', value };
+        case 'in':
+        case 'tag':
+            return { key: operator, value };
+        case 'has':
+            if (!HAS_VALUES.includes(lower)) {
+                throw searchQueryError(`Unknown has: value "${value}" (allowed: ${HAS_VALUES.join(', ')})`);
+            }
+            return { key: 'has', value: lower };
+        case 'is':
+            if (!IS_VALUES.includes(lower)) {
+                throw searchQueryError(`Unknown is: value "${value}" (allowed: ${IS_VALUES.join(', ')})`);
+            }
+            return { key: 'is', value: lower };
+        case 'type':
+            if (!MESSAGE_TYPES[lower]) {
+                throw searchQueryError(`Unknown type: value "${value}" (allowed: ${Object.keys(MESSAGE_TYPES).join(', ')})`);
+            }
+            return { key: 'type', value: lower, types: MESSAGE_TYPES[lower] };
+        case 'before':
+        case 'after':
+            return { key: operator, value, timestamp: parseDateValue(operator, value, now) };
+        default:
+            throw searchQueryError(`Unknown operator ${operator}:`);
+    }
+}
+
+function readQuoted(input, start) {
+    const end = input.indexOf('"', start + 1);
+    if (end === -1) {
+        throw searchQueryError('Unterminated quote in search query');
+    }
+    return { value: input.slice(start + 1, end), next: end + 1 };
+}
+
+function readWord(input, start) {
+    let end = start;
+    while (end < input.length && !/\s/.test(input[end])) end++;
+    return { value: input.slice(start, end), next: end };
+}
+
+/**
+ * Arama metnini ayristirir.
+ * Donus: { text: [{ value, phrase, negated }], filters: [{ key, value, negated, ... }] }
+ */
+function parseSearchQuery(input, { now = Date.now() } = {}) {
+    const source = typeof input === 'string' ? input : '';
+    const text = [];
+    const filters = [];
+    let index = 0;
+
+    while (index < source.length) {
+        if (/\s/.test(source[index])) {
+            index++;
+            continue;
+        }
+
+        let negated = false;
+        if (source[index] === '-' && index + 1 < source.length && !/\s/.test(source[index + 1])) {
+            negated = true;
+            index++;
+        }
+
+        if (source[index] === '"') {
+            const { value, next } = readQuoted(source, index);
+            index = next;
+            const phrase = value.trim().replace(/\s+/g, ' ');
+            if (hasWordCharacters(phrase)) {
+                text.push({ value: phrase, phrase: true, negated });
+            }
+            continue;
+        }
+
+        const operatorMatch = /^([a-z]+):/i.exec(source.slice(index));
+        const operator = operatorMatch ? operatorMatch[1].toLowerCase() : null;
+        if (operator && OPERATORS.includes(operator)) {
+            index += operatorMatch[0].length;
+            const { value, next } = source[index] === '"' ? readQuoted(source, index) : readWord(source, index);
+            index = next;
+            const trimmed = value.trim();
+            if (!trimmed) {
+                throw searchQueryError(`Missing value for ${operator}:`);
+            }
+            filters.push({ ...normalizeFilter(operator, trimmed, now), negated });
+            continue;
+        }
+
+        const { value, next } = readWord(source, index);
+        index = next;
+        const word = value.replace(/"/g, '');
+        if (hasWordCharacters(word)) {
+            text.push({ value: word, phrase: false, negated });
+        }
+    }
+
+    return { text, filters };
+}
+
+function isEmptySearch(parsed) {
+    return !parsed || (parsed.text.length === 0 && parsed.filters.length === 0);
+}
+
+// FTS5 MATCH ifadesi: kelimeler onek olarak, ifadeler oldugu gibi aranir
+function toFtsTerm(term) {
+    const value = term.value.replace(/"/g, '');
+    return term.phrase ? `"${value}"` : `"${value}"*`;
+}
+
+function negate(clause) {
+    return `IFNULL((${clause}), 0) = 0`;
+}
+
+function fromPhone(value) {
+    return value.split('@')[0];
+}
+
+// Sohbetin son mesaji bizden degilse (is_from_me = 0) sohbet yanitsiz sayilir
+function lastMessageFromMeSql(chatIdColumn) {
+    return `(SELECT lm.is_from_me FROM messages lm WHERE lm.chat_id = ${chatIdColumn} ORDER BY lm.timestamp DESC, lm.id DESC LIMIT 1)`;
+}
+
+const TAG_CHAT_IDS_SQL = `
+    SELECT contact_tags.chat_id FROM contact_tags
+    JOIN tags ON tags.id = contact_tags.tag_id
+    WHERE tags.name = ? COLLATE NOCASE OR CAST(tags.id AS TEXT) = ?`;
+
+// Tek bir filtrenin mesaj (alias m) uzerindeki kosulu
+function messageFilterClause(filter, alias = 'm') {
+    switch (filter.key) {
+        case 'from':
+            if (filter.me) return { sql: `${alias}.is_from_me = 1`, params: [] };
+            return {
+                sql: `(${alias}.from_name LIKE ? OR ${alias}.from_number LIKE ?)`,
+                params: ['%' + filter.value + '%', '%' + fromPhone(filter.value) + '%']
+            };
+        case 'in':
+            return {
+                sql: `(${alias}.chat_id = ? OR ${alias}.chat_id IN (SELECT chat_id FROM chats WHERE name LIKE ?))`,
+                params: [filter.value, '%' + filter.value + '%']
+            };
+        case 'tag':
+            return { sql: `${alias}.chat_id IN (${TAG_CHAT_IDS_SQL})`, params: [filter.value, filter.value] };
+        case 'has':
+            return {
+                sql: `(${alias}.media_path IS NOT NULL OR ${alias}.media_mimetype IS NOT NULL OR ${alias}.type IN (${MEDIA_TYPES.map(() => '?').join(', ')}))`,
+                params: [...MEDIA_TYPES]
+            };
+        case 'type':
+            return { sql: `${alias}.type IN (${filter.types.map(() => '?').join(', ')})`, params: [...filter.types] };
+        case 'before':
+            return { sql: `${alias}.timestamp < ?`, params: [filter.timestamp] };
+        case 'after':
+            return { sql: `${alias}.timestamp >= ?`, params: [filter.timestamp] };
+        case 'is':
+            if (filter.value === 'unread') {
+                return { sql: `${alias}.chat_id IN (SELECT chat_id FROM chats WHERE unread_count > 0 OR marked_unread = 1)`, params: [] };
+            }
+            if (filter.value === 'unanswered') {
+                return { sql: `${lastMessageFromMeSql(`${alias}.chat_id`)} = 0`, params: [] };
+            }
+            return filter.value === 'fromme'
+                ? { sql: `${alias}.is_from_me = 1`, params: [] }
+                : { sql: `${alias}.is_deleted_for_everyone = 1`, params: [] };
+        default:
+            throw searchQueryError(`Unknown operator ${filter.key}:`);
+    }
+}
+
+/**
+ * Mesaj aramasi icin SQL uretir. Pozitif metin varsa FTS5 ile bm25 siralamasi ve
+ * vurgular (char(2)/char(3)) doner; yoksa sonuc en yeni mesajdan eskiye siralanir.
+ * Donus: { sql, params, countSql, countParams } (sql sonunda LIMIT ? OFFSET ? bekler)
+ */
+function compileMessageSearch(parsed, { chatId = null } = {}) {
+    const where = [];
+    const params = [];
+    const positive = parsed.text.filter(term => !term.negated).map(toFtsTerm);
+    const negative = parsed.text.filter(term => term.negated).map(toFtsTerm);
+    const useFts = positive.length > 0;
+
+    if (useFts) {
+        const match = negative.length > 0
+            ? `(${positive.join(' ')}) NOT (${negative.join(' OR ')})`
+            : positive.join(' ');
+        where.push('messages_fts MATCH ?');
+        params.push(match);
+    } else if (negative.length > 0) {
+        where.push('m.id NOT IN (SELECT rowid FROM messages_fts WHERE messages_fts MATCH ?)');
+        params.push(negative.join(' OR '));
+    }
+
+    if (chatId) {
+        where.push('m.chat_id = ?');
+        params.push(chatId);
+    }
+
+    for (const filter of parsed.filters) {
+        const clause = messageFilterClause(filter);
+        where.push(filter.negated ? negate(clause.sql) : clause.sql);
+        params.push(...clause.params);
+    }
+
+    const from = useFts
+        ? 'FROM messages_fts JOIN messages m ON m.id = messages_fts.rowid'
+        : 'FROM messages m';
+    const whereSql = where.length > 0 ? `WHERE ${where.join('\n          AND ')}` : '';
+    const select = useFts
+        ? `SELECT m.*,
+            bm25(messages_fts, 4.0, 1.0, 2.0, 3.0) AS rank,
+            highlight(messages_fts, 0, char(2), char(3)) AS body_highlight,
+            snippet(messages_fts, -1, char(2), char(3), '…', 16) AS snippet`
+        : 'SELECT m.*, NULL AS rank, m.body AS body_highlight, NULL AS snippet';
+    const order = useFts ? 'ORDER BY rank, m.timestamp DESC, m.id DESC' : 'ORDER BY m.timestamp DESC, m.id DESC';
+
+    return {
+        sql: `${select}\n        ${from}\n        ${whereSql}\n        ${order}\n        LIMIT ? OFFSET ?`,
+        params,
+        countSql: `SELECT COUNT(*) AS total ${from} ${whereSql}`,
+        countParams: [...params]
+    };
+}
+
+function isMessageLevelFilter(filter) {
+    if (filter.key === 'is') return !CHAT_STATE_VALUES.has(filter.value);
+    return MESSAGE_LEVEL_OPERATORS.has(filter.key);
+}
+
+// Sohbet satirina (alias c) bakan filtrenin kosulu: in:, tag:, is:unread, is:unanswered
+function chatFilterClause(filter) {
+    switch (filter.key) {
+        case 'tag':
+            return { sql: `c.chat_id IN (${TAG_CHAT_IDS_SQL})`, params: [filter.value, filter.value] };
+        case 'in':
+            return { sql: '(c.chat_id = ? OR c.name LIKE ?)', params: [filter.value, '%' + filter.value + '%'] };
+        case 'is':
+            return filter.value === 'unread'
+                ? { sql: '(c.unread_count > 0 OR c.marked_unread = 1)', params: [] }
+                : { sql: `${lastMessageFromMeSql('c.chat_id')} = 0`, params: [] };
+        default:
+            throw searchQueryError(`Unknown operator ${filter.key}:`);
+    }
+}
+
+/**
+ * Sohbet aramasi icin WHERE kosullari (alias c). Serbest metin sohbet adinda aranir;
+ * in:/tag:/is:unread/is:unanswered sohbete, diger filtreler sohbetin mesajlarina uygulanir:
+ * pozitif mesaj filtreleri ayni mesajda birlikte saglanmali (EXISTS), negatifler NOT EXISTS olur.
+ * tag (etiket id'si veya tam adi) ve note (not icerigi) GET /api/chats/search parametreleridir.
+ * Donus: { where: [sql], params }
+ */
+function compileChatSearch(parsed, { tag = '', note = '' } = {}) {
+    const where = [];
+    const params = [];
+
+    if (tag) {
+        if (/^\d+$/.test(tag)) {
+            where.push('c.chat_id IN (SELECT chat_id FROM contact_tags WHERE tag_id = ?)');
+            params.push(parseInt(tag, 10));
+        } else {
+            where.push('c.chat_id IN (SELECT contact_tags.chat_id FROM contact_tags JOIN tags ON tags.id = contact_tags.tag_id WHERE tags.name = ?)');
+            params.push(tag);
+        }
+    }
+
+    if (note) {
+        where.push('c.chat_id IN (SELECT chat_id FROM notes WHERE content LIKE ?)');
+        params.push('%' + note + '%');
+    }
+
+    for (const term of parsed.text) {
+        where.push(term.negated ? 'IFNULL(c.name, \'\') NOT LIKE ?' : 'c.name LIKE ?');
+        params.push('%' + term.value + '%');
+    }
+
+    const messageClauses = [];
+    const messageParams = [];
+    for (const filter of parsed.filters) {
+        if (isMessageLevelFilter(filter)) {
+            const clause = messageFilterClause(filter);
+            if (filter.negated) {
+                where.push(`NOT EXISTS (SELECT 1 FROM messages m WHERE m.chat_id = c.chat_id AND ${clause.sql})`);
+                params.push(...clause.params);
+            } else {
+                messageClauses.push(clause.sql);
+                messageParams.push(...clause.params);
+            }
+            continue;
+        }
+
+        const clause = chatFilterClause(filter);
+        where.push(filter.negated ? negate(clause.sql) : clause.sql);
+        params.push(...clause.params);
+    }
+
+    if (messageClauses.length > 0) {
+        where.push(`EXISTS (SELECT 1 FROM messages m WHERE m.chat_id = c.chat_id AND ${messageClauses.join(' AND ')})`);
+        params.push(...messageParams);
+    }
+
+    return { where, params };
+}
+
+/**
+ * Sorgu parametresi icin zod alani: metni ayristirir, hatalari zod issue'su olarak bildirir.
+ * Sonuc { raw, parsed } olur.
+ */
+function searchQueryField({ maxLength } = {}) {
+    return z.preprocess(
+        (value) => {
+            const firstValue = first(value);
+            if (firstValue === undefined || firstValue === null) return '';
+            return String(firstValue);
+        },
+        z.string()
+    ).transform((value, ctx) => {
+        const raw = (Number.isFinite(maxLength) ? value.slice(0, maxLength) : value).trim();
+        try {
+            return { raw, parsed: parseSearchQuery(raw) };
+        } catch (error) {
+            if (error.code !== 'INVALID_SEARCH_QUERY') throw error;
+            ctx.addIssue({ code: z.ZodIssueCode.custom, message: error.message });
+            return z.NEVER;
+        }
+    });
+}
+
+module.exports = {
+    MESSAGE_TYPES,
+    parseSearchQuery,
+    isEmptySearch,
+    compileMessageSearch,
+    compileChatSearch,
+    searchQueryField
+};
@@ -0,0 +1,17 @@
+/**
+ * Mesaj sablonlarindaki {degisken} yer tutucularini context degerleriyle doldurur.
+ * context'te olmayan yer tutucular oldugu gibi birakilir.
+ */
+function renderTemplate(content, context = {}) {
+    if (!content) return '';
+    return content.replace(/{(\w+)}/g, (match, key) => {
+        if (Object.prototype.hasOwnProperty.call(context, key)) {
+            return String(context[key]);
+        }
+        return match;
+    });
+}
+
+module.exports = {
+    renderTemplate
+};
@@ -0,0 +1,97 @@
+const MAX_VCARD_LENGTH = 20000;
+
+function unescapeValue(value) {
+    return String(value || '')
+        .replace(/\\n/gi, '\n')
+        .replace(/\\([,;\\])/g, '$1')
+        .trim();
+}
+
+function escapeValue(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/([,;])/g, '\\$1');
+}
+
+/**
+ * Tek bir vCard metnini ayristirir. Katlanmis (folded) satirlar birlestirilir;
+ * WhatsApp telefon satirlarindaki waid parametresi kisi kimligi icin kullanilir.
+ */
+function parseVCard(text) {
+    const raw = String(text || '').slice(0, MAX_VCARD_LENGTH);
+    if (!/BEGIN:VCARD/i.test(raw)) return null;
+
+    const lines = raw.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const card = { name: '', org: '', phones: [], emails: [] };
+    let structuredName = '';
+
+    for (const line of lines) {
+        const separator = line.indexOf(':');
+        if (separator <= 0) continue;
+        const [property, ...params] = line.slice(0, separator).split(';');
+        const key = property.replace(/^item\d+\./i, '').toUpperCase();
+        const value = line.slice(separator + 1);
+
+        if (key === 'FN') {
+            card.name = unescapeValue(value);
+        } else if (key === 'N') {
+            // N: Soyad;Ad;Ikinci ad;On ek;Son ek
+            const [family, given, additional, prefix, suffix] = value.split(';');
+            structuredName = [prefix, given, additional, family, suffix]
+                .map(unescapeValue)
+                .filter(Boolean)
+                .join(' ');
+        } else if (key === 'ORG') {
+            card.org = unescapeValue(value.split(';')[0]);
+        } else if (key === 'TEL') {
+            const waidParam = params.find(param => /^waid=/i.test(param));
+            const number = unescapeValue(value);
+            const waid = waidParam ? waidParam.split('=')[1].replace(/\D/g, '') : '';
+            if (number || waid) {
+                card.phones.push({ number, waid: waid || null });
+            }
+        } else if (key === 'EMAIL') {
+            const email = unescapeValue(value);
+            if (email) card.emails.push(email);
+        }
+    }
+
+    if (!card.name) card.name = structuredName || card.org || (card.phones[0]?.number || '');
+    return card;
+}
+
+function parseVCards(list) {
+    return (Array.isArray(list) ? list : [])
+        .map(parseVCard)
+        .filter(Boolean);
+}
+
+function buildVCard({ name, phone }) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        'FN:' + escapeValue(name),
+        `TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`,
+        'END:VCARD'
+    ].join('\n');
+}
+
+/**
+ * Kartin ilk WhatsApp numarasindan (yoksa ilk telefon numarasindan) kisi kimligi uretir.
+ */
+function getVCardChatId(card) {
+    const phones = Array.isArray(card?.phones) ? card.phones : [];
+    const preferred = phones.find(phone => phone.waid) || phones[0];
+    if (!preferred) return null;
+    const digits = String(preferred.waid || preferred.number || '').replace(/\D/g, '');
+    return digits ? `${digits}@c.us` : null;
+}
+
+module.exports = {
+    buildVCard,
+    getVCardChatId,
+    parseVCard,
+    parseVCards
+};
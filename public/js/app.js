@@ -24,6 +24,10 @@ let webhooksCache = [];
 let availableTags = [];
 let currentChatTags = [];
 let currentChatNotes = [];
+let chatPresence = new Map();
+let statusContacts = [];
+let statusReloadTimer = null;
+let composerTypingState = null;
 let mediaHubState = null;
 let mediaHubChats = [];
 let mediaHubSearchDebounce = null;
@@ -36,7 +40,10 @@ let settings = {
     uploadToDrive: false,
     notifications: true,
     sounds: true,
-    ghostMode: false
+    ghostMode: false,
+    rejectCalls: false,
+    callRejectMessage: '',
+    callRejectTemplateId: null
 };
 let uiPreferences = {
     accentColor: '',
@@ -106,20 +113,12 @@ const VIRTUAL_MESSAGE_ITEM_HEIGHT = 78;
 const VIRTUAL_MESSAGE_OVERSCAN = 6;
 const MEDIA_HUB_PAGE_SIZE = 90;
 
-let messagesPagination = {
-    items: [],
-    offset: 0,
-    hasMore: true,
-    loading: false
-};
-let chatMessagesPagination = {
-    chatId: null,
-    items: [],
-    offset: 0,
-    hasMore: true,
-    loading: false
-};
+let messagesPagination = createMessagesPagination();
+let chatMessagesPagination = createChatMessagesPagination(null);
 let chatSearchDebounce = null;
+let savedSearches = [];
+let savedSearchCounts = new Map();
+let activeSavedSearchId = null;
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
@@ -1111,7 +1110,7 @@ function renderAccountMenu() {
         item.className = 'dropdown-item account-item' + (account.id === activeAccountId ? ' active' : '');
         item.onclick = () => selectAccount(account.id);
         item.innerHTML = `
-            <span class="account-label">${escapeHtml(account.name)}</span>
+            <span class="account-label">${escapeHtml(account.name)}${account.transport === 'simulator' ? ' <small class="account-transport">Simulator</small>' : ''}</span>
             <span class="account-status ${escapeHtml(account.status || 'disconnected')}">${escapeHtml(account.status || 'disconnected')}</span>
         `;
         menu.appendChild(item);
@@ -1143,11 +1142,14 @@ async function selectAccount(accountId) {
     }
 }
 
-async function createAccount() {
-    const name = prompt('Yeni hesap adi girin:');
+async function createAccount(transport) {
+    const isSimulator = transport === 'simulator';
+    const name = prompt(isSimulator ? 'Simulator hesap adi girin:' : 'Yeni hesap adi girin:', isSimulator ? 'Demo Hesap' : '');
     if (!name) return;
     try {
-        const result = await api('api/accounts', 'POST', { name: name.trim() });
+        const body = { name: name.trim() };
+        if (transport) body.transport = transport;
+        const result = await api('api/accounts', 'POST', body);
         accounts.push(result.account);
         renderAccountMenu();
         showToast('Hesap olusturuldu', 'success');
@@ -1156,24 +1158,54 @@ async function createAccount() {
     }
 }
 
+function exportAccountSession() {
+    if (!activeAccountId) return;
+    if (!confirm('Yedek alinirken WhatsApp baglantisi kisa sureligine kapatilir. Devam edilsin mi?')) return;
+    // Indirme oturum cerezi ile yapilir; sunucu arsivi hazirlayip dosya olarak gonderir
+    window.location.href = 'api/accounts/' + encodeURIComponent(activeAccountId) + '/session/export';
+    showToast('Oturum yedegi hazirlaniyor...');
+}
+
+function importAccountSession() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.gz,.tar.gz,application/gzip';
+    input.onchange = async () => {
+        const file = input.files?.[0];
+        if (!file) return;
+
+        const formData = new FormData();
+        formData.append('archive', file);
+        const headers = {};
+        const csrfToken = getCsrfToken();
+        if (csrfToken) headers['X-CSRF-Token'] = csrfToken;
+
+        showToast('Yedek yukleniyor...');
+        try {
+            const response = await fetch('api/accounts/session/import', {
+                method: 'POST',
+                headers,
+                credentials: 'include',
+                body: formData
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'API Error');
+            await loadAccounts();
+            showToast('Hesap yedekten yuklendi: ' + data.account.name, 'success');
+        } catch (err) {
+            showToast('Yedek yuklenemedi: ' + err.message, 'error');
+        }
+    };
+    input.click();
+}
+
 function resetAppState() {
     currentChat = null;
     chats = [];
     archivedChats = [];
     archivedChatsLoaded = false;
-    messagesPagination = {
-        items: [],
-        offset: 0,
-        hasMore: true,
-        loading: false
-    };
-    chatMessagesPagination = {
-        chatId: null,
-        items: [],
-        offset: 0,
-        hasMore: true,
-        loading: false
-    };
+    messagesPagination = createMessagesPagination();
+    chatMessagesPagination = createChatMessagesPagination(null);
     document.getElementById('chatList').innerHTML = '';
     const archivedList = document.getElementById('archivedChatList');
     if (archivedList) archivedList.innerHTML = '';
@@ -1217,11 +1249,14 @@ function initSocket() {
         updateConnectionStatus(status);
         if (status && status.status === 'qr' && status.qrCode) {
             showQR(status.qrCode);
+        } else if (status && status.status === 'qr' && status.pairingCode) {
+            showPairingCode(status.pairingCode);
         } else {
             hideQR();
         }
     });
     socket.on('qr', showQR);
+    socket.on('pairing_code', (data) => showPairingCode(data?.code));
     socket.on('ready', (info) => {
         hideQR();
         updateConnectionStatus({ status: 'ready', info });
@@ -1234,11 +1269,29 @@ function initSocket() {
         updateConnectionStatus({ status: 'disconnected' });
         showToast('WhatsApp baglantisi kesildi', 'warning');
     });
+    socket.on('reconnect_scheduled', (data) => {
+        const seconds = Math.max(1, Math.round((data?.delayMs || 0) / 1000));
+        showToast('Yeniden baglanma denemesi ' + (data?.attempt || 1) + ': ' + seconds + ' sn sonra', 'warning');
+    });
     socket.on('message', handleNewMessage);
     socket.on('message_ack', handleMessageAck);
     socket.on('message_revoked', handleMessageRevoked);
+    socket.on('message_reaction', handleMessageReaction);
+    socket.on('message_edited', handleMessageEdited);
+    socket.on('poll_vote', handlePollVote);
+    socket.on('presence_update', handlePresenceUpdate);
+    socket.on('incoming_call', handleIncomingCall);
+    socket.on('status_update', scheduleStatusesReload);
+    socket.on('labels_synced', () => {
+        loadTags();
+        refreshChatTags();
+    });
+    socket.on('status_media_downloaded', scheduleStatusesReload);
+    socket.on('outbox_update', handleOutboxUpdate);
+    socket.on('saved_search_counts', handleSavedSearchCounts);
     socket.on('media_downloaded', handleMediaDownloaded);
     socket.on('chat_updated', () => scheduleChatsReload());
+    socket.on('group_updated', () => scheduleChatsReload());
     socket.on('sync_chats_indexed', () => scheduleChatsReload());
     socket.on('sync_progress', updateSyncProgress);
     socket.on('sync_complete', (data) => {
@@ -1369,6 +1422,8 @@ function switchSidebarTab(tab) {
     if (archivedList) archivedList.style.display = tab === 'archived' ? 'block' : 'none';
     document.getElementById('messagesList').style.display = tab === 'messages' ? 'block' : 'none';
     document.getElementById('logsList').style.display = tab === 'logs' ? 'block' : 'none';
+    const statusList = document.getElementById('statusList');
+    if (statusList) statusList.style.display = tab === 'statuses' ? 'block' : 'none';
 
     // Load data
     if (tab === 'chats') {
@@ -1383,6 +1438,8 @@ function switchSidebarTab(tab) {
         }
     } else if (tab === 'logs') {
         loadLogs();
+    } else if (tab === 'statuses') {
+        loadStatuses();
     }
 }
 
@@ -1424,7 +1481,7 @@ function updateConnectionStatus(status) {
             container.classList.add('connecting');
             icon.style.display = 'none';
             spinner.style.display = 'inline-block';
-            text.textContent = 'QR Kod Bekleniyor';
+            text.textContent = status.pairingCode ? 'Eslestirme Kodu Bekleniyor' : 'QR Kod Bekleniyor';
             break;
         case 'authenticated':
             container.classList.add('connecting');
@@ -1476,6 +1533,42 @@ function showQR(qr) {
     emptyChatView.style.display = 'none';
     qrSection.style.display = 'flex';
     qrImg.src = qr;
+    qrImg.style.display = '';
+    document.getElementById('pairingCodeView').style.display = 'none';
+    document.getElementById('qrInstructions').style.display = '';
+    document.getElementById('pairingInstructions').style.display = 'none';
+}
+
+function showPairingCode(code) {
+    if (!code) return;
+    showQR('');
+    document.getElementById('qrCode').style.display = 'none';
+    const codeView = document.getElementById('pairingCodeView');
+    // Kod telefonda XXXX-XXXX olarak gosterildigi icin ayni bicimde yazilir
+    codeView.textContent = code.length === 8 ? code.slice(0, 4) + '-' + code.slice(4) : code;
+    codeView.style.display = 'block';
+    document.getElementById('qrInstructions').style.display = 'none';
+    document.getElementById('pairingInstructions').style.display = '';
+}
+
+async function requestPairingCode(btn) {
+    const input = document.getElementById('pairingPhoneInput');
+    const phoneNumber = (input?.value || '').replace(/[\s()+-]/g, '');
+    if (!/^\d{8,15}$/.test(phoneNumber)) {
+        showToast('Telefon numarasini ulke koduyla girin (or. 905551234567)', 'error');
+        return;
+    }
+
+    if (btn) btn.disabled = true;
+    showToast('Eslestirme kodu isteniyor...');
+    try {
+        const result = await api('api/connect/pairing-code', 'POST', { phoneNumber });
+        showPairingCode(result.code);
+    } catch (err) {
+        showToast('Eslestirme kodu alinamadi: ' + err.message, 'error');
+    } finally {
+        if (btn) btn.disabled = false;
+    }
 }
 
 function hideQR() {
@@ -1499,6 +1592,7 @@ async function loadInitialData() {
         loadChats();
         loadAllMessages();
         loadTags();
+        loadSavedSearches();
         await loadSyncProgress();
     } catch (err) {
         console.error('Initial load error:', err);
@@ -1509,6 +1603,7 @@ async function loadInitialData() {
 async function loadChats() {
     try {
         chats = await api('api/chats');
+        if (currentChat) updateChatMenuState();
         if (currentSidebarTab === 'chats') {
             const { query, tagFilter, noteQuery } = getChatSearchInputs();
             await performChatSearch(query, tagFilter, noteQuery);
@@ -1535,16 +1630,39 @@ async function loadAllMessages() {
     await loadMessagesPage({ reset: true });
 }
 
+// Sayfalama imlecleri sunucudan gelir (olderCursor/newerCursor); offset kullanilmaz
+function createMessagesPagination() {
+    return {
+        items: [],
+        cursor: null,
+        hasMore: true,
+        loading: false
+    };
+}
+
+function createChatMessagesPagination(chatId) {
+    return {
+        chatId,
+        items: [],
+        olderCursor: null,
+        newerCursor: null,
+        hasMore: true,
+        hasNewer: false,
+        loading: false
+    };
+}
+
+/**
+ * options.reset: en yeni sayfadan baslar (varsayilan)
+ * options.direction: 'older' | 'newer' (reset: false ile)
+ * options.aroundMessageId: mesajin etrafindaki pencereyi yukler ve mesaja kaydirir
+ */
 async function loadChatMessages(chatId, options = {}) {
-    const shouldReset = options.reset !== false || chatMessagesPagination.chatId !== chatId;
+    const aroundMessageId = options.aroundMessageId || null;
+    const shouldReset = Boolean(aroundMessageId) || options.reset !== false || chatMessagesPagination.chatId !== chatId;
+    const direction = options.direction === 'newer' ? 'newer' : 'older';
     if (shouldReset) {
-        chatMessagesPagination = {
-            chatId,
-            items: [],
-            offset: 0,
-            hasMore: true,
-            loading: false
-        };
+        chatMessagesPagination = createChatMessagesPagination(chatId);
         const container = document.getElementById('messagesContainer');
         if (container) {
             // New chat load should always auto-scroll; clear previous chat's scroll memory.
@@ -1553,34 +1671,66 @@ async function loadChatMessages(chatId, options = {}) {
         }
     }
 
-    if (chatMessagesPagination.loading || !chatMessagesPagination.hasMore) return;
-    chatMessagesPagination.loading = true;
+    const state = chatMessagesPagination;
+    if (state.loading) return;
+    if (!shouldReset && (direction === 'newer' ? !state.hasNewer : !state.hasMore)) return;
+    state.loading = true;
     setListStatus('chatMessagesStatus', shouldReset ? 'Mesajlar yukleniyor...' : 'Daha fazla mesaj yukleniyor...', true);
 
     try {
-        const response = await api('api/chats/' + encodeURIComponent(chatId) +
-            '/messages?limit=' + CHAT_MESSAGE_PAGE_SIZE +
-            '&offset=' + chatMessagesPagination.offset);
-        const payload = Array.isArray(response) ? { messages: response } : response;
+        let url = 'api/chats/' + encodeURIComponent(chatId) + '/messages';
+        if (aroundMessageId) {
+            url += '/around/' + encodeURIComponent(aroundMessageId) + '?limit=' + CHAT_MESSAGE_PAGE_SIZE;
+        } else {
+            url += '?limit=' + CHAT_MESSAGE_PAGE_SIZE;
+            if (!shouldReset) {
+                url += direction === 'newer'
+                    ? '&after=' + encodeURIComponent(state.newerCursor || '')
+                    : '&before=' + encodeURIComponent(state.olderCursor || '');
+            }
+        }
+        const payload = await api(url);
+        // Baska bir sohbete gecildiyse gec gelen sayfa yok sayilir
+        if (chatMessagesPagination !== state) return;
+
         const page = Array.isArray(payload.messages) ? payload.messages : [];
-        chatMessagesPagination.items = chatMessagesPagination.items.concat(page);
-        chatMessagesPagination.offset += page.length;
-        chatMessagesPagination.hasMore = page.length === CHAT_MESSAGE_PAGE_SIZE;
+        const pagination = payload.pagination || {};
+        const known = new Set(state.items.map(item => item.message_id || item.messageId));
+        const fresh = page.filter(item => !known.has(item.message_id));
+        state.items = direction === 'newer' ? state.items.concat(fresh.reverse()) : fresh.concat(state.items);
+        if (shouldReset || direction === 'older') {
+            state.olderCursor = pagination.olderCursor || state.olderCursor;
+            state.hasMore = Boolean(pagination.hasOlder);
+        }
+        if (shouldReset || direction === 'newer') {
+            state.newerCursor = pagination.newerCursor || state.newerCursor;
+            state.hasNewer = Boolean(pagination.hasNewer);
+        }
         if (shouldReset) {
             currentChatTags = Array.isArray(payload.tags) ? payload.tags : [];
             currentChatNotes = Array.isArray(payload.notes) ? payload.notes : [];
             renderChatMeta();
         }
-        renderChatMessages(chatMessagesPagination.items, {
-            preserveScroll: !shouldReset,
-            scrollToBottom: shouldReset,
-            scrollAttempts: shouldReset ? 25 : undefined,
-            scrollIntervalMs: shouldReset ? 200 : undefined
-        });
+        if (aroundMessageId) {
+            renderChatMessages(state.items, { scrollToBottom: false });
+            scrollToMessage(aroundMessageId, { loadIfMissing: false });
+        } else if (!shouldReset && direction === 'newer') {
+            renderChatMessages(state.items, { scrollToBottom: false });
+        } else {
+            renderChatMessages(state.items, {
+                preserveScroll: !shouldReset,
+                scrollToBottom: shouldReset,
+                scrollAttempts: shouldReset ? 25 : undefined,
+                scrollIntervalMs: shouldReset ? 200 : undefined
+            });
+        }
     } catch (err) {
         console.error('Chat messages load error:', err);
+        if (aroundMessageId) {
+            showToast('Mesaj bulunamadi', 'info');
+        }
     } finally {
-        chatMessagesPagination.loading = false;
+        state.loading = false;
         setListStatus('chatMessagesStatus', '', false);
     }
 }
@@ -1627,7 +1777,9 @@ function renderChatTags() {
     }
     container.innerHTML = currentChatTags.map(tag => {
         const bg = tag.color || 'var(--accent)';
+        const labelIcon = tag.wa_label_id ? '<i class="bi bi-whatsapp" title="WhatsApp etiketi"></i>' : '';
         return '<span class="tag-chip" style="background-color: ' + escapeHtml(bg) + ';">' +
+            labelIcon +
             '<span>' + escapeHtml(tag.name) + '</span>' +
             '<button type="button" onclick="removeTagFromChat(' + tag.id + ')"><i class="bi bi-x"></i></button>' +
             '</span>';
@@ -1674,6 +1826,9 @@ async function loadSettings() {
         const localSounds = localStorage.getItem('uiSounds');
         if (localSounds !== null) settings.sounds = localSounds === 'true';
         updateSettingsUI();
+        if (!templates.length) {
+            loadTemplatesCache().then(renderCallRejectTemplateOptions);
+        }
     } catch (err) {
         console.error('Settings load error:', err);
     }
@@ -1695,12 +1850,7 @@ function setListStatus(id, message, showSpinner) {
 async function loadMessagesPage(options = {}) {
     const shouldReset = options.reset === true;
     if (shouldReset) {
-        messagesPagination = {
-            items: [],
-            offset: 0,
-            hasMore: true,
-            loading: false
-        };
+        messagesPagination = createMessagesPagination();
         const container = document.getElementById('messagesList');
         if (container) container.scrollTop = 0;
     }
@@ -1710,12 +1860,12 @@ async function loadMessagesPage(options = {}) {
     setListStatus('messagesListStatus', shouldReset ? 'Mesajlar yukleniyor...' : 'Daha fazla mesaj yukleniyor...', true);
 
     try {
-        const response = await api('api/messages?limit=' + MESSAGE_PAGE_SIZE + '&offset=' + messagesPagination.offset);
-        const payload = Array.isArray(response) ? { messages: response } : response;
+        const cursorParam = messagesPagination.cursor ? '&before=' + encodeURIComponent(messagesPagination.cursor) : '';
+        const payload = await api('api/messages?limit=' + MESSAGE_PAGE_SIZE + cursorParam);
         const page = Array.isArray(payload.messages) ? payload.messages : [];
         messagesPagination.items = messagesPagination.items.concat(page);
-        messagesPagination.offset += page.length;
-        messagesPagination.hasMore = page.length === MESSAGE_PAGE_SIZE;
+        messagesPagination.cursor = payload.pagination?.olderCursor || messagesPagination.cursor;
+        messagesPagination.hasMore = Boolean(payload.pagination?.hasOlder);
         renderMessagesList();
     } catch (err) {
         console.error('Messages load error:', err);
@@ -1749,7 +1899,10 @@ function setupChatMessagesScroll() {
     container.addEventListener('scroll', () => {
         if (!currentChat) return;
         if (container.scrollTop <= 120) {
-            loadChatMessages(currentChat, { reset: false });
+            loadChatMessages(currentChat, { reset: false, direction: 'older' });
+        } else if (chatMessagesPagination.hasNewer &&
+            container.scrollTop + container.clientHeight >= container.scrollHeight - 120) {
+            loadChatMessages(currentChat, { reset: false, direction: 'newer' });
         }
     });
 }
@@ -1763,13 +1916,44 @@ function updateSettingsUI() {
         'toggleUploadToDrive': settings.uploadToDrive,
         'toggleNotifications': settings.notifications,
         'toggleSounds': settings.sounds,
-        'toggleGhostMode': settings.ghostMode
+        'toggleGhostMode': settings.ghostMode,
+        'toggleRejectCalls': settings.rejectCalls
     };
 
     Object.entries(toggles).forEach(([id, value]) => {
         const el = document.getElementById(id);
         if (el) el.classList.toggle('active', value);
     });
+
+    const callRejectMessageInput = document.getElementById('callRejectMessageInput');
+    if (callRejectMessageInput && document.activeElement !== callRejectMessageInput) {
+        callRejectMessageInput.value = settings.callRejectMessage || '';
+    }
+    renderCallRejectTemplateOptions();
+}
+
+function renderCallRejectTemplateOptions() {
+    const select = document.getElementById('callRejectTemplateSelect');
+    if (!select) return;
+    const selectedId = settings.callRejectTemplateId ? String(settings.callRejectTemplateId) : '';
+    const list = Array.isArray(templates) ? templates : [];
+    select.innerHTML = '<option value="">Sablon kullanma</option>' + list.map(template =>
+        '<option value="' + escapeHtml(String(template.id)) + '">' + escapeHtml(template.name || ('#' + template.id)) + '</option>'
+    ).join('');
+    select.value = list.some(template => String(template.id) === selectedId) ? selectedId : '';
+}
+
+async function updateCallRejectReply() {
+    const select = document.getElementById('callRejectTemplateSelect');
+    const input = document.getElementById('callRejectMessageInput');
+    settings.callRejectTemplateId = select && select.value ? parseInt(select.value, 10) : null;
+    settings.callRejectMessage = input ? input.value.trim() : '';
+    try {
+        await api('api/settings', 'POST', getWhatsAppSettingsPayload());
+        showToast('Arama yaniti kaydedildi', 'success');
+    } catch (err) {
+        showToast('Ayar kaydedilemedi: ' + err.message, 'error');
+    }
 }
 
 function getWhatsAppSettingsPayload() {
@@ -1779,7 +1963,10 @@ function getWhatsAppSettingsPayload() {
         downloadProfilePictures: settings.downloadProfilePictures,
         syncOnConnect: settings.syncOnConnect,
         uploadToDrive: settings.uploadToDrive,
-        ghostMode: settings.ghostMode
+        ghostMode: settings.ghostMode,
+        rejectCalls: settings.rejectCalls,
+        callRejectMessage: settings.callRejectMessage || '',
+        callRejectTemplateId: settings.callRejectTemplateId || null
     };
 }
 
@@ -1985,7 +2172,8 @@ function renderChatList(chatList, options = {}) {
 
     container.innerHTML = chatList.map(c => {
         const isActive = currentChat === c.chat_id;
-        const hasUnread = c.unread_count > 0;
+        const markedUnread = c.marked_unread === 1;
+        const hasUnread = c.unread_count > 0 || markedUnread;
         const chatIdAttr = escapeHtmlAttribute(String(c.chat_id || ''));
         const nameAttr = escapeHtmlAttribute(String(c.name || ''));
         const timeValue = c.last_message_at ?? c.last_message_time;
@@ -1999,13 +2187,14 @@ function renderChatList(chatList, options = {}) {
                 '<div class="top-row">' +
                     '<div class="chat-name">' + escapeHtml(c.name) + '</div>' +
                     '<div class="chat-actions">' +
+                        renderChatStateIcons(c) +
                         actionBtn +
                         '<span class="chat-time">' + formatTime(timeValue) + '</span>' +
                     '</div>' +
                 '</div>' +
                 '<div class="chat-preview">' +
                     '<span class="preview-text">' + escapeHtml((c.last_message || '').substring(0, 40)) + '</span>' +
-                    (hasUnread ? '<span class="unread-badge">' + c.unread_count + '</span>' : '') +
+                    (hasUnread ? '<span class="unread-badge">' + (c.unread_count > 0 ? c.unread_count : '') + '</span>' : '') +
                 '</div>' +
             '</div>' +
         '</div>';
@@ -2014,6 +2203,20 @@ function renderChatList(chatList, options = {}) {
     attachChatListHandlers(containerId);
 }
 
+function isChatMuted(chat) {
+    const mutedUntil = chat?.muted_until;
+    if (mutedUntil === null || mutedUntil === undefined) return false;
+    return Number(mutedUntil) === -1 || Number(mutedUntil) > Date.now();
+}
+
+function renderChatStateIcons(chat) {
+    let icons = '';
+    if (chat.is_blocked === 1) icons += '<i class="bi bi-slash-circle chat-state-icon" title="Engellendi"></i>';
+    if (isChatMuted(chat)) icons += '<i class="bi bi-volume-mute-fill chat-state-icon" title="Sessizde"></i>';
+    if (chat.is_pinned === 1) icons += '<i class="bi bi-pin-angle-fill chat-state-icon" title="Sabitlendi"></i>';
+    return icons;
+}
+
 function attachChatListHandlers(containerId) {
     const container = document.getElementById(containerId);
     if (!container || container.dataset.handlerAttached === 'true') return;
@@ -2076,7 +2279,7 @@ function renderMessageListItem(message) {
     const displayName = getDisplayNameFromMessage(message);
     const previewText = getMessagePreviewText(message);
 
-    return '<div class="chat-item" onclick="openChatForMessage(\'' + (message.chat_id || '') + '\')">' +
+    return '<div class="chat-item" onclick="openChatForMessage(\'' + escapeHtml(message.chat_id || '') + '\', \'' + escapeHtml(message.message_id || '') + '\')">' +
         '<div class="avatar"><i class="bi bi-chat-text-fill"></i></div>' +
         '<div class="chat-info">' +
             '<div class="top-row">' +
@@ -2118,6 +2321,158 @@ function renderLogsList(logs) {
     }).join('');
 }
 
+// Status (stories)
+async function loadStatuses() {
+    try {
+        const data = await api('api/status/updates');
+        statusContacts = Array.isArray(data?.contacts) ? data.contacts : [];
+        renderStatusList();
+    } catch (err) {
+        console.error('Status load error:', err);
+    }
+}
+
+function scheduleStatusesReload() {
+    if (currentSidebarTab !== 'statuses') return;
+    clearTimeout(statusReloadTimer);
+    statusReloadTimer = setTimeout(loadStatuses, 500);
+}
+
+function formatStatusRemaining(expiresAt) {
+    const remainingMs = Number(expiresAt) - Date.now();
+    if (!Number.isFinite(remainingMs) || remainingMs <= 0) return 'suresi doldu';
+    const hours = Math.floor(remainingMs / 3600000);
+    if (hours >= 1) return hours + ' sa kaldi';
+    return Math.max(1, Math.floor(remainingMs / 60000)) + ' dk kaldi';
+}
+
+function renderStatusList() {
+    const container = document.getElementById('statusList');
+    if (!container) return;
+
+    const composeItem = '<div class="chat-item" onclick="openStatusComposer()">' +
+        '<div class="avatar"><i class="bi bi-plus-circle-fill"></i></div>' +
+        '<div class="chat-info">' +
+            '<div class="top-row"><div class="chat-name">Durum paylas</div></div>' +
+            '<div class="chat-preview"><span class="preview-text">Metin veya resim durumu ekle</span></div>' +
+        '</div>' +
+        '<button class="btn btn-secondary btn-sm" type="button" onclick="event.stopPropagation(); refreshStatuses()" title="WhatsApp\'tan yenile"><i class="bi bi-arrow-repeat"></i></button>' +
+    '</div>';
+
+    if (!statusContacts.length) {
+        container.innerHTML = composeItem + '<div class="chat-item"><div class="chat-info"><div class="chat-name" style="color: var(--text-secondary)">Yayinda durum yok</div></div></div>';
+        return;
+    }
+
+    container.innerHTML = composeItem + statusContacts.map((contact) => {
+        const name = contact.isFromMe ? 'Durumum' : (contact.authorName || contact.authorId.split('@')[0]);
+        const count = contact.statuses.length;
+        return '<div class="chat-item status-contact" data-author-id="' + escapeHtmlAttribute(contact.authorId) + '" onclick="openStatusViewer(this.dataset.authorId)">' +
+            '<div class="avatar status-ring">' + escapeHtml(getInitials(name)) + '</div>' +
+            '<div class="chat-info">' +
+                '<div class="top-row">' +
+                    '<div class="chat-name">' + escapeHtml(name) + '</div>' +
+                    '<span class="chat-time">' + formatTime(contact.latestAt) + '</span>' +
+                '</div>' +
+                '<div class="chat-preview">' +
+                    '<span class="preview-text">' + count + ' durum &middot; ' + escapeHtml(formatStatusRemaining(contact.expiresAt)) + '</span>' +
+                '</div>' +
+            '</div>' +
+        '</div>';
+    }).join('');
+}
+
+function renderStatusCard(status) {
+    const mediaUrl = sanitizeUrl(status.media_url || '');
+    const isImage = String(status.media_mimetype || '').startsWith('image/') || status.type === 'image';
+    const isVideo = String(status.media_mimetype || '').startsWith('video/') || status.type === 'video';
+    let mediaHtml = '';
+    if (mediaUrl && isImage) {
+        mediaHtml = '<img src="' + mediaUrl + '" alt="" onclick="openMediaLightbox(this.src)">';
+    } else if (mediaUrl && isVideo) {
+        mediaHtml = '<video src="' + mediaUrl + '" controls preload="metadata"></video>';
+    } else if (isImage || isVideo) {
+        mediaHtml = '<div class="status-card-pending"><i class="bi bi-hourglass-split"></i> Medya indiriliyor</div>';
+    }
+    const bodyHtml = status.body ? '<div class="status-card-text">' + escapeHtml(status.body) + '</div>' : '';
+
+    return '<div class="status-card">' +
+        mediaHtml +
+        bodyHtml +
+        '<div class="status-card-meta">' + formatTime(status.timestamp) + ' &middot; ' + escapeHtml(formatStatusRemaining(status.expires_at)) + '</div>' +
+    '</div>';
+}
+
+function openStatusViewer(authorId) {
+    const contact = statusContacts.find(item => item.authorId === authorId);
+    if (!contact) return;
+    const name = contact.isFromMe ? 'Durumum' : (contact.authorName || contact.authorId.split('@')[0]);
+
+    document.getElementById('modalContainer').innerHTML = '<div class="modal-overlay show" onclick="if(event.target===this)closeModal()">' +
+        '<div class="modal" style="max-width: 480px;">' +
+        '<div class="modal-header"><h3>' + escapeHtml(name) + '</h3><i class="bi bi-x-lg close-btn" onclick="closeModal()"></i></div>' +
+        '<div class="modal-body status-viewer">' + contact.statuses.map(renderStatusCard).join('') + '</div>' +
+        '</div></div>';
+}
+
+function openStatusComposer() {
+    document.getElementById('modalContainer').innerHTML = '<div class="modal-overlay show" onclick="if(event.target===this)closeModal()">' +
+        '<div class="modal" style="max-width: 480px;">' +
+        '<div class="modal-header"><h3>Durum Paylas</h3><i class="bi bi-x-lg close-btn" onclick="closeModal()"></i></div>' +
+        '<div class="modal-body">' +
+            '<div class="form-group"><label class="form-label">Metin</label><textarea class="form-input" id="statusTextInput" rows="3" maxlength="700" placeholder="Durumunuza yazin"></textarea></div>' +
+            '<div class="form-group"><label class="form-label">Resim (istege bagli)</label><input type="file" class="form-input" id="statusImageInput" accept="image/*"></div>' +
+            '<div style="text-align: right;"><button class="btn btn-primary" type="button" onclick="submitStatusPost(this)"><i class="bi bi-send-fill"></i> Paylas</button></div>' +
+        '</div>' +
+        '</div></div>';
+}
+
+async function submitStatusPost(btn) {
+    const text = (document.getElementById('statusTextInput')?.value || '').trim();
+    const file = document.getElementById('statusImageInput')?.files?.[0] || null;
+    if (!text && !file) {
+        showToast('Metin veya resim ekleyin', 'error');
+        return;
+    }
+
+    const formData = new FormData();
+    formData.append('text', text);
+    if (file) formData.append('media', file);
+
+    const headers = {};
+    if (activeAccountId) headers['X-Account-Id'] = activeAccountId;
+    const csrfToken = getCsrfToken();
+    if (csrfToken) headers['X-CSRF-Token'] = csrfToken;
+
+    if (btn) btn.disabled = true;
+    try {
+        const response = await fetch('api/status/updates', {
+            method: 'POST',
+            headers,
+            credentials: 'include',
+            body: formData
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'API Error');
+        closeModal();
+        showToast('Durum paylasildi', 'success');
+        loadStatuses();
+    } catch (err) {
+        showToast('Durum paylasilamadi: ' + err.message, 'error');
+        if (btn) btn.disabled = false;
+    }
+}
+
+async function refreshStatuses() {
+    try {
+        const result = await api('api/status/updates/refresh', 'POST');
+        showToast((result.stored || 0) + ' yeni durum alindi', 'success');
+        loadStatuses();
+    } catch (err) {
+        showToast('Durumlar yenilenemedi: ' + err.message, 'error');
+    }
+}
+
 function getChatMessageId(message) {
     const raw = message?.message_id || message?.messageId || '';
     return typeof raw === 'string' ? raw : String(raw || '');
@@ -2155,7 +2510,8 @@ function buildChatMessageRow(message, context = {}, options = {}) {
         }
     }
 
-    const isSystem = !mediaHtml && !message.body && !hasMediaType && !isSticker && type !== 'chat';
+    const structuredTypes = ['poll_creation', 'location', 'vcard', 'multi_vcard'];
+    const isSystem = !mediaHtml && !message.body && !hasMediaType && !isSticker && type !== 'chat' && !structuredTypes.includes(type);
     let textHtml = '';
 
     if (message.body && (type === 'chat' || (mediaUrl && message.body && type !== 'document'))) {
@@ -2186,6 +2542,12 @@ function buildChatMessageRow(message, context = {}, options = {}) {
                 <div class="progress-bar"></div>
             </div>
         </div>`;
+    } else if (type === 'poll_creation') {
+        textHtml = renderPollCard(message.poll, message.body);
+    } else if (type === 'location') {
+        textHtml = renderLocationCard(message);
+    } else if (type === 'vcard' || type === 'multi_vcard') {
+        textHtml = renderVcardCards(message);
     } else if (hasMediaType) {
         textHtml = '<div class="message-text muted">[Medya]</div>';
     } else if (isSticker) {
@@ -2287,8 +2649,25 @@ function buildChatMessageRow(message, context = {}, options = {}) {
             '<i class="bi bi-trash3"></i>' +
           '</button>'
         : '';
-    const bubbleContent = senderHtml + quotedHtml + mediaHtml + textHtml +
-        '<div class="message-footer">' + replyBtn + revokeBtn + '<span class="message-time">' + formatTime(message.timestamp) + '</span>' + checkIcon + '</div>';
+    const reactBtn = (!isSystem && messageId && !isPending && !isDeletedForEveryone)
+        ? '<button class="message-action react-btn" type="button" onclick="reactToMessageFromButton(this); event.stopPropagation();" title="Tepki ver">' +
+            '<i class="bi bi-emoji-smile"></i>' +
+          '</button>'
+        : '';
+    const forwardBtn = (!isSystem && messageId && !isPending && !isDeletedForEveryone)
+        ? '<button class="message-action forward-btn" type="button" onclick="openForwardDialogFromButton(this); event.stopPropagation();" title="Ilet">' +
+            '<i class="bi bi-forward"></i>' +
+          '</button>'
+        : '';
+    const isForwarded = message.is_forwarded === 1 || message.is_forwarded === true;
+    const forwardedHtml = isForwarded && !isSystem
+        ? '<div class="message-forwarded"><i class="bi bi-forward-fill"></i> Iletildi</div>'
+        : '';
+    const isEdited = message.is_edited === 1 || message.is_edited === true;
+    const editedHtml = isEdited && !isDeletedForEveryone ? renderMessageEditedLabel() : '';
+    const bubbleContent = senderHtml + forwardedHtml + quotedHtml + mediaHtml + textHtml +
+        '<div class="message-footer">' + reactBtn + forwardBtn + replyBtn + revokeBtn + editedHtml + '<span class="message-time">' + formatTime(message.timestamp) + '</span>' + checkIcon + '</div>' +
+        renderMessageReactions(message.reactions);
 
     const html = '<div class="' + rowClass + '"' +
         ' data-message-id="' + messageIdAttr + '"' +
@@ -2311,6 +2690,105 @@ function buildChatMessageRow(message, context = {}, options = {}) {
     };
 }
 
+function renderMessageEditedLabel() {
+    return '<span class="message-edited" onclick="showMessageEditsFromButton(this); event.stopPropagation();" title="Onceki surumleri gor">duzenlendi</span>';
+}
+
+function renderPollCard(poll, fallbackQuestion) {
+    const question = poll?.question || fallbackQuestion || '';
+    const options = Array.isArray(poll?.options) ? poll.options : [];
+    const totalVoters = Number(poll?.totalVoters) || 0;
+
+    const optionsHtml = options.map((option) => {
+        const votes = Number(option?.votes) || 0;
+        const percent = totalVoters ? Math.round((votes / totalVoters) * 100) : 0;
+        return '<div class="poll-option">' +
+            '<div class="poll-option-head">' +
+                '<span class="poll-option-name">' + escapeHtml(option?.name || '') + '</span>' +
+                '<span class="poll-option-votes">' + votes + '</span>' +
+            '</div>' +
+            '<div class="poll-option-bar"><div class="poll-option-fill" style="width: ' + percent + '%;"></div></div>' +
+        '</div>';
+    }).join('');
+
+    const modeText = poll?.allowMultipleAnswers ? 'Birden fazla secim' : 'Tek secim';
+    return '<div class="poll-card">' +
+        '<div class="poll-question"><i class="bi bi-bar-chart-fill"></i> ' + escapeHtml(question) + '</div>' +
+        optionsHtml +
+        '<div class="poll-meta">' + (poll ? (modeText + ' • ' + totalVoters + ' oy') : 'Anket') + '</div>' +
+    '</div>';
+}
+
+function renderLocationCard(message) {
+    const lat = Number(message.location_latitude);
+    const lng = Number(message.location_longitude);
+    const description = String(message.location_description || message.body || '').trim();
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        return '<div class="message-text muted"><i class="bi bi-geo-alt-fill"></i> ' + escapeHtml(description || 'Konum') + '</div>';
+    }
+
+    const mapUrl = 'https://www.google.com/maps/search/?api=1&query=' + encodeURIComponent(lat + ',' + lng);
+    return '<a class="location-card" href="' + escapeHtmlAttribute(mapUrl) + '" target="_blank" rel="noopener noreferrer">' +
+        '<i class="bi bi-geo-alt-fill location-card-icon"></i>' +
+        '<div class="location-card-info">' +
+            (description ? '<div class="location-card-title">' + escapeHtml(description) + '</div>' : '') +
+            '<div class="location-card-coords">' + lat.toFixed(6) + ', ' + lng.toFixed(6) + '</div>' +
+        '</div>' +
+    '</a>';
+}
+
+function parseMessageVcards(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string' || !value) return [];
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function renderVcardCards(message) {
+    const cards = parseMessageVcards(message.vcards);
+    if (!cards.length) {
+        return '<div class="message-text muted"><i class="bi bi-person-vcard"></i> ' + escapeHtml(message.body || 'Kisi karti') + '</div>';
+    }
+
+    return cards.map((card, index) => {
+        const phones = Array.isArray(card?.phones) ? card.phones : [];
+        const phonesHtml = phones.map(phone =>
+            '<div class="vcard-phone">' + escapeHtml(phone?.number || phone?.waid || '') + '</div>'
+        ).join('');
+        return '<div class="vcard-card">' +
+            '<div class="vcard-avatar"><i class="bi bi-person-fill"></i></div>' +
+            '<div class="vcard-info">' +
+                '<div class="vcard-name">' + escapeHtml(card?.name || 'Kisi') + '</div>' +
+                (card?.org ? '<div class="vcard-org">' + escapeHtml(card.org) + '</div>' : '') +
+                phonesHtml +
+            '</div>' +
+            (phones.length
+                ? '<button class="btn btn-secondary btn-sm vcard-import-btn" type="button" data-index="' + index + '" onclick="importVcardFromButton(this); event.stopPropagation();" title="Kisilere ekle"><i class="bi bi-person-plus"></i></button>'
+                : '') +
+        '</div>';
+    }).join('');
+}
+
+function renderMessageReactions(reactions) {
+    if (!Array.isArray(reactions) || reactions.length === 0) return '';
+    const counts = new Map();
+    reactions.forEach((item) => {
+        const emoji = item?.reaction;
+        if (!emoji) return;
+        counts.set(emoji, (counts.get(emoji) || 0) + 1);
+    });
+    if (!counts.size) return '';
+
+    const chips = Array.from(counts.entries()).map(([emoji, count]) =>
+        '<span class="reaction-chip">' + escapeHtml(emoji) + (count > 1 ? ' <span class="reaction-count">' + count + '</span>' : '') + '</span>'
+    ).join('');
+    return '<div class="message-reactions">' + chips + '</div>';
+}
+
 function upsertChatMessageRow(message, options = {}) {
     const container = document.getElementById('messagesContainer');
     if (!container) return;
@@ -2388,7 +2866,10 @@ function findChatById(chatId) {
         || null;
 }
 
-function selectChat(chatId, name) {
+function selectChat(chatId, name, options = {}) {
+    if (composerTypingState && composerTypingState.chatId !== chatId) {
+        stopComposerTyping();
+    }
     currentChat = chatId;
     currentChatTags = [];
     currentChatNotes = [];
@@ -2415,12 +2896,14 @@ function selectChat(chatId, name) {
     activeChatView.style.height = '100%';
 
     chatName.textContent = name;
-    chatStatus.textContent = 'son gorulme yakin zamanda';
+    chatStatus.textContent = describePresence(chatPresence.get(chatId)) || 'son gorulme yakin zamanda';
+    api('api/chats/' + encodeURIComponent(chatId) + '/presence/subscribe', 'POST').catch(() => {});
     if (chatAvatar) {
         chatAvatar.innerHTML = selectedChat ? renderAvatarContent(selectedChat) : renderAvatarContent({ chat_id: chatId });
     }
 
-    loadChatMessages(chatId);
+    updateChatMenuState();
+    loadChatMessages(chatId, { aroundMessageId: options.messageId || null });
     const { query, tagFilter, noteQuery } = getChatSearchInputs();
     performChatSearch(query, tagFilter, noteQuery);
 
@@ -2450,11 +2933,11 @@ function closeChat() {
     }, 300); // Match CSS transition duration
 }
 
-function openChatForMessage(chatId) {
+function openChatForMessage(chatId, messageId) {
     if (!chatId) return;
     const chat = findChatById(chatId);
     if (chat) {
-        selectChat(chatId, chat.name);
+        selectChat(chatId, chat.name, { messageId });
     }
 }
 
@@ -2476,6 +2959,77 @@ async function toggleChatArchive(ev, chatId, shouldArchive) {
     }
 }
 
+// Sohbet menusundeki sabitle/sessize al/engelle secenekleri mevcut duruma gore etiketlenir
+function updateChatMenuState() {
+    const chat = findChatById(currentChat) || {};
+    const setLabel = (id, icon, text) => {
+        const item = document.getElementById(id);
+        if (item) item.innerHTML = '<i class="bi ' + icon + '"></i> ' + text;
+    };
+    setLabel('chatMenuPin', chat.is_pinned === 1 ? 'bi-pin' : 'bi-pin-angle', chat.is_pinned === 1 ? 'Sabitlemeyi Kaldir' : 'Sabitle');
+    setLabel('chatMenuMute', isChatMuted(chat) ? 'bi-volume-up' : 'bi-volume-mute', isChatMuted(chat) ? 'Sesi Ac' : 'Sessize Al');
+    setLabel('chatMenuBlock', 'bi-slash-circle', chat.is_blocked === 1 ? 'Engeli Kaldir' : 'Engelle');
+    const blockItem = document.getElementById('chatMenuBlock');
+    if (blockItem) blockItem.style.display = String(currentChat || '').endsWith('@g.us') ? 'none' : '';
+}
+
+async function runChatMenuAction(action, body, successText) {
+    if (!currentChat) return;
+    try {
+        await api('api/chats/' + encodeURIComponent(currentChat) + '/' + action, 'POST', body);
+        showToast(successText, 'success');
+        reloadChatLists();
+    } catch (err) {
+        showToast('Islem basarisiz: ' + err.message, 'error');
+    }
+}
+
+function toggleChatPin() {
+    const chat = findChatById(currentChat);
+    if (chat?.is_pinned === 1) {
+        runChatMenuAction('unpin', null, 'Sabitleme kaldirildi');
+    } else {
+        runChatMenuAction('pin', null, 'Sohbet sabitlendi');
+    }
+}
+
+function toggleChatMute() {
+    const chat = findChatById(currentChat);
+    if (isChatMuted(chat)) {
+        runChatMenuAction('unmute', null, 'Sohbetin sesi acildi');
+        return;
+    }
+    document.getElementById('modalContainer').innerHTML = '<div class="modal-overlay show" onclick="if(event.target===this)closeModal()">' +
+        '<div class="modal" style="max-width: 360px;">' +
+        '<div class="modal-header"><h3>Sessize Al</h3><i class="bi bi-x-lg close-btn" onclick="closeModal()"></i></div>' +
+        '<div class="modal-body">' +
+            ['8h:8 saat', '1w:1 hafta', 'forever:Her zaman'].map((option) => {
+                const [duration, label] = option.split(':');
+                return '<button class="btn btn-secondary" type="button" style="width: 100%; margin-bottom: 8px;" onclick="muteCurrentChat(\'' + duration + '\')">' + label + '</button>';
+            }).join('') +
+        '</div>' +
+        '</div></div>';
+}
+
+function muteCurrentChat(duration) {
+    closeModal();
+    runChatMenuAction('mute', { duration }, 'Sohbet sessize alindi');
+}
+
+function markCurrentChatUnread() {
+    runChatMenuAction('mark-unread', null, 'Okunmadi olarak isaretlendi');
+}
+
+function toggleChatBlock() {
+    const chat = findChatById(currentChat);
+    if (chat?.is_blocked === 1) {
+        runChatMenuAction('unblock', null, 'Engel kaldirildi');
+        return;
+    }
+    if (!confirm('Bu kisi engellensin mi?')) return;
+    runChatMenuAction('block', null, 'Kisi engellendi');
+}
+
 // Chat Search
 function getChatSearchInputs() {
     const query = document.getElementById('searchInput')?.value?.trim() || '';
@@ -2486,6 +3040,7 @@ function getChatSearchInputs() {
 
 function filterChats() {
     const { query, tagFilter, noteQuery } = getChatSearchInputs();
+    setActiveSavedSearch(null);
     if (chatSearchDebounce) {
         clearTimeout(chatSearchDebounce);
     }
@@ -2500,6 +3055,7 @@ async function performChatSearch(query, tagFilter, noteQuery) {
     const containerId = isArchiveView ? 'archivedChatList' : 'chatList';
 
     if (!query && !tagFilter && !noteQuery) {
+        setChatSearchError(null);
         renderChatList(baseList, { containerId, archivedView: isArchiveView });
         return;
     }
@@ -2512,12 +3068,123 @@ async function performChatSearch(query, tagFilter, noteQuery) {
         if (isArchiveView) params.set('archived', '1');
         params.set('limit', CHAT_SEARCH_PAGE_SIZE);
         const results = await api('api/chats/search?' + params.toString());
+        setChatSearchError(null);
         renderChatList(results, { containerId, archivedView: isArchiveView });
     } catch (err) {
+        // Yazim sirasinda yarim kalan ifadeler (from: gibi) icin toast yerine alan isaretlenir
+        setChatSearchError(err.message);
         console.error('Chat search error:', err);
     }
 }
 
+function setChatSearchError(message) {
+    const input = document.getElementById('searchInput');
+    if (!input) return;
+    input.classList.toggle('search-invalid', Boolean(message));
+    input.title = message || 'Ornek: fatura from:ali tag:vip has:media after:7d -is:fromme';
+}
+
+// Saved Searches (akilli klasorler)
+async function loadSavedSearches() {
+    try {
+        const [list, counts] = await Promise.all([
+            api('api/saved-searches'),
+            api('api/saved-searches/counts')
+        ]);
+        savedSearches = Array.isArray(list) ? list : [];
+        handleSavedSearchCounts(counts);
+    } catch (err) {
+        console.error('Saved searches load error:', err);
+    }
+}
+
+function handleSavedSearchCounts(data) {
+    savedSearchCounts = new Map((data?.counts || []).map(count => [count.id, count]));
+    renderSavedSearchFolders();
+}
+
+function renderSavedSearchFolders() {
+    const container = document.getElementById('savedSearchFolders');
+    if (!container) return;
+    const pinned = savedSearches.filter(search => search.is_pinned === 1);
+    container.style.display = pinned.length ? '' : 'none';
+    container.innerHTML = pinned.map(search => {
+        const count = savedSearchCounts.get(search.id);
+        const unread = count?.unreadChats || 0;
+        const isActive = activeSavedSearchId === search.id;
+        const title = [search.query, search.is_shared === 1 ? 'Paylasilan' : '', search.owner_name && search.is_owner !== 1 ? search.owner_name : '']
+            .filter(Boolean)
+            .join(' - ');
+        return '<div class="saved-search-folder' + (isActive ? ' active' : '') + '" title="' + escapeHtmlAttribute(title) + '" onclick="openSavedSearch(' + search.id + ')">' +
+            '<i class="bi ' + (search.is_shared === 1 ? 'bi-people' : 'bi-folder2') + '"></i>' +
+            '<span class="saved-search-name">' + escapeHtml(search.name) + '</span>' +
+            (unread > 0 ? '<span class="saved-search-badge">' + unread + '</span>' : '') +
+            '<button class="saved-search-unpin" title="Klasoru kaldir" onclick="event.stopPropagation(); unpinSavedSearch(' + search.id + ')"><i class="bi bi-x"></i></button>' +
+            '</div>';
+    }).join('');
+}
+
+function setActiveSavedSearch(searchId) {
+    if (activeSavedSearchId === searchId) return;
+    activeSavedSearchId = searchId;
+    renderSavedSearchFolders();
+}
+
+async function openSavedSearch(searchId) {
+    if (activeSavedSearchId === searchId) {
+        // Ikinci tiklama klasoru kapatir
+        setActiveSavedSearch(null);
+        renderChatList(chats, { containerId: 'chatList' });
+        return;
+    }
+    try {
+        const results = await api('api/saved-searches/' + searchId + '/chats?limit=' + CHAT_SEARCH_PAGE_SIZE);
+        if (currentSidebarTab !== 'chats') switchSidebarTab('chats');
+        setActiveSavedSearch(searchId);
+        renderChatList(results, { containerId: 'chatList' });
+    } catch (err) {
+        showToast('Klasor acilamadi: ' + err.message, 'error');
+    }
+}
+
+async function saveCurrentSearch() {
+    const { query, tagFilter, noteQuery } = getChatSearchInputs();
+    if (!query && !tagFilter && !noteQuery) {
+        showToast('Kaydetmek icin once bir arama yazin', 'info');
+        return;
+    }
+    const name = (prompt('Klasor adi:', query || '') || '').trim();
+    if (!name) return;
+    const shared = confirm('Bu klasor ekiple paylasilsin mi?');
+    try {
+        await api('api/saved-searches', 'POST', {
+            name,
+            query,
+            tag: tagFilter || null,
+            note: noteQuery || null,
+            shared,
+            pinned: true
+        });
+        showToast('Klasor kaydedildi', 'success');
+        await loadSavedSearches();
+    } catch (err) {
+        showToast('Klasor kaydedilemedi: ' + err.message, 'error');
+    }
+}
+
+async function unpinSavedSearch(searchId) {
+    try {
+        await api('api/saved-searches/' + searchId + '/pin', 'DELETE');
+        if (activeSavedSearchId === searchId) {
+            setActiveSavedSearch(null);
+            renderChatList(chats, { containerId: 'chatList' });
+        }
+        await loadSavedSearches();
+    } catch (err) {
+        showToast('Klasor kaldirilamadi: ' + err.message, 'error');
+    }
+}
+
 // Send Message
 function selectMessageRow(messageId) {
     const container = document.getElementById('messagesContainer');
@@ -2602,13 +3269,18 @@ function renderReplyPreview() {
         '</button>';
 }
 
-function scrollToMessage(messageId) {
+function scrollToMessage(messageId, options = {}) {
     const id = typeof messageId === 'string' ? messageId.trim() : String(messageId || '').trim();
     if (!id) return;
     const container = document.getElementById('messagesContainer');
     if (!container) return;
     const row = container.querySelector('[data-message-id="' + CSS.escape(id) + '"]');
     if (!row) {
+        // Yuklu sayfalarda yoksa mesajin etrafindaki pencere yuklenir
+        if (options.loadIfMissing !== false && currentChat) {
+            loadChatMessages(currentChat, { aroundMessageId: id });
+            return;
+        }
         showToast('Mesaj bulunamadi', 'info');
         return;
     }
@@ -2686,6 +3358,27 @@ function resolvePendingMessage(tempId, serverMessageId, serverTimestamp) {
     pendingOutgoing.delete(tempId);
 }
 
+function handleSendResult(tempId, result) {
+    if (result && result.queued) {
+        const record = pendingOutgoing.get(tempId);
+        if (record) record.outboxId = result.outboxId;
+        showToast('Baglanti yok: mesaj kuyruga alindi, baglaninca gonderilecek', 'info');
+        return;
+    }
+    resolvePendingMessage(tempId, result?.messageId, Date.now());
+}
+
+function handleOutboxUpdate(item) {
+    if (!item || !item.id) return;
+    const record = Array.from(pendingOutgoing.values()).find(p => p.outboxId === item.id);
+    if (!record) return;
+    if (item.status === 'sent' && item.message_id) {
+        resolvePendingMessage(record.tempId, item.message_id, Date.now());
+    } else if (item.status === 'failed') {
+        showToast('Kuyruktaki mesaj gonderilemedi: ' + (item.last_error || 'bilinmeyen hata'), 'error');
+    }
+}
+
 function maybeResolvePendingFromSocketMessage(normalized) {
     const isMine = normalized?.is_from_me === 1 || normalized?.is_from_me === true;
     if (!isMine) return;
@@ -2732,6 +3425,8 @@ async function sendMessage() {
     input.value = '';
     autoResizeInput(input);
     closeEmojiPicker();
+    // Mesaj gonderilince WhatsApp yaziyor durumunu kendisi temizler
+    stopComposerTyping({ notify: false });
 
     const file = selectedAttachment;
     const sendAsSticker = Boolean(
@@ -2746,6 +3441,10 @@ async function sendMessage() {
                 : (file.type.startsWith('audio/') ? 'audio' : 'document')))
         : 'chat';
 
+    if (chatMessagesPagination.hasNewer) {
+        await loadChatMessages(currentChat);
+    }
+
     const tempId = createPendingMessage({
         body: message,
         type: file ? mediaType : 'chat',
@@ -2763,11 +3462,11 @@ async function sendMessage() {
                 quotedMessageId,
                 sendAsSticker
             });
-            resolvePendingMessage(tempId, result.messageId, Date.now());
+            handleSendResult(tempId, result);
             clearAttachment();
         } else {
             const result = await api('api/send', 'POST', { chatId: currentChat, message, quotedMessageId });
-            resolvePendingMessage(tempId, result.messageId, Date.now());
+            handleSendResult(tempId, result);
         }
         clearReplyTarget();
     } catch (err) {
@@ -2788,6 +3487,42 @@ function autoResizeInput(el) {
     el.style.height = Math.min(el.scrollHeight, 100) + 'px';
 }
 
+const COMPOSER_TYPING_INTERVAL_MS = 8000;
+const COMPOSER_TYPING_IDLE_MS = 4000;
+
+function sendComposerState(chatId, state) {
+    api('api/chats/' + encodeURIComponent(chatId) + '/state', 'POST', { state }).catch(() => {});
+}
+
+// Yazarken karsi tarafa "yaziyor..." gonderir; istekler throttle edilir, durunca 'paused' gider
+function handleComposerTyping(el) {
+    if (!currentChat || settings.ghostMode) return;
+    if (!el || !el.value.trim()) {
+        stopComposerTyping();
+        return;
+    }
+
+    const now = Date.now();
+    if (!composerTypingState || composerTypingState.chatId !== currentChat || now - composerTypingState.sentAt >= COMPOSER_TYPING_INTERVAL_MS) {
+        if (composerTypingState) clearTimeout(composerTypingState.idleTimer);
+        sendComposerState(currentChat, 'typing');
+        composerTypingState = { chatId: currentChat, sentAt: now, idleTimer: null };
+    }
+
+    clearTimeout(composerTypingState.idleTimer);
+    composerTypingState.idleTimer = setTimeout(() => stopComposerTyping(), COMPOSER_TYPING_IDLE_MS);
+}
+
+function stopComposerTyping(options = {}) {
+    const state = composerTypingState;
+    if (!state) return;
+    composerTypingState = null;
+    clearTimeout(state.idleTimer);
+    if (options.notify !== false && !settings.ghostMode) {
+        sendComposerState(state.chatId, 'paused');
+    }
+}
+
 async function addTagToChat() {
     if (!currentChat) return;
     const nameInput = document.getElementById('tagNameInput');
@@ -2804,8 +3539,9 @@ async function addTagToChat() {
             await loadTags();
             tag = availableTags.find(item => item.id === tagId) || { id: tagId, name, color: colorInput?.value || null };
         }
-        await api('api/chats/' + encodeURIComponent(currentChat) + '/tags', 'POST', { tag_id: tag.id });
+        const result = await api('api/chats/' + encodeURIComponent(currentChat) + '/tags', 'POST', { tag_id: tag.id });
         nameInput.value = '';
+        notifyLabelSyncResult(result);
         await refreshChatTags();
     } catch (err) {
         showToast('Etiket eklenemedi: ' + err.message, 'error');
@@ -2815,13 +3551,31 @@ async function addTagToChat() {
 async function removeTagFromChat(tagId) {
     if (!currentChat) return;
     try {
-        await api('api/chats/' + encodeURIComponent(currentChat) + '/tags/' + tagId, 'DELETE');
+        const result = await api('api/chats/' + encodeURIComponent(currentChat) + '/tags/' + tagId, 'DELETE');
+        notifyLabelSyncResult(result);
         await refreshChatTags();
     } catch (err) {
         showToast('Etiket kaldirilamadi: ' + err.message, 'error');
     }
 }
 
+function notifyLabelSyncResult(result) {
+    if (result?.labelSync && !result.labelSync.success) {
+        showToast('Etiket panelde kaydedildi, WhatsApp\'a yazilamadi: ' + (result.labelSync.reason || 'bilinmeyen hata'), 'warning');
+    }
+}
+
+async function syncWhatsAppLabels() {
+    try {
+        const result = await api('api/tags/sync-labels', 'POST');
+        showToast(result.labels + ' WhatsApp etiketi esitlendi', 'success');
+        await loadTags();
+        await refreshChatTags();
+    } catch (err) {
+        showToast('WhatsApp etiketleri alinamadi: ' + err.message, 'error');
+    }
+}
+
 async function refreshChatTags() {
     if (!currentChat) return;
     try {
@@ -2899,16 +3653,18 @@ function handleNewMessage(msg) {
         || (Array.isArray(chats) && chats.some(c => c && c.chat_id === incomingChatId && (c.is_archived === 1 || c.is_archived === true)))
     );
     const isArchived = isArchivedFromPayload || isArchivedFromLists;
+    const isMuted = isChatMuted(findChatById(incomingChatId));
 
-    if (!isMine && !isArchived) {
+    if (!isMine && !isArchived && !isMuted) {
         playNotificationSound();
     }
-    if (settings.notifications && !isMine && !isArchived) {
+    if (settings.notifications && !isMine && !isArchived && !isMuted) {
         const displayName = getDisplayNameFromMessage(msg);
         showToast('Yeni mesaj: ' + formatSenderName(displayName), 'info');
     }
 
-    if (currentChat && incomingChatId && currentChat === incomingChatId) {
+    // Eski bir pencere aciksa yeni mesaj asagi kaydirildiginda imlecle yuklenir
+    if (currentChat && incomingChatId && currentChat === incomingChatId && !chatMessagesPagination.hasNewer) {
         const normalized = {
             message_id: msg.messageId || msg.message_id,
             chat_id: incomingChatId,
@@ -2923,7 +3679,13 @@ function handleNewMessage(msg) {
             media_mimetype: msg.mediaMimeType || msg.media_mimetype,
             quoted_message_id: msg.quotedMessageId || msg.quoted_message_id,
             quoted_body: msg.quotedBody || msg.quoted_body,
-            quoted_from_name: msg.quotedFromName || msg.quoted_from_name
+            quoted_from_name: msg.quotedFromName || msg.quoted_from_name,
+            poll: msg.poll || null,
+            location_latitude: msg.location?.latitude ?? msg.location_latitude,
+            location_longitude: msg.location?.longitude ?? msg.location_longitude,
+            location_description: msg.location?.description ?? msg.location_description,
+            vcards: msg.vcards || null,
+            is_forwarded: msg.isForwarded ? 1 : 0
         };
 
         maybeResolvePendingFromSocketMessage(normalized);
@@ -2943,6 +3705,7 @@ function handleNewMessage(msg) {
     scheduleChatsReload();
     if (messagesPagination.items.length) {
         messagesPagination.items.unshift({
+            message_id: msg.messageId || msg.message_id,
             chat_id: incomingChatId || '',
             is_from_me: msg.isFromMe ?? msg.is_from_me ?? 0,
             timestamp: msg.timestamp || Date.now(),
@@ -3073,6 +3836,285 @@ function handleMessageAck(payload) {
     });
 }
 
+function handleMessageReaction(payload) {
+    const messageId = payload?.messageId;
+    const senderId = payload?.senderId;
+    if (!messageId || !senderId) return;
+
+    const applyReaction = (list) => {
+        const next = (Array.isArray(list) ? list : []).filter(item => item.sender_id !== senderId);
+        if (!payload.removed && payload.reaction) {
+            next.push({ message_id: messageId, sender_id: senderId, reaction: payload.reaction, timestamp: payload.timestamp, is_from_me: payload.isFromMe ? 1 : 0 });
+        }
+        return next;
+    };
+
+    let reactions = null;
+    chatMessagesPagination.items.forEach((item) => {
+        const itemId = item.message_id || item.messageId;
+        if (itemId === messageId) {
+            item.reactions = applyReaction(item.reactions);
+            reactions = item.reactions;
+        }
+    });
+
+    const rows = document.querySelectorAll('[data-message-id="' + CSS.escape(messageId) + '"]');
+    rows.forEach((row) => {
+        const bubble = row.querySelector('.message-bubble');
+        if (!bubble) return;
+        const current = bubble.querySelector('.message-reactions');
+        if (current) current.remove();
+        const html = renderMessageReactions(reactions || applyReaction([]));
+        if (html) bubble.insertAdjacentHTML('beforeend', html);
+    });
+}
+
+async function importVcardFromButton(btn) {
+    const row = btn?.closest?.('.message-row');
+    const messageId = row?.dataset?.messageId || '';
+    if (!messageId) return;
+    const index = parseInt(btn.dataset.index, 10);
+
+    btn.disabled = true;
+    try {
+        const result = await api('api/messages/' + encodeURIComponent(messageId) + '/vcards/import', 'POST', {
+            index: Number.isFinite(index) ? index : undefined
+        });
+        const imported = Array.isArray(result?.imported) ? result.imported : [];
+        if (imported.length) {
+            showToast('Kisi eklendi: ' + imported.map(item => item.name).join(', '), 'success');
+        } else {
+            showToast('Kartta telefon numarasi bulunamadi', 'info');
+        }
+    } catch (e) {
+        showToast('Kisi eklenemedi: ' + e.message, 'error');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+function handleIncomingCall(call) {
+    if (!call?.callerId) return;
+    const caller = findChatById(call.callerId);
+    const callerName = caller?.name || call.callerId.split('@')[0];
+    const kind = call.isVideo ? 'goruntulu' : 'sesli';
+    if (call.outcome === 'rejected') {
+        showToast('Gelen ' + kind + ' arama reddedildi: ' + callerName, 'info');
+    } else {
+        showToast('Gelen ' + kind + ' arama: ' + callerName, 'info');
+    }
+    playNotificationSound();
+}
+
+const PRESENCE_STATE_TTL_MS = 30000;
+
+function describePresence(presence) {
+    if (!presence) return '';
+    const isFresh = presence.updatedAt && Date.now() - presence.updatedAt < PRESENCE_STATE_TTL_MS;
+    if (isFresh && (presence.state === 'typing' || presence.state === 'recording')) {
+        const label = presence.state === 'typing' ? 'yaziyor...' : 'ses kaydediyor...';
+        const participant = presence.participantId && presence.participantId !== presence.chatId
+            ? findChatById(presence.participantId)
+            : null;
+        const participantName = participant?.name
+            || (presence.chatId.endsWith('@g.us') && presence.participantId ? presence.participantId.split('@')[0] : '');
+        return participantName ? participantName + ' ' + label : label;
+    }
+    if (presence.isOnline) return 'cevrimici';
+    if (presence.lastSeen) return 'son gorulme ' + formatTime(presence.lastSeen);
+    return '';
+}
+
+function renderChatPresence() {
+    if (!currentChat) return;
+    const chatStatus = document.getElementById('chatStatus');
+    if (!chatStatus) return;
+    chatStatus.textContent = describePresence(chatPresence.get(currentChat)) || 'son gorulme yakin zamanda';
+}
+
+function handlePresenceUpdate(payload) {
+    const chatId = payload?.chatId;
+    if (!chatId) return;
+    chatPresence.set(chatId, payload);
+    if (chatId !== currentChat) return;
+
+    renderChatPresence();
+    if (payload.state === 'typing' || payload.state === 'recording') {
+        // paused olayi kacarsa gosterge takili kalmasin
+        setTimeout(renderChatPresence, PRESENCE_STATE_TTL_MS + 100);
+    }
+}
+
+function handlePollVote(payload) {
+    const messageId = payload?.messageId;
+    const results = payload?.results;
+    if (!messageId || !results) return;
+
+    chatMessagesPagination.items.forEach((item) => {
+        const itemId = item.message_id || item.messageId;
+        if (itemId === messageId) {
+            item.poll = results;
+        }
+    });
+
+    const rows = document.querySelectorAll('[data-message-id="' + CSS.escape(messageId) + '"]');
+    rows.forEach((row) => {
+        const card = row.querySelector('.poll-card');
+        if (card) card.outerHTML = renderPollCard(results);
+    });
+
+    if (mediaHubState && Array.isArray(mediaHubState.items)) {
+        const hubItem = mediaHubState.items.find(item => item && item.message_id === messageId);
+        if (hubItem) {
+            hubItem.poll = results;
+            mediaHubRender();
+        }
+    }
+}
+
+function handleMessageEdited(payload) {
+    const messageId = payload?.messageId;
+    if (!messageId) return;
+    const body = typeof payload.body === 'string' ? payload.body : '';
+    const editedAt = payload.editedAt || Date.now();
+
+    chatMessagesPagination.items.forEach((item) => {
+        const itemId = item.message_id || item.messageId;
+        if (itemId === messageId) {
+            item.body = body;
+            item.is_edited = 1;
+            item.edited_at = editedAt;
+        }
+    });
+
+    const rows = document.querySelectorAll('[data-message-id="' + CSS.escape(messageId) + '"]');
+    rows.forEach((row) => {
+        const textEl = row.querySelector('.message-text');
+        if (textEl && !textEl.classList.contains('muted')) {
+            textEl.innerHTML = linkifyTextToHtml(body);
+        }
+        const footer = row.querySelector('.message-footer');
+        if (footer && !footer.querySelector('.message-edited')) {
+            const timeEl = footer.querySelector('.message-time');
+            if (timeEl) {
+                timeEl.insertAdjacentHTML('beforebegin', renderMessageEditedLabel());
+            }
+        }
+    });
+}
+
+async function showMessageEditsFromButton(btn) {
+    const row = btn?.closest?.('.message-row');
+    const messageId = row?.dataset?.messageId || '';
+    if (!messageId) return;
+
+    try {
+        const result = await api('api/messages/' + encodeURIComponent(messageId) + '/edits');
+        const edits = Array.isArray(result?.edits) ? result.edits : [];
+        const versions = edits.map((edit) => ({ body: edit.previous_body, until: edit.edited_at }));
+        const listHtml = versions.length
+            ? versions.map((version, index) =>
+                '<div class="message-edit-version">' +
+                    '<div class="message-edit-meta">Surum ' + (index + 1) + ' &middot; ' + escapeHtml(formatDateTime(version.until)) + ' tarihine kadar</div>' +
+                    '<div class="message-edit-body">' + escapeHtml(version.body || '[Bos]') + '</div>' +
+                '</div>'
+            ).join('')
+            : '<div class="empty-state">Onceki surum kaydi yok</div>';
+        const currentHtml = '<div class="message-edit-version current">' +
+            '<div class="message-edit-meta">Guncel</div>' +
+            '<div class="message-edit-body">' + escapeHtml(result?.body || '') + '</div>' +
+        '</div>';
+
+        document.getElementById('modalContainer').innerHTML = '<div class="modal-overlay show" onclick="if(event.target===this)closeModal()">' +
+            '<div class="modal" style="max-width: 560px;">' +
+            '<div class="modal-header"><h3>Mesaj Gecmisi</h3><i class="bi bi-x-lg close-btn" onclick="closeModal()"></i></div>' +
+            '<div class="modal-body">' + listHtml + currentHtml + '</div>' +
+            '</div></div>';
+    } catch (err) {
+        showToast('Mesaj gecmisi yuklenemedi: ' + err.message, 'error');
+    }
+}
+
+function openForwardDialogFromButton(btn) {
+    const row = btn?.closest?.('.message-row');
+    const messageId = row?.dataset?.messageId || '';
+    if (!messageId) return;
+
+    const targets = (Array.isArray(chats) ? chats : []).filter(chat => chat && chat.chat_id);
+    const listHtml = targets.length
+        ? targets.map((chat) => {
+            const label = chat.name || chat.chat_id;
+            return '<label class="forward-target" data-search="' + escapeHtmlAttribute(String(label + ' ' + chat.chat_id).toLowerCase()) + '">' +
+                '<input type="checkbox" value="' + escapeHtmlAttribute(chat.chat_id) + '">' +
+                '<span>' + escapeHtml(label) + '</span>' +
+            '</label>';
+        }).join('')
+        : '<div class="empty-state">Sohbet bulunamadi</div>';
+
+    document.getElementById('modalContainer').innerHTML = '<div class="modal-overlay show" onclick="if(event.target===this)closeModal()">' +
+        '<div class="modal" style="max-width: 480px;">' +
+        '<div class="modal-header"><h3>Mesaji Ilet</h3><i class="bi bi-x-lg close-btn" onclick="closeModal()"></i></div>' +
+        '<div class="modal-body">' +
+            '<input type="text" class="form-input" placeholder="Sohbet ara..." oninput="filterForwardTargets(this.value)" style="margin-bottom: 10px;">' +
+            '<div class="forward-target-list" id="forwardTargetList">' + listHtml + '</div>' +
+            '<div style="margin-top: 12px; text-align: right;">' +
+                '<button class="btn btn-primary" type="button" data-message-id="' + escapeHtmlAttribute(messageId) + '" onclick="submitForwardFromButton(this)"><i class="bi bi-forward-fill"></i> Ilet</button>' +
+            '</div>' +
+        '</div>' +
+        '</div></div>';
+}
+
+function filterForwardTargets(query) {
+    const needle = String(query || '').trim().toLowerCase();
+    document.querySelectorAll('#forwardTargetList .forward-target').forEach((item) => {
+        item.style.display = !needle || (item.dataset.search || '').includes(needle) ? '' : 'none';
+    });
+}
+
+async function submitForwardFromButton(btn) {
+    const messageId = btn?.dataset?.messageId || '';
+    const chatIds = Array.from(document.querySelectorAll('#forwardTargetList input[type="checkbox"]:checked')).map(input => input.value);
+    if (!messageId) return;
+    if (!chatIds.length) {
+        showToast('En az bir sohbet secin', 'error');
+        return;
+    }
+
+    btn.disabled = true;
+    try {
+        const result = await api('api/messages/' + encodeURIComponent(messageId) + '/forward', 'POST', { chatIds });
+        const failed = (Array.isArray(result?.results) ? result.results : []).filter(item => !item.success);
+        closeModal();
+        if (failed.length) {
+            showToast('Iletildi: ' + (result.forwarded || 0) + ', basarisiz: ' + failed.length, 'error');
+        } else {
+            showToast('Mesaj ' + (result?.forwarded || chatIds.length) + ' sohbete iletildi', 'success');
+        }
+    } catch (err) {
+        btn.disabled = false;
+        showToast('Mesaj iletilemedi: ' + err.message, 'error');
+    }
+}
+
+async function reactToMessageFromButton(btn) {
+    const row = btn?.closest?.('.message-row');
+    const messageId = row?.dataset?.messageId || '';
+    if (!messageId) return;
+
+    const reaction = prompt('Tepki emojisi (kaldirmak icin bos birakin)', '👍');
+    if (reaction === null) return;
+
+    try {
+        if (btn) btn.disabled = true;
+        const result = await api('api/messages/' + encodeURIComponent(messageId) + '/react', 'POST', { reaction: reaction.trim() });
+        handleMessageReaction(result);
+    } catch (err) {
+        showToast('Tepki gonderilemedi: ' + err.message, 'error');
+    } finally {
+        if (btn) btn.disabled = false;
+    }
+}
+
 function markMessageDeletedForEveryone(messageId, deletedAt) {
     const id = typeof messageId === 'string' ? messageId : String(messageId || '');
     if (!id) return;
@@ -3233,8 +4275,51 @@ async function refreshChat() {
 }
 
 function exportChat() {
-    showToast('Sohbet disa aktarma henuz desteklenmiyor', 'info');
     document.querySelectorAll('.dropdown-menu.show').forEach(m => m.classList.remove('show'));
+    if (!currentChat) return;
+    showModal('chat-export');
+}
+
+function getChatExportContent() {
+    return '<form id="chatExportForm" onsubmit="submitChatExport(event)">' +
+        '<div class="form-group"><label class="form-label">Bicim</label>' +
+            '<select class="form-input" id="chatExportFormat">' +
+                '<option value="txt">WhatsApp metni (.txt)</option>' +
+                '<option value="json">JSON</option>' +
+                '<option value="html">HTML (yazdirilabilir / PDF)</option>' +
+            '</select></div>' +
+        '<div style="display: flex; gap: 8px;">' +
+            '<div class="form-group" style="flex: 1;"><label class="form-label">Baslangic</label><input type="date" class="form-input" id="chatExportStart"></div>' +
+            '<div class="form-group" style="flex: 1;"><label class="form-label">Bitis</label><input type="date" class="form-input" id="chatExportEnd"></div>' +
+        '</div>' +
+        '<div class="form-group"><label><input type="checkbox" id="chatExportZip"> Medya dosyalariyla birlikte ZIP olarak indir</label></div>' +
+        '<button type="submit" class="btn btn-primary">Indir</button>' +
+        '<div style="margin-top: 8px; color: var(--text-secondary); font-size: 12px;">Tarih secilmezse sohbetin tamami aktarilir.</div>' +
+        '</form>';
+}
+
+function submitChatExport(event) {
+    event.preventDefault();
+    if (!currentChat) return;
+    const params = new URLSearchParams({ format: document.getElementById('chatExportFormat').value });
+    const startValue = document.getElementById('chatExportStart').value;
+    const endValue = document.getElementById('chatExportEnd').value;
+    // Tarihler tarayicinin saat diliminde gun basi / gun sonu olarak gonderilir
+    const start = startValue ? new Date(startValue + 'T00:00:00').getTime() : null;
+    const end = endValue ? new Date(endValue + 'T23:59:59.999').getTime() : null;
+    if (start !== null && end !== null && start > end) {
+        showToast('Baslangic tarihi bitisten sonra olamaz', 'error');
+        return;
+    }
+    if (start !== null) params.set('start', String(start));
+    if (end !== null) params.set('end', String(end));
+    if (document.getElementById('chatExportZip').checked) params.set('zip', '1');
+    if (activeAccountId) params.set('accountId', activeAccountId);
+
+    // Indirme oturum cerezi ile yapilir; sunucu dokumu akis halinde gonderir
+    window.location.href = 'api/chats/' + encodeURIComponent(currentChat) + '/export?' + params.toString();
+    closeModal();
+    showToast('Sohbet dokumu hazirlaniyor...');
 }
 
 function clearChat() {
@@ -3510,6 +4595,23 @@ window.setReplyTargetFromButton = setReplyTargetFromButton;
 window.scrollToMessage = scrollToMessage;
 window.toggleStickerMode = toggleStickerMode;
 window.revokeMessageForEveryoneFromButton = revokeMessageForEveryoneFromButton;
+window.reactToMessageFromButton = reactToMessageFromButton;
+window.importVcardFromButton = importVcardFromButton;
+window.openForwardDialogFromButton = openForwardDialogFromButton;
+window.filterForwardTargets = filterForwardTargets;
+window.submitForwardFromButton = submitForwardFromButton;
+window.showMessageEditsFromButton = showMessageEditsFromButton;
+window.handleComposerTyping = handleComposerTyping;
+window.openStatusViewer = openStatusViewer;
+window.openStatusComposer = openStatusComposer;
+window.submitStatusPost = submitStatusPost;
+window.refreshStatuses = refreshStatuses;
+window.syncWhatsAppLabels = syncWhatsAppLabels;
+window.toggleChatPin = toggleChatPin;
+window.toggleChatMute = toggleChatMute;
+window.muteCurrentChat = muteCurrentChat;
+window.markCurrentChatUnread = markCurrentChatUnread;
+window.toggleChatBlock = toggleChatBlock;
 
 // Media Lightbox
 function openMediaLightbox(src) {
@@ -3726,6 +4828,11 @@ function showModal(feature) {
             content = getDriveContent();
             checkDriveStatus();
             break;
+        case 'chat-export':
+            maxWidth = '480px';
+            title = 'Sohbeti Disa Aktar';
+            content = getChatExportContent();
+            break;
         default:
             return;
     }
@@ -4033,6 +5140,14 @@ function getScheduledPreviewText(scheduleItem, templateMap) {
     return (scheduleItem.message || '').substring(0, 50);
 }
 
+// Outbox'a birakilan zamanli mesaj, outbox sonucu gelene kadar kuyrukta gorunur
+function getScheduledStatus(scheduleItem) {
+    if (scheduleItem.is_sent) return { label: 'Gonderildi', background: 'var(--accent)', color: 'white' };
+    if (scheduleItem.outbox_id) return { label: 'Kuyrukta', background: '#ffc107', color: '#111' };
+    if (scheduleItem.last_error && !scheduleItem.next_attempt_at) return { label: 'Basarisiz', background: '#f15c6d', color: 'white' };
+    return { label: 'Bekliyor', background: '#ffc107', color: '#111' };
+}
+
 function openTemplatePicker() {
     if (!currentChat) {
         showToast('Once bir sohbet secin', 'info');
@@ -4105,16 +5220,17 @@ async function loadScheduledData() {
 
         const templateMap = new Map(templateList.map(template => [String(template.id), template]));
 
-        container.innerHTML = scheduled.map(s =>
-            '<div class="settings-item" style="border: 1px solid var(--border-color); border-radius: 8px; margin-bottom: 8px; padding: 12px;">' +
-            '<div class="info" style="flex: 1;">' +
-                '<div class="title">' + escapeHtml(s.chat_name || s.chat_id) + '</div>' +
-                '<div class="subtitle">' + escapeHtml(getScheduledPreviewText(s, templateMap)) + ' - ' + formatDateTime(s.scheduled_at) + '</div>' +
-            '</div>' +
-            '<span style="padding: 4px 8px; border-radius: 4px; font-size: 12px; background: ' + (s.is_sent ? 'var(--accent)' : '#ffc107') + '; color: ' + (s.is_sent ? 'white' : '#111') + ';">' + (s.is_sent ? 'Gonderildi' : 'Bekliyor') + '</span>' +
-            '<button class="icon-btn" onclick="deleteScheduled(' + s.id + ')" title="Sil"><i class="bi bi-trash" style="color: #f15c6d;"></i></button>' +
-            '</div>'
-        ).join('');
+        container.innerHTML = scheduled.map(s => {
+            const status = getScheduledStatus(s);
+            return '<div class="settings-item" style="border: 1px solid var(--border-color); border-radius: 8px; margin-bottom: 8px; padding: 12px;">' +
+                '<div class="info" style="flex: 1;">' +
+                    '<div class="title">' + escapeHtml(s.chat_name || s.chat_id) + '</div>' +
+                    '<div class="subtitle">' + escapeHtml(getScheduledPreviewText(s, templateMap)) + ' - ' + formatDateTime(s.scheduled_at) + '</div>' +
+                '</div>' +
+                '<span style="padding: 4px 8px; border-radius: 4px; font-size: 12px; background: ' + status.background + '; color: ' + status.color + ';"' + (s.last_error ? ' title="' + escapeHtml(s.last_error) + '"' : '') + '>' + status.label + '</span>' +
+                '<button class="icon-btn" onclick="deleteScheduled(' + s.id + ')" title="Sil"><i class="bi bi-trash" style="color: #f15c6d;"></i></button>' +
+                '</div>';
+        }).join('');
     } catch (err) {
         console.error('Scheduled load error:', err);
     }
@@ -4425,6 +5541,7 @@ function getMediaHubContent() {
                         '<option value="document">Belge</option>' +
                         '<option value="audio">Ses</option>' +
                         '<option value="sticker">Sticker</option>' +
+                        '<option value="poll">Anket</option>' +
                         '<option value="other">Diger</option>' +
                     '</select>' +
                     '<select class="select-input media-hub-select" id="mediaHubDownloaded" onchange="mediaHubReload(true)">' +
@@ -4630,6 +5747,7 @@ function mediaHubKindLabel(kind) {
     if (k === 'document') return 'Belge';
     if (k === 'audio') return 'Ses';
     if (k === 'sticker') return 'Sticker';
+    if (k === 'poll') return 'Anket';
     return 'Diger';
 }
 
@@ -4640,6 +5758,7 @@ function mediaHubKindIcon(kind) {
     if (k === 'document') return 'bi-file-earmark';
     if (k === 'audio') return 'bi-volume-up';
     if (k === 'sticker') return 'bi-sticky';
+    if (k === 'poll') return 'bi-bar-chart';
     return 'bi-file-earmark';
 }
 
@@ -4652,7 +5771,8 @@ function mediaHubRender() {
     const items = Array.isArray(mediaHubState.items) ? mediaHubState.items : [];
 
     const downloadedCount = items.filter(i => i && (i.is_downloaded === 1 || i.is_downloaded === true)).length;
-    const missingCount = items.length - downloadedCount;
+    const pollCount = items.filter(i => i && i.kind === 'poll').length;
+    const missingCount = items.length - downloadedCount - pollCount;
 
     const summaryEl = document.getElementById('mediaHubSummary');
     if (summaryEl) {
@@ -4688,7 +5808,7 @@ function mediaHubRender() {
         pushToGroup('all', 'Tum Medyalar', null);
         groups.get('all').items = items;
     } else {
-        const order = ['image', 'video', 'document', 'audio', 'sticker', 'other'];
+        const order = ['image', 'video', 'document', 'audio', 'sticker', 'poll', 'other'];
         const labelMap = new Map(order.map(k => [k, mediaHubKindLabel(k)]));
         items.forEach((item) => {
             const kind = String(item.kind || 'other');
@@ -4735,31 +5855,37 @@ function mediaHubRenderCard(item) {
     const icon = mediaHubKindIcon(kind);
     const isDownloaded = item?.is_downloaded === 1 || item?.is_downloaded === true;
     const isArchived = item?.chat_is_archived === 1 || item?.chat_is_archived === true;
+    const isPoll = kind === 'poll';
 
     const safeMediaUrl = sanitizeUrl(item?.media_url || '');
     const canPreviewImage = isDownloaded && safeMediaUrl && (kind === 'image' || kind === 'sticker') && !safeMediaUrl.toLowerCase().endsWith('.svg');
     const canPreviewVideo = isDownloaded && safeMediaUrl && kind === 'video';
 
-    const caption = String(item?.body || '').trim();
+    const caption = isPoll ? '' : String(item?.body || '').trim();
     const captionText = caption ? caption.slice(0, 120) : '';
 
     const ts = normalizeTimestamp(item?.timestamp);
     const timeText = ts ? formatDateTime(ts) : '';
 
-    const statusBadge = isDownloaded
-        ? '<span class="media-badge ok">Indirildi</span>'
-        : '<span class="media-badge warn">Eksik</span>';
+    const statusBadge = isPoll
+        ? ''
+        : (isDownloaded
+            ? '<span class="media-badge ok">Indirildi</span>'
+            : '<span class="media-badge warn">Eksik</span>');
 
     const archiveBadge = isArchived ? '<span class="media-badge subtle">Arsiv</span>' : '';
 
     const enqueueDisabled = Boolean(messageId && mediaHubState?.enqueuedIds?.has(messageId));
-    const downloadBtn = isDownloaded
+    const downloadBtn = isPoll ? '' : isDownloaded
         ? ('<a class="btn btn-primary btn-sm" href="' + escapeHtmlAttribute(safeMediaUrl) + '" target="_blank" rel="noopener noreferrer">Ac</a>')
         : ('<button class="btn btn-primary btn-sm" type="button" data-message-id="' + escapeHtmlAttribute(messageId) + '" onclick="mediaHubEnqueueFromButton(this)"' + (enqueueDisabled ? ' disabled' : '') + '>' +
             (enqueueDisabled ? 'Kuyrukta' : 'Indir') +
           '</button>');
 
     const thumb = (() => {
+        if (isPoll) {
+            return renderPollCard(item?.poll, item?.body);
+        }
         if (canPreviewImage) {
             return '<img loading="lazy" src="' + escapeHtmlAttribute(safeMediaUrl) + '" alt="" data-src="' + escapeHtmlAttribute(safeMediaUrl) + '" onclick="openMediaLightbox(this.dataset.src); event.stopPropagation();">';
         }
@@ -4771,7 +5897,7 @@ function mediaHubRenderCard(item) {
 
     return '' +
         '<div class="media-card" data-message-id="' + escapeHtmlAttribute(messageId) + '">' +
-            '<div class="media-thumb">' + thumb + '</div>' +
+            '<div class="media-thumb' + (isPoll ? ' media-thumb-poll' : '') + '">' + thumb + '</div>' +
             '<div class="media-card-body">' +
                 '<div class="media-card-title">' + escapeHtml(chatName) + '</div>' +
                 '<div class="media-card-sub">' + escapeHtml(typeLabel) + (timeText ? (' • ' + escapeHtml(timeText)) : '') + '</div>' +
@@ -5397,6 +6523,7 @@ function showScriptEditor(id) {
                 '<input type="text" class="form-input" id="scriptNameEditor" placeholder="Script Adi" style="flex: 1;">' +
                 '<select class="form-input" id="scriptTriggerEditor" style="width: 180px;">' +
                     '<option value="message">Mesaj</option>' +
+                    '<option value="reaction">Tepki</option>' +
                     '<option value="ready">Hazir</option>' +
                     '<option value="manual">Manuel</option>' +
                 '</select>' +
@@ -5705,7 +6832,7 @@ async function saveScriptCode() {
     const triggerType = document.getElementById('scriptTriggerEditor').value;
 
     const selectedChatIds = scriptEditorGetSelectedChatIds();
-    if (triggerType === 'message' && selectedChatIds.length === 0) {
+    if (['message', 'reaction'].includes(triggerType) && selectedChatIds.length === 0) {
         showToast('Mesaj scripti icin en az 1 hedef sohbet secin', 'error');
         return;
     }
@@ -6330,6 +7457,9 @@ Object.assign(window, {
     clearNotificationSound,
     testNotificationSound,
     createAccount,
+    exportAccountSession,
+    requestPairingCode,
+    importAccountSession,
     openSettings,
     openFeatures,
     closeFeatures,
@@ -6338,8 +7468,12 @@ Object.assign(window, {
     showTab,
     openReports,
     toggleSetting,
+    updateCallRejectReply,
     openChatForMessage,
     filterChats,
+    openSavedSearch,
+    saveCurrentSearch,
+    unpinSavedSearch,
     handleInputKeydown,
     addTagToChat,
     removeTagFromChat,
@@ -6361,6 +7495,7 @@ Object.assign(window, {
     mediaHubEnqueueFromButton,
     recoverMedia,
     exportChat,
+    submitChatExport,
     clearChat,
     toggleEmojiPicker,
     toggleAttachMenu,
@@ -69,10 +69,11 @@ async function loadReports() {
 
     const query = `start=${range.start}&end=${range.end}&interval=${range.interval}`;
 
-    const [overview, trends, response] = await Promise.all([
+    const [overview, trends, response, calls] = await Promise.all([
         fetchJson(`/api/reports/overview?${query}`),
         fetchJson(`/api/reports/trends?${query}`),
-        fetchJson(`/api/reports/response-time?${query}`)
+        fetchJson(`/api/reports/response-time?${query}`),
+        fetchJson(`/api/reports/calls?${query}`)
     ]);
 
     if (overview) {
@@ -87,6 +88,10 @@ async function loadReports() {
         renderResponseTrend(response.trend || [], response.interval, response.range);
         renderResponseTable(response.byChat || []);
     }
+    if (calls) {
+        renderCallsSummary(calls.summary || {});
+        renderCallersTable(calls.topCallers || []);
+    }
 }
 
 async function fetchJson(url) {
@@ -262,6 +267,40 @@ function renderResponseTable(rows) {
     container.innerHTML = header + body;
 }
 
+function renderCallsSummary(summary) {
+    const total = summary.total || 0;
+    document.getElementById('callsSummary').textContent =
+        `${formatNumber(total)} arama • Sesli: ${formatNumber(summary.voice || 0)} • Goruntulu: ${formatNumber(summary.video || 0)} • Reddedilen: ${formatNumber(summary.rejected || 0)}`;
+}
+
+function renderCallersTable(rows) {
+    const container = document.getElementById('callersTable');
+    if (!rows.length) {
+        container.innerHTML = '<p class="empty-state">Arama kaydi bulunamadi.</p>';
+        return;
+    }
+
+    const header = `
+        <div class="table-row header">
+            <span>Arayan</span>
+            <span>Arama</span>
+            <span>Reddedilen</span>
+            <span>Son Arama</span>
+        </div>
+    `;
+
+    const body = rows.map(row => `
+        <div class="table-row">
+            <span>${escapeHtml(row.name)}</span>
+            <span>${formatNumber(row.call_count || 0)}</span>
+            <span>${formatNumber(row.rejected || 0)}</span>
+            <span>${row.last_call_at ? new Date(row.last_call_at).toLocaleString('tr-TR') : '—'}</span>
+        </div>
+    `).join('');
+
+    container.innerHTML = header + body;
+}
+
 function formatNumber(value) {
     return new Intl.NumberFormat('tr-TR').format(value);
 }
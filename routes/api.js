@@ -9,6 +9,7 @@ const { requireAuth } = require('./middleware/auth');
 const accountsRouter = require('./api/accounts');
 const whatsappRouter = require('./api/whatsapp');
 const scheduledRouter = require('./api/scheduled');
+const campaignsRouter = require('./api/campaigns');
 const webhooksRouter = require('./api/webhooks');
 const scriptsRouter = require('./api/scripts');
 const templatesRouter = require('./api/templates');
@@ -19,20 +20,28 @@ const reportsRouter = require('./api/reports');
 const rolesRouter = require('./api/roles');
 const usersRouter = require('./api/users');
 const chatsRouter = require('./api/chats');
+const groupsRouter = require('./api/groups');
 const messagesRouter = require('./api/messages');
 const tagsRouter = require('./api/tags');
 const contactsRouter = require('./api/contacts');
 const sendRouter = require('./api/send');
+const outboxRouter = require('./api/outbox');
 const autoRepliesRouter = require('./api/autoReplies');
 const mediaRouter = require('./api/media');
 const driveRouter = require('./api/drive');
+const callsRouter = require('./api/calls');
+const statusUpdatesRouter = require('./api/statusUpdates');
+const simulateRouter = require('./api/simulate');
+const savedSearchesRouter = require('./api/savedSearches');
 
 router.use(requireAuth);
 router.use(accountManager.attachAccount.bind(accountManager));
 
 router.use('/accounts', accountsRouter);
 router.use('/', whatsappRouter);
+router.use('/status/updates', statusUpdatesRouter);
 router.use('/scheduled', scheduledRouter);
+router.use('/campaigns', campaignsRouter);
 router.use('/webhooks', webhooksRouter);
 router.use('/scripts', scriptsRouter);
 router.use('/ai', aiRouter);
@@ -44,12 +53,17 @@ router.use('/roles', rolesRouter);
 router.use('/users', usersRouter);
 
 router.use('/chats', chatsRouter);
+router.use('/groups', groupsRouter);
 router.use('/messages', messagesRouter);
 router.use('/tags', tagsRouter);
 router.use('/contacts', contactsRouter);
 router.use('/send', sendRouter);
+router.use('/outbox', outboxRouter);
 router.use('/auto-replies', autoRepliesRouter);
 router.use('/media', mediaRouter);
 router.use('/drive', driveRouter);
+router.use('/calls', callsRouter);
+router.use('/simulate', simulateRouter);
+router.use('/saved-searches', savedSearchesRouter);
 
 module.exports = router;
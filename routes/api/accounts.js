@@ -1,11 +1,31 @@
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const router = express.Router();
 const { z } = require('zod');
 
+const config = require('../../config');
 const accountManager = require('../../services/accountManager');
 const { requireRole } = require('../middleware/auth');
 const { sendError } = require('../../lib/httpResponses');
 const { validate } = require('../middleware/validate');
+const { createArchiveUpload } = require('../middleware/upload');
+const { TRANSPORT_NAMES } = require('../../services/transports');
+
+const ARCHIVE_TMP_DIR = path.join(config.DATA_DIR, 'tmp');
+const archiveUpload = createArchiveUpload({
+    destination: ARCHIVE_TMP_DIR,
+    fileSizeBytes: config.SESSION_ARCHIVE_MAX_BYTES
+});
+
+const optionalTrimmedString = (max, message) => z.preprocess(
+    (value) => {
+        if (typeof value !== 'string') return value;
+        const trimmed = value.trim();
+        return trimmed ? trimmed : undefined;
+    },
+    z.string({ invalid_type_error: message }).max(max, message).optional()
+);
 
 const accountCreateSchema = z.object({
     name: z.preprocess(
@@ -14,7 +34,10 @@ const accountCreateSchema = z.object({
             required_error: 'Account name required',
             invalid_type_error: 'Account name required'
         }).min(1, 'Account name required')
-    )
+    ),
+    transport: z.enum(TRANSPORT_NAMES, {
+        errorMap: () => ({ message: 'Invalid transport' })
+    }).optional()
 }).strict();
 
 const accountSelectSchema = z.object({
@@ -27,11 +50,51 @@ const accountSelectSchema = z.object({
     )
 }).strict();
 
+const accountIdParamSchema = z.object({
+    id: z.string().regex(/^[a-z0-9-]{1,40}$/, 'Invalid account id')
+}).strict();
+
+const sessionImportBodySchema = z.object({
+    accountId: optionalTrimmedString(40, 'Invalid account id').refine(
+        (value) => value === undefined || /^[a-z0-9-]{1,40}$/.test(value),
+        { message: 'Invalid account id' }
+    ),
+    name: optionalTrimmedString(60, 'Account name too long')
+}).strict();
+
+function sessionErrorStatus(error) {
+    if (error?.code === 'INVALID_SESSION_ARCHIVE') return 400;
+    const message = error?.message || '';
+    if (message === 'Account not found') return 404;
+    if (message === 'Session operation already in progress') return 409;
+    return 500;
+}
+
+function removeFile(filePath) {
+    if (!filePath) return;
+    fs.promises.unlink(filePath).catch(() => {});
+}
+
+function receiveArchive(req, res, next) {
+    // Yuklenen arsiv yanit gonderildikten sonra her durumda silinir (dogrulama hatasi dahil)
+    res.on('finish', () => removeFile(req.file?.path));
+    archiveUpload.single('archive')(req, res, (error) => {
+        if (error && error.code === 'LIMIT_FILE_SIZE') {
+            return sendError(req, res, 413, 'Payload too large');
+        }
+        if (error && error.code === 'LIMIT_UNEXPECTED_FILE') {
+            return sendError(req, res, 400, 'Unexpected file field');
+        }
+        return next(error);
+    });
+}
+
 router.get('/', requireRole(['admin']), (req, res) => {
     const accounts = accountManager.listAccounts().map(account => {
         const context = accountManager.getAccountContext(account.id);
         return {
             ...account,
+            transport: context.whatsapp.transport.name,
             status: context.whatsapp.getStatus().status
         };
     });
@@ -43,7 +106,8 @@ router.get('/', requireRole(['admin']), (req, res) => {
 });
 
 router.post('/', requireRole(['admin']), validate({ body: accountCreateSchema }), (req, res) => {
-    const account = accountManager.createAccount(req.validatedBody.name);
+    const { name, transport } = req.validatedBody;
+    const account = accountManager.createAccount(name, { transport });
     return res.json({ success: true, account });
 });
 
@@ -58,4 +122,46 @@ router.post('/select', requireRole(['admin']), validate({ body: accountSelectSch
     return res.json({ success: true, accountId });
 });
 
+router.get('/:id/session/export', requireRole(['admin']), validate({ params: accountIdParamSchema }), async (req, res) => {
+    const accountId = req.validatedParams.id;
+    fs.mkdirSync(ARCHIVE_TMP_DIR, { recursive: true });
+    const archivePath = path.join(ARCHIVE_TMP_DIR, `export-${accountId}-${Date.now()}.tar.gz`);
+
+    try {
+        await accountManager.exportSessionArchive(accountId, archivePath);
+    } catch (error) {
+        removeFile(archivePath);
+        const status = sessionErrorStatus(error);
+        return sendError(req, res, status, status >= 500 ? 'Session export failed' : error.message);
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    return res.download(archivePath, `whatsapp-session-${accountId}-${date}.tar.gz`, () => {
+        removeFile(archivePath);
+    });
+});
+
+router.post('/session/import', requireRole(['admin']), receiveArchive, validate({ body: sessionImportBodySchema }), async (req, res) => {
+    const file = req.file || null;
+    if (!file) {
+        return sendError(req, res, 400, 'Session archive required');
+    }
+
+    try {
+        const { account, manifest } = await accountManager.importSessionArchive(file.path, req.validatedBody);
+        return res.json({
+            success: true,
+            account,
+            restored: {
+                sourceAccountId: manifest.account?.id || null,
+                createdAt: manifest.createdAt,
+                files: manifest.files.length
+            }
+        });
+    } catch (error) {
+        const status = sessionErrorStatus(error);
+        return sendError(req, res, status, status >= 500 ? 'Session import failed' : error.message);
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+
+const { validateChatId } = require('../../lib/apiValidation');
+const { queryLimit, queryOffset, queryString } = require('../../lib/zodHelpers');
+const { validate } = require('../middleware/validate');
+
+const callsQuerySchema = z.object({
+    caller: queryString({ defaultValue: '', maxLength: 100, trim: true }).refine(
+        (value) => !value || validateChatId(value),
+        { message: 'Invalid caller format' }
+    ),
+    limit: queryLimit({ defaultValue: 50, max: 500 }),
+    offset: queryOffset({ defaultValue: 0 })
+});
+
+router.get('/', validate({ query: callsQuerySchema }), (req, res) => {
+    const { db } = req.account;
+    const { caller, limit, offset } = req.validatedQuery;
+    const items = caller
+        ? db.calls.listByCaller.all(caller, limit, offset)
+        : db.calls.list.all(limit, offset);
+    return res.json({ items, limit, offset });
+});
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { validateChatId, validateMessage } = require('../../lib/apiValidation');
+const { queryString, queryLimit, queryOffset } = require('../../lib/zodHelpers');
+const { sendError } = require('../../lib/httpResponses');
+const { RECIPIENT_STATUSES } = require('../../services/campaigns');
+
+const CSV_MAX_LENGTH = 2 * 1024 * 1024;
+const MAX_RECIPIENTS = 10000;
+
+const booleanLike = z.preprocess((value) => {
+    if (value === undefined) return undefined;
+    if (value === true || value === false) return value;
+    if (value === 1 || value === '1' || value === 'true') return true;
+    if (value === 0 || value === '0' || value === 'false') return false;
+    return value;
+}, z.boolean());
+
+const intLike = (message) => z.preprocess(
+    (value) => {
+        if (value === undefined || value === null || value === '') return value;
+        const parsed = parseInt(String(value), 10);
+        return Number.isFinite(parsed) ? parsed : value;
+    },
+    z.number({
+        required_error: message,
+        invalid_type_error: message
+    }).int().positive(message)
+);
+
+const idParamSchema = z.object({
+    id: intLike('Invalid campaign id')
+}).strict();
+
+const campaignCreateSchema = z.object({
+    name: z.string().trim().min(1, 'name required').max(200),
+    message: z.preprocess((value) => {
+        if (typeof value !== 'string') return value;
+        const trimmed = value.trim();
+        return trimmed ? trimmed : undefined;
+    }, z.string().refine(validateMessage, { message: 'Message too long or invalid' }).optional()),
+    template_id: z.preprocess((value) => {
+        if (value === null || value === undefined || value === '') return undefined;
+        const parsed = parseInt(String(value), 10);
+        return Number.isFinite(parsed) ? parsed : value;
+    }, z.number().int().positive().optional()),
+    target_type: z.enum(['tag', 'chats', 'csv'], {
+        errorMap: () => ({ message: 'target_type must be tag, chats or csv' })
+    }),
+    tag_ids: z.array(intLike('Invalid tag id')).max(50).optional(),
+    chat_ids: z.array(
+        z.string().trim().refine(validateChatId, { message: 'Invalid chat_id format' })
+    ).max(MAX_RECIPIENTS).optional(),
+    csv: z.string().max(CSV_MAX_LENGTH, 'CSV too large').optional(),
+    throttle_ms: z.preprocess((value) => {
+        if (value === null || value === undefined || value === '') return undefined;
+        const parsed = parseInt(String(value), 10);
+        return Number.isFinite(parsed) ? parsed : value;
+    }, z.number().int().min(500, 'throttle_ms must be at least 500').max(10 * 60 * 1000).optional()),
+    start: booleanLike.optional()
+}).strict().superRefine((data, ctx) => {
+    if (!data.message && !data.template_id) {
+        ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: 'message or template_id required',
+            path: []
+        });
+    }
+    if (data.target_type === 'tag' && (!data.tag_ids || data.tag_ids.length === 0)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'tag_ids required', path: ['tag_ids'] });
+    }
+    if (data.target_type === 'chats' && (!data.chat_ids || data.chat_ids.length === 0)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'chat_ids required', path: ['chat_ids'] });
+    }
+    if (data.target_type === 'csv' && !data.csv) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'csv required', path: ['csv'] });
+    }
+});
+
+const recipientsQuerySchema = z.object({
+    status: queryString({ defaultValue: '', trim: true }).refine(
+        (value) => !value || RECIPIENT_STATUSES.includes(value),
+        { message: 'Invalid status' }
+    ),
+    limit: queryLimit({ defaultValue: 100, max: 1000 }),
+    offset: queryOffset({ defaultValue: 0 })
+});
+
+function sendActionResult(req, res, result) {
+    if (!result) {
+        return sendError(req, res, 404, 'Campaign not found');
+    }
+    if (result.error) {
+        return sendError(req, res, 409, result.error);
+    }
+    return res.json({ success: true, progress: result });
+}
+
+router.get('/', (req, res) => {
+    const { db, campaigns } = req.account;
+    const rows = db.campaigns.getAll.all().map(campaign => ({
+        ...campaign,
+        progress: campaigns.getProgress(campaign.id)
+    }));
+    res.json(rows);
+});
+
+router.post('/', requireRole(['admin', 'manager']), validate({ body: campaignCreateSchema }), (req, res) => {
+    const { db, campaigns } = req.account;
+    const body = req.validatedBody;
+
+    if (body.template_id && !db.messageTemplates.getById.get(body.template_id)) {
+        return sendError(req, res, 404, 'Template not found');
+    }
+
+    const target = { type: body.target_type };
+    if (body.target_type === 'tag') {
+        const missingTag = body.tag_ids.find(tagId => !db.tags.getById.get(tagId));
+        if (missingTag) {
+            return sendError(req, res, 404, 'Tag not found');
+        }
+        target.tagIds = body.tag_ids;
+    } else if (body.target_type === 'chats') {
+        target.chatIds = body.chat_ids;
+    } else {
+        target.csv = body.csv;
+    }
+
+    let recipients;
+    try {
+        recipients = campaigns.resolveRecipients(target);
+    } catch (error) {
+        return sendError(req, res, 400, error.message);
+    }
+    if (recipients.length === 0) {
+        return sendError(req, res, 400, 'No recipients resolved for campaign');
+    }
+    if (recipients.length > MAX_RECIPIENTS) {
+        return sendError(req, res, 400, `Campaign recipients limit is ${MAX_RECIPIENTS}`);
+    }
+
+    const campaign = campaigns.createCampaign({
+        name: body.name,
+        message: body.message,
+        templateId: body.template_id,
+        target,
+        recipients,
+        throttleMs: body.throttle_ms,
+        createdBy: req.session?.userId
+    });
+
+    if (body.start) {
+        campaigns.startCampaign(campaign.id);
+    }
+
+    return res.json({ success: true, id: campaign.id, progress: campaigns.getProgress(campaign.id) });
+});
+
+router.get('/:id', validate({ params: idParamSchema }), (req, res) => {
+    const { db, campaigns } = req.account;
+    const campaign = db.campaigns.getById.get(req.validatedParams.id);
+    if (!campaign) {
+        return sendError(req, res, 404, 'Campaign not found');
+    }
+    return res.json({ ...campaign, progress: campaigns.getProgress(campaign.id) });
+});
+
+router.get('/:id/recipients', validate({ params: idParamSchema, query: recipientsQuerySchema }), (req, res) => {
+    const { db } = req.account;
+    const campaignId = req.validatedParams.id;
+    if (!db.campaigns.getById.get(campaignId)) {
+        return sendError(req, res, 404, 'Campaign not found');
+    }
+
+    const { status, limit, offset } = req.validatedQuery;
+    const recipients = status
+        ? db.campaignRecipients.getByCampaignAndStatus.all(campaignId, status, limit, offset)
+        : db.campaignRecipients.getByCampaign.all(campaignId, limit, offset);
+    return res.json({ recipients, limit, offset });
+});
+
+router.post('/:id/start', requireRole(['admin', 'manager']), validate({ params: idParamSchema }), (req, res) => {
+    return sendActionResult(req, res, req.account.campaigns.startCampaign(req.validatedParams.id));
+});
+
+router.post('/:id/pause', requireRole(['admin', 'manager']), validate({ params: idParamSchema }), (req, res) => {
+    return sendActionResult(req, res, req.account.campaigns.pauseCampaign(req.validatedParams.id));
+});
+
+router.post('/:id/resume', requireRole(['admin', 'manager']), validate({ params: idParamSchema }), (req, res) => {
+    return sendActionResult(req, res, req.account.campaigns.resumeCampaign(req.validatedParams.id));
+});
+
+router.post('/:id/cancel', requireRole(['admin', 'manager']), validate({ params: idParamSchema }), (req, res) => {
+    return sendActionResult(req, res, req.account.campaigns.cancelCampaign(req.validatedParams.id));
+});
+
+router.delete('/:id', requireRole(['admin', 'manager']), validate({ params: idParamSchema }), (req, res) => {
+    const { db, campaigns } = req.account;
+    const campaign = db.campaigns.getById.get(req.validatedParams.id);
+    if (!campaign) {
+        return sendError(req, res, 404, 'Campaign not found');
+    }
+    if (campaign.status === 'running') {
+        return sendError(req, res, 409, 'Pause or cancel the campaign before deleting it');
+    }
+    campaigns.deleteCampaign(campaign.id);
+    return res.json({ success: true });
+});
+
+module.exports = router;
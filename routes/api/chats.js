@@ -2,9 +2,14 @@ const express = require('express');
 const router = express.Router();
 const { z } = require('zod');
 
+const { CHAT_LIST_ORDER } = require('../../database');
 const { LIMITS, validateChatId, validateNote } = require('../../lib/apiValidation');
+const { addChatTag, removeChatTag } = require('../../lib/chatTags');
 const { sendError } = require('../../lib/httpResponses');
-const { queryLimit, queryOffset, queryString } = require('../../lib/zodHelpers');
+const { attachMessageExtras, getMessageWindow, listMessagePage, messageCursorField } = require('../../lib/messagePages');
+const { compileChatSearch, isEmptySearch, searchQueryField } = require('../../lib/searchQuery');
+const { first, optionalQueryInt, queryLimit, queryOffset, queryString } = require('../../lib/zodHelpers');
+const { EXPORT_FORMATS, exportFileName, writeChatExport } = require('../../services/chatExport');
 const { validate } = require('../middleware/validate');
 
 const booleanLike = z.preprocess((value) => {
@@ -59,7 +64,7 @@ const noteParamsSchema = z.object({
 }).strict();
 
 const chatSearchQuerySchema = z.object({
-    q: queryString({ defaultValue: '', maxLength: LIMITS.QUERY_LENGTH, trim: true }),
+    q: searchQueryField({ maxLength: LIMITS.QUERY_LENGTH }),
     tag: queryString({ defaultValue: '', maxLength: LIMITS.QUERY_LENGTH, trim: true }),
     note: queryString({ defaultValue: '', maxLength: LIMITS.QUERY_LENGTH, trim: true }),
     archived: booleanLike.optional().default(false),
@@ -67,11 +72,60 @@ const chatSearchQuerySchema = z.object({
     offset: queryOffset({ defaultValue: 0 })
 });
 
-const paginationQuerySchema = z.object({
+const messagesPageQuerySchema = z.object({
     limit: queryLimit({ defaultValue: 50, max: LIMITS.PAGINATION.MESSAGES }),
-    offset: queryOffset({ defaultValue: 0 })
+    offset: queryOffset({ defaultValue: 0 }),
+    before: messageCursorField(),
+    after: messageCursorField()
+}).refine((query) => !(query.before && query.after), { message: 'Use either before or after, not both' });
+
+const messageWindowParamsSchema = z.object({
+    id: chatIdParamSchema.shape.id,
+    messageId: z.string().trim().min(1, 'Invalid message id').max(300, 'Invalid message id')
+}).strict();
+
+const messageWindowQuerySchema = z.object({
+    limit: queryLimit({ defaultValue: 50, max: LIMITS.PAGINATION.MESSAGES })
 });
 
+const chatExportQuerySchema = z.object({
+    format: z.preprocess(
+        (value) => {
+            const firstValue = first(value);
+            if (firstValue === undefined || firstValue === null || firstValue === '') return undefined;
+            return String(firstValue).trim().toLowerCase();
+        },
+        z.enum(EXPORT_FORMATS, {
+            errorMap: () => ({ message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` })
+        }).optional().default('txt')
+    ),
+    start: optionalQueryInt(),
+    end: optionalQueryInt(),
+    zip: booleanLike.optional().default(false)
+}).refine((query) => query.start === undefined || query.end === undefined || query.start <= query.end, {
+    message: 'Invalid date range',
+    path: ['start']
+});
+
+const chatStateBodySchema = z.object({
+    state: z.enum(['typing', 'recording', 'paused'], {
+        errorMap: () => ({ message: 'state must be typing, recording or paused' })
+    })
+}).strict();
+
+// WhatsApp arayuzundeki sessize alma secenekleri; forever suresizdir
+const MUTE_DURATIONS = {
+    '8h': 8 * 60 * 60 * 1000,
+    '1w': 7 * 24 * 60 * 60 * 1000,
+    forever: null
+};
+
+const chatMuteBodySchema = z.object({
+    duration: z.enum(Object.keys(MUTE_DURATIONS), {
+        errorMap: () => ({ message: 'duration must be 8h, 1w or forever' })
+    }).default('8h')
+}).strict();
+
 const tagParamsSchema = z.object({
     id: chatIdParamSchema.shape.id,
     tagId: intLike('Invalid tag id')
@@ -100,7 +154,7 @@ router.get('/', (req, res) => {
 
     const placeholders = chatIds.map(() => '?').join(',');
     const chats = req.account.db.db.prepare(
-        `SELECT * FROM chats WHERE is_archived = ? AND chat_id IN (${placeholders}) ORDER BY last_message_at DESC`
+        `SELECT * FROM chats WHERE is_archived = ? AND chat_id IN (${placeholders}) ORDER BY ${CHAT_LIST_ORDER}`
     ).all(archivedFlag, ...chatIds);
     return res.json(chats);
 });
@@ -109,69 +163,18 @@ router.get('/search', validate({ query: chatSearchQuerySchema }), (req, res) =>
     const { q: query, tag: tagFilter, note: noteQuery, archived, limit, offset } = req.validatedQuery;
     const archivedFlag = archived ? 1 : 0;
 
-    if (!query && !tagFilter && !noteQuery) return res.json([]);
-
-    let chatIds = null;
-    if (tagFilter) {
-        const tagId = /^\d+$/.test(tagFilter) ? parseInt(tagFilter, 10) : null;
-        const rows = tagId
-            ? req.account.db.contactTags.getChatIdsByTagId.all(tagId)
-            : req.account.db.contactTags.getChatIdsByTagName.all(tagFilter);
-        chatIds = new Set(rows.map(row => row.chat_id));
-    }
-
-    if (noteQuery) {
-        const rows = req.account.db.notes.searchChatIds.all('%' + noteQuery + '%');
-        const noteIds = new Set(rows.map(row => row.chat_id));
-        if (chatIds) {
-            chatIds = new Set([...chatIds].filter(id => noteIds.has(id)));
-        } else {
-            chatIds = noteIds;
-        }
-    }
-
-    if (chatIds && chatIds.size === 0) {
-        return res.json([]);
-    }
-
-    if (!chatIds && query) {
-        const results = req.account.db.db.prepare(`
-            SELECT * FROM chats
-            WHERE is_archived = ?
-              AND name LIKE ?
-            ORDER BY last_message_at DESC
-            LIMIT ? OFFSET ?
-        `).all(archivedFlag, '%' + query + '%', limit, offset);
-        return res.json(results);
-    }
+    if (isEmptySearch(query.parsed) && !tagFilter && !noteQuery) return res.json([]);
 
-    const filterIds = chatIds ? Array.from(chatIds) : null;
-    if (query) {
-        const placeholders = filterIds ? filterIds.map(() => '?').join(',') : '';
-        const params = [archivedFlag, '%' + query + '%'];
-        if (filterIds) {
-            params.push(...filterIds);
-        }
-        params.push(limit, offset);
-        const results = req.account.db.db.prepare(`
-            SELECT * FROM chats
-            WHERE is_archived = ?
-              AND name LIKE ?
-              ${filterIds ? `AND chat_id IN (${placeholders})` : ''}
-            ORDER BY last_message_at DESC
-            LIMIT ? OFFSET ?
-        `).all(...params);
-        return res.json(results);
-    }
+    const compiled = compileChatSearch(query.parsed, { tag: tagFilter, note: noteQuery });
+    const where = ['c.is_archived = ?', ...compiled.where];
+    const params = [archivedFlag, ...compiled.params];
 
-    const placeholders = filterIds.map(() => '?').join(',');
     const results = req.account.db.db.prepare(`
-        SELECT * FROM chats
-        WHERE is_archived = ?
-          AND chat_id IN (${placeholders})
-        ORDER BY last_message_at DESC
+        SELECT c.* FROM chats c
+        WHERE ${where.join('\n          AND ')}
+        ORDER BY ${CHAT_LIST_ORDER}
         LIMIT ? OFFSET ?
-    `).all(archivedFlag, ...filterIds, limit, offset);
+    `).all(...params, limit, offset);
     return res.json(results);
 });
 
@@ -215,11 +218,61 @@ router.post('/:id/unarchive', validate({ params: chatIdParamSchema }), async (re
     return res.json({ success: true });
 });
 
-router.get('/:id/messages', validate({ params: chatIdParamSchema, query: paginationQuerySchema }), async (req, res) => {
-    const { limit, offset } = req.validatedQuery;
+function chatActionErrorStatus(message) {
+    return [
+        'WhatsApp not connected',
+        'Invalid chatId',
+        'Chat not found',
+        'Contact not found',
+        'Groups cannot be blocked',
+        'Pinned chat limit reached'
+    ].some((needle) => message.includes(needle)) ? 400 : 500;
+}
+
+async function runChatAction(req, res, action) {
+    try {
+        const result = await action(req.account.whatsapp, req.validatedParams.id);
+        return res.json(result);
+    } catch (error) {
+        const message = error?.message || String(error);
+        return sendError(req, res, chatActionErrorStatus(message), message);
+    }
+}
+
+router.post('/:id/pin', validate({ params: chatIdParamSchema }), (req, res) => {
+    return runChatAction(req, res, (whatsapp, chatId) => whatsapp.setChatPinned(chatId, true));
+});
+
+router.post('/:id/unpin', validate({ params: chatIdParamSchema }), (req, res) => {
+    return runChatAction(req, res, (whatsapp, chatId) => whatsapp.setChatPinned(chatId, false));
+});
+
+router.post('/:id/mute', validate({ params: chatIdParamSchema, body: chatMuteBodySchema }), (req, res) => {
+    const durationMs = MUTE_DURATIONS[req.validatedBody.duration];
+    return runChatAction(req, res, (whatsapp, chatId) => whatsapp.muteChat(chatId, durationMs));
+});
+
+router.post('/:id/unmute', validate({ params: chatIdParamSchema }), (req, res) => {
+    return runChatAction(req, res, (whatsapp, chatId) => whatsapp.unmuteChat(chatId));
+});
+
+router.post('/:id/mark-unread', validate({ params: chatIdParamSchema }), (req, res) => {
+    return runChatAction(req, res, (whatsapp, chatId) => whatsapp.markChatUnread(chatId));
+});
+
+router.post('/:id/block', validate({ params: chatIdParamSchema }), (req, res) => {
+    return runChatAction(req, res, (whatsapp, chatId) => whatsapp.setContactBlocked(chatId, true));
+});
+
+router.post('/:id/unblock', validate({ params: chatIdParamSchema }), (req, res) => {
+    return runChatAction(req, res, (whatsapp, chatId) => whatsapp.setContactBlocked(chatId, false));
+});
+
+router.get('/:id/messages', validate({ params: chatIdParamSchema, query: messagesPageQuerySchema }), async (req, res) => {
+    const { limit, offset, before, after } = req.validatedQuery;
     const chatId = req.validatedParams.id;
 
-    if (offset === 0 && req.account?.whatsapp?.isReady?.()) {
+    if (!before && !after && offset === 0 && req.account?.whatsapp?.isReady?.()) {
         try {
             await req.account.whatsapp.ensureChatCaughtUp(chatId, { limit: Math.max(250, limit) });
         } catch (error) {
@@ -227,34 +280,73 @@ router.get('/:id/messages', validate({ params: chatIdParamSchema, query: paginat
         }
     }
 
-    const messages = req.account.db.messages.getByChatId.all(chatId, limit, offset);
+    const { messages, pagination } = listMessagePage(req.account.db, { chatId, limit, offset, before, after });
+    attachMessageExtras(req.account.db, messages);
+    const tags = req.account.db.contactTags.getByChatId.all(chatId);
+    const notes = req.account.db.notes.getByChatId.all(chatId);
+    return res.json({ messages, tags, notes, pagination });
+});
+
+// Mesaja git: hedef mesajin etrafindaki pencere; devami before/after imlecleriyle yuklenir
+router.get('/:id/messages/around/:messageId', validate({ params: messageWindowParamsSchema, query: messageWindowQuerySchema }), (req, res) => {
+    const { id: chatId, messageId } = req.validatedParams;
+    const page = getMessageWindow(req.account.db, { chatId, messageId, limit: req.validatedQuery.limit });
+    if (!page) {
+        return sendError(req, res, 404, 'Message not found');
+    }
+
+    attachMessageExtras(req.account.db, page.messages);
     const tags = req.account.db.contactTags.getByChatId.all(chatId);
     const notes = req.account.db.notes.getByChatId.all(chatId);
-    return res.json({ messages, tags, notes });
+    return res.json({ anchor: page.anchor, messages: page.messages, tags, notes, pagination: page.pagination });
+});
+
+// Dokum dogrudan yanita akar; zip=1 ile medya dosyalari da arsive eklenir
+router.get('/:id/export', validate({ params: chatIdParamSchema, query: chatExportQuerySchema }), async (req, res) => {
+    const chatId = req.validatedParams.id;
+    const { format, start, end, zip } = req.validatedQuery;
+    const { db, config } = req.account;
+    const chat = db.chats.getById.get(chatId);
+    if (!chat) {
+        return sendError(req, res, 404, 'Chat not found');
+    }
+
+    const now = Date.now();
+    res.attachment(exportFileName(chat, format, zip, now));
+    try {
+        const result = await writeChatExport(res, { db, chat, format, start, end, zip, mediaDir: config.MEDIA_DIR, now });
+        res.end();
+        db.logs.add.run('info', 'export', 'Chat transcript exported', JSON.stringify({
+            chatId,
+            format,
+            zip,
+            start: start ?? null,
+            end: end ?? null,
+            ...result,
+            userId: req.session?.userId || null
+        }));
+    } catch (error) {
+        // Basliklar gonderildi; yarim dosya indirilmesin diye baglanti kesilir
+        req.log?.warn?.('Chat export failed', { chatId, format, zip, error: error.message });
+        res.destroy();
+    }
 });
 
 router.get('/:id/tags', validate({ params: chatIdParamSchema }), (req, res) => {
     return res.json(req.account.db.contactTags.getByChatId.all(req.validatedParams.id));
 });
 
-router.post('/:id/tags', validate({ params: chatIdParamSchema, body: tagIdBodySchema }), (req, res) => {
-    const chatId = req.validatedParams.id;
-    const tagId = req.validatedBody.tag_id;
-    const tag = req.account.db.tags.getById.get(tagId);
+router.post('/:id/tags', validate({ params: chatIdParamSchema, body: tagIdBodySchema }), async (req, res) => {
+    const tag = req.account.db.tags.getById.get(req.validatedBody.tag_id);
     if (!tag) {
         return sendError(req, res, 404, 'Tag not found');
     }
-    const chat = req.account.db.chats.getById.get(chatId);
-    const name = chat?.name || chatId;
-    const phone = chatId && chatId.includes('@c.us') ? chatId.split('@')[0] : null;
-    req.account.db.contacts.upsert.run(chatId, name, phone);
-    req.account.db.contactTags.add.run(chatId, tagId);
-    return res.json({ success: true });
+    return res.json(await addChatTag(req.account, req.validatedParams.id, tag));
 });
 
-router.delete('/:id/tags/:tagId', validate({ params: tagParamsSchema }), (req, res) => {
-    req.account.db.contactTags.remove.run(req.validatedParams.id, req.validatedParams.tagId);
-    return res.json({ success: true });
+router.delete('/:id/tags/:tagId', validate({ params: tagParamsSchema }), async (req, res) => {
+    const { id: chatId, tagId } = req.validatedParams;
+    return res.json(await removeChatTag(req.account, chatId, tagId));
 });
 
 router.get('/:id/notes', validate({ params: chatIdParamSchema }), (req, res) => {
@@ -276,6 +368,48 @@ router.delete('/:id/notes/:noteId', validate({ params: noteParamsSchema }), (req
     return res.json({ success: true });
 });
 
+function chatStateErrorStatus(message) {
+    return [
+        'WhatsApp not connected',
+        'Invalid chatId',
+        'Chat not found'
+    ].some((needle) => message.includes(needle)) ? 400 : 500;
+}
+
+router.get('/:id/presence', validate({ params: chatIdParamSchema }), (req, res) => {
+    const chatId = req.validatedParams.id;
+    const presence = req.account.whatsapp.getPresence(chatId);
+    return res.json(presence || {
+        chatId,
+        participantId: null,
+        state: null,
+        isOnline: null,
+        lastSeen: null,
+        updatedAt: null
+    });
+});
+
+router.post('/:id/presence/subscribe', validate({ params: chatIdParamSchema }), async (req, res) => {
+    try {
+        const result = await req.account.whatsapp.subscribePresence(req.validatedParams.id);
+        return res.json(result);
+    } catch (error) {
+        const message = error?.message || String(error);
+        return sendError(req, res, chatStateErrorStatus(message), message);
+    }
+});
+
+// Composer'in yaziyor/ses kaydediyor durumunu karsi tarafa iletir (Ghost Mode'da gonderilmez)
+router.post('/:id/state', validate({ params: chatIdParamSchema, body: chatStateBodySchema }), async (req, res) => {
+    try {
+        const result = await req.account.whatsapp.sendChatState(req.validatedParams.id, req.validatedBody.state);
+        return res.json(result);
+    } catch (error) {
+        const message = error?.message || String(error);
+        return sendError(req, res, chatStateErrorStatus(message), message);
+    }
+});
+
 router.post('/:id/refresh-picture', validate({ params: chatIdParamSchema }), async (req, res) => {
     try {
         const result = await req.account.whatsapp.refreshChatPicture(req.validatedParams.id);
@@ -3,6 +3,7 @@ const router = express.Router();
 const { z } = require('zod');
 
 const { validateChatId } = require('../../lib/apiValidation');
+const { addChatTag, removeChatTag } = require('../../lib/chatTags');
 const { sendError } = require('../../lib/httpResponses');
 const { validate } = require('../middleware/validate');
 
@@ -54,24 +55,17 @@ router.get('/:id/tags', validate({ params: chatIdParamSchema }), (req, res) => {
     return res.json(req.account.db.contactTags.getByChatId.all(req.validatedParams.id));
 });
 
-router.post('/:id/tags', validate({ params: chatIdParamSchema, body: tagIdBodySchema }), (req, res) => {
-    const chatId = req.validatedParams.id;
-    const tagId = req.validatedBody.tag_id;
-    const tag = req.account.db.tags.getById.get(tagId);
+router.post('/:id/tags', validate({ params: chatIdParamSchema, body: tagIdBodySchema }), async (req, res) => {
+    const tag = req.account.db.tags.getById.get(req.validatedBody.tag_id);
     if (!tag) {
         return sendError(req, res, 404, 'Tag not found');
     }
-    const chat = req.account.db.chats.getById.get(chatId);
-    const name = chat?.name || chatId;
-    const phone = chatId && chatId.includes('@c.us') ? chatId.split('@')[0] : null;
-    req.account.db.contacts.upsert.run(chatId, name, phone);
-    req.account.db.contactTags.add.run(chatId, tagId);
-    return res.json({ success: true });
+    return res.json(await addChatTag(req.account, req.validatedParams.id, tag));
 });
 
-router.delete('/:id/tags/:tagId', validate({ params: tagParamsSchema }), (req, res) => {
-    req.account.db.contactTags.remove.run(req.validatedParams.id, req.validatedParams.tagId);
-    return res.json({ success: true });
+router.delete('/:id/tags/:tagId', validate({ params: tagParamsSchema }), async (req, res) => {
+    const { id: chatId, tagId } = req.validatedParams;
+    return res.json(await removeChatTag(req.account, chatId, tagId));
 });
 
 router.get('/:id/profile-picture', validate({ params: chatIdParamSchema, query: profilePictureQuerySchema }), async (req, res) => {
@@ -0,0 +1,217 @@
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+
+const { validateChatId } = require('../../lib/apiValidation');
+const { sendError } = require('../../lib/httpResponses');
+const { queryLimit, queryOffset, queryString } = require('../../lib/zodHelpers');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const GROUP_SUBJECT_LENGTH = 100;
+const GROUP_DESCRIPTION_LENGTH = 2048;
+const MAX_PARTICIPANTS = 256;
+
+const groupIdParamSchema = z.object({
+    id: z.preprocess(
+        (value) => (typeof value === 'string' ? value.trim() : value),
+        z.string({
+            required_error: 'Invalid group id',
+            invalid_type_error: 'Invalid group id'
+        }).refine((value) => validateChatId(value) && value.endsWith('@g.us'), { message: 'Invalid group id' })
+    )
+}).strict();
+
+// Telefon numarasi verilirse (ornegin +90 555 ...) kisi kimligine cevrilir
+const participantIdSchema = z.preprocess(
+    (value) => {
+        if (typeof value !== 'string') return value;
+        const trimmed = value.trim();
+        if (/^\+?[\d\s\-()]+$/.test(trimmed)) {
+            const digits = trimmed.replace(/\D/g, '');
+            return digits ? `${digits}@c.us` : trimmed;
+        }
+        return trimmed;
+    },
+    z.string({
+        required_error: 'Invalid participant id',
+        invalid_type_error: 'Invalid participant id'
+    }).refine((value) => validateChatId(value) && !value.endsWith('@g.us'), { message: 'Invalid participant id' })
+);
+
+const participantsSchema = z.array(participantIdSchema, {
+    required_error: 'participants required',
+    invalid_type_error: 'participants must be an array'
+}).max(MAX_PARTICIPANTS, 'Too many participants');
+
+const subjectSchema = z.preprocess(
+    (value) => (typeof value === 'string' ? value.trim() : value),
+    z.string({
+        required_error: 'name required',
+        invalid_type_error: 'name required'
+    }).min(1, 'name required').max(GROUP_SUBJECT_LENGTH, 'Group name too long')
+);
+
+const groupCreateSchema = z.object({
+    name: subjectSchema,
+    participants: participantsSchema.optional().default([])
+}).strict();
+
+const groupRenameSchema = z.object({
+    name: subjectSchema
+}).strict();
+
+const groupDescriptionSchema = z.object({
+    description: z.preprocess(
+        (value) => (value === null || value === undefined ? '' : value),
+        z.string({ invalid_type_error: 'description must be a string' })
+            .max(GROUP_DESCRIPTION_LENGTH, 'Description too long')
+    )
+}).strict();
+
+const participantsBodySchema = z.object({
+    participants: participantsSchema.min(1, 'participants required')
+}).strict();
+
+const participantActionParamsSchema = z.object({
+    id: groupIdParamSchema.shape.id,
+    action: z.enum(['add', 'remove', 'promote', 'demote'], {
+        errorMap: () => ({ message: 'Invalid participant action' })
+    })
+}).strict();
+
+const historyQuerySchema = z.object({
+    participant: queryString({ defaultValue: '', maxLength: 100, trim: true }).refine(
+        (value) => !value || validateChatId(value),
+        { message: 'Invalid participant id' }
+    ),
+    limit: queryLimit({ defaultValue: 100, max: 500 }),
+    offset: queryOffset({ defaultValue: 0 })
+});
+
+function sendGroupError(req, res, error) {
+    const message = error?.message || String(error);
+    const status = [
+        'WhatsApp not connected',
+        'Invalid',
+        'required',
+        'Group not found'
+    ].some((needle) => message.includes(needle)) ? 400 : 500;
+    return sendError(req, res, status, message);
+}
+
+router.get('/', (req, res) => {
+    const groups = req.account.db.db.prepare(
+        'SELECT * FROM chats WHERE is_group = 1 ORDER BY last_message_at DESC'
+    ).all();
+    return res.json(groups);
+});
+
+router.post('/', requireRole(['admin', 'manager']), validate({ body: groupCreateSchema }), async (req, res) => {
+    try {
+        const { name, participants } = req.validatedBody;
+        const result = await req.account.whatsapp.createGroup(name, participants);
+        return res.status(201).json(result);
+    } catch (error) {
+        return sendGroupError(req, res, error);
+    }
+});
+
+router.get('/:id', validate({ params: groupIdParamSchema }), (req, res) => {
+    const group = req.account.db.chats.getById.get(req.validatedParams.id);
+    if (!group || !group.is_group) {
+        return sendError(req, res, 404, 'Group not found');
+    }
+    return res.json(group);
+});
+
+router.get('/:id/participants', validate({ params: groupIdParamSchema }), (req, res) => {
+    const { db } = req.account;
+    const groupId = req.validatedParams.id;
+    const group = db.chats.getById.get(groupId);
+    if (!group || !group.is_group) {
+        return sendError(req, res, 404, 'Group not found');
+    }
+    const participants = db.groupParticipants.getByGroup.all(groupId);
+    return res.json({
+        groupId,
+        total: participants.length,
+        admins: participants.filter(participant => participant.is_admin).length,
+        participants
+    });
+});
+
+router.get('/:id/history', validate({ params: groupIdParamSchema, query: historyQuerySchema }), (req, res) => {
+    const { db } = req.account;
+    const groupId = req.validatedParams.id;
+    const { participant, limit, offset } = req.validatedQuery;
+    const group = db.chats.getById.get(groupId);
+    if (!group || !group.is_group) {
+        return sendError(req, res, 404, 'Group not found');
+    }
+
+    const events = participant
+        ? db.groupMembershipEvents.getByGroupAndParticipant.all(groupId, participant, limit, offset)
+        : db.groupMembershipEvents.getByGroup.all(groupId, limit, offset);
+    const total = participant
+        ? db.groupMembershipEvents.countByGroupAndParticipant.get(groupId, participant).total
+        : db.groupMembershipEvents.countByGroup.get(groupId).total;
+    return res.json({ groupId, events, total, limit, offset });
+});
+
+router.put('/:id/name', requireRole(['admin', 'manager']), validate({ params: groupIdParamSchema, body: groupRenameSchema }), async (req, res) => {
+    try {
+        const result = await req.account.whatsapp.renameGroup(req.validatedParams.id, req.validatedBody.name);
+        return res.json(result);
+    } catch (error) {
+        return sendGroupError(req, res, error);
+    }
+});
+
+router.put('/:id/description', requireRole(['admin', 'manager']), validate({ params: groupIdParamSchema, body: groupDescriptionSchema }), async (req, res) => {
+    try {
+        const result = await req.account.whatsapp.setGroupDescription(req.validatedParams.id, req.validatedBody.description);
+        return res.json(result);
+    } catch (error) {
+        return sendGroupError(req, res, error);
+    }
+});
+
+router.post('/:id/participants/:action', requireRole(['admin', 'manager']), validate({ params: participantActionParamsSchema, body: participantsBodySchema }), async (req, res) => {
+    try {
+        const { id, action } = req.validatedParams;
+        const result = await req.account.whatsapp.updateGroupParticipants(id, action, req.validatedBody.participants);
+        return res.json(result);
+    } catch (error) {
+        return sendGroupError(req, res, error);
+    }
+});
+
+router.get('/:id/invite', requireRole(['admin', 'manager']), validate({ params: groupIdParamSchema }), async (req, res) => {
+    try {
+        const result = await req.account.whatsapp.getGroupInviteLink(req.validatedParams.id);
+        return res.json(result);
+    } catch (error) {
+        return sendGroupError(req, res, error);
+    }
+});
+
+router.post('/:id/invite/revoke', requireRole(['admin', 'manager']), validate({ params: groupIdParamSchema }), async (req, res) => {
+    try {
+        const result = await req.account.whatsapp.revokeGroupInvite(req.validatedParams.id);
+        return res.json(result);
+    } catch (error) {
+        return sendGroupError(req, res, error);
+    }
+});
+
+router.post('/:id/leave', requireRole(['admin', 'manager']), validate({ params: groupIdParamSchema }), async (req, res) => {
+    try {
+        const result = await req.account.whatsapp.leaveGroup(req.validatedParams.id);
+        return res.json(result);
+    } catch (error) {
+        return sendGroupError(req, res, error);
+    }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@ const fs = require('fs');
 const path = require('path');
 const { LIMITS, validateChatId } = require('../../lib/apiValidation');
 const { sendError } = require('../../lib/httpResponses');
+const { summarizePoll } = require('../../lib/polls');
 const { queryLimit, queryOffset, queryString } = require('../../lib/zodHelpers');
 const { validate } = require('../middleware/validate');
 
@@ -35,7 +36,7 @@ const kindQuerySchema = z.preprocess(
         if (firstValue === undefined || firstValue === null || firstValue === '') return undefined;
         return typeof firstValue === 'string' ? firstValue.trim() : String(firstValue).trim();
     },
-    z.enum(['all', 'image', 'video', 'document', 'audio', 'sticker', 'other']).catch('all')
+    z.enum(['all', 'image', 'video', 'document', 'audio', 'sticker', 'poll', 'other']).catch('all')
 );
 
 const mediaItemsQuerySchema = z.object({
@@ -84,7 +85,7 @@ router.get('/items', validate({ query: mediaItemsQuerySchema }), (req, res) => {
         (m.media_url IS NOT NULL AND m.media_url != '')
         OR (m.media_path IS NOT NULL AND m.media_path != '')
         OR (m.media_mimetype IS NOT NULL AND m.media_mimetype != '')
-        OR (m.type IN ('image','gif','video','document','audio','ptt','sticker'))
+        OR (m.type IN ('image','gif','video','document','audio','ptt','sticker','poll_creation'))
     )`);
 
     if (chatId) {
@@ -102,6 +103,7 @@ router.get('/items', validate({ query: mediaItemsQuerySchema }), (req, res) => {
             where.push(`(
                 (m.media_url IS NULL OR m.media_url = '')
                 AND (m.media_path IS NULL OR m.media_path = '')
+                AND (m.type IS NULL OR m.type != 'poll_creation')
             )`);
         }
     }
@@ -116,7 +118,7 @@ router.get('/items', validate({ query: mediaItemsQuerySchema }), (req, res) => {
         params.push(needle, needle, needle);
     }
 
-    const knownTypes = ['image', 'gif', 'video', 'document', 'audio', 'ptt', 'sticker'];
+    const knownTypes = ['image', 'gif', 'video', 'document', 'audio', 'ptt', 'sticker', 'poll_creation'];
     if (kind && kind !== 'all') {
         if (kind === 'image') {
             where.push(`(m.type IN ('image','gif') OR (m.media_mimetype LIKE 'image/%' AND (m.type IS NULL OR m.type != 'sticker')))`);
@@ -128,6 +130,8 @@ router.get('/items', validate({ query: mediaItemsQuerySchema }), (req, res) => {
             where.push(`(m.type = 'document')`);
         } else if (kind === 'sticker') {
             where.push(`(m.type = 'sticker')`);
+        } else if (kind === 'poll') {
+            where.push(`(m.type = 'poll_creation')`);
         } else if (kind === 'other') {
             where.push(`(m.type IS NULL OR m.type = '' OR m.type NOT IN (${knownTypes.map(() => '?').join(',')}))`);
             params.push(...knownTypes);
@@ -173,6 +177,7 @@ router.get('/items', validate({ query: mediaItemsQuerySchema }), (req, res) => {
         else if (normalizedType === 'document') normalizedKind = 'document';
         else if (['audio', 'ptt'].includes(normalizedType)) normalizedKind = 'audio';
         else if (normalizedType === 'sticker') normalizedKind = 'sticker';
+        else if (normalizedType === 'poll_creation') normalizedKind = 'poll';
         else if (typeof row.media_mimetype === 'string') {
             const mm = row.media_mimetype.toLowerCase();
             if (mm.startsWith('image/')) normalizedKind = 'image';
@@ -181,7 +186,7 @@ router.get('/items', validate({ query: mediaItemsQuerySchema }), (req, res) => {
             else normalizedKind = 'document';
         }
 
-        return {
+        const item = {
             message_id: row.message_id,
             chat_id: row.chat_id,
             chat_name: row.chat_name,
@@ -195,6 +200,11 @@ router.get('/items', validate({ query: mediaItemsQuerySchema }), (req, res) => {
             media_mimetype: row.media_mimetype,
             is_downloaded: row.is_downloaded
         };
+        if (normalizedKind === 'poll') {
+            const poll = req.account.db.polls.getByMessageId.get(row.message_id);
+            item.poll = poll ? summarizePoll(poll, req.account.db.pollVotes.getByPoll.all(row.message_id)) : null;
+        }
+        return item;
     });
 
     return res.json({ items, hasMore });
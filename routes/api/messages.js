@@ -2,18 +2,34 @@ const express = require('express');
 const router = express.Router();
 const { z } = require('zod');
 
-const { LIMITS } = require('../../lib/apiValidation');
+const { LIMITS, validateChatId } = require('../../lib/apiValidation');
 const { sendError } = require('../../lib/httpResponses');
-const { queryLimit, queryOffset, queryString } = require('../../lib/zodHelpers');
+const { listMessagePage, messageCursorField } = require('../../lib/messagePages');
+const { searchMessages } = require('../../lib/messageSearch');
+const { summarizePoll } = require('../../lib/polls');
+const { searchQueryField } = require('../../lib/searchQuery');
+const { getVCardChatId } = require('../../lib/vcard');
+const { first, queryLimit, queryOffset } = require('../../lib/zodHelpers');
 const { validate } = require('../middleware/validate');
 
 const listQuerySchema = z.object({
     limit: queryLimit({ defaultValue: 100, max: LIMITS.PAGINATION.MESSAGES }),
-    offset: queryOffset({ defaultValue: 0 })
-});
+    offset: queryOffset({ defaultValue: 0 }),
+    before: messageCursorField(),
+    after: messageCursorField()
+}).refine((query) => !(query.before && query.after), { message: 'Use either before or after, not both' });
 
 const searchQuerySchema = z.object({
-    q: queryString({ defaultValue: '', maxLength: LIMITS.QUERY_LENGTH })
+    q: searchQueryField({ maxLength: LIMITS.QUERY_LENGTH }),
+    chatId: z.preprocess(
+        (value) => {
+            const firstValue = first(value);
+            return typeof firstValue === 'string' && firstValue.trim() ? firstValue.trim() : undefined;
+        },
+        z.string().refine(validateChatId, { message: 'Invalid chatId format' }).optional()
+    ),
+    limit: queryLimit({ defaultValue: 50, max: LIMITS.PAGINATION.MESSAGES }),
+    offset: queryOffset({ defaultValue: 0 })
 });
 
 const messageIdParamSchema = z.object({
@@ -25,12 +41,42 @@ const messageIdParamSchema = z.object({
     )
 }).strict();
 
+const reactBodySchema = z.object({
+    reaction: z.preprocess(
+        (value) => (value === null || value === undefined ? '' : value),
+        z.string({ invalid_type_error: 'reaction must be a string' })
+            .trim()
+            .max(32, 'Invalid reaction')
+    )
+}).strict();
+
+const MAX_FORWARD_TARGETS = 20;
+
+const forwardChatIdSchema = z.preprocess(
+    (value) => (typeof value === 'string' ? value.trim() : value),
+    z.string({ invalid_type_error: 'Invalid chatId format' }).refine(validateChatId, { message: 'Invalid chatId format' })
+);
+
+// Tek hedef icin chatId, birden fazla hedef icin chatIds kabul edilir
+const forwardBodySchema = z.object({
+    chatId: forwardChatIdSchema.optional(),
+    chatIds: z.array(forwardChatIdSchema, { invalid_type_error: 'chatIds must be an array' })
+        .max(MAX_FORWARD_TARGETS, `At most ${MAX_FORWARD_TARGETS} target chats allowed`)
+        .optional()
+}).strict().transform((body) => ({
+    chatIds: Array.from(new Set([...(body.chatId ? [body.chatId] : []), ...(body.chatIds || [])]))
+})).refine((body) => body.chatIds.length > 0, { message: 'chatId or chatIds required' })
+    .refine((body) => body.chatIds.length <= MAX_FORWARD_TARGETS, { message: `At most ${MAX_FORWARD_TARGETS} target chats allowed` });
+
+const vcardImportBodySchema = z.object({
+    index: z.number({ invalid_type_error: 'Invalid vCard index' }).int('Invalid vCard index').min(0, 'Invalid vCard index').optional()
+}).strict();
+
 router.get('/', validate({ query: listQuerySchema }), (req, res) => {
-    const { limit, offset } = req.validatedQuery;
-    const messages = req.account.db.messages.getAll.all(limit, offset);
+    const { messages, pagination } = listMessagePage(req.account.db, req.validatedQuery);
     const chatIds = Array.from(new Set(messages.map(message => message.chat_id).filter(Boolean)));
     if (!chatIds.length) {
-        return res.json({ messages, tagsByChat: {}, notesByChat: {} });
+        return res.json({ messages, tagsByChat: {}, notesByChat: {}, pagination });
     }
 
     const placeholders = chatIds.map(() => '?').join(',');
@@ -64,13 +110,14 @@ router.get('/', validate({ query: listQuerySchema }), (req, res) => {
         notesByChat[note.chat_id].push(note);
     });
 
-    return res.json({ messages, tagsByChat, notesByChat });
+    return res.json({ messages, tagsByChat, notesByChat, pagination });
 });
 
+// Tam metin arama (FTS5 + arama dili): alakaya gore sirali, sayfali ve vurgulu sonuc doner
 router.get('/search', validate({ query: searchQuerySchema }), (req, res) => {
-    const query = req.validatedQuery.q;
-    if (!query) return res.json([]);
-    return res.json(req.account.db.messages.search.all('%' + query + '%'));
+    const { q, chatId, limit, offset } = req.validatedQuery;
+    const { items, total } = searchMessages(req.account.db, { query: q.parsed, chatId, limit, offset });
+    return res.json({ query: q.raw, chatId: chatId || null, items, total, limit, offset });
 });
 
 router.post('/:id/revoke', validate({ params: messageIdParamSchema }), async (req, res) => {
@@ -90,4 +137,113 @@ router.post('/:id/revoke', validate({ params: messageIdParamSchema }), async (re
     }
 });
 
+router.get('/:id/edits', validate({ params: messageIdParamSchema }), (req, res) => {
+    const messageId = req.validatedParams.id;
+    const message = req.account.db.messages.getByMessageId.get(messageId);
+    if (!message) {
+        return sendError(req, res, 404, 'Message not found');
+    }
+    const edits = req.account.db.messageEdits.getByMessageId.all(messageId);
+    return res.json({
+        messageId,
+        body: message.body,
+        isEdited: message.is_edited === 1,
+        editedAt: message.edited_at || null,
+        edits
+    });
+});
+
+router.get('/:id/reactions', validate({ params: messageIdParamSchema }), (req, res) => {
+    return res.json(req.account.db.messageReactions.getByMessageId.all(req.validatedParams.id));
+});
+
+router.get('/:id/poll', validate({ params: messageIdParamSchema }), (req, res) => {
+    const messageId = req.validatedParams.id;
+    const poll = req.account.db.polls.getByMessageId.get(messageId);
+    if (!poll) {
+        return sendError(req, res, 404, 'Poll not found');
+    }
+    return res.json(summarizePoll(poll, req.account.db.pollVotes.getByPoll.all(messageId)));
+});
+
+router.post('/:id/forward', validate({ params: messageIdParamSchema, body: forwardBodySchema }), async (req, res) => {
+    try {
+        const result = await req.account.whatsapp.forwardMessage(req.validatedParams.id, req.validatedBody.chatIds);
+        return res.json(result);
+    } catch (error) {
+        const message = error?.message || String(error);
+        const status = [
+            'WhatsApp not connected',
+            'Invalid',
+            'Message not found'
+        ].some((needle) => message.includes(needle)) ? 400 : 500;
+        return sendError(req, res, status, message);
+    }
+});
+
+router.get('/:id/forwards', validate({ params: messageIdParamSchema }), (req, res) => {
+    return res.json(req.account.db.messages.getForwardedCopies.all(req.validatedParams.id));
+});
+
+router.post('/:id/vcards/import', validate({ params: messageIdParamSchema, body: vcardImportBodySchema }), (req, res) => {
+    const { db } = req.account;
+    const message = db.messages.getByMessageId.get(req.validatedParams.id);
+    if (!message) {
+        return sendError(req, res, 404, 'Message not found');
+    }
+
+    let cards = [];
+    try {
+        cards = JSON.parse(message.vcards || '[]');
+    } catch (e) {
+        cards = [];
+    }
+    if (!Array.isArray(cards) || !cards.length) {
+        return sendError(req, res, 400, 'Message has no contact cards');
+    }
+
+    const { index } = req.validatedBody;
+    if (index !== undefined) {
+        if (!cards[index]) {
+            return sendError(req, res, 400, 'Invalid vCard index');
+        }
+        cards = [cards[index]];
+    }
+
+    const imported = [];
+    const skipped = [];
+    const importTx = db.db.transaction(() => {
+        for (const card of cards) {
+            const chatId = getVCardChatId(card);
+            if (!chatId) {
+                skipped.push({ name: card.name || null, reason: 'missing_phone' });
+                continue;
+            }
+            const phone = chatId.split('@')[0];
+            const name = card.name || phone;
+            db.contacts.upsert.run(chatId, name, phone);
+            imported.push({ chatId, name, phone });
+        }
+    });
+    importTx();
+
+    return res.json({ imported, skipped });
+});
+
+router.post('/:id/react', validate({ params: messageIdParamSchema, body: reactBodySchema }), async (req, res) => {
+    try {
+        const messageId = req.validatedParams.id;
+        const result = await req.account.whatsapp.reactToMessage(messageId, req.validatedBody.reaction);
+        return res.json({ success: true, ...result });
+    } catch (error) {
+        const message = error?.message || String(error);
+        const status = [
+            'WhatsApp not connected',
+            'Invalid message id',
+            'Message not found'
+        ].some((needle) => message.includes(needle)) ? 400 : 500;
+        return sendError(req, res, status, message);
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+
+const { validate } = require('../middleware/validate');
+const { queryString, queryLimit, queryOffset } = require('../../lib/zodHelpers');
+const { sendError } = require('../../lib/httpResponses');
+const { OUTBOX_STATUSES } = require('../../services/outbox');
+
+const idParamSchema = z.object({
+    id: z.preprocess(
+        (value) => parseInt(String(value), 10),
+        z.number({
+            required_error: 'Invalid outbox id',
+            invalid_type_error: 'Invalid outbox id'
+        }).int().positive('Invalid outbox id')
+    )
+}).strict();
+
+const outboxQuerySchema = z.object({
+    status: queryString({ defaultValue: '', trim: true }).refine(
+        (value) => !value || OUTBOX_STATUSES.includes(value),
+        { message: 'Invalid status' }
+    ),
+    limit: queryLimit({ defaultValue: 50, max: 500 }),
+    offset: queryOffset({ defaultValue: 0 })
+});
+
+router.get('/', validate({ query: outboxQuerySchema }), (req, res) => {
+    const { db, outbox } = req.account;
+    const { status, limit, offset } = req.validatedQuery;
+    const items = status
+        ? db.outbox.listByStatus.all(status, limit, offset)
+        : db.outbox.list.all(limit, offset);
+    return res.json({ items, counts: outbox.getCounts(), limit, offset });
+});
+
+router.get('/:id', validate({ params: idParamSchema }), (req, res) => {
+    const item = req.account.db.outbox.getById.get(req.validatedParams.id);
+    if (!item) {
+        return sendError(req, res, 404, 'Outbox item not found');
+    }
+    return res.json(item);
+});
+
+router.post('/:id/retry', validate({ params: idParamSchema }), (req, res) => {
+    const { db, outbox } = req.account;
+    const existing = db.outbox.getById.get(req.validatedParams.id);
+    if (!existing) {
+        return sendError(req, res, 404, 'Outbox item not found');
+    }
+    const item = outbox.retry(existing.id);
+    if (!item) {
+        return sendError(req, res, 409, 'Only failed items can be retried');
+    }
+    return res.json({ success: true, item });
+});
+
+router.delete('/:id', validate({ params: idParamSchema }), (req, res) => {
+    const { db, outbox } = req.account;
+    const existing = db.outbox.getById.get(req.validatedParams.id);
+    if (!existing) {
+        return sendError(req, res, 404, 'Outbox item not found');
+    }
+    if (!outbox.cancel(existing.id)) {
+        return sendError(req, res, 409, 'Only pending or failed items can be cancelled');
+    }
+    return res.json({ success: true });
+});
+
+module.exports = router;
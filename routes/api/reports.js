@@ -59,6 +59,9 @@ const responseTimeQuerySchema = z.object({
         path: ['range', 'start']
     });
 
+// Arama raporu da ayni tarih araligi, limit ve aralik parametrelerini kullanir
+const callsQuerySchema = responseTimeQuerySchema;
+
 router.get('/overview', validate({ query: overviewQuerySchema }), (req, res) => {
     const { range, limit } = req.validatedQuery;
 
@@ -77,6 +80,24 @@ router.get('/overview', validate({ query: overviewQuerySchema }), (req, res) =>
     });
 });
 
+router.get('/calls', validate({ query: callsQuerySchema }), (req, res) => {
+    const { range, limit, interval } = req.validatedQuery;
+
+    const summary = req.account.db.reports.getCallSummary.get(range.start, range.end);
+    const topCallers = req.account.db.reports.getTopCallers.all(range.start, range.end, limit);
+    const trend = interval === 'weekly'
+        ? req.account.db.reports.getCallWeeklyTrend.all(range.start, range.end)
+        : req.account.db.reports.getCallDailyTrend.all(range.start, range.end);
+
+    return res.json({
+        range,
+        interval,
+        summary,
+        topCallers,
+        trend
+    });
+});
+
 router.get('/trends', validate({ query: trendsQuerySchema }), (req, res) => {
     const { range, interval } = req.validatedQuery;
     const points = interval === 'weekly'
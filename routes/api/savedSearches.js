@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+
+const { validate } = require('../middleware/validate');
+const { LIMITS } = require('../../lib/apiValidation');
+const { sendError } = require('../../lib/httpResponses');
+const { searchQueryField, isEmptySearch } = require('../../lib/searchQuery');
+const { queryLimit, queryOffset } = require('../../lib/zodHelpers');
+const accountManager = require('../../services/accountManager');
+
+const booleanLike = z.preprocess((value) => {
+    if (value === undefined) return undefined;
+    if (value === true || value === false) return value;
+    if (value === 1 || value === '1' || value === 'true') return true;
+    if (value === 0 || value === '0' || value === 'false') return false;
+    return value;
+}, z.boolean());
+
+const optionalFilter = (message) => z.preprocess(
+    (value) => (typeof value === 'string' ? value.trim() : value),
+    z.union([z.string().max(LIMITS.QUERY_LENGTH, message), z.null()]).optional()
+);
+
+const savedSearchSchema = z.object({
+    name: z.preprocess(
+        (value) => (typeof value === 'string' ? value.trim() : value),
+        z.string({ required_error: 'Name required', invalid_type_error: 'Name required' })
+            .min(1, 'Name required')
+            .max(80, 'Name too long (max 80 chars)')
+    ),
+    query: searchQueryField({ maxLength: LIMITS.QUERY_LENGTH }),
+    tag: optionalFilter('Tag filter too long'),
+    note: optionalFilter('Note filter too long'),
+    shared: booleanLike.optional().default(false),
+    pinned: booleanLike.optional().default(false)
+}).strict().refine((data) => !isEmptySearch(data.query.parsed) || Boolean(data.tag) || Boolean(data.note), {
+    message: 'Search criteria required'
+});
+
+const savedSearchIdParamSchema = z.object({
+    id: z.coerce.number({ invalid_type_error: 'Invalid id' }).int('Invalid id').positive('Invalid id')
+}).strict();
+
+const pinBodySchema = z.object({
+    position: z.coerce.number({ invalid_type_error: 'Invalid position' }).int('Invalid position').min(0, 'Invalid position').optional()
+}).strict();
+
+const chatsQuerySchema = z.object({
+    limit: queryLimit({ defaultValue: 50, max: LIMITS.PAGINATION.MESSAGES }),
+    offset: queryOffset({ defaultValue: 0 })
+});
+
+// Kullanicilar varsayilan hesabin veritabanindadir; kayitli aramalar ise her hesabin kendi veritabaninda
+function ownerNames() {
+    const db = accountManager.getAccountContext(accountManager.getDefaultAccountId()).db;
+    return new Map(db.users.getAll.all().map(user => [user.id, user.display_name || user.username]));
+}
+
+function serialize(row, userId, names) {
+    return {
+        ...row,
+        is_owner: row.user_id === userId ? 1 : 0,
+        owner_name: names?.get(row.user_id) || null
+    };
+}
+
+function canManage(req, search) {
+    return search.user_id === req.session.userId || req.session.role === 'admin';
+}
+
+// Sahibi ya da paylasilmis olmayan arama baska kullaniciya 404 olarak gorunur
+function loadVisibleSearch(req, res) {
+    const search = req.account.db.savedSearches.getById.get(req.validatedParams.id);
+    if (!search || (search.user_id !== req.session.userId && !search.is_shared)) {
+        sendError(req, res, 404, 'Saved search not found');
+        return null;
+    }
+    return search;
+}
+
+router.use((req, res, next) => {
+    if (!req.session?.userId) {
+        return sendError(req, res, 401, 'Not authenticated');
+    }
+    return next();
+});
+
+router.get('/', (req, res) => {
+    const userId = req.session.userId;
+    const names = ownerNames();
+    const rows = req.account.db.savedSearches.getVisibleForUser.all(userId, userId);
+    return res.json(rows.map(row => serialize(row, userId, names)));
+});
+
+router.get('/counts', (req, res) => {
+    return res.json({ counts: req.account.savedSearches.getCountsForUser(req.session.userId) });
+});
+
+router.post('/', validate({ body: savedSearchSchema }), (req, res) => {
+    const userId = req.session.userId;
+    const { name, query, tag, note, shared, pinned } = req.validatedBody;
+    const { db, savedSearches } = req.account;
+
+    const result = db.savedSearches.create.run(userId, name, query.raw, tag || null, note || null, shared ? 1 : 0);
+    const id = Number(result.lastInsertRowid);
+    if (pinned) {
+        db.savedSearchPins.pin.run(id, userId, db.savedSearchPins.getNextPosition.get(userId).position);
+        savedSearches.refreshUser(userId);
+    }
+    return res.json({ success: true, id });
+});
+
+router.put('/:id', validate({ params: savedSearchIdParamSchema, body: savedSearchSchema }), (req, res) => {
+    const search = loadVisibleSearch(req, res);
+    if (!search) return;
+    if (!canManage(req, search)) {
+        return sendError(req, res, 403, 'Only the owner can edit this search');
+    }
+
+    const { name, query, tag, note, shared } = req.validatedBody;
+    const { db, savedSearches } = req.account;
+    db.savedSearches.update.run(name, query.raw, tag || null, note || null, shared ? 1 : 0, search.id);
+    if (search.is_shared && !shared) {
+        db.savedSearchPins.deleteOthers.run(search.id, search.user_id);
+    }
+    savedSearches.scheduleRefresh();
+    return res.json({ success: true });
+});
+
+router.delete('/:id', validate({ params: savedSearchIdParamSchema }), (req, res) => {
+    const search = loadVisibleSearch(req, res);
+    if (!search) return;
+    if (!canManage(req, search)) {
+        return sendError(req, res, 403, 'Only the owner can delete this search');
+    }
+
+    const { db, savedSearches } = req.account;
+    db.db.transaction(() => {
+        db.savedSearchPins.deleteBySearch.run(search.id);
+        db.savedSearches.delete.run(search.id);
+    })();
+    savedSearches.scheduleRefresh();
+    return res.json({ success: true });
+});
+
+router.post('/:id/pin', validate({ params: savedSearchIdParamSchema, body: pinBodySchema }), (req, res) => {
+    const search = loadVisibleSearch(req, res);
+    if (!search) return;
+
+    const userId = req.session.userId;
+    const { db, savedSearches } = req.account;
+    const position = req.validatedBody.position ?? db.savedSearchPins.getNextPosition.get(userId).position;
+    db.savedSearchPins.pin.run(search.id, userId, position);
+    return res.json({ success: true, counts: savedSearches.refreshUser(userId) });
+});
+
+router.delete('/:id/pin', validate({ params: savedSearchIdParamSchema }), (req, res) => {
+    const search = loadVisibleSearch(req, res);
+    if (!search) return;
+
+    const userId = req.session.userId;
+    req.account.db.savedSearchPins.unpin.run(search.id, userId);
+    return res.json({ success: true, counts: req.account.savedSearches.refreshUser(userId) });
+});
+
+router.get('/:id/chats', validate({ params: savedSearchIdParamSchema, query: chatsQuerySchema }), (req, res) => {
+    const search = loadVisibleSearch(req, res);
+    if (!search) return;
+
+    try {
+        return res.json(req.account.savedSearches.listChats(search, req.validatedQuery));
+    } catch (error) {
+        if (error.code === 'INVALID_SEARCH_QUERY') {
+            return sendError(req, res, 400, error.message);
+        }
+        throw error;
+    }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const router = express.Router();
 const { z } = require('zod');
 
 const { validate } = require('../middleware/validate');
+const { idempotency } = require('../middleware/idempotency');
 const { validateChatId, validateMessage } = require('../../lib/apiValidation');
 const { sendError } = require('../../lib/httpResponses');
 
@@ -59,7 +60,7 @@ router.get('/', (req, res) => {
     res.json(req.account.db.scheduled.getAll.all());
 });
 
-router.post('/', validate({ body: scheduleCreateSchema }), (req, res) => {
+router.post('/', validate({ body: scheduleCreateSchema }), idempotency('scheduled.create'), (req, res) => {
     const { chat_id, chat_name, message, template_id, scheduled_at, is_recurring, cron_expression } = req.validatedBody;
 
     let resolvedMessage = message || '';
@@ -7,6 +7,7 @@ const { validate } = require('../middleware/validate');
 const { LIMITS, validateChatId } = require('../../lib/apiValidation');
 const { queryLimit } = require('../../lib/zodHelpers');
 const { sendError } = require('../../lib/httpResponses');
+const { CHAT_SCOPED_TRIGGERS } = require('../../services/scriptRunner');
 
 const booleanLike = z.preprocess((value) => {
     if (value === undefined) return undefined;
@@ -37,7 +38,7 @@ const scriptUpsertSchema = z.object({
         if (typeof value !== 'string') return value;
         const normalized = value.trim().toLowerCase();
         return normalized ? normalized : undefined;
-    }, z.enum(['message', 'ready', 'manual']).optional()),
+    }, z.enum(['message', 'reaction', 'ready', 'manual']).optional()),
     trigger_filter: z.union([z.record(z.any()), z.null()]).optional(),
     is_active: booleanLike.optional()
 }).strict();
@@ -101,7 +102,7 @@ router.post('/', requireRole(['admin']), validate({ body: scriptUpsertSchema }),
     const { name, description, code, trigger_type, trigger_filter, is_active } = req.validatedBody;
     const resolvedTriggerType = trigger_type || 'message';
     let resolvedFilter = trigger_filter || null;
-    if (resolvedTriggerType === 'message') {
+    if (CHAT_SCOPED_TRIGGERS.includes(resolvedTriggerType)) {
         const scope = ensureMessageChatScope(resolvedFilter);
         if (!scope.ok) {
             return sendError(req, res, 400, scope.error);
@@ -138,7 +139,7 @@ router.put('/:id', requireRole(['admin']), validate({ body: scriptUpsertSchema }
             : JSON.stringify(trigger_filter);
     const resolvedIsActive = is_active === undefined ? existing.is_active : (is_active ? 1 : 0);
 
-    if (resolvedTriggerType === 'message') {
+    if (CHAT_SCOPED_TRIGGERS.includes(resolvedTriggerType)) {
         const filterObj = trigger_filter === undefined
             ? parseFilterJson(existing.trigger_filter)
             : trigger_filter;
@@ -3,12 +3,94 @@ const router = express.Router();
 const { z } = require('zod');
 
 const { createAccountUpload } = require('../middleware/upload');
-const { validateChatId, validateMessage } = require('../../lib/apiValidation');
+const { LIMITS, validateChatId, validateMessage, validateUrl } = require('../../lib/apiValidation');
 const { sendError } = require('../../lib/httpResponses');
 const { validate } = require('../middleware/validate');
+const { idempotency } = require('../middleware/idempotency');
 
 const upload = createAccountUpload();
 
+const POLL_QUESTION_LENGTH = 255;
+const POLL_OPTION_LENGTH = 100;
+const POLL_MIN_OPTIONS = 2;
+const POLL_MAX_OPTIONS = 12;
+const LOCATION_TEXT_LENGTH = 256;
+const CONTACT_NAME_LENGTH = 100;
+
+const pollOptionSchema = z.preprocess(
+    (value) => (typeof value === 'string' ? value.trim() : value),
+    z.string({ invalid_type_error: 'Poll options must be strings' })
+        .min(1, 'Poll options cannot be empty')
+        .max(POLL_OPTION_LENGTH, 'Poll option too long')
+);
+
+// Multipart isteklerde nesne alanlari JSON metni olarak gelir
+const parseJsonField = (value) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+};
+
+const optionalText = (maxLength, message) => z.preprocess(
+    (value) => {
+        if (value === undefined || value === null) return undefined;
+        if (typeof value !== 'string') return value;
+        const trimmed = value.trim();
+        return trimmed ? trimmed : undefined;
+    },
+    z.string({ invalid_type_error: message }).max(maxLength, message).optional()
+);
+
+const coordinate = (min, max, message) => z.preprocess(
+    (value) => (typeof value === 'string' && value.trim() ? Number(value) : value),
+    z.number({ required_error: message, invalid_type_error: message })
+        .finite(message)
+        .min(min, message)
+        .max(max, message)
+);
+
+const locationSchema = z.preprocess(parseJsonField, z.object({
+    latitude: coordinate(-90, 90, 'Invalid latitude'),
+    longitude: coordinate(-180, 180, 'Invalid longitude'),
+    name: optionalText(LOCATION_TEXT_LENGTH, 'Location name too long'),
+    address: optionalText(LOCATION_TEXT_LENGTH, 'Location address too long'),
+    url: optionalText(LIMITS.URL_LENGTH, 'Invalid location url').refine(
+        (value) => value === undefined || validateUrl(value),
+        { message: 'Invalid location url' }
+    )
+}, { invalid_type_error: 'Invalid location' }).strict());
+
+const contactSchema = z.preprocess(parseJsonField, z.object({
+    name: z.preprocess(
+        (value) => (typeof value === 'string' ? value.trim() : value),
+        z.string({ required_error: 'Contact name required', invalid_type_error: 'Contact name required' })
+            .min(1, 'Contact name required')
+            .max(CONTACT_NAME_LENGTH, 'Contact name too long')
+    ),
+    phone: z.preprocess(
+        (value) => (typeof value === 'string' || typeof value === 'number' ? String(value).replace(/[\s\-()+]/g, '') : value),
+        z.string({ required_error: 'Contact phone required', invalid_type_error: 'Contact phone required' })
+            .regex(/^\d{6,20}$/, 'Invalid contact phone')
+    )
+}, { invalid_type_error: 'Invalid contact' }).strict());
+
+const pollSchema = z.preprocess(parseJsonField, z.object({
+    question: z.preprocess(
+        (value) => (typeof value === 'string' ? value.trim() : value),
+        z.string({ required_error: 'Poll question required', invalid_type_error: 'Poll question required' })
+            .min(1, 'Poll question required')
+            .max(POLL_QUESTION_LENGTH, 'Poll question too long')
+    ),
+    options: z.array(pollOptionSchema, { invalid_type_error: 'Poll options must be an array' })
+        .min(POLL_MIN_OPTIONS, `Poll needs at least ${POLL_MIN_OPTIONS} options`)
+        .max(POLL_MAX_OPTIONS, `Poll can have at most ${POLL_MAX_OPTIONS} options`)
+        .refine((options) => new Set(options).size === options.length, { message: 'Poll options must be unique' }),
+    allowMultipleAnswers: z.boolean({ invalid_type_error: 'allowMultipleAnswers must be a boolean' }).optional().default(false)
+}, { invalid_type_error: 'Invalid poll' }).strict());
+
 const sendBodySchema = z.object({
     chatId: z.preprocess(
         (value) => (typeof value === 'string' ? value.trim() : value),
@@ -41,25 +123,64 @@ const sendBodySchema = z.object({
             if (['0', 'false', 'no', 'off'].includes(normalized)) return false;
         }
         return value;
-    }, z.boolean().optional())
+    }, z.boolean().optional()),
+    poll: pollSchema.optional(),
+    location: locationSchema.optional(),
+    contact: contactSchema.optional()
 });
 
-router.post('/', upload.single('media'), validate({ body: sendBodySchema }), async (req, res) => {
+function describeLocation(location) {
+    const text = [location.name, location.address].filter(Boolean).join('\n');
+    return text || `${location.latitude},${location.longitude}`;
+}
+
+router.post('/', upload.single('media'), validate({ body: sendBodySchema }), idempotency('send'), async (req, res) => {
     try {
-        const { chatId, message, quotedMessageId, sendAsSticker } = req.validatedBody;
-        const messageText = message || '';
+        const { chatId, message, quotedMessageId, sendAsSticker, poll, location, contact } = req.validatedBody;
+        const specialContent = [req.file, poll, location, contact].filter(Boolean);
+        if (specialContent.length > 1) {
+            return sendError(req, res, 400, 'Only one of media, poll, location or contact can be sent');
+        }
+        let messageText = message || '';
+        if (poll) messageText = poll.question;
+        if (location) messageText = describeLocation(location);
+        if (contact) messageText = contact.name;
         if (!messageText && !req.file) {
             return sendError(req, res, 400, 'chatId and message or media required');
         }
         const options = req.file ? { mediaPath: req.file.path } : {};
+        if (poll) {
+            options.poll = poll;
+        }
+        if (location) {
+            options.location = location;
+        }
+        if (contact) {
+            options.contact = contact;
+        }
         if (quotedMessageId) {
             options.quotedMessageId = quotedMessageId;
         }
         if (req.file && sendAsSticker === true) {
             options.sendAsSticker = true;
         }
-        const result = await req.account.whatsapp.sendMessage(chatId, messageText, options);
-        return res.json({ success: true, messageId: result.id._serialized });
+        const { item, result } = await req.account.outbox.send(chatId, messageText, options, {
+            source: 'api',
+            createdBy: req.session?.userId
+        });
+        if (result) {
+            return res.json({ success: true, messageId: result.id._serialized, outboxId: item.id });
+        }
+        if (item.status === 'failed') {
+            return sendError(req, res, 500, item.last_error || 'Message send failed', { outboxId: item.id });
+        }
+        return res.status(202).json({
+            success: true,
+            queued: true,
+            outboxId: item.id,
+            status: item.status,
+            lastError: item.last_error || null
+        });
     } catch (error) {
         return sendError(req, res, 500, error.message);
     }
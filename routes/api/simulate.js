@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { validateChatId, LIMITS } = require('../../lib/apiValidation');
+const { sendError } = require('../../lib/httpResponses');
+
+const booleanLike = z.preprocess((value) => {
+    if (value === undefined) return undefined;
+    if (value === true || value === false) return value;
+    if (value === 1 || value === '1' || value === 'true') return true;
+    if (value === 0 || value === '0' || value === 'false') return false;
+    return value;
+}, z.boolean());
+
+const chatIdField = (message) => z.preprocess(
+    (value) => (typeof value === 'string' ? value.trim() : value),
+    z.string({
+        required_error: message,
+        invalid_type_error: message
+    }).refine(validateChatId, { message })
+);
+
+const simulateMessageSchema = z.object({
+    chatId: chatIdField('Invalid chatId format'),
+    body: z.preprocess(
+        (value) => (typeof value === 'string' ? value.trim() : value),
+        z.string({
+            required_error: 'Message body required',
+            invalid_type_error: 'Message body required'
+        }).min(1, 'Message body required').max(LIMITS.MESSAGE_LENGTH, 'Message too long')
+    ),
+    from: chatIdField('Invalid sender').optional(),
+    fromName: z.string({ invalid_type_error: 'Invalid sender name' }).trim().max(100, 'Invalid sender name').optional(),
+    dryRun: booleanLike.optional().default(false)
+}).strict().refine((data) => !data.chatId.endsWith('@g.us') || Boolean(data.from), {
+    message: 'Sender required for group chats'
+});
+
+function taskResult(task, fallback) {
+    if (!task || task.outcome !== 'success') return fallback;
+    return task.result || fallback;
+}
+
+// Gelen mesaji taklit edip otomatik yanit, script ve webhook zincirinden gecirir.
+// dryRun: true ile hicbir mesaj gonderilmez ve webhook kuyruguna bir sey eklenmez.
+router.post('/message', requireRole(['admin']), validate({ body: simulateMessageSchema }), async (req, res) => {
+    const { whatsapp, messagePipeline, account } = req.account;
+    const { dryRun, ...input } = req.validatedBody;
+
+    try {
+        const msgData = whatsapp.buildSimulatedMessageData(input);
+        const report = await messagePipeline.process({ msgData, fromMe: false, accountId: account.id, dryRun });
+        const errors = Object.entries(report.tasks)
+            .filter(([, task]) => task.outcome === 'error')
+            .map(([task, result]) => ({ task, error: result.error }));
+
+        res.json({
+            success: true,
+            dryRun: report.dryRun,
+            traceId: report.traceId,
+            message: msgData,
+            autoReply: taskResult(report.tasks.autoReply, null),
+            scripts: taskResult(report.tasks.scriptRunner, []),
+            webhooks: taskResult(report.tasks.webhook, []),
+            sent: report.sent,
+            errors
+        });
+    } catch (error) {
+        return sendError(req, res, 500, error.message);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const fs = require('fs');
+const router = express.Router();
+const { z } = require('zod');
+
+const { createAccountUpload } = require('../middleware/upload');
+const { LIMITS, validateChatId } = require('../../lib/apiValidation');
+const { sendError } = require('../../lib/httpResponses');
+const { queryString } = require('../../lib/zodHelpers');
+const { validate } = require('../middleware/validate');
+
+const upload = createAccountUpload();
+
+// WhatsApp durum metni icin uygulanan ust sinir
+const STATUS_TEXT_LENGTH = 700;
+
+const statusListQuerySchema = z.object({
+    author: queryString({ defaultValue: '', maxLength: 100, trim: true }).refine(
+        (value) => !value || validateChatId(value),
+        { message: 'Invalid author format' }
+    )
+});
+
+const statusPostBodySchema = z.object({
+    text: z.preprocess(
+        (value) => (typeof value === 'string' ? value.trim() : value),
+        z.string({ invalid_type_error: 'text must be a string' })
+            .max(STATUS_TEXT_LENGTH, 'Status text too long')
+            .optional()
+    )
+});
+
+function removeUpload(file) {
+    if (!file) return;
+    try {
+        fs.unlinkSync(file.path);
+    } catch (e) {}
+}
+
+function statusErrorStatus(message) {
+    return [
+        'WhatsApp not connected',
+        'Status text or image required'
+    ].some((needle) => message.includes(needle)) ? 400 : 500;
+}
+
+router.get('/', validate({ query: statusListQuerySchema }), (req, res) => {
+    const contacts = req.account.whatsapp.getActiveStatuses({
+        authorId: req.validatedQuery.author || null,
+        limit: LIMITS.PAGINATION.MESSAGES
+    });
+    return res.json({ contacts });
+});
+
+router.post('/refresh', async (req, res) => {
+    try {
+        const result = await req.account.whatsapp.syncStatuses();
+        return res.json(result);
+    } catch (error) {
+        const message = error?.message || String(error);
+        return sendError(req, res, statusErrorStatus(message), message);
+    }
+});
+
+router.post('/', upload.single('media'), validate({ body: statusPostBodySchema }), async (req, res) => {
+    const file = req.file || null;
+    if (file && !String(file.mimetype || '').startsWith('image/')) {
+        removeUpload(file);
+        return sendError(req, res, 400, 'Only image statuses are supported');
+    }
+
+    try {
+        const status = await req.account.whatsapp.postStatus({
+            text: req.validatedBody.text || '',
+            mediaPath: file ? file.path : null,
+            mimetype: file ? file.mimetype : null
+        });
+        return res.json({ success: true, status });
+    } catch (error) {
+        removeUpload(file);
+        const message = error?.message || String(error);
+        return sendError(req, res, statusErrorStatus(message), message);
+    }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const { z } = require('zod');
 
 const { LIMITS } = require('../../lib/apiValidation');
 const { sendError } = require('../../lib/httpResponses');
+const { requireRole } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
 
 const tagSchema = z.object({
@@ -25,7 +26,21 @@ const tagSchema = z.object({
 }).strict();
 
 router.get('/', (req, res) => {
-    return res.json(req.account.db.tags.getAll.all());
+    const tags = req.account.db.tags.getAll.all().map(tag => ({
+        ...tag,
+        label_backed: Boolean(tag.wa_label_id)
+    }));
+    return res.json(tags);
+});
+
+router.post('/sync-labels', requireRole(['admin', 'manager']), async (req, res) => {
+    try {
+        const result = await req.account.whatsapp.syncLabels();
+        return res.json(result);
+    } catch (error) {
+        const message = error?.message || String(error);
+        return sendError(req, res, message.includes('WhatsApp not connected') ? 400 : 500, message);
+    }
 });
 
 router.post('/', validate({ body: tagSchema }), (req, res) => {
@@ -40,6 +55,10 @@ router.post('/', validate({ body: tagSchema }), (req, res) => {
 
 router.put('/:id', validate({ body: tagSchema }), (req, res) => {
     const { name, color } = req.validatedBody;
+    const existing = req.account.db.tags.getById.get(req.params.id);
+    if (existing?.wa_label_id) {
+        return sendError(req, res, 409, 'Tag is backed by a WhatsApp label');
+    }
     req.account.db.tags.update.run(name, color ?? null, req.params.id);
     return res.json({ success: true });
 });
@@ -49,6 +68,10 @@ router.delete('/:id', (req, res) => {
     if (Number.isNaN(tagId)) {
         return sendError(req, res, 400, 'Invalid tag id');
     }
+    // Etiket telefonda durdukca bir sonraki senkronizasyonda geri gelir
+    if (req.account.db.tags.getById.get(tagId)?.wa_label_id) {
+        return sendError(req, res, 409, 'Tag is backed by a WhatsApp label');
+    }
     req.account.db.db.prepare('DELETE FROM contact_tags WHERE tag_id = ?').run(req.params.id);
     req.account.db.tags.delete.run(req.params.id);
     return res.json({ success: true });
@@ -83,7 +83,7 @@ router.post('/', requireRole(['admin']), validate({ body: userCreateSchema }), (
     }
 
     const { hash, salt } = hashPassword(password);
-    const result = req.account.db.users.create.run(username, display_name || username, hash, salt, 1);
+    const result = req.account.db.users.create.run(username, display_name || username, hash, salt, 1, null);
     req.account.db.userRoles.assign.run(result.lastInsertRowid, roleId);
     return res.json({ success: true, id: result.lastInsertRowid });
 });
@@ -4,6 +4,7 @@ const { z } = require('zod');
 
 const { requireRole } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
+const { idempotency } = require('../middleware/idempotency');
 const { LIMITS, validateUrl } = require('../../lib/apiValidation');
 const { queryLimit, queryOffset } = require('../../lib/zodHelpers');
 const { sendError } = require('../../lib/httpResponses');
@@ -86,7 +87,7 @@ router.get('/:id/deliveries', requireRole(['admin']), validate({ query: deliveri
     return res.json(req.account.db.webhookDeliveries.getByWebhookId.all(req.params.id, limit, offset));
 });
 
-router.post('/deliveries/:id/replay', requireRole(['admin']), async (req, res) => {
+router.post('/deliveries/:id/replay', requireRole(['admin']), idempotency('webhooks.replay'), async (req, res) => {
     try {
         const delivery = req.account.db.webhookDeliveries.getById.get(req.params.id);
         if (!delivery) {
@@ -6,6 +6,18 @@ const { requireRole } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
 const { validateChatId } = require('../../lib/apiValidation');
 const { sendError } = require('../../lib/httpResponses');
+const { queryLimit, queryOffset } = require('../../lib/zodHelpers');
+
+const CONNECTION_EVENTS = [
+    'connected',
+    'disconnected',
+    'auth_failure',
+    'init_failed',
+    'qr',
+    'reconnect_scheduled',
+    'reconnect_attempt',
+    'browser_restart'
+];
 
 const booleanLike = z.preprocess((value) => {
     if (value === undefined) return undefined;
@@ -33,9 +45,68 @@ const whatsappSettingsSchema = z.object({
     }),
     uploadToDrive: booleanLike.optional(),
     downloadMediaOnSync: booleanLike.optional(),
-    ghostMode: booleanLike.optional()
+    ghostMode: booleanLike.optional(),
+    rejectCalls: booleanLike.optional(),
+    callRejectMessage: z.string().max(1000, 'callRejectMessage too long').optional(),
+    callRejectTemplateId: z.preprocess(
+        (value) => {
+            if (value === undefined) return undefined;
+            if (value === null || value === '') return null;
+            const parsed = parseInt(String(value), 10);
+            return Number.isFinite(parsed) ? parsed : value;
+        },
+        z.number({ invalid_type_error: 'Invalid callRejectTemplateId' }).int().positive('Invalid callRejectTemplateId').nullable().optional()
+    )
+}).strict();
+
+const statusHistoryQuerySchema = z.object({
+    event: z.enum(CONNECTION_EVENTS, {
+        errorMap: () => ({ message: 'Invalid event' })
+    }).optional(),
+    limit: queryLimit({ defaultValue: 50, max: 500 }),
+    offset: queryOffset({ defaultValue: 0 })
+});
+
+const pairingCodeBodySchema = z.object({
+    phoneNumber: z.preprocess(
+        (value) => (typeof value === 'string' || typeof value === 'number' ? String(value).replace(/[\s()+-]/g, '') : value),
+        z.string({
+            required_error: 'Phone number required',
+            invalid_type_error: 'Phone number required'
+        }).regex(/^\d{8,15}$/, 'Invalid phone number')
+    )
 }).strict();
 
+function pairingErrorStatus(message) {
+    if (message === 'Invalid phone number') return 400;
+    if (message === 'WhatsApp already connected') return 409;
+    if (message === 'Pairing code timed out') return 504;
+    return 500;
+}
+
+const simulatorIncomingBodySchema = z.object({
+    chatId: z.preprocess(
+        (value) => (typeof value === 'string' ? value.trim() : value),
+        z.string({
+            required_error: 'Invalid chatId format',
+            invalid_type_error: 'Invalid chatId format'
+        }).refine(validateChatId, { message: 'Invalid chatId format' })
+    ),
+    type: z.enum(['chat', 'image', 'document'], {
+        errorMap: () => ({ message: 'Invalid message type' })
+    }).default('chat'),
+    body: z.string({ invalid_type_error: 'Invalid message body' }).max(4096, 'Message too long').optional(),
+    author: z.string().refine(validateChatId, { message: 'Invalid author' }).optional()
+}).strict().refine((data) => data.type !== 'chat' || Boolean(data.body?.trim()), {
+    message: 'Message body required'
+});
+
+function simulatorErrorStatus(message) {
+    if (message === 'Simulator transport not active' || message === 'WhatsApp not connected') return 409;
+    if (message === 'Chat not found') return 404;
+    return 500;
+}
+
 const chatIdParamSchema = z.object({
     id: z.preprocess(
         (value) => (typeof value === 'string' ? value.trim() : value),
@@ -56,6 +127,20 @@ router.get('/status', (req, res) => {
     });
 });
 
+router.get('/status/history', validate({ query: statusHistoryQuerySchema }), (req, res) => {
+    const { db, supervisor } = req.account;
+    const { event, limit, offset } = req.validatedQuery;
+    const items = event
+        ? db.connectionEvents.listByEvent.all(event, limit, offset)
+        : db.connectionEvents.list.all(limit, offset);
+    res.json({
+        items,
+        limit,
+        offset,
+        supervisor: supervisor ? supervisor.getState() : null
+    });
+});
+
 router.get('/qr', (req, res) => {
     const status = req.account.whatsapp.getStatus();
     res.json({ qr: status.qrCode, status: status.status });
@@ -76,6 +161,28 @@ router.post('/connect', async (req, res) => {
     }
 });
 
+router.post('/connect/pairing-code', validate({ body: pairingCodeBodySchema }), async (req, res) => {
+    try {
+        const code = await req.account.whatsapp.requestPairingCode(req.validatedBody.phoneNumber);
+        res.json({ success: true, code });
+    } catch (error) {
+        const message = error?.message || String(error);
+        return sendError(req, res, pairingErrorStatus(message), message);
+    }
+});
+
+// Simulator hesaplarinda karsi taraftan mesaj gelmis gibi davranir (otomasyon ve egitim icin)
+router.post('/simulator/incoming', requireRole(['admin']), validate({ body: simulatorIncomingBodySchema }), (req, res) => {
+    try {
+        const { chatId, ...data } = req.validatedBody;
+        const result = req.account.whatsapp.simulateIncomingMessage(chatId, data);
+        res.json(result);
+    } catch (error) {
+        const message = error?.message || String(error);
+        return sendError(req, res, simulatorErrorStatus(message), message);
+    }
+});
+
 router.post('/disconnect', async (req, res) => {
     try {
         await req.account.whatsapp.logout();
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+const config = require('../../config');
+const { sendError } = require('../../lib/httpResponses');
+
+const HEADER_NAME = 'idempotency-key';
+const KEY_PATTERN = /^[\w\-.:]{1,200}$/;
+
+function hashRequest(req) {
+    const file = req.file
+        ? { name: req.file.originalname, size: req.file.size, mimetype: req.file.mimetype }
+        : null;
+    const payload = JSON.stringify({
+        method: req.method,
+        path: req.baseUrl + req.path,
+        body: req.body || null,
+        file
+    });
+    return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+// Islenmeyecek istek icin multer'in yazdigi dosya medya dizininde birakilmaz
+function discardUpload(req) {
+    if (req.file?.path) {
+        fs.promises.unlink(req.file.path).catch(() => {});
+    }
+}
+
+/**
+ * Idempotency-Key header'i olan istekleri scope + kullanici + key bazinda saklar.
+ * Ayni key ile tekrar gelen istek yeniden calistirilmaz; ilk yanit aynen dondurulur.
+ * 5xx yanitlar saklanmaz, istemci ayni key ile tekrar deneyebilir.
+ */
+function idempotency(scope, { ttlMs = config.IDEMPOTENCY_TTL_MS } = {}) {
+    return (req, res, next) => {
+        const rawKey = req.get(HEADER_NAME);
+        if (rawKey === undefined) {
+            return next();
+        }
+
+        const key = String(rawKey).trim();
+        if (!KEY_PATTERN.test(key)) {
+            discardUpload(req);
+            return sendError(req, res, 400, 'Invalid Idempotency-Key header');
+        }
+
+        const store = req.account?.db?.idempotencyKeys;
+        if (!store) {
+            return next();
+        }
+
+        // Farkli kullanicilarin ayni key'i birbirinin yanitini dondurmez
+        const userScope = req.session?.userId ? `${scope}:${req.session.userId}` : scope;
+        const now = Date.now();
+        const requestHash = hashRequest(req);
+        const reserved = store.reserve.run(userScope, key, requestHash, now + ttlMs, now);
+
+        if (!reserved || reserved.changes === 0) {
+            discardUpload(req);
+            const existing = store.get.get(userScope, key, now);
+            if (!existing) {
+                return sendError(req, res, 409, 'Request with this Idempotency-Key is in progress');
+            }
+            if (existing.request_hash !== requestHash) {
+                return sendError(req, res, 422, 'Idempotency-Key was already used with a different request');
+            }
+            if (existing.state !== 'completed') {
+                return sendError(req, res, 409, 'Request with this Idempotency-Key is in progress');
+            }
+
+            let body = null;
+            try {
+                body = existing.response_body ? JSON.parse(existing.response_body) : null;
+            } catch (e) {
+                body = null;
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.status_code || 200).json(body);
+        }
+
+        // Yanit handler tarafindan uretildigi anda saklanir; istemci baglantiyi
+        // erkenden kapatsa bile sonuc kaybolmaz.
+        let settled = false;
+        const settle = (statusCode, body) => {
+            if (settled) return;
+            settled = true;
+            try {
+                if (statusCode >= 500 || body === undefined) {
+                    store.release.run(userScope, key);
+                    return;
+                }
+                store.complete.run(statusCode, JSON.stringify(body), userScope, key);
+            } catch (e) {}
+        };
+
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            settle(res.statusCode, body);
+            return originalJson(body);
+        };
+        res.on('finish', () => settle(res.statusCode, undefined));
+
+        return next();
+    };
+}
+
+module.exports = { idempotency };
@@ -25,5 +25,21 @@ function createAccountUpload({ fileSizeBytes = LIMITS.FILE_SIZE_BYTES } = {}) {
     return multer({ storage, limits: { fileSize: fileSizeBytes } });
 }
 
-module.exports = { createAccountUpload };
+function createArchiveUpload({ destination, fileSizeBytes }) {
+    const storage = multer.diskStorage({
+        destination: (req, file, cb) => {
+            if (!fs.existsSync(destination)) {
+                fs.mkdirSync(destination, { recursive: true });
+            }
+            cb(null, destination);
+        },
+        filename: (req, file, cb) => {
+            cb(null, Date.now() + '-' + Math.random().toString(36).slice(2, 8) + '.upload');
+        }
+    });
+
+    return multer({ storage, limits: { fileSize: fileSizeBytes, files: 1 } });
+}
+
+module.exports = { createAccountUpload, createArchiveUpload };
 
@@ -5,17 +5,25 @@ const { createDatabase } = require('../database');
 const { createWhatsAppClient } = require('../whatsapp');
 const { createDriveService } = require('../drive');
 const { createAutoReplyService } = require('./autoReply');
+const { createCallReplyService } = require('./callReply');
 const { createCleanupService } = require('./cleanup');
 const { createSchedulerService } = require('./scheduler');
 const { createWebhookService } = require('./webhook');
 const { createScriptRunner } = require('./scriptRunner');
 const { createMessagePipeline } = require('./messagePipeline');
+const { createCampaignService } = require('./campaigns');
+const { createOutboxService } = require('./outbox');
+const { createConnectionSupervisor } = require('./connectionSupervisor');
+const { createSavedSearchService } = require('./savedSearches');
+const { writeSessionArchive, extractSessionArchive, installSessionArchive } = require('./sessionArchive');
 const { logger } = require('./logger');
 const { sendError } = require('../lib/httpResponses');
 
 const ACCOUNTS_FILE = path.join(config.DATA_DIR, 'accounts.json');
 const ACCOUNTS_DIR = path.join(config.DATA_DIR, 'accounts');
 const DEFAULT_ACCOUNT_ID = 'default';
+const ACTIVE_CLIENT_STATUSES = new Set(['initializing', 'qr', 'authenticated', 'ready']);
+const SAVED_SEARCH_REFRESH_EVENTS = new Set(['message', 'chat_updated', 'sync_chats_indexed', 'labels_synced']);
 
 function ensureDir(dirPath) {
     if (!fs.existsSync(dirPath)) {
@@ -57,10 +65,11 @@ function isValidAccountId(accountId) {
     return typeof accountId === 'string' && /^[a-z0-9-]{1,40}$/.test(accountId);
 }
 
-function getAccountConfig(accountId) {
+function getAccountConfig(accountId, account = null) {
     const accountDataDir = path.join(ACCOUNTS_DIR, accountId);
     return {
         ...config,
+        WHATSAPP_TRANSPORT: account?.transport || config.WHATSAPP_TRANSPORT,
         DATA_DIR: accountDataDir,
         SESSION_DIR: path.join(accountDataDir, 'session'),
         DB_PATH: path.join(accountDataDir, 'whatsapp.db'),
@@ -108,6 +117,7 @@ class AccountManager {
         }
 
         this.contexts = new Map();
+        this.sessionOperations = new Set();
         this.io = null;
         this.metrics = null;
 
@@ -127,7 +137,7 @@ class AccountManager {
         return this.accounts.find(account => account.id === accountId) || null;
     }
 
-    createAccount(name) {
+    createAccount(name, options = {}) {
         const accountName = (name || 'Yeni Hesap').trim().slice(0, 60) || 'Yeni Hesap';
         let accountId = createAccountId(accountName);
         while (this.findAccount(accountId)) {
@@ -135,6 +145,9 @@ class AccountManager {
         }
 
         const account = { id: accountId, name: accountName, createdAt: Date.now() };
+        if (options.transport) {
+            account.transport = options.transport;
+        }
         this.accounts.push(account);
         writeAccounts(this.accounts);
         return account;
@@ -147,7 +160,7 @@ class AccountManager {
         }
 
         const account = this.findAccount(resolvedId) || { id: resolvedId, name: 'Varsayilan Hesap' };
-        const accountConfig = getAccountConfig(resolvedId);
+        const accountConfig = getAccountConfig(resolvedId, account);
         ensureDir(accountConfig.DATA_DIR);
         ensureDir(accountConfig.MEDIA_DIR);
         ensureDir(accountConfig.SESSION_DIR);
@@ -156,12 +169,17 @@ class AccountManager {
         const db = createDatabase(accountConfig);
         const drive = createDriveService(accountConfig);
         const whatsapp = createWhatsAppClient(accountConfig, db, drive);
-        const autoReply = createAutoReplyService(db, whatsapp);
+        const outbox = createOutboxService(db, whatsapp, config, this.metrics, { accountId: resolvedId });
+        const autoReply = createAutoReplyService(db, whatsapp, { outbox });
+        const callReply = createCallReplyService(db, whatsapp, { outbox });
         const cleanup = createCleanupService(db, config, this.metrics, { accountId: resolvedId });
-        const scheduler = createSchedulerService(db, whatsapp, config, this.metrics, { accountId: resolvedId });
+        const scheduler = createSchedulerService(db, whatsapp, config, this.metrics, { accountId: resolvedId, outbox });
         const webhook = createWebhookService(db, config, this.metrics, { accountId: resolvedId });
-        const scriptRunner = createScriptRunner(db, whatsapp);
+        const scriptRunner = createScriptRunner(db, whatsapp, { outbox });
         const messagePipeline = createMessagePipeline({ autoReply, webhook, scriptRunner, logger, metrics: this.metrics });
+        const campaigns = createCampaignService(db, whatsapp, config, this.metrics, { accountId: resolvedId, outbox });
+        const supervisor = createConnectionSupervisor(db, whatsapp, accountConfig, this.metrics, { accountId: resolvedId });
+        const savedSearches = createSavedSearchService(db, whatsapp, { accountId: resolvedId });
 
         const context = {
             account,
@@ -170,11 +188,16 @@ class AccountManager {
             drive,
             whatsapp,
             autoReply,
+            callReply,
             cleanup,
             scheduler,
             webhook,
             scriptRunner,
-            messagePipeline
+            messagePipeline,
+            campaigns,
+            outbox,
+            supervisor,
+            savedSearches
         };
 
         const originalHandleMessage = whatsapp.handleMessage.bind(whatsapp);
@@ -192,6 +215,78 @@ class AccountManager {
             return result;
         };
 
+        const originalHandleReady = whatsapp.handleReady.bind(whatsapp);
+        whatsapp.handleReady = async () => {
+            const result = await originalHandleReady();
+            outbox.flush().catch(() => {});
+            return result;
+        };
+
+        const originalHandleMessageAck = whatsapp.handleMessageAck.bind(whatsapp);
+        whatsapp.handleMessageAck = async (msg, ack) => {
+            const result = await originalHandleMessageAck(msg, ack);
+
+            if (result) {
+                try {
+                    campaigns.handleAck(result.messageId, result.ack);
+                } catch (error) {
+                    logger.warn('Campaign ack update failed', {
+                        category: 'campaign',
+                        accountId: resolvedId,
+                        error: error.message
+                    });
+                }
+            }
+
+            return result;
+        };
+
+        const originalHandleMessageReaction = whatsapp.handleMessageReaction.bind(whatsapp);
+        whatsapp.handleMessageReaction = async (reaction) => {
+            const result = await originalHandleMessageReaction(reaction);
+
+            if (result) {
+                messagePipeline.scheduleEvent({
+                    event: 'reaction',
+                    data: result,
+                    accountId: resolvedId
+                });
+            }
+
+            return result;
+        };
+
+        const originalHandleIncomingCall = whatsapp.handleIncomingCall.bind(whatsapp);
+        whatsapp.handleIncomingCall = async (call) => {
+            const result = await originalHandleIncomingCall(call);
+
+            if (result) {
+                messagePipeline.scheduleEvent({
+                    event: 'call',
+                    data: result,
+                    accountId: resolvedId
+                });
+                callReply.handleCall(result).catch((error) => {
+                    logger.warn('Call reply failed', {
+                        category: 'call',
+                        accountId: resolvedId,
+                        error: error.message
+                    });
+                });
+            }
+
+            return result;
+        };
+
+        // Okunmamis sayilarini degistiren olaylardan sonra klasor sayilari yeniden hesaplanir
+        const originalEmit = whatsapp.emit.bind(whatsapp);
+        whatsapp.emit = (event, data) => {
+            originalEmit(event, data);
+            if (SAVED_SEARCH_REFRESH_EVENTS.has(event)) {
+                savedSearches.scheduleRefresh();
+            }
+        };
+
         if (this.io) {
             whatsapp.setSocketIO(this.io, resolvedId);
         }
@@ -199,6 +294,9 @@ class AccountManager {
         if (config.ENABLE_BACKGROUND_JOBS) {
             scheduler.start();
             cleanup.start();
+            campaigns.start();
+            outbox.start();
+            supervisor.start();
         } else {
             logger.info('Background jobs disabled', { category: 'lifecycle', accountId: resolvedId });
         }
@@ -226,6 +324,15 @@ class AccountManager {
             try {
                 context.cleanup?.setMetrics?.(this.metrics);
             } catch (e) {}
+            try {
+                context.campaigns?.setMetrics?.(this.metrics);
+            } catch (e) {}
+            try {
+                context.outbox?.setMetrics?.(this.metrics);
+            } catch (e) {}
+            try {
+                context.supervisor?.setMetrics?.(this.metrics);
+            } catch (e) {}
         }
     }
 
@@ -256,33 +363,162 @@ class AccountManager {
         return next();
     }
 
-    async shutdown() {
-        for (const context of this.contexts.values()) {
-            try {
-                context.cleanup.stop();
-            } catch (e) {}
+    async closeContext(context, reason = 'shutdown') {
+        try {
+            context.cleanup.stop();
+        } catch (e) {}
+
+        try {
+            context.scheduler.stop();
+        } catch (e) {}
+
+        try {
+            context.campaigns?.stop();
+        } catch (e) {}
+
+        try {
+            context.outbox?.stop();
+        } catch (e) {}
+
+        try {
+            context.supervisor?.stop();
+        } catch (e) {}
+
+        try {
+            context.savedSearches?.stop();
+        } catch (e) {}
+
+        try {
+            await context.whatsapp.destroy({ reason });
+        } catch (e) {}
+
+        try {
+            await context.webhook?.shutdown?.({ timeoutMs: 5000 });
+        } catch (e) {
+            logger.warn('Webhook shutdown timed out', {
+                category: 'lifecycle',
+                accountId: context.account?.id,
+                error: e?.message || String(e)
+            });
+        }
 
-            try {
-                context.scheduler.stop();
-            } catch (e) {}
+        try {
+            context.db?.close?.();
+        } catch (e) {}
+    }
 
-            try {
-                await context.whatsapp.destroy();
-            } catch (e) {}
+    async unloadAccountContext(accountId, reason = 'shutdown') {
+        const context = this.contexts.get(accountId);
+        if (!context) return false;
+        this.contexts.delete(accountId);
+        await this.closeContext(context, reason);
+        return true;
+    }
 
-            try {
-                await context.webhook?.shutdown?.({ timeoutMs: 5000 });
-            } catch (e) {
-                logger.warn('Webhook shutdown timed out', {
-                    category: 'lifecycle',
-                    accountId: context.account?.id,
-                    error: e?.message || String(e)
+    /**
+     * Oturum yedekleme/geri yukleme sirasinda ayni hesapta ikinci bir islem baslatilmaz.
+     * Istemci islem oncesi bagliysa (veya baglaniyorsa) sonunda yeniden baslatilir.
+     */
+    async runSessionOperation(accountId, operation) {
+        if (this.sessionOperations.has(accountId)) {
+            throw new Error('Session operation already in progress');
+        }
+        this.sessionOperations.add(accountId);
+        const wasActive = ACTIVE_CLIENT_STATUSES.has(this.contexts.get(accountId)?.whatsapp.status);
+        try {
+            return await operation();
+        } finally {
+            this.sessionOperations.delete(accountId);
+            if (wasActive && this.findAccount(accountId)) {
+                const whatsapp = this.getAccountContext(accountId).whatsapp;
+                Promise.resolve(whatsapp.initialize()).catch((error) => {
+                    logger.warn('WhatsApp restart after session operation failed', {
+                        category: 'accounts',
+                        accountId,
+                        error: error?.message || String(error)
+                    });
                 });
             }
+        }
+    }
 
-            try {
-                context.db?.close?.();
-            } catch (e) {}
+    async exportSessionArchive(accountId, destPath) {
+        if (!this.findAccount(accountId)) {
+            throw new Error('Account not found');
+        }
+        return this.runSessionOperation(accountId, async () => {
+            const context = this.getAccountContext(accountId);
+            await context.whatsapp.destroy({ reason: 'backup' });
+            return writeSessionArchive({ accountConfig: context.config, db: context.db, account: context.account }, destPath);
+        });
+    }
+
+    /**
+     * Arsivi dogrular ve verilen hesaba (yoksa yeni bir hesaba) kurar.
+     * Hesap yalnizca arsiv gecerliyse olusturulur; kurulum basarisiz olursa silinir.
+     * Var olan hesapta arsiv islem kilidi altinda acilir; es zamanli ikinci yukleme acmadan reddedilir.
+     */
+    async importSessionArchive(srcPath, options = {}) {
+        const targetId = options.accountId || null;
+        if (targetId && !this.findAccount(targetId)) {
+            throw new Error('Account not found');
+        }
+
+        ensureDir(ACCOUNTS_DIR);
+        const stagingDir = fs.mkdtempSync(path.join(ACCOUNTS_DIR, '.restore-'));
+        const extract = () => extractSessionArchive(srcPath, stagingDir, { maxBytes: config.SESSION_ARCHIVE_MAX_BYTES });
+        const install = async (accountId) => {
+            await this.unloadAccountContext(accountId, 'restore');
+            installSessionArchive(stagingDir, getAccountConfig(accountId));
+            this.getAccountContext(accountId);
+        };
+
+        let account;
+        let manifest;
+        try {
+            if (targetId) {
+                account = this.findAccount(targetId);
+                manifest = await this.runSessionOperation(account.id, async () => {
+                    const extracted = await extract();
+                    await install(account.id);
+                    return extracted;
+                });
+            } else {
+                manifest = await extract();
+                account = this.createAccount(options.name || manifest.account?.name);
+                try {
+                    await this.runSessionOperation(account.id, () => install(account.id));
+                } catch (error) {
+                    await this.discardAccount(account.id);
+                    throw error;
+                }
+            }
+        } finally {
+            fs.rmSync(stagingDir, { recursive: true, force: true });
+        }
+
+        logger.info('Session archive restored', {
+            category: 'accounts',
+            accountId: account.id,
+            sourceAccountId: manifest.account?.id || null,
+            files: manifest.files.length
+        });
+        return { account: { ...account }, manifest };
+    }
+
+    /**
+     * Yarida kalan geri yukleme icin olusturulan hesabi baglami ve veri diziniyle birlikte siler.
+     */
+    async discardAccount(accountId) {
+        await this.unloadAccountContext(accountId, 'restore');
+        this.accounts = this.accounts.filter(account => account.id !== accountId);
+        writeAccounts(this.accounts);
+        fs.rmSync(getAccountConfig(accountId).DATA_DIR, { recursive: true, force: true });
+    }
+
+    async shutdown() {
+        for (const context of this.contexts.values()) {
+            await this.closeContext(context, 'shutdown');
         }
 
         this.contexts.clear();
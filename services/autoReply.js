@@ -2,10 +2,13 @@
  * WhatsApp Web Panel - Auto Reply Service
  */
 const { logger } = require('./logger');
+const { renderTemplate } = require('../lib/templates');
+
 class AutoReplyService {
-    constructor(db, whatsapp) {
+    constructor(db, whatsapp, options = {}) {
         this.db = db;
         this.whatsapp = whatsapp;
+        this.outbox = options?.outbox || null;
         this.cooldowns = new Map();
         this.COOLDOWN_MS = 10000; // 10 seconds
     }
@@ -25,24 +28,26 @@ class AutoReplyService {
         };
     }
 
-    renderTemplate(content, context) {
-        if (!content) return '';
-        return content.replace(/{(\w+)}/g, (match, key) => {
-            if (Object.prototype.hasOwnProperty.call(context, key)) {
-                return String(context[key]);
-            }
-            return match;
-        });
+    async deliver(chatId, message) {
+        if (this.outbox) {
+            return this.outbox.send(chatId, message, {}, { source: 'auto_reply' });
+        }
+        return this.whatsapp.sendMessage(chatId, message);
     }
 
-    async processMessage(msgData) {
+    /**
+     * Eslesen ilk kurali yanitlar ve { ruleId, trigger, matchType, response } dondurur; eslesme yoksa false.
+     * options.dryRun: cooldown, sayac ve loglara dokunmadan yanit options.deliver'a verilir.
+     */
+    async processMessage(msgData, options = {}) {
         if (!this.whatsapp || !msgData || msgData.isFromMe) {
             return false;
         }
+        const dryRun = options.dryRun === true;
 
         // Check cooldown
         const lastReplyTime = this.cooldowns.get(msgData.chatId);
-        if (lastReplyTime && Date.now() - lastReplyTime < this.COOLDOWN_MS) {
+        if (!dryRun && lastReplyTime && Date.now() - lastReplyTime < this.COOLDOWN_MS) {
             return false;
         }
 
@@ -113,7 +118,7 @@ class AutoReplyService {
                         }
                     }
 
-                    const response = this.renderTemplate(responseTemplate, context);
+                    const response = renderTemplate(responseTemplate, context);
                     if (!response) {
                         this.db.logs.add.run('error', 'auto-reply',
                             'Auto-reply template rendered empty response',
@@ -122,7 +127,18 @@ class AutoReplyService {
                         return false;
                     }
 
-                    await this.whatsapp.sendMessage(msgData.chatId, response);
+                    const result = {
+                        ruleId: rule.id,
+                        trigger: rule.trigger_word,
+                        matchType: rule.match_type || 'contains',
+                        response
+                    };
+                    if (dryRun) {
+                        await options.deliver(msgData.chatId, response, 'auto_reply');
+                        return result;
+                    }
+
+                    await this.deliver(msgData.chatId, response);
                     this.db.autoReplies.incrementCount.run(rule.id);
                     this.cooldowns.set(msgData.chatId, Date.now());
 
@@ -131,7 +147,7 @@ class AutoReplyService {
                         JSON.stringify({ chatId: msgData.chatId, trigger: rule.trigger_word })
                     );
 
-                    return true;
+                    return result;
                 } catch (error) {
                     this.db.logs.add.run('error', 'auto-reply',
                         'Failed to send auto-reply',
@@ -145,8 +161,8 @@ class AutoReplyService {
     }
 }
 
-function createAutoReplyService(db, whatsapp) {
-    return new AutoReplyService(db, whatsapp);
+function createAutoReplyService(db, whatsapp, options = {}) {
+    return new AutoReplyService(db, whatsapp, options);
 }
 
 module.exports = { createAutoReplyService };
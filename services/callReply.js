@@ -0,0 +1,82 @@
+/**
+ * WhatsApp Web Panel - Call Reply Service
+ * Reddedilen aramalara ayarlardaki mesaj veya sablonla otomatik yanit verir.
+ */
+const { logger } = require('./logger');
+const { renderTemplate } = require('../lib/templates');
+
+class CallReplyService {
+    constructor(db, whatsapp, options = {}) {
+        this.db = db;
+        this.whatsapp = whatsapp;
+        this.outbox = options?.outbox || null;
+        this.COOLDOWN_MS = 5 * 60 * 1000; // Ayni kisiye 5 dakikada bir yanit
+    }
+
+    buildTemplateContext(callData) {
+        const chat = this.db.chats.getById.get(callData.callerId);
+        const phone = String(callData.callerId || '').split('@')[0];
+        return {
+            name: chat?.name || phone,
+            phone,
+            callType: callData.isVideo ? 'goruntulu' : 'sesli',
+            time: new Date(callData.timestamp || Date.now()).toLocaleTimeString(),
+            date: new Date(callData.timestamp || Date.now()).toLocaleDateString(),
+            chatId: callData.callerId || ''
+        };
+    }
+
+    resolveReplyContent(settings) {
+        if (settings.callRejectTemplateId) {
+            const template = this.db.messageTemplates.getById.get(settings.callRejectTemplateId);
+            if (template) return template.content;
+        }
+        return settings.callRejectMessage || '';
+    }
+
+    async deliver(chatId, message) {
+        if (this.outbox) {
+            return this.outbox.send(chatId, message, {}, { source: 'call_reply' });
+        }
+        return this.whatsapp.sendMessage(chatId, message);
+    }
+
+    async handleCall(callData) {
+        if (!callData || callData.outcome !== 'rejected' || callData.isGroup) {
+            return false;
+        }
+
+        const settings = this.whatsapp.getSettings();
+        const content = this.resolveReplyContent(settings);
+        if (!content) return false;
+
+        const last = this.db.calls.getLastReplyAt.get(callData.callerId);
+        if (last?.last_reply_at && Date.now() - last.last_reply_at < this.COOLDOWN_MS) {
+            return false;
+        }
+
+        const response = renderTemplate(content, this.buildTemplateContext(callData));
+        try {
+            await this.deliver(callData.callerId, response);
+            this.db.calls.setRepliedAt.run(Date.now(), callData.callId);
+            this.db.logs.add.run('info', 'call',
+                'Call reject reply sent',
+                JSON.stringify({ callId: callData.callId, chatId: callData.callerId })
+            );
+            return true;
+        } catch (error) {
+            logger.warn('Call reject reply failed', {
+                category: 'call',
+                callId: callData.callId,
+                error: error.message
+            });
+            return false;
+        }
+    }
+}
+
+function createCallReplyService(db, whatsapp, options = {}) {
+    return new CallReplyService(db, whatsapp, options);
+}
+
+module.exports = { createCallReplyService };
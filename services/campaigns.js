@@ -0,0 +1,515 @@
+/**
+ * WhatsApp Web Panel - Campaign Service
+ * Etiket, sohbet listesi veya CSV hedefli toplu mesaj kampanyalari
+ */
+const { logger } = require('./logger');
+const { recordJob } = require('../lib/jobMetrics');
+const { renderTemplate } = require('../lib/templates');
+
+const ACK_ERROR = -1;
+const ACK_DEVICE = 2;
+const ACK_READ = 3;
+const NOT_READY_RETRY_MS = 5000;
+const RECIPIENT_STATUSES = ['queued', 'sent', 'delivered', 'read', 'failed'];
+const CSV_CHAT_COLUMNS = ['chat_id', 'chatid', 'phone', 'number', 'telefon'];
+
+function normalizeRecipientChatId(value) {
+    const raw = typeof value === 'string' ? value.trim() : String(value ?? '').trim();
+    if (!raw) return null;
+    if (raw.includes('@')) return raw;
+    const digits = raw.replace(/\D/g, '');
+    return digits ? `${digits}@c.us` : null;
+}
+
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',' || char === ';') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * CSV metnini alicilara cevirir. Ilk satir baslik olmalidir; chat_id veya phone
+ * sutunu zorunludur, diger sutunlar sablon degiskeni olarak kullanilir.
+ */
+function parseRecipientsCsv(text) {
+    const rows = parseCsvRows(String(text || ''));
+    if (rows.length === 0) {
+        throw new Error('CSV is empty');
+    }
+
+    const headers = rows[0].map(cell => cell.trim().toLowerCase());
+    const chatColumn = headers.findIndex(header => CSV_CHAT_COLUMNS.includes(header));
+    if (chatColumn === -1) {
+        throw new Error('CSV must include a chat_id or phone column');
+    }
+    const nameColumn = headers.indexOf('name');
+
+    const recipients = [];
+    for (const cells of rows.slice(1)) {
+        const chatId = normalizeRecipientChatId(cells[chatColumn]);
+        if (!chatId) continue;
+
+        const variables = {};
+        headers.forEach((header, index) => {
+            if (!header || index === chatColumn) return;
+            variables[header] = (cells[index] || '').trim();
+        });
+
+        recipients.push({
+            chatId,
+            name: nameColumn >= 0 ? (cells[nameColumn] || '').trim() : '',
+            variables
+        });
+    }
+
+    return recipients;
+}
+
+class CampaignService {
+    constructor(db, whatsapp, config, metrics = null, options = {}) {
+        this.db = db;
+        this.whatsapp = whatsapp;
+        this.config = config;
+        this.metrics = metrics || null;
+        this.accountId = options?.accountId || null;
+        this.outbox = options?.outbox || null;
+        this.defaultThrottleMs = Number(config.CAMPAIGN_THROTTLE_MS) || 3000;
+        this.instanceId = config.INSTANCE_ID || String(process.pid);
+        this.lockTtlMs = Number(config.CAMPAIGN_LOCK_TTL_MS) || 5 * 60 * 1000;
+        this.runners = new Map();
+        this.isStopped = false;
+
+        if (this.outbox) {
+            this.outbox.onSettled('campaign', item => this.handleOutboxSettled(item));
+        }
+    }
+
+    setWhatsApp(whatsapp) {
+        this.whatsapp = whatsapp;
+    }
+
+    setMetrics(metrics) {
+        this.metrics = metrics || null;
+    }
+
+    recordJob(job, outcome, durationSeconds = null) {
+        recordJob(this.metrics, this.accountId, job, outcome, durationSeconds);
+    }
+
+    buildTemplateContext(recipient) {
+        let variables = {};
+        if (recipient.variables) {
+            try {
+                variables = JSON.parse(recipient.variables) || {};
+            } catch (e) {
+                variables = {};
+            }
+        }
+        return {
+            ...variables,
+            name: recipient.name || variables.name || '',
+            chatId: recipient.chat_id || '',
+            phone: String(recipient.chat_id || '').split('@')[0],
+            time: new Date().toLocaleTimeString(),
+            date: new Date().toLocaleDateString()
+        };
+    }
+
+    resolveContent(campaign) {
+        if (campaign.template_id) {
+            const template = this.db.messageTemplates.getById.get(campaign.template_id);
+            if (template) {
+                return template.content;
+            }
+        }
+        return campaign.message || '';
+    }
+
+    /**
+     * Hedef tanimini (tag / chats / csv) tekil alici listesine cevirir.
+     */
+    resolveRecipients(target) {
+        let recipients = [];
+        if (target.type === 'tag') {
+            for (const tagId of target.tagIds || []) {
+                const rows = this.db.contactTags.getChatIdsByTagId.all(tagId);
+                rows.forEach(row => recipients.push({ chatId: row.chat_id, name: '', variables: {} }));
+            }
+        } else if (target.type === 'chats') {
+            recipients = (target.chatIds || []).map(chatId => ({ chatId, name: '', variables: {} }));
+        } else if (target.type === 'csv') {
+            recipients = parseRecipientsCsv(target.csv);
+        }
+
+        const unique = new Map();
+        for (const recipient of recipients) {
+            if (!recipient.chatId || unique.has(recipient.chatId)) continue;
+            if (!recipient.name) {
+                const chat = this.db.chats.getById.get(recipient.chatId);
+                recipient.name = chat?.name || '';
+            }
+            unique.set(recipient.chatId, recipient);
+        }
+        return Array.from(unique.values());
+    }
+
+    createCampaign({ name, message, templateId, target, recipients, throttleMs, createdBy }) {
+        const create = this.db.db.transaction(() => {
+            const result = this.db.campaigns.create.run(
+                name,
+                message || null,
+                templateId || null,
+                target.type,
+                JSON.stringify(target.type === 'csv' ? { rows: recipients.length } : target),
+                throttleMs || this.defaultThrottleMs,
+                recipients.length,
+                createdBy || null
+            );
+            const campaignId = result.lastInsertRowid;
+            for (const recipient of recipients) {
+                this.db.campaignRecipients.add.run(
+                    campaignId,
+                    recipient.chatId,
+                    recipient.name || null,
+                    JSON.stringify(recipient.variables || {})
+                );
+            }
+            return campaignId;
+        });
+
+        const campaignId = create();
+        this.db.logs.add.run('info', 'campaign', 'Campaign created', JSON.stringify({
+            id: campaignId,
+            targetType: target.type,
+            recipients: recipients.length
+        }));
+        return this.db.campaigns.getById.get(campaignId);
+    }
+
+    getProgress(campaignId) {
+        const campaign = this.db.campaigns.getById.get(campaignId);
+        if (!campaign) return null;
+
+        const counts = {};
+        RECIPIENT_STATUSES.forEach(status => {
+            counts[status] = 0;
+        });
+        this.db.campaignRecipients.countByStatus.all(campaignId).forEach(row => {
+            counts[row.status] = row.total;
+        });
+
+        return {
+            campaignId: campaign.id,
+            status: campaign.status,
+            total: campaign.total_count,
+            counts,
+            lastError: campaign.last_error || null
+        };
+    }
+
+    emitProgress(campaignId) {
+        const progress = this.getProgress(campaignId);
+        if (progress) {
+            this.whatsapp?.emit?.('campaign_progress', progress);
+        }
+        return progress;
+    }
+
+    setStatus(campaignId, status, lastError = null) {
+        this.db.campaigns.updateStatus.run(status, lastError, status, status, campaignId);
+        this.db.logs.add.run('info', 'campaign', `Campaign ${status}`, JSON.stringify({ id: campaignId }));
+        return this.emitProgress(campaignId);
+    }
+
+    startCampaign(campaignId) {
+        const campaign = this.db.campaigns.getById.get(campaignId);
+        if (!campaign) return null;
+        if (!['draft', 'paused'].includes(campaign.status)) {
+            return { error: `Campaign is ${campaign.status}` };
+        }
+        const progress = this.setStatus(campaignId, 'running');
+        this.launchRunner(campaignId);
+        return progress;
+    }
+
+    pauseCampaign(campaignId) {
+        const campaign = this.db.campaigns.getById.get(campaignId);
+        if (!campaign) return null;
+        if (campaign.status !== 'running') {
+            return { error: `Campaign is ${campaign.status}` };
+        }
+        this.stopRunner(campaignId);
+        return this.setStatus(campaignId, 'paused');
+    }
+
+    resumeCampaign(campaignId) {
+        const campaign = this.db.campaigns.getById.get(campaignId);
+        if (!campaign) return null;
+        if (campaign.status !== 'paused') {
+            return { error: `Campaign is ${campaign.status}` };
+        }
+        return this.startCampaign(campaignId);
+    }
+
+    cancelCampaign(campaignId) {
+        const campaign = this.db.campaigns.getById.get(campaignId);
+        if (!campaign) return null;
+        if (['completed', 'cancelled'].includes(campaign.status)) {
+            return { error: `Campaign is ${campaign.status}` };
+        }
+        this.stopRunner(campaignId);
+        // Outbox'ta tekrar denemeyi bekleyen mesajlar da gonderilmesin
+        if (this.outbox) {
+            this.db.campaignRecipients.getAwaitingOutbox.all(campaignId).forEach(recipient => {
+                this.outbox.cancel(recipient.outbox_id);
+            });
+        }
+        return this.setStatus(campaignId, 'cancelled');
+    }
+
+    deleteCampaign(campaignId) {
+        this.stopRunner(campaignId);
+        this.db.db.transaction(() => {
+            this.db.campaignRecipients.deleteByCampaign.run(campaignId);
+            this.db.campaigns.delete.run(campaignId);
+        })();
+    }
+
+    launchRunner(campaignId) {
+        if (this.isStopped || this.runners.has(campaignId)) return;
+        const runner = { stopped: false, timer: null, wake: null };
+        this.runners.set(campaignId, runner);
+        this.run(campaignId, runner)
+            .catch(error => {
+                logger.error('Campaign runner failed', {
+                    category: 'campaign',
+                    campaignId,
+                    error: error.message
+                });
+                try {
+                    this.setStatus(campaignId, 'paused', error.message);
+                } catch (e) {}
+            })
+            .finally(() => {
+                if (this.runners.get(campaignId) === runner) {
+                    this.runners.delete(campaignId);
+                    this.releaseLock(campaignId);
+                }
+            });
+    }
+
+    stopRunner(campaignId) {
+        const runner = this.runners.get(campaignId);
+        if (!runner) return;
+        runner.stopped = true;
+        if (runner.timer) clearTimeout(runner.timer);
+        if (runner.wake) runner.wake();
+        this.runners.delete(campaignId);
+        this.releaseLock(campaignId);
+    }
+
+    wait(runner, ms) {
+        if (runner.stopped) return Promise.resolve();
+        return new Promise(resolve => {
+            runner.wake = resolve;
+            runner.timer = setTimeout(resolve, ms);
+            if (typeof runner.timer.unref === 'function') {
+                runner.timer.unref();
+            }
+        }).finally(() => {
+            runner.timer = null;
+            runner.wake = null;
+        });
+    }
+
+    lockName(campaignId) {
+        return `campaign:${campaignId}`;
+    }
+
+    tryAcquireLock(campaignId) {
+        if (!this.db?.locks?.acquire) {
+            return true;
+        }
+        const now = Date.now();
+        try {
+            const result = this.db.locks.acquire.run(this.lockName(campaignId), this.instanceId, now, now + this.lockTtlMs);
+            return result && result.changes > 0;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    releaseLock(campaignId) {
+        try {
+            this.db?.locks?.release?.run(this.lockName(campaignId), this.instanceId);
+        } catch (e) {}
+    }
+
+    async run(campaignId, runner) {
+        while (!runner.stopped && !this.isStopped) {
+            const campaign = this.db.campaigns.getById.get(campaignId);
+            if (!campaign || campaign.status !== 'running') {
+                return;
+            }
+
+            if (!this.tryAcquireLock(campaignId)) {
+                this.recordJob('campaign.send', 'skipped');
+                return;
+            }
+
+            if (!this.whatsapp || !this.whatsapp.isReady()) {
+                await this.wait(runner, NOT_READY_RETRY_MS);
+                continue;
+            }
+
+            const recipient = this.db.campaignRecipients.getNextQueued.get(campaignId);
+            if (!recipient) {
+                // Outbox'ta tekrar denenen alicilar sonuclanmadan kampanya bitmez
+                if (this.db.campaignRecipients.countAwaitingOutbox.get(campaignId).total > 0) {
+                    await this.wait(runner, NOT_READY_RETRY_MS);
+                    continue;
+                }
+                this.setStatus(campaignId, 'completed');
+                return;
+            }
+
+            await this.sendToRecipient(campaign, recipient);
+            this.emitProgress(campaignId);
+
+            await this.wait(runner, campaign.throttle_ms || this.defaultThrottleMs);
+        }
+    }
+
+    async sendToRecipient(campaign, recipient) {
+        const startNs = process.hrtime.bigint();
+        try {
+            const content = renderTemplate(this.resolveContent(campaign), this.buildTemplateContext(recipient));
+            if (!content) {
+                throw new Error('Resolved campaign message is empty');
+            }
+            if (this.outbox) {
+                // Alici outbox sonucuna gore isaretlenir (handleOutboxSettled); kopmalarda outbox tekrar dener
+                const { item } = await this.outbox.send(recipient.chat_id, content, {}, { source: 'campaign', sourceRef: recipient.id });
+                this.db.campaignRecipients.attachOutbox.run(item.id, recipient.id);
+            } else {
+                const result = await this.whatsapp.sendMessage(recipient.chat_id, content);
+                this.db.campaignRecipients.markSent.run(result?.id?._serialized || null, recipient.id);
+            }
+            const durationSeconds = Number(process.hrtime.bigint() - startNs) / 1e9;
+            this.recordJob('campaign.send', 'success', durationSeconds);
+        } catch (error) {
+            this.db.campaignRecipients.markFailed.run(error.message, recipient.id);
+            const durationSeconds = Number(process.hrtime.bigint() - startNs) / 1e9;
+            this.recordJob('campaign.send', 'error', durationSeconds);
+            this.db.logs.add.run('error', 'campaign', 'Failed to send campaign message', JSON.stringify({
+                id: campaign.id,
+                chatId: recipient.chat_id,
+                error: error.message
+            }));
+        }
+    }
+
+    // Outbox kaydi gonderildi, kalici olarak basarisiz oldu ya da iptal edildi
+    handleOutboxSettled(item) {
+        const recipient = this.db.campaignRecipients.getById.get(Number(item.source_ref));
+        if (!recipient || recipient.status !== 'queued') return;
+
+        if (item.status === 'sent') {
+            this.db.campaignRecipients.markSent.run(item.message_id || null, recipient.id);
+        } else {
+            const error = item.status === 'cancelled' ? 'Cancelled from outbox' : (item.last_error || 'Outbox delivery failed');
+            this.db.campaignRecipients.markFailed.run(error, recipient.id);
+            this.db.logs.add.run('error', 'campaign', 'Failed to send campaign message', JSON.stringify({
+                id: recipient.campaign_id,
+                chatId: recipient.chat_id,
+                outboxId: item.id,
+                error
+            }));
+        }
+        this.emitProgress(recipient.campaign_id);
+        // Sonuc bekleyen calisan kampanya beklemeden devam etsin
+        this.runners.get(recipient.campaign_id)?.wake?.();
+    }
+
+    handleAck(messageId, ack) {
+        if (!messageId || !this.db?.campaignRecipients) return;
+        const recipient = this.db.campaignRecipients.getByMessageId.get(messageId);
+        if (!recipient) return;
+
+        if (ack >= ACK_READ) {
+            this.db.campaignRecipients.markRead.run(messageId);
+        } else if (ack === ACK_DEVICE) {
+            this.db.campaignRecipients.markDelivered.run(messageId);
+        } else if (ack === ACK_ERROR) {
+            this.db.campaignRecipients.markFailed.run('Delivery failed', recipient.id);
+        } else {
+            return;
+        }
+        this.emitProgress(recipient.campaign_id);
+    }
+
+    start() {
+        this.isStopped = false;
+        try {
+            const running = this.db.campaigns.getByStatus.all('running');
+            running.forEach(campaign => this.launchRunner(campaign.id));
+        } catch (error) {
+            logger.error('Failed to resume campaigns', { category: 'campaign', error: error.message });
+        }
+    }
+
+    stop() {
+        this.isStopped = true;
+        for (const campaignId of Array.from(this.runners.keys())) {
+            this.stopRunner(campaignId);
+        }
+    }
+}
+
+function createCampaignService(db, whatsapp, config, metrics = null, options = {}) {
+    return new CampaignService(db, whatsapp, config, metrics, options);
+}
+
+module.exports = {
+    createCampaignService,
+    parseRecipientsCsv,
+    RECIPIENT_STATUSES
+};
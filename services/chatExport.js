@@ -0,0 +1,546 @@
+/**
+ * WhatsApp Web Panel - Chat Export
+ * Sohbet dokumunu WhatsApp .txt, JSON veya tek dosyalik HTML olarak akis halinde yazar;
+ * istenirse dokum ve media_path'teki dosyalar tek bir ZIP arsivinde birlestirilir.
+ * Mesajlar (timestamp, id) imleciyle parcalar halinde okunur, sohbet bellege alinmaz.
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+
+const EXPORT_FORMATS = ['txt', 'json', 'html'];
+const EXPORT_FORMAT_NAME = 'wp-panel-chat-export';
+const EXPORT_VERSION = 1;
+const BATCH_SIZE = 500;
+const MEDIA_ENTRY_DIR = 'media/';
+const ZIP32_LIMIT = 0xFFFFFFFF;
+const ZIP32_MAX_ENTRIES = 0xFFFF;
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;'
+};
+
+function exportError(message) {
+    const error = new Error(message);
+    error.code = 'CHAT_EXPORT_FAILED';
+    return error;
+}
+
+// ---- Mesaj okuma ----
+
+function* messageBatches(db, { chatId, start, end, batchSize = BATCH_SIZE }) {
+    const statement = db.db.prepare(`
+        SELECT * FROM messages
+        WHERE chat_id = ? AND timestamp BETWEEN ? AND ? AND (timestamp, id) > (?, ?)
+        ORDER BY timestamp ASC, id ASC
+        LIMIT ?
+    `);
+    let cursor = { timestamp: start, id: 0 };
+    while (true) {
+        const rows = statement.all(chatId, start, end, cursor.timestamp, cursor.id, batchSize);
+        if (!rows.length) return;
+        yield rows;
+        if (rows.length < batchSize) return;
+        cursor = rows[rows.length - 1];
+    }
+}
+
+// Yalnizca hesabin medya klasorundeki dosyalar arsive alinir
+function resolveMediaFile(mediaDir, mediaPath) {
+    if (!mediaDir || !mediaPath) return null;
+    const resolvedMediaDir = path.resolve(mediaDir);
+    const resolvedPath = path.resolve(resolvedMediaDir, mediaPath);
+    if (!resolvedPath.startsWith(resolvedMediaDir + path.sep)) return null;
+    try {
+        const stat = fs.statSync(resolvedPath);
+        return stat.isFile() ? { path: resolvedPath, size: stat.size, mtimeMs: stat.mtimeMs } : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * ZIP'e girecek medya dosyalarini toplar; ayni adli farkli dosyalar numaralanir,
+ * ayni dosyayi gosteren mesajlar tek girdiyi paylasir. Dokum ve arsiv ayni adlari kullanir.
+ */
+function createMediaCollector(mediaDir, enabled) {
+    const files = [];
+    const usedNames = new Set();
+    const entriesByPath = new Map();
+    return {
+        files,
+        entryFor(message) {
+            if (!enabled) return null;
+            const file = resolveMediaFile(mediaDir, message.media_path);
+            if (!file) return null;
+            if (entriesByPath.has(file.path)) return entriesByPath.get(file.path);
+            const parsed = path.parse(path.basename(file.path));
+            let name = parsed.base;
+            for (let i = 1; usedNames.has(name); i++) {
+                name = `${parsed.name}-${i}${parsed.ext}`;
+            }
+            usedNames.add(name);
+            const entryName = MEDIA_ENTRY_DIR + name;
+            entriesByPath.set(file.path, entryName);
+            files.push({ ...file, entryName });
+            return entryName;
+        }
+    };
+}
+
+// ---- Mesaj alanlari ----
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+// WhatsApp (tr) disa aktarma bicimi: 31.12.2023 21:41
+function formatWhatsAppDate(timestamp) {
+    const date = new Date(timestamp);
+    return `${pad(date.getDate())}.${pad(date.getMonth() + 1)}.${date.getFullYear()} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function formatDay(timestamp) {
+    const date = new Date(timestamp);
+    return `${pad(date.getDate())}.${pad(date.getMonth() + 1)}.${date.getFullYear()}`;
+}
+
+function formatSender(message, chat) {
+    if (message.from_name) return message.from_name;
+    if (message.is_from_me) return 'Ben';
+    const number = String(message.from_number || '').split('@')[0];
+    if (/^\d{7,16}$/.test(number)) return '+' + number;
+    return number || chat.name || chat.chat_id;
+}
+
+function hasMedia(message) {
+    return Boolean(message.media_path || message.media_mimetype);
+}
+
+function mediaFileName(message) {
+    return message.media_path ? path.basename(message.media_path) : null;
+}
+
+function hasLocation(message) {
+    return message.location_latitude !== null && message.location_latitude !== undefined;
+}
+
+function mapsUrl(location) {
+    return `https://maps.google.com/?q=${location.latitude},${location.longitude}`;
+}
+
+function toRecord(message, chat, mediaEntry) {
+    return {
+        id: message.message_id,
+        timestamp: message.timestamp,
+        date: new Date(message.timestamp).toISOString(),
+        fromMe: Boolean(message.is_from_me),
+        sender: formatSender(message, chat),
+        senderNumber: message.from_number || null,
+        type: message.type || 'chat',
+        body: message.body || '',
+        quoted: message.quoted_message_id ? {
+            id: message.quoted_message_id,
+            body: message.quoted_body || null,
+            sender: message.quoted_from_name || null
+        } : null,
+        media: hasMedia(message) ? {
+            fileName: mediaFileName(message),
+            mimetype: message.media_mimetype || null,
+            file: mediaEntry
+        } : null,
+        location: hasLocation(message) ? {
+            latitude: message.location_latitude,
+            longitude: message.location_longitude,
+            description: message.location_description || null
+        } : null,
+        forwarded: Boolean(message.is_forwarded),
+        edited: Boolean(message.is_edited),
+        deleted: Boolean(message.is_deleted_for_everyone)
+    };
+}
+
+// ---- Bicimler ----
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+const txtFormat = {
+    extension: 'txt',
+    begin() {
+        return '';
+    },
+    message(record, state) {
+        const lines = [];
+        if (record.media) {
+            lines.push(record.media.file
+                ? `${path.basename(record.media.file)} (dosya ekli)`
+                : '<Medya dahil edilmedi>');
+        }
+        if (record.location) {
+            lines.push(`Konum: ${mapsUrl(record.location)}`);
+        }
+        if (record.body && !(record.media && record.body === record.media.fileName)) {
+            lines.push(record.body);
+        }
+        if (!lines.length) {
+            lines.push(record.deleted ? 'Bu mesaj silindi' : '');
+        } else if (record.deleted) {
+            lines[lines.length - 1] += ' <Bu mesaj silindi>';
+        }
+        if (record.edited) {
+            lines[lines.length - 1] += ' <Bu mesaj duzenlendi>';
+        }
+        state.count++;
+        return `${formatWhatsAppDate(record.timestamp)} - ${record.sender}: ${lines.join('\n')}\n`;
+    },
+    end() {
+        return '';
+    }
+};
+
+const jsonFormat = {
+    extension: 'json',
+    begin(meta) {
+        const header = JSON.stringify({
+            format: EXPORT_FORMAT_NAME,
+            version: EXPORT_VERSION,
+            exportedAt: new Date(meta.now).toISOString(),
+            chat: meta.chat,
+            range: meta.range
+        });
+        return header.slice(0, -1) + ',"messages":[\n';
+    },
+    message(record, state) {
+        const prefix = state.count > 0 ? ',\n' : '';
+        state.count++;
+        return prefix + JSON.stringify(record);
+    },
+    end(meta, state) {
+        return `\n],"count":${state.count}}\n`;
+    }
+};
+
+const HTML_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; background: #efeae2; color: #111b21; margin: 0; }
+header { background: #008069; color: #fff; padding: 16px 24px; }
+header h1 { margin: 0 0 4px; font-size: 20px; }
+header p { margin: 0; font-size: 13px; opacity: .85; }
+main { max-width: 860px; margin: 0 auto; padding: 16px; }
+.day { text-align: center; margin: 16px 0 8px; }
+.day span { background: #fff; border-radius: 8px; padding: 4px 10px; font-size: 12px; color: #54656f; }
+.msg { max-width: 75%; margin: 4px 0; padding: 6px 10px; border-radius: 8px; background: #fff; box-shadow: 0 1px .5px rgba(0,0,0,.13); page-break-inside: avoid; break-inside: avoid; }
+.msg.out { margin-left: auto; background: #d9fdd3; }
+.sender { font-size: 12px; font-weight: 600; color: #027eb5; }
+.quote { border-left: 3px solid #06cf9c; background: rgba(0,0,0,.05); padding: 4px 8px; margin: 4px 0; font-size: 13px; }
+.body { white-space: pre-wrap; word-wrap: break-word; font-size: 14px; }
+.media img { max-width: 100%; max-height: 320px; border-radius: 6px; display: block; }
+.flags, .time { font-size: 11px; color: #667781; }
+.time { text-align: right; }
+@media print {
+    body { background: #fff; }
+    header { background: none; color: #000; border-bottom: 1px solid #ccc; }
+    .msg { box-shadow: none; border: 1px solid #ddd; }
+}
+`;
+
+function renderHtmlMedia(record) {
+    const { file, fileName, mimetype } = record.media;
+    if (!file) {
+        return `<div class="media flags">[Medya dahil edilmedi${fileName ? ': ' + escapeHtml(fileName) : ''}]</div>`;
+    }
+    const href = escapeHtml(file.split('/').map(encodeURIComponent).join('/'));
+    if (String(mimetype || '').startsWith('image/')) {
+        return `<div class="media"><a href="${href}"><img src="${href}" alt="${escapeHtml(fileName || '')}"></a></div>`;
+    }
+    return `<div class="media"><a href="${href}">${escapeHtml(path.basename(file))}</a></div>`;
+}
+
+const htmlFormat = {
+    extension: 'html',
+    begin(meta) {
+        const title = meta.chat.name || meta.chat.chat_id;
+        const range = [
+            meta.range.start ? formatWhatsAppDate(meta.range.start) : null,
+            meta.range.end ? formatWhatsAppDate(meta.range.end) : null
+        ];
+        const rangeText = range[0] || range[1] ? ` &middot; ${escapeHtml(range[0] || '...')} - ${escapeHtml(range[1] || '...')}` : '';
+        return '<!DOCTYPE html>\n<html lang="tr">\n<head>\n<meta charset="utf-8">\n' +
+            '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+            `<title>${escapeHtml(title)} - WhatsApp sohbet dokumu</title>\n<style>${HTML_STYLE}</style>\n</head>\n<body>\n` +
+            `<header><h1>${escapeHtml(title)}</h1><p>${escapeHtml(meta.chat.chat_id)}${rangeText} &middot; ` +
+            `Olusturulma: ${escapeHtml(formatWhatsAppDate(meta.now))}</p></header>\n<main>\n`;
+    },
+    message(record, state) {
+        let html = '';
+        const day = formatDay(record.timestamp);
+        if (day !== state.day) {
+            state.day = day;
+            html += `<div class="day"><span>${escapeHtml(day)}</span></div>\n`;
+        }
+        const flags = [
+            record.forwarded ? 'Iletildi' : null,
+            record.edited ? 'Duzenlendi' : null,
+            record.deleted ? 'Silindi' : null
+        ].filter(Boolean);
+        html += `<div class="msg ${record.fromMe ? 'out' : 'in'}" id="m-${escapeHtml(record.id)}">` +
+            `<div class="sender">${escapeHtml(record.sender)}</div>` +
+            (record.quoted ? `<div class="quote">${escapeHtml(record.quoted.sender || '')}${record.quoted.sender ? ': ' : ''}${escapeHtml(record.quoted.body || '')}</div>` : '') +
+            (record.media ? renderHtmlMedia(record) : '') +
+            (record.location ? `<div class="body"><a href="${escapeHtml(mapsUrl(record.location))}">Konum${record.location.description ? ': ' + escapeHtml(record.location.description) : ''}</a></div>` : '') +
+            (record.body ? `<div class="body">${escapeHtml(record.body)}</div>` : '') +
+            (flags.length ? `<div class="flags">${flags.join(' &middot; ')}</div>` : '') +
+            `<div class="time">${escapeHtml(formatWhatsAppDate(record.timestamp))}</div>` +
+            '</div>\n';
+        state.count++;
+        return html;
+    },
+    end(meta, state) {
+        return `</main>\n<footer><p class="flags" style="text-align:center">${state.count} mesaj</p></footer>\n</body>\n</html>\n`;
+    }
+};
+
+const FORMATTERS = { txt: txtFormat, json: jsonFormat, html: htmlFormat };
+
+function* transcriptChunks(db, { chat, format, range, now, media }) {
+    const formatter = FORMATTERS[format];
+    const meta = {
+        now,
+        chat: { chat_id: chat.chat_id, name: chat.name || null, is_group: Boolean(chat.is_group) },
+        range: { start: range.start || null, end: range.end === Number.MAX_SAFE_INTEGER ? null : range.end }
+    };
+    const state = { count: 0, day: null };
+    const header = formatter.begin(meta, state);
+    if (header) yield header;
+    for (const batch of messageBatches(db, { chatId: chat.chat_id, start: range.start, end: range.end })) {
+        yield batch.map(message => formatter.message(toRecord(message, chat, media.entryFor(message)), state)).join('');
+    }
+    const footer = formatter.end(meta, state);
+    if (footer) yield footer;
+    return state.count;
+}
+
+// ---- Akis yardimcilari ----
+
+function writeChunk(output, chunk) {
+    if (output.destroyed) {
+        return Promise.reject(exportError('Export stream closed'));
+    }
+    if (output.write(chunk)) {
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const onDrain = () => {
+            output.off('close', onClose);
+            resolve();
+        };
+        const onClose = () => {
+            output.off('drain', onDrain);
+            reject(exportError('Export stream closed'));
+        };
+        output.once('drain', onDrain);
+        output.once('close', onClose);
+    });
+}
+
+// ---- ZIP (veri tanimlayicili, akis halinde) ----
+
+const CRC_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let value = i;
+        for (let bit = 0; bit < 8; bit++) {
+            value = value & 1 ? 0xEDB88320 ^ (value >>> 1) : value >>> 1;
+        }
+        table[i] = value;
+    }
+    return table;
+})();
+
+function crc32(buffer, previous = 0) {
+    let crc = previous ^ -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+function dosDateTime(timestamp) {
+    const date = new Date(timestamp);
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Bit 3: boyut ve CRC veri sonrasindaki tanimlayicida; bit 11: UTF-8 dosya adi
+const ZIP_FLAGS = 0x0808;
+
+class ZipWriter {
+    constructor(output) {
+        this.output = output;
+        this.offset = 0;
+        this.entries = [];
+    }
+
+    async write(buffer) {
+        await writeChunk(this.output, buffer);
+        this.offset += buffer.length;
+    }
+
+    async addEntry(name, source, { compress = false, mtimeMs = Date.now() } = {}) {
+        if (this.entries.length >= ZIP32_MAX_ENTRIES) {
+            throw exportError('Export has too many files for a ZIP archive');
+        }
+        const entry = {
+            name: Buffer.from(name, 'utf8'),
+            method: compress ? 8 : 0,
+            ...dosDateTime(mtimeMs),
+            crc: 0,
+            size: 0,
+            compressedSize: 0,
+            offset: this.offset
+        };
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(ZIP_FLAGS, 6);
+        header.writeUInt16LE(entry.method, 8);
+        header.writeUInt16LE(entry.time, 10);
+        header.writeUInt16LE(entry.date, 12);
+        header.writeUInt16LE(entry.name.length, 26);
+        await this.write(Buffer.concat([header, entry.name]));
+
+        // Veri output'a write ile yazilir; output'u her girdide pipeline'a baglamak
+        // dinleyici biriktirir (MaxListenersExceededWarning)
+        const data = (async function* checksum() {
+            for await (const chunk of source) {
+                const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+                entry.crc = crc32(buffer, entry.crc);
+                entry.size += buffer.length;
+                yield buffer;
+            }
+        })();
+        const writeData = async (chunks) => {
+            for await (const chunk of chunks) {
+                await this.write(chunk);
+                entry.compressedSize += chunk.length;
+            }
+        };
+        if (compress) {
+            const deflate = zlib.createDeflateRaw();
+            await Promise.all([pipeline(data, deflate), writeData(deflate)]);
+        } else {
+            await writeData(data);
+        }
+        if (entry.size > ZIP32_LIMIT || entry.compressedSize > ZIP32_LIMIT || this.offset > ZIP32_LIMIT) {
+            throw exportError('Export too large for a ZIP archive (4 GB limit)');
+        }
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await this.write(descriptor);
+        this.entries.push(entry);
+    }
+
+    async finish() {
+        const centralOffset = this.offset;
+        for (const entry of this.entries) {
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(20, 4);
+            header.writeUInt16LE(20, 6);
+            header.writeUInt16LE(ZIP_FLAGS, 8);
+            header.writeUInt16LE(entry.method, 10);
+            header.writeUInt16LE(entry.time, 12);
+            header.writeUInt16LE(entry.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.name.length, 28);
+            header.writeUInt32LE(entry.offset, 42);
+            await this.write(Buffer.concat([header, entry.name]));
+        }
+        const centralSize = this.offset - centralOffset;
+        if (this.offset > ZIP32_LIMIT) {
+            throw exportError('Export too large for a ZIP archive (4 GB limit)');
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(centralSize, 12);
+        end.writeUInt32LE(centralOffset, 16);
+        await this.write(end);
+    }
+}
+
+// ---- Disa aktarma ----
+
+function exportFileName(chat, format, zip, now) {
+    const base = String(chat.name || chat.chat_id.split('@')[0])
+        .replace(/[^\p{L}\p{N} _.-]+/gu, '_')
+        .trim()
+        .slice(0, 60) || 'chat';
+    const date = new Date(now).toISOString().slice(0, 10);
+    return `whatsapp-chat-${base}-${date}.${zip ? 'zip' : FORMATTERS[format].extension}`;
+}
+
+/**
+ * Dokumu output akisina yazar (output kapatilmaz).
+ * zip: dokum chat.<uzanti> olarak, medya dosyalari media/ altinda arsivlenir.
+ * Donus: { messages, mediaFiles }
+ */
+async function writeChatExport(output, { db, chat, format = 'txt', start, end, zip = false, mediaDir = null, now = Date.now() }) {
+    if (!FORMATTERS[format]) {
+        throw exportError(`Unknown export format: ${format}`);
+    }
+    const range = {
+        start: Number.isFinite(start) ? start : 0,
+        end: Number.isFinite(end) ? end : Number.MAX_SAFE_INTEGER
+    };
+    const media = createMediaCollector(mediaDir, zip);
+    const chunks = transcriptChunks(db, { chat, format, range, now, media });
+
+    let messages = 0;
+    const transcript = (function* countMessages() {
+        messages = yield* chunks;
+    })();
+
+    if (!zip) {
+        for (const chunk of transcript) {
+            await writeChunk(output, chunk);
+        }
+        return { messages, mediaFiles: 0 };
+    }
+
+    const writer = new ZipWriter(output);
+    await writer.addEntry(`chat.${FORMATTERS[format].extension}`, transcript, { compress: true, mtimeMs: now });
+    let mediaFiles = 0;
+    for (const file of media.files) {
+        // Disa aktarma sirasinda silinen dosya arsivi bozmasin diye atlanir
+        if (!resolveMediaFile(mediaDir, file.path)) continue;
+        await writer.addEntry(file.entryName, fs.createReadStream(file.path), { mtimeMs: file.mtimeMs });
+        mediaFiles++;
+    }
+    await writer.finish();
+    return { messages, mediaFiles };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    exportFileName,
+    writeChatExport
+};
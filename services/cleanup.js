@@ -1,8 +1,10 @@
 /**
  * WhatsApp Web Panel - Cleanup Service
  */
+const fs = require('fs');
 const cron = require('node-cron');
 const { logger } = require('./logger');
+const { recordJob } = require('../lib/jobMetrics');
 
 class CleanupService {
     constructor(db, config, metrics = null, options = {}) {
@@ -20,21 +22,8 @@ class CleanupService {
         this.metrics = metrics || null;
     }
 
-    accountIdLabel() {
-        return typeof this.accountId === 'string' && this.accountId ? this.accountId : 'unknown';
-    }
-
     recordJob(job, outcome, durationSeconds = null) {
-        const labels = { accountId: this.accountIdLabel(), job, outcome };
-        try {
-            this.metrics?.backgroundJobRunsTotal?.inc?.(labels, 1);
-        } catch (e) {}
-
-        if (typeof durationSeconds === 'number' && Number.isFinite(durationSeconds)) {
-            try {
-                this.metrics?.backgroundJobDurationSeconds?.observe?.(labels, durationSeconds);
-            } catch (e) {}
-        }
+        recordJob(this.metrics, this.accountId, job, outcome, durationSeconds);
     }
 
     tryAcquireLeaderLock() {
@@ -95,10 +84,19 @@ class CleanupService {
             if (this.db?.locks?.cleanupExpired) {
                 this.db.locks.cleanupExpired.run(Date.now());
             }
+            if (this.db?.idempotencyKeys?.cleanupExpired) {
+                this.db.idempotencyKeys.cleanupExpired.run(Date.now());
+            }
+            const statusesDeleted = this.cleanupExpiredStatuses(Date.now());
+            if (this.db?.connectionEvents?.cleanup) {
+                const cutoff = Date.now() - this.config.LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+                this.db.connectionEvents.cleanup.run(cutoff);
+            }
 
             this.recordSummary('daily', {
                 logsDeleted: logResult.changes,
                 scriptLogsDeleted: scriptLogResult.changes,
+                statusesDeleted,
                 logRetentionDays: this.config.LOG_RETENTION_DAYS,
                 scriptLogRetentionDays: this.config.SCRIPT_LOG_RETENTION_DAYS
             });
@@ -111,6 +109,17 @@ class CleanupService {
         }
     }
 
+    // Suresi dolan durum (story) kayitlari ve indirilen medya dosyalari silinir
+    cleanupExpiredStatuses(now) {
+        if (!this.db?.statusUpdates?.deleteExpired) return 0;
+        for (const row of this.db.statusUpdates.getExpiredMedia.all(now)) {
+            try {
+                fs.unlinkSync(row.media_path);
+            } catch (e) {}
+        }
+        return this.db.statusUpdates.deleteExpired.run(now).changes;
+    }
+
     runWeeklyCleanup() {
         if (!this.tryAcquireLeaderLock()) {
             this.recordJob('cleanup.weekly', 'skipped');
@@ -0,0 +1,205 @@
+/**
+ * WhatsApp Web Panel - Connection Supervisor
+ * Kopan istemciyi backoff ile yeniden baslatir, takilan tarayiciyi yeniler ve baglanti gecmisini tutar
+ */
+const { logger } = require('./logger');
+const { recordJob } = require('../lib/jobMetrics');
+
+// Bilerek yapilan kapanislar yeniden baglanmayi tetiklemez
+const INTENTIONAL_REASONS = new Set(['logout', 'destroy', 'shutdown', 'browser_restart', 'backup', 'restore', 'pairing']);
+// Gecis sirasindaki ara durumlar gecmise yazilmaz
+const TRANSIENT_REASONS = new Set(['reinitialize', 'init_failed']);
+const STUCK_STATUSES = new Set(['initializing', 'authenticated']);
+const STATUS_EVENTS = {
+    ready: 'connected',
+    disconnected: 'disconnected',
+    auth_failure: 'auth_failure',
+    error: 'init_failed',
+    qr: 'qr'
+};
+
+class ConnectionSupervisor {
+    constructor(db, whatsapp, config, metrics = null, options = {}) {
+        this.db = db;
+        this.whatsapp = whatsapp;
+        this.config = config;
+        this.metrics = metrics || null;
+        this.accountId = options?.accountId || null;
+        this.random = typeof options?.random === 'function' ? options.random : Math.random;
+        this.baseDelayMs = Math.max(100, Number(config.RECONNECT_BASE_MS) || 5000);
+        this.maxDelayMs = Math.max(this.baseDelayMs, Number(config.RECONNECT_MAX_MS) || 5 * 60 * 1000);
+        this.checkIntervalMs = Math.max(1000, Number(config.SUPERVISOR_CHECK_INTERVAL_MS) || 15000);
+        this.initTimeoutMs = Math.max(5000, Number(config.WHATSAPP_INIT_TIMEOUT_MS) || 60000);
+        this.running = false;
+        this.attempt = 0;
+        this.nextAttemptAt = null;
+        this.reconnectTimer = null;
+        this.checkInterval = null;
+        this.restarting = null;
+
+        this.unsubscribe = this.whatsapp.onStatusChange((status, reason) => this.handleStatusChange(status, reason));
+    }
+
+    setMetrics(metrics) {
+        this.metrics = metrics || null;
+    }
+
+    recordJob(job, outcome, durationSeconds = null) {
+        recordJob(this.metrics, this.accountId, job, outcome, durationSeconds);
+    }
+
+    recordEvent(event, reason = null, attempt = 0, delayMs = null) {
+        try {
+            this.db.connectionEvents.add.run(event, reason ? String(reason).slice(0, 500) : null, attempt, delayMs, Date.now());
+        } catch (e) {}
+    }
+
+    handleStatusChange(status, reason) {
+        const event = STATUS_EVENTS[status];
+        if (!event) return;
+        if (status === 'disconnected' && TRANSIENT_REASONS.has(reason)) return;
+
+        this.recordEvent(event, reason, status === 'ready' ? 0 : this.attempt);
+
+        if (status === 'ready') {
+            this.attempt = 0;
+            this.clearReconnect();
+            return;
+        }
+
+        if (!this.running) return;
+        if ((status === 'disconnected' || status === 'error') && !INTENTIONAL_REASONS.has(reason)) {
+            this.scheduleReconnect(reason);
+        }
+    }
+
+    getDelayMs(attempt) {
+        const exponential = this.baseDelayMs * Math.pow(2, Math.max(attempt - 1, 0));
+        const capped = Math.min(this.maxDelayMs, exponential);
+        // %20'ye kadar jitter: ayni anda kopan hesaplar birlikte yeniden baglanmaz
+        return Math.round(capped * (0.8 + this.random() * 0.2));
+    }
+
+    scheduleReconnect(reason) {
+        if (this.reconnectTimer) return this.nextAttemptAt;
+
+        this.attempt += 1;
+        const delayMs = this.getDelayMs(this.attempt);
+        this.nextAttemptAt = Date.now() + delayMs;
+        this.recordEvent('reconnect_scheduled', reason, this.attempt, delayMs);
+        this.whatsapp.emit?.('reconnect_scheduled', { attempt: this.attempt, delayMs, nextAttemptAt: this.nextAttemptAt, reason: reason || null });
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.nextAttemptAt = null;
+            this.reconnect().catch(() => {});
+        }, delayMs);
+        if (typeof this.reconnectTimer.unref === 'function') {
+            this.reconnectTimer.unref();
+        }
+        return this.nextAttemptAt;
+    }
+
+    clearReconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.nextAttemptAt = null;
+    }
+
+    async reconnect() {
+        if (!this.running) return;
+        const status = this.whatsapp.status;
+        if (status !== 'disconnected' && status !== 'error') {
+            this.recordJob('supervisor.reconnect', 'skipped');
+            return;
+        }
+
+        const startNs = process.hrtime.bigint();
+        this.recordEvent('reconnect_attempt', null, this.attempt);
+        try {
+            await this.whatsapp.initialize();
+            const durationSeconds = Number(process.hrtime.bigint() - startNs) / 1e9;
+            this.recordJob('supervisor.reconnect', 'success', durationSeconds);
+        } catch (error) {
+            // Hata durumu dinleyiciye dusup bir sonraki denemeyi planlar
+            const durationSeconds = Number(process.hrtime.bigint() - startNs) / 1e9;
+            this.recordJob('supervisor.reconnect', 'error', durationSeconds);
+            logger.warn('WhatsApp reconnect failed', {
+                category: 'supervisor',
+                accountId: this.accountId,
+                attempt: this.attempt,
+                error: error?.message || String(error)
+            });
+        }
+    }
+
+    /**
+     * Baslatma asamasinda WHATSAPP_INIT_TIMEOUT_MS'den uzun kalan istemcinin tarayicisini yeniler.
+     * @returns {boolean} yeniden baslatma tetiklendiyse true
+     */
+    checkStuck(now = Date.now()) {
+        if (this.restarting) return false;
+        const status = this.whatsapp.status;
+        if (!STUCK_STATUSES.has(status)) return false;
+
+        const stuckForMs = now - (this.whatsapp.statusChangedAt || now);
+        if (stuckForMs < this.initTimeoutMs) return false;
+
+        const reason = `Stuck in ${status} for ${Math.round(stuckForMs / 1000)}s`;
+        this.recordEvent('browser_restart', reason, this.attempt);
+        logger.warn('Restarting stuck WhatsApp browser', { category: 'supervisor', accountId: this.accountId, status, stuckForMs });
+
+        this.restarting = Promise.resolve()
+            .then(() => this.whatsapp.restartBrowser('browser_restart'))
+            .then(() => this.recordJob('supervisor.browser_restart', 'success'))
+            .catch((error) => {
+                this.recordJob('supervisor.browser_restart', 'error');
+                logger.warn('Browser restart failed', { category: 'supervisor', accountId: this.accountId, error: error?.message || String(error) });
+            })
+            .finally(() => {
+                this.restarting = null;
+            });
+        return true;
+    }
+
+    getState() {
+        return {
+            running: this.running,
+            attempt: this.attempt,
+            nextAttemptAt: this.nextAttemptAt,
+            restarting: Boolean(this.restarting)
+        };
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        this.checkInterval = setInterval(() => {
+            this.checkStuck();
+        }, this.checkIntervalMs);
+        if (typeof this.checkInterval.unref === 'function') {
+            this.checkInterval.unref();
+        }
+
+        logger.info('Connection supervisor started', { category: 'supervisor', accountId: this.accountId });
+    }
+
+    stop() {
+        this.running = false;
+        this.clearReconnect();
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+        logger.info('Connection supervisor stopped', { category: 'supervisor', accountId: this.accountId });
+    }
+}
+
+function createConnectionSupervisor(db, whatsapp, config, metrics = null, options = {}) {
+    return new ConnectionSupervisor(db, whatsapp, config, metrics, options);
+}
+
+module.exports = { createConnectionSupervisor };
@@ -31,14 +31,15 @@ function createMessagePipeline({ autoReply, webhook, scriptRunner, logger, metri
     async function runSafely(taskName, fn, meta) {
         if (typeof fn !== 'function') {
             countTask(taskName, 'skipped');
-            return;
+            return { outcome: 'skipped' };
         }
         const startNs = process.hrtime.bigint();
         try {
-            await fn();
+            const result = await fn();
             countTask(taskName, 'success');
             const durationSeconds = Number(process.hrtime.bigint() - startNs) / 1e9;
             safeObserve(metrics?.messagePipelineTaskDurationSeconds, { task: taskName, outcome: 'success' }, durationSeconds);
+            return { outcome: 'success', result };
         } catch (error) {
             countTask(taskName, 'error');
             const durationSeconds = Number(process.hrtime.bigint() - startNs) / 1e9;
@@ -48,13 +49,29 @@ function createMessagePipeline({ autoReply, webhook, scriptRunner, logger, metri
                 task: taskName,
                 error: error?.message || String(error)
             });
+            return { outcome: 'error', error: error?.message || String(error) };
         }
     }
 
-    async function processMessage({ msgData, fromMe, accountId }) {
+    /**
+     * Mesaji otomatik yanit, webhook ve scriptlerden gecirir; her gorevin sonucunu rapor olarak dondurur.
+     * dryRun modunda gorevler yan etki uretmez: gonderilecek mesajlar `sent` listesine yazilir,
+     * webhook'lar kuyruga alinmaz.
+     */
+    async function processMessage({ msgData, fromMe, accountId, dryRun = false }) {
         if (!msgData) return;
         const traceId = generateTraceId();
         const direction = fromMe ? 'outgoing' : 'incoming';
+        const sent = [];
+        const taskOptions = dryRun
+            ? {
+                dryRun: true,
+                deliver: async (chatId, message, source) => {
+                    sent.push({ source, chatId, message });
+                    return { dryRun: true };
+                }
+            }
+            : {};
         return requestContext.run({ requestId: traceId }, async () => {
             const pipelineStartNs = process.hrtime.bigint();
             countMessage(direction);
@@ -66,15 +83,18 @@ function createMessagePipeline({ autoReply, webhook, scriptRunner, logger, metri
                 chatId: msgData.chatId
             };
 
+            const tasks = {};
             try {
                 if (!fromMe) {
-                    await runSafely('autoReply', () => autoReply?.processMessage?.(msgData), meta);
+                    tasks.autoReply = await runSafely('autoReply', () => autoReply?.processMessage?.(msgData, taskOptions), meta);
                 } else {
                     countTask('autoReply', 'skipped');
+                    tasks.autoReply = { outcome: 'skipped' };
                 }
 
-                await runSafely('webhook', () => webhook?.trigger?.('message', msgData, { traceId, accountId }), meta);
-                await runSafely('scriptRunner', () => scriptRunner?.processMessage?.(msgData), meta);
+                tasks.webhook = await runSafely('webhook', () => webhook?.trigger?.('message', msgData, { traceId, accountId }, taskOptions), meta);
+                tasks.scriptRunner = await runSafely('scriptRunner', () => scriptRunner?.processMessage?.(msgData, taskOptions), meta);
+                return { traceId, direction, dryRun: Boolean(dryRun), tasks, sent };
             } finally {
                 const durationSeconds = Number(process.hrtime.bigint() - pipelineStartNs) / 1e9;
                 safeObserve(metrics?.messagePipelineDurationSeconds, { direction }, durationSeconds);
@@ -82,11 +102,26 @@ function createMessagePipeline({ autoReply, webhook, scriptRunner, logger, metri
         });
     }
 
-    function schedule(args) {
-        const run = () => {
-            void processMessage(args);
-        };
+    // Mesaj disi olaylar (reaction vb.) yalnizca webhook ve scriptlere iletilir
+    async function processEvent({ event, data, accountId }) {
+        if (!event || !data) return;
+        const traceId = generateTraceId();
+        return requestContext.run({ requestId: traceId }, async () => {
+            const meta = {
+                category: 'message_pipeline',
+                traceId,
+                accountId,
+                event,
+                messageId: data.messageId,
+                chatId: data.chatId
+            };
 
+            await runSafely('webhook', () => webhook?.trigger?.(event, data, { traceId, accountId }), meta);
+            await runSafely('scriptRunner', () => scriptRunner?.processEvent?.(event, data), meta);
+        });
+    }
+
+    function defer(run) {
         if (typeof setImmediate === 'function') {
             setImmediate(run);
         } else {
@@ -94,7 +129,19 @@ function createMessagePipeline({ autoReply, webhook, scriptRunner, logger, metri
         }
     }
 
-    return { process: processMessage, schedule };
+    function schedule(args) {
+        defer(() => {
+            void processMessage(args);
+        });
+    }
+
+    function scheduleEvent(args) {
+        defer(() => {
+            void processEvent(args);
+        });
+    }
+
+    return { process: processMessage, schedule, processEvent, scheduleEvent };
 }
 
 module.exports = { createMessagePipeline };
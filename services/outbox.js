@@ -0,0 +1,274 @@
+/**
+ * WhatsApp Web Panel - Outbox Service
+ * Giden mesajlar icin kalici kuyruk: baglanti yokken kabul eder, backoff ile tekrar dener
+ */
+const { logger } = require('./logger');
+const { recordJob } = require('../lib/jobMetrics');
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+const SEND_OPTION_KEYS = ['quotedMessageId', 'mediaPath', 'sendAsSticker', 'poll', 'location', 'contact'];
+
+function pickSendOptions(options = {}) {
+    const picked = {};
+    for (const key of SEND_OPTION_KEYS) {
+        if (options[key] !== undefined && options[key] !== null) {
+            picked[key] = options[key];
+        }
+    }
+    return picked;
+}
+
+class OutboxService {
+    constructor(db, whatsapp, config, metrics = null, options = {}) {
+        this.db = db;
+        this.whatsapp = whatsapp;
+        this.config = config;
+        this.metrics = metrics || null;
+        this.accountId = options?.accountId || null;
+        this.maxAttempts = Math.max(1, Number(config.OUTBOX_MAX_ATTEMPTS) || 5);
+        this.retryBaseMs = Math.max(100, Number(config.OUTBOX_RETRY_BASE_MS) || 5000);
+        this.flushIntervalMs = Math.max(1000, Number(config.OUTBOX_FLUSH_INTERVAL_MS) || 15000);
+        this.flushBatchSize = 50;
+        this.flushInterval = null;
+        this.flushing = null;
+        this.flushRequested = false;
+        this.settledHandlers = new Map();
+    }
+
+    setWhatsApp(whatsapp) {
+        this.whatsapp = whatsapp;
+    }
+
+    setMetrics(metrics) {
+        this.metrics = metrics || null;
+    }
+
+    recordJob(job, outcome, durationSeconds = null) {
+        recordJob(this.metrics, this.accountId, job, outcome, durationSeconds);
+    }
+
+    isConnected() {
+        return Boolean(this.whatsapp && this.whatsapp.isReady());
+    }
+
+    emitUpdate(itemId) {
+        const item = this.db.outbox.getById.get(itemId);
+        if (item) {
+            this.whatsapp?.emit?.('outbox_update', item);
+        }
+        return item || null;
+    }
+
+    parseOptions(item) {
+        if (!item.options) return {};
+        try {
+            return JSON.parse(item.options) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Belirli bir kaynagin ('scheduler', 'campaign' gibi) kayitlari kesin sonuca ulasinca
+     * (sent / failed / cancelled) handler(item) cagrilir. Kaynak satiri item.source_ref ile bulunur.
+     */
+    onSettled(source, handler) {
+        this.settledHandlers.set(source, handler);
+    }
+
+    notifySettled(item) {
+        const handler = item ? this.settledHandlers.get(item.source) : null;
+        if (!handler) return;
+        try {
+            handler(item);
+        } catch (error) {
+            logger.warn('Outbox settled handler failed', {
+                category: 'outbox',
+                id: item.id,
+                source: item.source,
+                error: error.message
+            });
+        }
+    }
+
+    enqueue(chatId, message, options = {}, meta = {}) {
+        const sendOptions = pickSendOptions(options);
+        const result = this.db.outbox.create.run(
+            chatId,
+            message || '',
+            Object.keys(sendOptions).length > 0 ? JSON.stringify(sendOptions) : null,
+            meta.source || 'api',
+            meta.sourceRef === undefined || meta.sourceRef === null ? null : String(meta.sourceRef),
+            meta.createdBy || null
+        );
+        return this.emitUpdate(result.lastInsertRowid);
+    }
+
+    /**
+     * Mesaji kuyruga yazar; baglanti hazirsa hemen gondermeyi dener.
+     * `result` yalnizca mesaj o anda iletildiyse doludur.
+     */
+    async send(chatId, message, options = {}, meta = {}) {
+        const item = this.enqueue(chatId, message, options, meta);
+        if (!this.isConnected()) {
+            return { item, result: null, queued: true };
+        }
+        return this.deliver(item);
+    }
+
+    async deliver(item) {
+        const claim = this.db.outbox.claim.run(item.id);
+        if (!claim || claim.changes === 0) {
+            return { item: this.db.outbox.getById.get(item.id), result: null, queued: true };
+        }
+
+        const attempts = (item.attempts || 0) + 1;
+        const startNs = process.hrtime.bigint();
+        try {
+            const result = await this.whatsapp.sendMessage(item.chat_id, item.body || '', this.parseOptions(item));
+            this.db.outbox.markSent.run(result?.id?._serialized || null, item.id);
+            const durationSeconds = Number(process.hrtime.bigint() - startNs) / 1e9;
+            this.recordJob('outbox.send', 'success', durationSeconds);
+            const sent = this.emitUpdate(item.id);
+            this.notifySettled(sent);
+            return { item: sent, result, queued: false };
+        } catch (error) {
+            const durationSeconds = Number(process.hrtime.bigint() - startNs) / 1e9;
+            this.recordJob('outbox.send', 'error', durationSeconds);
+            this.recordFailure(item, attempts, error);
+            const updated = this.emitUpdate(item.id);
+            const queued = attempts < this.maxAttempts;
+            if (!queued) {
+                this.notifySettled(updated);
+            }
+            return { item: updated, result: null, queued };
+        }
+    }
+
+    recordFailure(item, attempts, error) {
+        if (attempts >= this.maxAttempts) {
+            this.db.outbox.markFailed.run(error.message, item.id);
+            this.db.logs.add.run('error', 'outbox', 'Outbound message failed permanently', JSON.stringify({
+                id: item.id,
+                chatId: item.chat_id,
+                source: item.source,
+                attempts,
+                error: error.message
+            }));
+            return;
+        }
+
+        const delayMs = this.retryBaseMs * Math.pow(2, Math.max(attempts - 1, 0));
+        const nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+        this.db.outbox.reschedule.run(nextAttemptAt, error.message, item.id);
+        this.db.logs.add.run('warn', 'outbox', 'Outbound message send failed; will retry', JSON.stringify({
+            id: item.id,
+            chatId: item.chat_id,
+            attempts,
+            nextAttemptAt,
+            error: error.message
+        }));
+    }
+
+    retry(itemId) {
+        const result = this.db.outbox.retry.run(itemId);
+        if (!result || result.changes === 0) {
+            return null;
+        }
+        const item = this.emitUpdate(itemId);
+        this.flush().catch(() => {});
+        return item;
+    }
+
+    cancel(itemId) {
+        const item = this.db.outbox.getById.get(itemId);
+        const result = this.db.outbox.cancel.run(itemId);
+        if (!item || !result || result.changes === 0) {
+            return false;
+        }
+        const cancelled = { ...item, status: 'cancelled' };
+        this.whatsapp?.emit?.('outbox_update', cancelled);
+        this.notifySettled(cancelled);
+        return true;
+    }
+
+    getCounts() {
+        const counts = {};
+        OUTBOX_STATUSES.forEach(status => {
+            counts[status] = 0;
+        });
+        this.db.outbox.countByStatus.all().forEach(row => {
+            counts[row.status] = row.total;
+        });
+        return counts;
+    }
+
+    flush() {
+        if (this.flushing) {
+            this.flushRequested = true;
+            return this.flushing;
+        }
+
+        this.flushing = this.runFlush()
+            .catch(error => {
+                this.recordJob('outbox.flush', 'error');
+                logger.error('Outbox flush failed', { category: 'outbox', error: error.message });
+            })
+            .finally(() => {
+                this.flushing = null;
+                if (this.flushRequested) {
+                    this.flushRequested = false;
+                    this.flush().catch(() => {});
+                }
+            });
+        return this.flushing;
+    }
+
+    async runFlush() {
+        if (!this.isConnected()) {
+            this.recordJob('outbox.flush', 'skipped');
+            return;
+        }
+
+        const startNs = process.hrtime.bigint();
+        let items = this.db.outbox.getRunnable.all(this.flushBatchSize);
+        while (items.length > 0 && this.isConnected()) {
+            for (const item of items) {
+                if (!this.isConnected()) break;
+                await this.deliver(item);
+            }
+            items = this.db.outbox.getRunnable.all(this.flushBatchSize);
+        }
+        const durationSeconds = Number(process.hrtime.bigint() - startNs) / 1e9;
+        this.recordJob('outbox.flush', 'success', durationSeconds);
+    }
+
+    start() {
+        try {
+            this.db.outbox.resetSending.run();
+        } catch (e) {}
+
+        this.flushInterval = setInterval(() => {
+            this.flush().catch(() => {});
+        }, this.flushIntervalMs);
+        if (typeof this.flushInterval.unref === 'function') {
+            this.flushInterval.unref();
+        }
+
+        logger.info('Outbox service started', { category: 'outbox' });
+    }
+
+    stop() {
+        if (this.flushInterval) {
+            clearInterval(this.flushInterval);
+            this.flushInterval = null;
+        }
+        logger.info('Outbox service stopped', { category: 'outbox' });
+    }
+}
+
+function createOutboxService(db, whatsapp, config, metrics = null, options = {}) {
+    return new OutboxService(db, whatsapp, config, metrics, options);
+}
+
+module.exports = { createOutboxService, OUTBOX_STATUSES };
@@ -0,0 +1,143 @@
+/**
+ * WhatsApp Web Panel - Saved Searches Service
+ * Kayitli sohbet aramalari (akilli klasorler): eslesen sohbetleri listeler ve
+ * sabitlenmis klasorlerin okunmamis sayilarini kullanici odalarina Socket.IO ile yayinlar.
+ */
+const { CHAT_LIST_ORDER } = require('../database');
+const { compileChatSearch, parseSearchQuery } = require('../lib/searchQuery');
+const { logger } = require('./logger');
+
+const REFRESH_DEBOUNCE_MS = 1000;
+
+// Socket baglantisi hesap odasina ek olarak bu kullanici odasina katilir
+function userRoom(accountId, userId) {
+    return `${accountId}:user:${userId}`;
+}
+
+class SavedSearchService {
+    constructor(db, whatsapp, options = {}) {
+        this.db = db;
+        this.whatsapp = whatsapp;
+        this.accountId = options?.accountId || null;
+        this.debounceMs = Number.isFinite(options?.debounceMs) ? options.debounceMs : REFRESH_DEBOUNCE_MS;
+        this.refreshTimer = null;
+        // userId -> son yayinlanan sayilar (JSON); degismeyen sayilar tekrar gonderilmez
+        this.lastCounts = new Map();
+    }
+
+    // Klasorler her zaman arsivlenmemis sohbetlerde arar
+    buildWhere(search) {
+        const compiled = compileChatSearch(parseSearchQuery(search.query || ''), {
+            tag: search.tag || '',
+            note: search.note || ''
+        });
+        return {
+            sql: ['c.is_archived = 0', ...compiled.where].join('\n          AND '),
+            params: compiled.params
+        };
+    }
+
+    listChats(search, { limit = 50, offset = 0 } = {}) {
+        const where = this.buildWhere(search);
+        return this.db.db.prepare(`
+            SELECT c.* FROM chats c
+            WHERE ${where.sql}
+            ORDER BY ${CHAT_LIST_ORDER}
+            LIMIT ? OFFSET ?
+        `).all(...where.params, limit, offset);
+    }
+
+    getCounts(search) {
+        const where = this.buildWhere(search);
+        const row = this.db.db.prepare(`
+            SELECT
+                COUNT(*) AS chats,
+                COALESCE(SUM(CASE WHEN c.unread_count > 0 OR c.marked_unread = 1 THEN 1 ELSE 0 END), 0) AS unread_chats,
+                COALESCE(SUM(c.unread_count), 0) AS unread_messages
+            FROM chats c
+            WHERE ${where.sql}
+        `).get(...where.params);
+        return {
+            id: search.id,
+            chats: row.chats,
+            unreadChats: row.unread_chats,
+            unreadMessages: row.unread_messages
+        };
+    }
+
+    getCountsForUser(userId) {
+        const counts = [];
+        for (const search of this.db.savedSearches.getPinnedForUser.all(userId)) {
+            try {
+                counts.push(this.getCounts(search));
+            } catch (error) {
+                // Eski bir sorgu artik gecersizse klasor sayisiz gosterilir
+                logger.warn('Saved search count failed', {
+                    category: 'saved_search',
+                    accountId: this.accountId,
+                    savedSearchId: search.id,
+                    error: error.message
+                });
+            }
+        }
+        return counts;
+    }
+
+    emitToUser(userId, event, data) {
+        const io = this.whatsapp?.io;
+        if (!io || !this.accountId) return;
+        io.to(userRoom(this.accountId, userId)).emit(event, data);
+    }
+
+    refresh() {
+        const userIds = this.db.savedSearchPins.getUserIds.all().map(row => row.user_id);
+        for (const userId of userIds) {
+            const counts = this.getCountsForUser(userId);
+            const serialized = JSON.stringify(counts);
+            if (this.lastCounts.get(userId) === serialized) continue;
+            this.lastCounts.set(userId, serialized);
+            this.emitToUser(userId, 'saved_search_counts', { counts });
+        }
+    }
+
+    // Mesaj/sohbet olaylari art arda gelir; sayilar kisa bir gecikmeyle toplu hesaplanir
+    scheduleRefresh() {
+        if (this.refreshTimer) return;
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            try {
+                this.refresh();
+            } catch (error) {
+                logger.warn('Saved search refresh failed', {
+                    category: 'saved_search',
+                    accountId: this.accountId,
+                    error: error.message
+                });
+            }
+        }, this.debounceMs);
+        if (typeof this.refreshTimer.unref === 'function') {
+            this.refreshTimer.unref();
+        }
+    }
+
+    // Kullanici kendi klasorlerini degistirdiginde sayilari hemen alir
+    refreshUser(userId) {
+        const counts = this.getCountsForUser(userId);
+        this.lastCounts.set(userId, JSON.stringify(counts));
+        this.emitToUser(userId, 'saved_search_counts', { counts });
+        return counts;
+    }
+
+    stop() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+}
+
+function createSavedSearchService(db, whatsapp, options = {}) {
+    return new SavedSearchService(db, whatsapp, options);
+}
+
+module.exports = { createSavedSearchService, userRoom };
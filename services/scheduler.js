@@ -3,6 +3,8 @@
  */
 const cron = require('node-cron');
 const { logger } = require('./logger');
+const { recordJob } = require('../lib/jobMetrics');
+const { renderTemplate } = require('../lib/templates');
 
 class SchedulerService {
     constructor(db, whatsapp, config, metrics = null, options = {}) {
@@ -11,12 +13,17 @@ class SchedulerService {
         this.config = config;
         this.metrics = metrics || null;
         this.accountId = options?.accountId || null;
+        this.outbox = options?.outbox || null;
         this.checkInterval = null;
         this.cronJobs = new Map();
         this.instanceId = config.INSTANCE_ID || String(process.pid);
         this.lockName = 'scheduler';
         this.lockTtlMs = config.SCHEDULER_LOCK_TTL_MS || 3 * 60 * 1000;
         this.tickInProgress = false;
+
+        if (this.outbox) {
+            this.outbox.onSettled('scheduler', item => this.handleOutboxSettled(item));
+        }
     }
 
     setWhatsApp(whatsapp) {
@@ -27,21 +34,8 @@ class SchedulerService {
         this.metrics = metrics || null;
     }
 
-    accountIdLabel() {
-        return typeof this.accountId === 'string' && this.accountId ? this.accountId : 'unknown';
-    }
-
     recordJob(job, outcome, durationSeconds = null) {
-        const labels = { accountId: this.accountIdLabel(), job, outcome };
-        try {
-            this.metrics?.backgroundJobRunsTotal?.inc?.(labels, 1);
-        } catch (e) {}
-
-        if (typeof durationSeconds === 'number' && Number.isFinite(durationSeconds)) {
-            try {
-                this.metrics?.backgroundJobDurationSeconds?.observe?.(labels, durationSeconds);
-            } catch (e) {}
-        }
+        recordJob(this.metrics, this.accountId, job, outcome, durationSeconds);
     }
 
     buildTemplateContext(message) {
@@ -53,14 +47,61 @@ class SchedulerService {
         };
     }
 
-    renderTemplate(content, context) {
-        if (!content) return '';
-        return content.replace(/{(\w+)}/g, (match, key) => {
-            if (Object.prototype.hasOwnProperty.call(context, key)) {
-                return String(context[key]);
-            }
-            return match;
-        });
+    canSend() {
+        if (this.outbox) return true;
+        return Boolean(this.whatsapp && this.whatsapp.isReady());
+    }
+
+    /**
+     * Donus: { item, queued }. item outbox kaydidir; outbox yoksa null olur ve mesaj gonderilmistir.
+     * sourceRef verilirse outbox sonucu handleOutboxSettled ile zamanli mesaj satirina yazilir.
+     */
+    async deliver(chatId, message, sourceRef = null) {
+        if (this.outbox) {
+            const { item, queued } = await this.outbox.send(chatId, message, {}, { source: 'scheduler', sourceRef });
+            return { item, queued };
+        }
+        await this.whatsapp.sendMessage(chatId, message);
+        return { item: null, queued: false };
+    }
+
+    // Outbox kaydi gonderildi, kalici olarak basarisiz oldu ya da iptal edildi
+    handleOutboxSettled(item) {
+        const id = Number(item.source_ref);
+        const msg = Number.isInteger(id) ? this.db.scheduled.getById.get(id) : null;
+        if (!msg) return;
+
+        if (item.status === 'sent') {
+            this.db.scheduled.markSent.run(id);
+            this.db.logs.add.run('info', 'scheduler',
+                'Scheduled message sent',
+                JSON.stringify({ id, chatId: item.chat_id, outboxId: item.id })
+            );
+            logger.info('Scheduled message sent', { category: 'scheduler', messageId: id });
+            return;
+        }
+
+        // Iptal edilen kayit tekrar gonderilmez; kalici hata normal tekrar deneme akisina doner
+        const cancelled = item.status === 'cancelled';
+        const error = cancelled ? 'Cancelled from outbox' : (item.last_error || 'Outbox delivery failed');
+        const retryCount = cancelled ? this.maxRetries() : (msg.retry_count || 0) + 1;
+        const nextAttemptAt = cancelled ? null : this.nextAttemptAt(retryCount);
+        this.db.scheduled.markOutboxFailed.run(retryCount, nextAttemptAt, error, id);
+        this.db.logs.add.run('error', 'scheduler',
+            'Failed to send scheduled message',
+            JSON.stringify({ id, outboxId: item.id, error, retryCount, nextAttemptAt })
+        );
+        logger.error('Failed to send scheduled message', { category: 'scheduler', messageId: id, error });
+    }
+
+    maxRetries() {
+        return this.config.SCHEDULER_MAX_RETRIES || 5;
+    }
+
+    nextAttemptAt(retryCount) {
+        const baseDelayMs = this.config.SCHEDULER_RETRY_BASE_MS || 60000;
+        const delayMs = baseDelayMs * Math.pow(2, Math.max(retryCount - 1, 0));
+        return new Date(Date.now() + delayMs).toISOString();
     }
 
     resolveScheduledMessage(msg) {
@@ -71,7 +112,7 @@ class SchedulerService {
                 templateContent = template.content;
             }
         }
-        return this.renderTemplate(templateContent, this.buildTemplateContext(msg));
+        return renderTemplate(templateContent, this.buildTemplateContext(msg));
     }
 
     start() {
@@ -202,14 +243,12 @@ class SchedulerService {
     }
 
     async checkPendingMessages() {
-        if (!this.whatsapp || !this.whatsapp.isReady()) {
+        if (!this.canSend()) {
             return;
         }
 
         try {
-            const maxRetries = this.config.SCHEDULER_MAX_RETRIES || 5;
-            const baseDelayMs = this.config.SCHEDULER_RETRY_BASE_MS || 60000;
-            const pending = this.db.scheduled.getPending.all(maxRetries);
+            const pending = this.db.scheduled.getPending.all(this.maxRetries());
 
             for (const msg of pending) {
                 const msgStartNs = process.hrtime.bigint();
@@ -218,23 +257,30 @@ class SchedulerService {
                     if (!resolvedMessage) {
                         throw new Error('Resolved scheduled message is empty');
                     }
-                    await this.whatsapp.sendMessage(msg.chat_id, resolvedMessage);
-                    this.db.scheduled.markSent.run(msg.id);
-
-                    this.db.logs.add.run('info', 'scheduler',
-                        'Scheduled message sent',
-                        JSON.stringify({ id: msg.id, chatId: msg.chat_id })
-                    );
-
-                    logger.info('Scheduled message sent', { category: 'scheduler', messageId: msg.id });
+                    const { item, queued } = await this.deliver(msg.chat_id, resolvedMessage, msg.id);
+                    if (item) {
+                        // Satir outbox sonucuna gore isaretlenir (handleOutboxSettled); hemen sonuclanan
+                        // kayit icin handler zaten calismistir
+                        if (queued) {
+                            this.db.scheduled.attachOutbox.run(item.id, msg.id);
+                        }
+                    } else {
+                        this.db.scheduled.markSent.run(msg.id);
+
+                        this.db.logs.add.run('info', 'scheduler',
+                            'Scheduled message sent',
+                            JSON.stringify({ id: msg.id, chatId: msg.chat_id })
+                        );
+
+                        logger.info('Scheduled message sent', { category: 'scheduler', messageId: msg.id });
+                    }
                     const durationSeconds = Number(process.hrtime.bigint() - msgStartNs) / 1e9;
                     this.recordJob('scheduler.send_pending', 'success', durationSeconds);
                 } catch (error) {
                     const durationSeconds = Number(process.hrtime.bigint() - msgStartNs) / 1e9;
                     this.recordJob('scheduler.send_pending', 'error', durationSeconds);
                     const nextRetryCount = (msg.retry_count || 0) + 1;
-                    const delayMs = baseDelayMs * Math.pow(2, Math.max(nextRetryCount - 1, 0));
-                    const nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+                    const nextAttemptAt = this.nextAttemptAt(nextRetryCount);
 
                     this.db.scheduled.recordFailure.run(
                         nextRetryCount,
@@ -283,7 +329,7 @@ class SchedulerService {
                 this.recordJob('scheduler.send_recurring', 'skipped');
                 return;
             }
-            if (this.whatsapp && this.whatsapp.isReady()) {
+            if (this.canSend()) {
                 const msgStartNs = process.hrtime.bigint();
                 try {
                     const resolvedMessage = this.resolveScheduledMessage({
@@ -295,9 +341,9 @@ class SchedulerService {
                     if (!resolvedMessage) {
                         throw new Error('Resolved recurring message is empty');
                     }
-                    await this.whatsapp.sendMessage(chatId, resolvedMessage);
+                    const { queued } = await this.deliver(chatId, resolvedMessage);
                     this.db.logs.add.run('info', 'scheduler',
-                        'Recurring message sent',
+                        queued ? 'Recurring message queued' : 'Recurring message sent',
                         JSON.stringify({ id, chatId, cron: cronExpression })
                     );
                     const durationSeconds = Number(process.hrtime.bigint() - msgStartNs) / 1e9;
@@ -4,9 +4,14 @@
  */
 const vm = require('vm');
 const { logger } = require('./logger');
+const { listMessagePage } = require('../lib/messagePages');
+const { searchMessages } = require('../lib/messageSearch');
 const { isSafeExternalUrl } = require('../lib/urlSafety');
 const aiService = require('./aiService');
 
+// Bu tetikleyicilerde script yalnizca secilen sohbetler icin calisir
+const CHAT_SCOPED_TRIGGERS = ['message', 'reaction'];
+
 const AI_DEPRECATED_MODELS = new Set(['gemini-1.5-flash', 'gemini-1.5-pro', 'gemini-2.0-flash']);
 const AI_DEFAULT_MODEL = 'gemini-2.5-flash';
 
@@ -26,9 +31,10 @@ function resolveAiModel(...candidates) {
 }
 
 class ScriptRunner {
-    constructor(db, whatsapp) {
+    constructor(db, whatsapp, options = {}) {
         this.db = db;
         this.whatsapp = whatsapp;
+        this.outbox = options?.outbox || null;
         this.runningScripts = new Map();
         this.warnedMissingScope = new Set();
     }
@@ -37,6 +43,20 @@ class ScriptRunner {
         this.whatsapp = whatsapp;
     }
 
+    // Outbox varsa baglanti yokken de kuyruga alinir; aksi halde dogrudan gonderilir
+    async deliver(chatId, message, scriptId) {
+        if (this.outbox) {
+            const { item, result } = await this.outbox.send(chatId, message, {}, { source: 'script' });
+            if (result) return result;
+            this.scriptLog(scriptId, 'info', 'Mesaj kuyruga alindi (outbox #' + item.id + ')');
+            return { queued: true, outboxId: item.id, status: item.status };
+        }
+        if (!this.whatsapp || !this.whatsapp.isReady()) {
+            throw new Error('WhatsApp not connected');
+        }
+        return await this.whatsapp.sendMessage(chatId, message);
+    }
+
     parseTriggerFilter(script) {
         if (!script || !script.trigger_filter) return null;
         if (typeof script.trigger_filter !== 'string') return null;
@@ -53,7 +73,7 @@ class ScriptRunner {
         const filter = this.parseTriggerFilter(script);
         const raw = filter?.chatIds ?? filter?.chat_ids;
         if (raw === undefined || raw === null) {
-            return triggerType === 'message' ? [] : null;
+            return CHAT_SCOPED_TRIGGERS.includes(triggerType) ? [] : null;
         }
         const list = Array.isArray(raw) ? raw : [raw];
         const normalized = list
@@ -106,9 +126,13 @@ class ScriptRunner {
     }
 
     // Create sandboxed context for script execution
-    createContext(script, triggerData) {
+    createContext(script, triggerData, options = {}) {
         const self = this;
         const scriptId = script?.id || 0;
+        // Simulasyonda mesajlar gonderilmez, options.deliver ile yakalanir
+        const deliver = options.dryRun
+            ? (chatId, message) => options.deliver(chatId, message, 'script')
+            : (chatId, message) => self.deliver(chatId, message, scriptId);
         
         // Create a null-prototype object to prevent prototype chain attacks
         const context = Object.create(null);
@@ -127,10 +151,7 @@ class ScriptRunner {
                     if (allowedChatSet && !allowedChatSet.has(targetChatId)) {
                         throw new Error('Kapsam engeli: Bu script sadece secilen sohbetlere mesaj gonderebilir');
                     }
-                    if (!self.whatsapp || !self.whatsapp.isReady()) {
-                        throw new Error('WhatsApp not connected');
-                    }
-                    return await self.whatsapp.sendMessage(targetChatId, message);
+                    return await deliver(targetChatId, message);
                 },
                 writable: false, configurable: false
             },
@@ -143,7 +164,7 @@ class ScriptRunner {
                     if (allowedChatSet && !allowedChatSet.has(triggerData.chatId)) {
                         throw new Error('Kapsam engeli: Bu sohbete yanit gonderilemez');
                     }
-                    return await self.whatsapp.sendMessage(triggerData.chatId, message);
+                    return await deliver(triggerData.chatId, message);
                 },
                 writable: false, configurable: false
             },
@@ -154,11 +175,11 @@ class ScriptRunner {
                 writable: false, configurable: false
             },
             getMessages: {
-                value: (chatId, limit = 50) => self.db.messages.getByChatId.all(chatId, limit),
+                value: (chatId, limit = 50) => listMessagePage(self.db, { chatId, limit: Number(limit) || 50 }).messages,
                 writable: false, configurable: false
             },
             searchMessages: {
-                value: (query) => self.db.messages.search.all('%' + query + '%'),
+                value: (query) => searchMessages(self.db, { query: String(query || ''), limit: 100 }).items,
                 writable: false, configurable: false
             },
 
@@ -299,11 +320,12 @@ class ScriptRunner {
         }
     }
 
-    async runScript(script, triggerData = null) {
+    async runScript(script, triggerData = null, options = {}) {
         const startTime = Date.now();
+        const dryRun = options.dryRun === true;
 
         try {
-            const context = this.createContext(script, triggerData);
+            const context = this.createContext(script, triggerData, options);
             vm.createContext(context);
 
             // Wrap code in async function to support await
@@ -322,15 +344,18 @@ class ScriptRunner {
                 timeout: 30000
             });
 
-            this.db.scripts.recordRun.run(script.id);
-
             const duration = Date.now() - startTime;
-            this.scriptLog(script.id, 'info', 'Script completed in ' + duration + 'ms');
+            if (!dryRun) {
+                this.db.scripts.recordRun.run(script.id);
+            }
+            this.scriptLog(script.id, 'info', (dryRun ? '[Simulasyon] ' : '') + 'Script completed in ' + duration + 'ms');
 
             return { success: true, duration };
 
         } catch (error) {
-            this.db.scripts.recordError.run(error.message, script.id);
+            if (!dryRun) {
+                this.db.scripts.recordError.run(error.message, script.id);
+            }
             this.scriptLogWithData(script.id, 'error', 'Error: ' + error.message, {
                 script_id: script.id,
                 stack: error.stack,
@@ -341,10 +366,15 @@ class ScriptRunner {
         }
     }
 
-    async processMessage(msgData) {
-        if (!msgData) return;
+    /**
+     * Kapsama ve filtreye uyan 'message' scriptlerini calistirir; her calisma icin
+     * { scriptId, name, success, duration, error } dondurur.
+     */
+    async processMessage(msgData, options = {}) {
+        if (!msgData) return [];
 
         const scripts = this.db.scripts.getByTrigger.all('message');
+        const runs = [];
 
         for (const script of scripts) {
             try {
@@ -389,12 +419,50 @@ class ScriptRunner {
                     if (filter.privateOnly === true && msgData.isGroup) continue;
                 }
 
-                await this.runScript(script, msgData);
+                const result = await this.runScript(script, msgData, options);
+                runs.push({ scriptId: script.id, name: script.name, ...result });
 
             } catch (error) {
                 logger.error('Script filter error', { category: 'script-runner', error: error.message });
             }
         }
+        return runs;
+    }
+
+    // Mesaj disi olaylar (ornegin 'reaction') icin scriptleri calistirir
+    async processEvent(event, data) {
+        if (!event || !data) return;
+
+        const scripts = this.db.scripts.getByTrigger.all(event);
+
+        for (const script of scripts) {
+            try {
+                const chatIds = this.getAllowedChatIds(script);
+                if (Array.isArray(chatIds)) {
+                    if (chatIds.length === 0) {
+                        if (!this.warnedMissingScope.has(script.id)) {
+                            this.warnedMissingScope.add(script.id);
+                            this.scriptLog(script.id, 'warn', 'Script hedef sohbet secilmedigi icin calistirilmadi');
+                        }
+                        continue;
+                    }
+                    if (!chatIds.includes(data.chatId)) continue;
+                }
+
+                const filter = this.parseTriggerFilter(script);
+                if (filter) {
+                    const sender = data.senderId || data.from || '';
+                    if (filter.from && !String(sender).includes(filter.from)) continue;
+                    if (filter.reaction && data.reaction !== filter.reaction) continue;
+                    if (filter.incoming === true && data.isFromMe) continue;
+                    if (filter.outgoing === true && !data.isFromMe) continue;
+                }
+
+                await this.runScript(script, data);
+            } catch (error) {
+                logger.error('Script filter error', { category: 'script-runner', event, error: error.message });
+            }
+        }
     }
 
     async testScript(code, testData = {}) {
@@ -403,8 +471,8 @@ class ScriptRunner {
     }
 }
 
-function createScriptRunner(db, whatsapp) {
-    return new ScriptRunner(db, whatsapp);
+function createScriptRunner(db, whatsapp, options = {}) {
+    return new ScriptRunner(db, whatsapp, options);
 }
 
-module.exports = { createScriptRunner };
+module.exports = { createScriptRunner, CHAT_SCOPED_TRIGGERS };
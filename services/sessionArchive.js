@@ -0,0 +1,433 @@
+/**
+ * WhatsApp Web Panel - Session Archive
+ * Hesap oturumunu (LocalAuth + whatsapp.db + ayarlar) tek bir tar.gz arsivine yazar ve dogrulayarak geri acar
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const Database = require('better-sqlite3');
+
+const ARCHIVE_FORMAT = 'wp-panel-session';
+const ARCHIVE_VERSION = 1;
+const MANIFEST_NAME = 'manifest.json';
+const DB_ENTRY = 'whatsapp.db';
+const SESSION_PREFIX = 'session/';
+const SETTINGS_FILES = ['drive-token.json', 'drive-oauth-credentials.json'];
+// Chromium onbellekleri oturum icin gerekli degil, arsivi sisirmemesi icin atlanir
+const SKIPPED_SESSION_DIRS = new Set(['Cache', 'Code Cache', 'GPUCache', 'CacheStorage', 'ScriptCache', 'Crashpad', 'blob_storage']);
+const SKIPPED_SESSION_FILES = new Set(['SingletonLock', 'SingletonCookie', 'SingletonSocket', 'DevToolsActivePort']);
+const BLOCK_SIZE = 512;
+// Acilan toplam boyut yuklenen arsiv sinirinin bu katini gecemez (sikistirma bombasi)
+const MAX_EXPANSION_RATIO = 8;
+const MANIFEST_MAX_BYTES = 16 * 1024 * 1024;
+
+function archiveError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_SESSION_ARCHIVE';
+    return error;
+}
+
+function writeString(header, value, offset, length) {
+    header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+function writeOctal(header, value, offset, length) {
+    writeString(header, value.toString(8).padStart(length - 1, '0') + '\0', offset, length);
+}
+
+function splitTarPath(entryPath) {
+    if (Buffer.byteLength(entryPath) <= 100) return { name: entryPath, prefix: '' };
+    const parts = entryPath.split('/');
+    for (let i = parts.length - 1; i > 0; i--) {
+        const prefix = parts.slice(0, i).join('/');
+        const name = parts.slice(i).join('/');
+        if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(name) <= 100) {
+            return { name, prefix };
+        }
+    }
+    throw archiveError('Archive path too long: ' + entryPath);
+}
+
+function createTarHeader(entryPath, size, mtimeMs) {
+    const header = Buffer.alloc(BLOCK_SIZE);
+    const { name, prefix } = splitTarPath(entryPath);
+    writeString(header, name, 0, 100);
+    writeOctal(header, 0o644, 100, 8);
+    writeOctal(header, 0, 108, 8);
+    writeOctal(header, 0, 116, 8);
+    writeOctal(header, size, 124, 12);
+    writeOctal(header, Math.floor((mtimeMs || Date.now()) / 1000), 136, 12);
+    header.fill(' ', 148, 156);
+    header.write('0', 156);
+    writeString(header, 'ustar\0', 257, 6);
+    writeString(header, '00', 263, 2);
+    writeString(header, prefix, 345, 155);
+
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    writeString(header, checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+    return header;
+}
+
+function readString(header, offset, length) {
+    const raw = header.subarray(offset, offset + length);
+    const end = raw.indexOf(0);
+    return raw.subarray(0, end === -1 ? raw.length : end).toString('utf8');
+}
+
+function parseTarHeader(header) {
+    if (header.every(byte => byte === 0)) return null;
+
+    let checksum = 0;
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+        checksum += (i >= 148 && i < 156) ? 32 : header[i];
+    }
+    const expected = parseInt(readString(header, 148, 8).trim(), 8);
+    if (checksum !== expected) throw archiveError('Corrupted archive header');
+
+    const name = readString(header, 0, 100);
+    const prefix = readString(header, 345, 155);
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156] || 48);
+    if (!Number.isFinite(size) || size < 0) throw archiveError('Corrupted archive header');
+    return { path: prefix ? prefix + '/' + name : name, size, type };
+}
+
+function isSafeEntryPath(entryPath) {
+    if (!entryPath || entryPath.includes('\\') || entryPath.includes('\0')) return false;
+    if (path.posix.isAbsolute(entryPath)) return false;
+    return entryPath.split('/').every(part => part && part !== '.' && part !== '..');
+}
+
+function isAllowedEntry(entryPath) {
+    return entryPath === MANIFEST_NAME
+        || entryPath === DB_ENTRY
+        || SETTINGS_FILES.includes(entryPath)
+        || entryPath.startsWith(SESSION_PREFIX);
+}
+
+function listSessionFiles(sessionDir) {
+    const files = [];
+    const walk = (dir, relative) => {
+        let entries = [];
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (e) {
+            return;
+        }
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            const entryPath = relative ? relative + '/' + entry.name : entry.name;
+            if (entry.isDirectory()) {
+                if (!SKIPPED_SESSION_DIRS.has(entry.name)) walk(fullPath, entryPath);
+            } else if (entry.isFile() && !SKIPPED_SESSION_FILES.has(entry.name)) {
+                files.push({ fullPath, entryPath: SESSION_PREFIX + entryPath });
+            }
+        }
+    };
+    walk(sessionDir, '');
+    return files;
+}
+
+function writeChunk(stream, chunk) {
+    if (stream.write(chunk)) return Promise.resolve();
+    return new Promise(resolve => stream.once('drain', resolve));
+}
+
+async function appendFile(gzip, entryPath, filePath) {
+    const stat = fs.statSync(filePath);
+    const hash = crypto.createHash('sha256');
+    await writeChunk(gzip, createTarHeader(entryPath, stat.size, stat.mtimeMs));
+
+    let written = 0;
+    for await (const chunk of fs.createReadStream(filePath)) {
+        // Dosya okunurken buyurse basliktaki boyutu asmamak icin kesilir
+        const slice = chunk.subarray(0, Math.max(0, stat.size - written));
+        if (slice.length === 0) break;
+        hash.update(slice);
+        written += slice.length;
+        await writeChunk(gzip, slice);
+    }
+    if (written !== stat.size) throw new Error('File changed while archiving: ' + entryPath);
+
+    const padding = (BLOCK_SIZE - (stat.size % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding) await writeChunk(gzip, Buffer.alloc(padding));
+    return { path: entryPath, size: stat.size, sha256: hash.digest('hex') };
+}
+
+async function appendBuffer(gzip, entryPath, buffer) {
+    await writeChunk(gzip, createTarHeader(entryPath, buffer.length, Date.now()));
+    await writeChunk(gzip, buffer);
+    const padding = (BLOCK_SIZE - (buffer.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding) await writeChunk(gzip, Buffer.alloc(padding));
+}
+
+/**
+ * Hesabin oturum dosyalarini arsive yazar. Veritabani canli baglantidan
+ * tutarli bir kopya olarak alinir; manifest her dosyanin sha256 ozetini tasir.
+ * @returns {Promise<object>} manifest
+ */
+async function writeSessionArchive({ accountConfig, db, account }, destPath) {
+    const workDir = fs.mkdtempSync(destPath + '-work-');
+    const dbCopyPath = path.join(workDir, DB_ENTRY);
+    const output = fs.createWriteStream(destPath);
+    const gzip = zlib.createGzip();
+    const finished = new Promise((resolve, reject) => {
+        output.on('finish', resolve);
+        output.on('error', reject);
+        gzip.on('error', reject);
+    });
+    gzip.pipe(output);
+
+    try {
+        await db.db.backup(dbCopyPath);
+
+        const files = [await appendFile(gzip, DB_ENTRY, dbCopyPath)];
+        for (const name of SETTINGS_FILES) {
+            const filePath = path.join(accountConfig.DATA_DIR, name);
+            if (fs.existsSync(filePath)) {
+                files.push(await appendFile(gzip, name, filePath));
+            }
+        }
+        for (const file of listSessionFiles(accountConfig.SESSION_DIR)) {
+            files.push(await appendFile(gzip, file.entryPath, file.fullPath));
+        }
+
+        const manifest = {
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            createdAt: Date.now(),
+            account: { id: account.id, name: account.name },
+            files
+        };
+        await appendBuffer(gzip, MANIFEST_NAME, Buffer.from(JSON.stringify(manifest, null, 2)));
+        await writeChunk(gzip, Buffer.alloc(BLOCK_SIZE * 2));
+        gzip.end();
+        await finished;
+        return manifest;
+    } catch (error) {
+        gzip.destroy();
+        output.destroy();
+        try { fs.rmSync(destPath, { force: true }); } catch (e) {}
+        throw error;
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+function verifyDatabase(dbPath) {
+    let sqlite = null;
+    try {
+        sqlite = new Database(dbPath, { readonly: true, fileMustExist: true });
+        const result = sqlite.pragma('integrity_check', { simple: true });
+        if (result !== 'ok') throw archiveError('Database integrity check failed');
+        sqlite.prepare('SELECT COUNT(*) as count FROM messages').get();
+    } catch (error) {
+        if (error.code === 'INVALID_SESSION_ARCHIVE') throw error;
+        throw archiveError('Archive database is not readable');
+    } finally {
+        try { sqlite?.close(); } catch (e) {}
+    }
+}
+
+function verifyManifest(manifest, extracted) {
+    if (!manifest || manifest.format !== ARCHIVE_FORMAT) throw archiveError('Not a session archive');
+    if (manifest.version !== ARCHIVE_VERSION) throw archiveError('Unsupported archive version');
+    if (!Array.isArray(manifest.files)) throw archiveError('Archive manifest is invalid');
+
+    const listed = new Set();
+    for (const file of manifest.files) {
+        const actual = extracted.get(file?.path);
+        if (!actual) throw archiveError('Archive is missing ' + file?.path);
+        if (actual.size !== file.size || actual.sha256 !== file.sha256) {
+            throw archiveError('Checksum mismatch for ' + file.path);
+        }
+        listed.add(file.path);
+    }
+    for (const entryPath of extracted.keys()) {
+        if (!listed.has(entryPath)) throw archiveError('Unexpected file in archive: ' + entryPath);
+    }
+    if (!listed.has(DB_ENTRY)) throw archiveError('Archive is missing ' + DB_ENTRY);
+}
+
+/**
+ * Arsivi hazirlik dizinine acar ve manifest, ozet ve veritabani kontrollerini yapar.
+ * Hatali arsivde hazirlik dizini temizlenir ve INVALID_SESSION_ARCHIVE kodlu hata atilir.
+ * options.maxBytes verilirse acilan toplam boyut bunun MAX_EXPANSION_RATIO katiyla sinirlanir.
+ * @returns {Promise<object>} manifest
+ */
+async function extractSessionArchive(srcPath, stagingDir, options = {}) {
+    fs.mkdirSync(stagingDir, { recursive: true });
+    const maxExtractedBytes = options.maxBytes ? options.maxBytes * MAX_EXPANSION_RATIO : Infinity;
+    let extractedBytes = 0;
+    const extracted = new Map();
+    let manifestBuffer = null;
+    let pending = Buffer.alloc(0);
+    let current = null; // { path, remaining, padding, fd, hash, chunks }
+    let ended = false;
+
+    const finishEntry = () => {
+        if (current.fd !== null) {
+            fs.closeSync(current.fd);
+            extracted.set(current.path, { size: current.size, sha256: current.hash.digest('hex') });
+        } else {
+            manifestBuffer = Buffer.concat(current.chunks);
+        }
+        current = null;
+    };
+
+    const openEntry = (header) => {
+        if (header.type === '5') return;
+        if (header.type !== '0') throw archiveError('Unsupported archive entry: ' + header.path);
+        if (!isSafeEntryPath(header.path) || !isAllowedEntry(header.path)) {
+            throw archiveError('Unexpected file in archive: ' + header.path);
+        }
+        if (extracted.has(header.path)) throw archiveError('Duplicate file in archive: ' + header.path);
+        if (header.path === MANIFEST_NAME && header.size > MANIFEST_MAX_BYTES) throw archiveError('Archive manifest is too large');
+        extractedBytes += header.size;
+        if (extractedBytes > maxExtractedBytes) throw archiveError('Archive is too large when extracted');
+
+        const entry = {
+            path: header.path,
+            size: header.size,
+            remaining: header.size,
+            padding: (BLOCK_SIZE - (header.size % BLOCK_SIZE)) % BLOCK_SIZE,
+            fd: null,
+            hash: crypto.createHash('sha256'),
+            chunks: []
+        };
+        if (header.path !== MANIFEST_NAME) {
+            const target = path.join(stagingDir, ...header.path.split('/'));
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            entry.fd = fs.openSync(target, 'w');
+        }
+        current = entry;
+        if (entry.remaining === 0 && entry.padding === 0) finishEntry();
+    };
+
+    const consume = () => {
+        while (!ended) {
+            if (current) {
+                if (current.remaining > 0) {
+                    if (pending.length === 0) return;
+                    const slice = pending.subarray(0, current.remaining);
+                    pending = pending.subarray(slice.length);
+                    current.remaining -= slice.length;
+                    current.hash.update(slice);
+                    if (current.fd !== null) fs.writeSync(current.fd, slice);
+                    else current.chunks.push(Buffer.from(slice));
+                    continue;
+                }
+                if (pending.length < current.padding) return;
+                pending = pending.subarray(current.padding);
+                finishEntry();
+                continue;
+            }
+            if (pending.length < BLOCK_SIZE) return;
+            const header = parseTarHeader(pending.subarray(0, BLOCK_SIZE));
+            pending = pending.subarray(BLOCK_SIZE);
+            if (!header) {
+                ended = true;
+                return;
+            }
+            openEntry(header);
+        }
+    };
+
+    try {
+        const source = fs.createReadStream(srcPath);
+        const gunzip = zlib.createGunzip();
+        source.on('error', (error) => gunzip.destroy(error));
+        source.pipe(gunzip);
+        try {
+            for await (const chunk of gunzip) {
+                if (ended) continue;
+                pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+                consume();
+            }
+        } catch (error) {
+            if (error.code === 'INVALID_SESSION_ARCHIVE') throw error;
+            throw archiveError('Archive is not a valid tar.gz file');
+        }
+        if (current || !ended) throw archiveError('Archive is truncated');
+        if (!manifestBuffer) throw archiveError('Archive manifest missing');
+
+        let manifest;
+        try {
+            manifest = JSON.parse(manifestBuffer.toString('utf8'));
+        } catch (e) {
+            throw archiveError('Archive manifest is invalid');
+        }
+        verifyManifest(manifest, extracted);
+        verifyDatabase(path.join(stagingDir, DB_ENTRY));
+        return manifest;
+    } catch (error) {
+        if (current?.fd !== null && current?.fd !== undefined) {
+            try { fs.closeSync(current.fd); } catch (e) {}
+        }
+        fs.rmSync(stagingDir, { recursive: true, force: true });
+        throw error;
+    }
+}
+
+/**
+ * Dogrulanmis hazirlik dizinini hesabin veri dizinine tasir. Eski oturum ve
+ * veritabani (WAL dosyalariyla birlikte) degistirilir; istemci ve veritabani kapali olmalidir.
+ * Mevcut dosyalar once `.bak` kardesine alinir; hata olursa geri konur, basarida silinir.
+ */
+function installSessionArchive(stagingDir, accountConfig) {
+    fs.mkdirSync(accountConfig.DATA_DIR, { recursive: true });
+
+    const stagedSession = path.join(stagingDir, 'session');
+    const replacements = [
+        { target: accountConfig.DB_PATH, staged: path.join(stagingDir, DB_ENTRY) },
+        { target: accountConfig.DB_PATH + '-wal', staged: null },
+        { target: accountConfig.DB_PATH + '-shm', staged: null },
+        { target: accountConfig.SESSION_DIR, staged: fs.existsSync(stagedSession) ? stagedSession : null, directory: true },
+        // Arsivde olmayan ayar dosyalari oldugu gibi kalir
+        ...SETTINGS_FILES
+            .map(name => ({ target: path.join(accountConfig.DATA_DIR, name), staged: path.join(stagingDir, name) }))
+            .filter(entry => fs.existsSync(entry.staged))
+    ];
+
+    const backedUp = [];
+    const installed = [];
+    try {
+        for (const entry of replacements) {
+            fs.rmSync(entry.target + '.bak', { recursive: true, force: true });
+            if (fs.existsSync(entry.target)) {
+                fs.renameSync(entry.target, entry.target + '.bak');
+                backedUp.push(entry);
+            }
+        }
+        for (const entry of replacements) {
+            installed.push(entry);
+            if (entry.staged) {
+                fs.renameSync(entry.staged, entry.target);
+            } else if (entry.directory) {
+                fs.mkdirSync(entry.target, { recursive: true });
+            }
+        }
+    } catch (error) {
+        for (const entry of installed) {
+            fs.rmSync(entry.target, { recursive: true, force: true });
+        }
+        for (const entry of backedUp) {
+            fs.renameSync(entry.target + '.bak', entry.target);
+        }
+        throw error;
+    }
+
+    for (const entry of backedUp) {
+        fs.rmSync(entry.target + '.bak', { recursive: true, force: true });
+    }
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+}
+
+module.exports = {
+    writeSessionArchive,
+    extractSessionArchive,
+    installSessionArchive,
+    ARCHIVE_FORMAT
+};
@@ -0,0 +1,30 @@
+/**
+ * WhatsApp Web Panel - Transports
+ * WhatsAppClient'in konustugu katman; hesap bazinda secilir (accounts.json `transport`)
+ *
+ * Bir tasima `createClient(options)` ile whatsapp-web.js Client ile ayni yuzeyi sunan
+ * bir nesne dondurur: EventEmitter olaylari (qr, code, authenticated, ready, message,
+ * message_create, message_ack, disconnected ...), initialize/destroy/logout, info,
+ * sendMessage, getChats, getChatById, getContactById, getMessageById, getProfilePicUrl.
+ * `pupPage` yalnizca tarayici tabanli tasimada vardir; ona dayanan ozellikler atlanir.
+ */
+const { createWebJsTransport } = require('./webjs');
+const { createSimulatorTransport } = require('./simulator');
+
+const TRANSPORTS = {
+    webjs: createWebJsTransport,
+    simulator: createSimulatorTransport
+};
+
+const TRANSPORT_NAMES = Object.keys(TRANSPORTS);
+const DEFAULT_TRANSPORT = 'webjs';
+
+function createTransport(name, config) {
+    const factory = TRANSPORTS[name || DEFAULT_TRANSPORT];
+    if (!factory) {
+        throw new Error('Unknown transport: ' + name);
+    }
+    return factory(config);
+}
+
+module.exports = { createTransport, TRANSPORT_NAMES, DEFAULT_TRANSPORT };
@@ -0,0 +1,551 @@
+/**
+ * WhatsApp Web Panel - Simulator Transport
+ * Telefon ve ag olmadan demo/egitim icin sahte sohbetler, gelen mesajlar, ack'ler ve medya
+ */
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { MessageMedia, Location, Poll } = require('whatsapp-web.js');
+
+const SELF_NUMBER = '905000000000';
+const SAMPLE_PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const PAIRING_CODE = 'SIMU1234';
+
+const SEED_CONTACTS = [
+    { number: '905550000001', name: 'Ayse Yilmaz' },
+    { number: '905550000002', name: 'Mehmet Demir' },
+    { number: '905550000003', name: 'Zeynep Kaya' }
+];
+
+const SEED_GROUP = { id: '120363000000000001@g.us', name: 'Demo Ekibi' };
+
+const SEED_CONVERSATIONS = {
+    '905550000001@c.us': [
+        { fromMe: false, body: 'Merhaba, siparisim ne zaman kargoya verilir?' },
+        { fromMe: true, body: 'Merhaba Ayse Hanim, bugun kargoya verilecek.' },
+        { fromMe: false, body: 'Tesekkurler!' }
+    ],
+    '905550000002@c.us': [
+        { fromMe: false, body: 'Fiyat listesini gonderebilir misiniz?' }
+    ],
+    '905550000003@c.us': [
+        { fromMe: true, body: 'Randevunuz yarin 14:00 icin onaylandi.' },
+        { fromMe: false, body: 'Harika, gorusmek uzere.' }
+    ],
+    [SEED_GROUP.id]: [
+        { fromMe: false, author: '905550000002@c.us', body: 'Bu haftaki toplanti saat kacta?' },
+        { fromMe: true, body: 'Persembe 10:00' }
+    ]
+};
+
+const INBOUND_SAMPLES = [
+    'Merhaba, bilgi alabilir miyim?',
+    'Siparisim hala gelmedi.',
+    'Calisma saatleriniz nedir?',
+    'Fiyat nedir?',
+    'Tesekkur ederim, iyi gunler.'
+];
+
+function serializeId(fromMe, chatId, participant) {
+    const id = '3EB0' + crypto.randomBytes(8).toString('hex').toUpperCase();
+    return {
+        fromMe,
+        remote: chatId,
+        id,
+        participant: participant || undefined,
+        _serialized: `${fromMe}_${chatId}_${id}` + (participant ? `_${participant}` : '')
+    };
+}
+
+function widFromId(id) {
+    const [user, server] = String(id).split('@');
+    return { user, server, _serialized: id };
+}
+
+function mediaMessageType(mimetype, asSticker) {
+    if (asSticker) return 'sticker';
+    const kind = String(mimetype || '').split('/')[0];
+    if (kind === 'image' || kind === 'video') return kind;
+    if (kind === 'audio') return 'audio';
+    return 'document';
+}
+
+class SimulatorContact {
+    constructor(id, name) {
+        this.id = widFromId(id);
+        this.number = this.id.user;
+        this.name = name || null;
+        this.pushname = name || null;
+        this.isMyContact = Boolean(name);
+        this.isGroup = id.endsWith('@g.us');
+        this.isBlocked = false;
+    }
+
+    async block() {
+        this.isBlocked = true;
+        return true;
+    }
+
+    async unblock() {
+        this.isBlocked = false;
+        return true;
+    }
+}
+
+class SimulatorMessage {
+    constructor(client, chat, data) {
+        this.client = client;
+        this.chatId = chat.id._serialized;
+        this.id = serializeId(data.fromMe, this.chatId, chat.isGroup && !data.fromMe ? data.author : null);
+        this.fromMe = data.fromMe;
+        this.from = data.fromMe ? client.info.wid._serialized : this.chatId;
+        this.to = data.fromMe ? this.chatId : client.info.wid._serialized;
+        this.author = chat.isGroup && !data.fromMe ? data.author : undefined;
+        this.body = data.body || '';
+        this.type = data.type || 'chat';
+        this.timestamp = Math.floor((data.timestampMs || Date.now()) / 1000);
+        this.ack = data.fromMe ? 1 : 0;
+        this.isForwarded = Boolean(data.isForwarded);
+        this.hasQuotedMsg = Boolean(data.quotedMessageId);
+        this.quotedMessageId = data.quotedMessageId || null;
+        this.media = data.media || null;
+        this.hasMedia = Boolean(this.media);
+        this.mimetype = this.media ? this.media.mimetype : undefined;
+        this.filename = this.media ? this.media.filename : undefined;
+        this._data = { mimetype: this.mimetype, filename: this.filename };
+        this.location = data.location || undefined;
+        this.vCards = data.vCards || [];
+        this.pollName = data.pollName;
+        this.pollOptions = data.pollOptions;
+        this.allowMultipleAnswers = data.allowMultipleAnswers;
+    }
+
+    async getChat() {
+        return this.client.getChatById(this.chatId);
+    }
+
+    async getQuotedMessage() {
+        return this.quotedMessageId ? this.client.getMessageById(this.quotedMessageId) : undefined;
+    }
+
+    async downloadMedia() {
+        return this.media ? new MessageMedia(this.media.mimetype, this.media.data, this.media.filename) : undefined;
+    }
+
+    async react() {
+        return true;
+    }
+
+    async forward(chatId) {
+        const content = this.media ? await this.downloadMedia() : this.body;
+        await this.client.sendMessage(chatId, content, { isForwarded: true });
+        return true;
+    }
+
+    async delete(everyone) {
+        if (everyone) {
+            this.type = 'revoked';
+            this.body = '';
+        }
+        return true;
+    }
+}
+
+class SimulatorChat {
+    constructor(client, id, name) {
+        this.client = client;
+        this.id = widFromId(id);
+        this.name = name;
+        this.isGroup = id.endsWith('@g.us');
+        this.unreadCount = 0;
+        this.archived = false;
+        this.pinned = false;
+        this.isMuted = false;
+        this.muteExpiration = 0;
+        this.timestamp = 0;
+        this.messages = [];
+        this.participants = [];
+    }
+
+    get lastMessage() {
+        return this.messages[this.messages.length - 1];
+    }
+
+    addMessage(msg) {
+        this.messages.push(msg);
+        this.timestamp = msg.timestamp;
+        if (!msg.fromMe) this.unreadCount += 1;
+    }
+
+    async fetchMessages(options = {}) {
+        const limit = Number(options.limit) || 50;
+        return this.messages.slice(-limit);
+    }
+
+    async sendMessage(content, options) {
+        return this.client.sendMessage(this.id._serialized, content, options);
+    }
+
+    async sendSeen() {
+        this.unreadCount = 0;
+        return true;
+    }
+
+    async pin() {
+        const pinnedCount = this.client.chats.filter(chat => chat.pinned && chat !== this).length;
+        if (pinnedCount >= 3) return false;
+        this.pinned = true;
+        return true;
+    }
+
+    async unpin() {
+        this.pinned = false;
+        return false;
+    }
+
+    async mute(unmuteDate) {
+        this.isMuted = true;
+        this.muteExpiration = unmuteDate ? Math.floor(unmuteDate.getTime() / 1000) : -1;
+    }
+
+    async unmute() {
+        this.isMuted = false;
+        this.muteExpiration = 0;
+    }
+
+    async markUnread() {
+        this.unreadCount = Math.max(this.unreadCount, 1);
+    }
+
+    async archive() {
+        this.archived = true;
+    }
+
+    async unarchive() {
+        this.archived = false;
+    }
+
+    async sendStateTyping() {}
+
+    async sendStateRecording() {}
+
+    async clearState() {}
+
+    async getProfilePicUrl() {
+        return undefined;
+    }
+
+    // Grup islemleri
+    async setSubject(subject) {
+        this.name = subject;
+        return true;
+    }
+
+    async setDescription(description) {
+        this.description = description;
+        return true;
+    }
+
+    async getInviteCode() {
+        if (!this.inviteCode) this.inviteCode = crypto.randomBytes(11).toString('base64url');
+        return this.inviteCode;
+    }
+
+    async revokeInvite() {
+        this.inviteCode = null;
+        return this.getInviteCode();
+    }
+
+    async leave() {
+        this.client.chats = this.client.chats.filter(chat => chat !== this);
+    }
+
+    async addParticipants(ids) {
+        this.participants.push(...ids.filter(id => !this.participants.includes(id)));
+        return {};
+    }
+
+    async removeParticipants(ids) {
+        this.participants = this.participants.filter(id => !ids.includes(id));
+        return {};
+    }
+
+    async promoteParticipants() {
+        return { status: 200 };
+    }
+
+    async demoteParticipants() {
+        return { status: 200 };
+    }
+}
+
+/**
+ * whatsapp-web.js Client yuzeyini bellekte taklit eder. Gonderilen mesajlar message_create ile
+ * doner ve SIMULATOR_ACK_DELAY_MS araliklariyla iletildi/okundu ack'leri alir; gelen mesajlar
+ * simulateIncoming ile (veya SIMULATOR_INBOUND_INTERVAL_MS ile rastgele) uretilir.
+ */
+class SimulatorClient extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.ackDelayMs = Math.max(1, Number(options.ackDelayMs) || 1500);
+        this.inboundIntervalMs = Number(options.inboundIntervalMs) || 0;
+        this.pairWithPhoneNumber = options.pairWithPhoneNumber || null;
+        this.random = options.random || Math.random;
+        this.info = null;
+        this.pupPage = null;
+        this.chats = [];
+        this.contacts = new Map();
+        this.timers = new Set();
+        this.inboundTimer = null;
+    }
+
+    schedule(fn, delayMs) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            fn();
+        }, delayMs);
+        timer.unref?.();
+        this.timers.add(timer);
+        return timer;
+    }
+
+    async initialize() {
+        await new Promise(resolve => setImmediate(resolve));
+        if (this.pairWithPhoneNumber) {
+            this.emit('code', PAIRING_CODE);
+            await new Promise(resolve => this.schedule(resolve, this.ackDelayMs));
+        }
+        this.info = {
+            pushname: 'Simulator',
+            wid: widFromId(SELF_NUMBER + '@c.us'),
+            me: widFromId(SELF_NUMBER + '@c.us'),
+            platform: 'simulator'
+        };
+        this.seed();
+        this.emit('authenticated');
+        this.emit('ready');
+
+        if (this.inboundIntervalMs > 0) {
+            this.inboundTimer = setInterval(() => this.simulateRandomIncoming(), this.inboundIntervalMs);
+            this.inboundTimer.unref?.();
+        }
+    }
+
+    seed() {
+        if (this.chats.length) return;
+        const now = Date.now();
+        for (const contact of SEED_CONTACTS) {
+            const id = contact.number + '@c.us';
+            this.contacts.set(id, new SimulatorContact(id, contact.name));
+            this.chats.push(new SimulatorChat(this, id, contact.name));
+        }
+        const group = new SimulatorChat(this, SEED_GROUP.id, SEED_GROUP.name);
+        group.participants = SEED_CONTACTS.map(contact => contact.number + '@c.us');
+        this.chats.push(group);
+
+        let offset = 0;
+        for (const [chatId, messages] of Object.entries(SEED_CONVERSATIONS)) {
+            const chat = this.findChat(chatId);
+            messages.forEach((data) => {
+                offset += 1;
+                const msg = new SimulatorMessage(this, chat, { ...data, timestampMs: now - (60 - offset) * 60 * 1000 });
+                msg.ack = data.fromMe ? 3 : 0;
+                chat.addMessage(msg);
+            });
+        }
+    }
+
+    findChat(chatId) {
+        return this.chats.find(chat => chat.id._serialized === chatId) || null;
+    }
+
+    ensureChat(chatId) {
+        const existing = this.findChat(chatId);
+        if (existing) return existing;
+        if (!String(chatId).endsWith('@c.us')) throw new Error('Chat not found');
+        const chat = new SimulatorChat(this, chatId, this.contacts.get(chatId)?.name || undefined);
+        this.chats.push(chat);
+        return chat;
+    }
+
+    buildOutgoing(content, options) {
+        if (content instanceof MessageMedia) {
+            return {
+                type: mediaMessageType(content.mimetype, options.sendMediaAsSticker),
+                body: options.caption || '',
+                media: { mimetype: content.mimetype, data: content.data, filename: content.filename || null }
+            };
+        }
+        if (content instanceof Location) {
+            const description = content.description || [content.name, content.address].filter(Boolean).join('\n');
+            return {
+                type: 'location',
+                location: { latitude: content.latitude, longitude: content.longitude, description: description || undefined }
+            };
+        }
+        if (content instanceof Poll) {
+            return {
+                type: 'poll_creation',
+                pollName: content.pollName,
+                pollOptions: content.pollOptions.map((option, index) => ({ name: option.name, localId: option.localId ?? index })),
+                allowMultipleAnswers: Boolean(content.options?.allowMultipleAnswers)
+            };
+        }
+        const body = String(content ?? '');
+        if (body.startsWith('BEGIN:VCARD')) {
+            return { type: 'vcard', body, vCards: [body] };
+        }
+        return { type: 'chat', body };
+    }
+
+    async sendMessage(chatId, content, options = {}) {
+        const chat = this.ensureChat(chatId);
+        const msg = new SimulatorMessage(this, chat, {
+            ...this.buildOutgoing(content, options),
+            fromMe: true,
+            quotedMessageId: options.quotedMessageId,
+            isForwarded: options.isForwarded
+        });
+        chat.addMessage(msg);
+        chat.archived = false;
+
+        setImmediate(() => this.emit('message_create', msg));
+        // Gruplarda okundu bilgisi herkes okuyunca gelir; simulator iletildi'de birakir
+        const finalAck = chat.isGroup ? 2 : 3;
+        for (let ack = 2; ack <= finalAck; ack++) {
+            this.schedule(() => {
+                msg.ack = ack;
+                this.emit('message_ack', msg, ack);
+            }, this.ackDelayMs * (ack - 1));
+        }
+        return msg;
+    }
+
+    /**
+     * Sohbete karsi taraftan mesaj dusurur. type: chat | image | document.
+     * Gruplarda author verilmezse rastgele bir katilimci secilir.
+     */
+    simulateIncoming(chatId, data = {}) {
+        const chat = this.ensureChat(chatId);
+        const type = data.type || 'chat';
+        let media = null;
+        if (type === 'image') {
+            media = { mimetype: 'image/png', data: SAMPLE_PNG_BASE64, filename: null };
+        } else if (type === 'document') {
+            const text = data.body || 'Simulator ornek belgesi';
+            media = { mimetype: 'text/plain', data: Buffer.from(text).toString('base64'), filename: data.filename || 'ornek.txt' };
+        }
+        const author = chat.isGroup
+            ? (data.author || chat.participants[Math.floor(this.random() * chat.participants.length)])
+            : undefined;
+
+        const msg = new SimulatorMessage(this, chat, {
+            fromMe: false,
+            author,
+            type,
+            body: type === 'document' ? '' : (data.body || ''),
+            media
+        });
+        chat.addMessage(msg);
+        this.emit('message', msg);
+        this.emit('message_create', msg);
+        return msg;
+    }
+
+    simulateRandomIncoming() {
+        const chats = this.chats.filter(chat => !chat.isGroup);
+        if (!chats.length) return null;
+        const chat = chats[Math.floor(this.random() * chats.length)];
+        const body = INBOUND_SAMPLES[Math.floor(this.random() * INBOUND_SAMPLES.length)];
+        return this.simulateIncoming(chat.id._serialized, { body });
+    }
+
+    async getChats() {
+        return [...this.chats];
+    }
+
+    async getChatById(chatId) {
+        return this.ensureChat(chatId);
+    }
+
+    async getContactById(contactId) {
+        if (!this.contacts.has(contactId)) {
+            const chat = this.findChat(contactId);
+            this.contacts.set(contactId, new SimulatorContact(contactId, chat?.name));
+        }
+        return this.contacts.get(contactId);
+    }
+
+    async getMessageById(messageId) {
+        for (const chat of this.chats) {
+            const msg = chat.messages.find(item => item.id._serialized === messageId);
+            if (msg) return msg;
+        }
+        return null;
+    }
+
+    async getProfilePicUrl() {
+        return undefined;
+    }
+
+    async getBroadcasts() {
+        return [];
+    }
+
+    async getLabels() {
+        return [];
+    }
+
+    async getChatsByLabelId() {
+        return [];
+    }
+
+    async addOrRemoveLabels() {
+        throw new Error('[LT01] Only Whatsapp business');
+    }
+
+    async createGroup(title, participants = []) {
+        const id = '120363' + String(Date.now()).slice(-12) + '@g.us';
+        const chat = new SimulatorChat(this, id, title);
+        chat.participants = [...participants];
+        chat.timestamp = Math.floor(Date.now() / 1000);
+        this.chats.push(chat);
+        return {
+            title,
+            gid: widFromId(id),
+            participants: Object.fromEntries(participants.map(participant => [participant, { statusCode: 200 }]))
+        };
+    }
+
+    async getState() {
+        return this.info ? 'CONNECTED' : null;
+    }
+
+    async logout() {
+        await this.destroy();
+        this.info = null;
+        this.chats = [];
+        this.contacts.clear();
+    }
+
+    async destroy() {
+        if (this.inboundTimer) clearInterval(this.inboundTimer);
+        this.inboundTimer = null;
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+}
+
+function createSimulatorTransport(config) {
+    return {
+        name: 'simulator',
+        createClient(options = {}) {
+            return new SimulatorClient({
+                ackDelayMs: config.SIMULATOR_ACK_DELAY_MS,
+                inboundIntervalMs: config.SIMULATOR_INBOUND_INTERVAL_MS,
+                pairWithPhoneNumber: options.pairWithPhoneNumber
+            });
+        }
+    };
+}
+
+module.exports = { createSimulatorTransport, SimulatorClient, PAIRING_CODE };
@@ -0,0 +1,23 @@
+/**
+ * WhatsApp Web Panel - whatsapp-web.js Transport
+ * Puppeteer uzerinden gercek WhatsApp Web oturumu
+ */
+const { Client, LocalAuth } = require('whatsapp-web.js');
+
+function createWebJsTransport(config) {
+    return {
+        name: 'webjs',
+        createClient(options = {}) {
+            const clientOptions = {
+                authStrategy: new LocalAuth({ dataPath: config.SESSION_DIR }),
+                puppeteer: { headless: true, args: config.PUPPETEER_ARGS }
+            };
+            if (options.pairWithPhoneNumber) {
+                clientOptions.pairWithPhoneNumber = options.pairWithPhoneNumber;
+            }
+            return new Client(clientOptions);
+        }
+    };
+}
+
+module.exports = { createWebJsTransport };
@@ -3,6 +3,7 @@
  */
 const axios = require('axios');
 const { logger } = require('./logger');
+const { accountIdLabel } = require('../lib/jobMetrics');
 
 class WebhookService {
     constructor(db, config, metrics = null, options = {}) {
@@ -26,12 +27,8 @@ class WebhookService {
         this.updateGauges();
     }
 
-    accountIdLabel() {
-        return typeof this.accountId === 'string' && this.accountId ? this.accountId : 'unknown';
-    }
-
     updateGauges() {
-        const labels = { accountId: this.accountIdLabel() };
+        const labels = { accountId: accountIdLabel(this.accountId) };
         try {
             this.metrics?.webhookQueueSize?.set?.(labels, this.queue.length);
         } catch (error) {}
@@ -41,44 +38,58 @@ class WebhookService {
         } catch (error) {}
     }
 
-    async trigger(event, data, meta = null) {
+    getMatchingWebhooks(event) {
+        return this.db.webhooks.getActive.all().filter((webhook) => {
+            const events = webhook.events.split(',').map(e => e.trim());
+            return events.includes(event) || events.includes('all');
+        });
+    }
+
+    /**
+     * Olaya abone aktif webhook'lari kuyruga alir ve her biri icin { id, name, url, status } dondurur.
+     * options.dryRun: kuyruga alinmaz, yalnizca tetiklenecek webhook'lar listelenir.
+     */
+    async trigger(event, data, meta = null, options = {}) {
+        const summarize = (webhook, status) => ({ id: webhook.id, name: webhook.name, url: webhook.url, status });
+        if (options.dryRun) {
+            return this.getMatchingWebhooks(event).map(webhook => summarize(webhook, 'dry_run'));
+        }
+
         if (this.isShuttingDown) {
             this.safeCountDelivery(event, 'dropped');
             logger.warn('Webhook service is shutting down; dropping trigger', { category: 'webhook', event });
-            return;
+            return [];
         }
 
-        const webhooks = this.db.webhooks.getActive.all();
-
-        for (const webhook of webhooks) {
-            const events = webhook.events.split(',').map(e => e.trim());
-
-            if (events.includes(event) || events.includes('all')) {
-                if (this.queue.length >= this.queueLimit) {
-                    this.safeCountDelivery(event, 'dropped');
-                    try {
-                        this.db.logs.add.run('warn', 'webhook', 'Webhook queue is full; dropping delivery', JSON.stringify({
-                            webhookId: webhook.id,
-                            event,
-                            queueLimit: this.queueLimit
-                        }));
-                    } catch (e) {}
-
-                    logger.warn('Webhook queue is full; dropping delivery', {
-                        category: 'webhook',
+        const triggered = [];
+        for (const webhook of this.getMatchingWebhooks(event)) {
+            if (this.queue.length >= this.queueLimit) {
+                this.safeCountDelivery(event, 'dropped');
+                try {
+                    this.db.logs.add.run('warn', 'webhook', 'Webhook queue is full; dropping delivery', JSON.stringify({
                         webhookId: webhook.id,
                         event,
                         queueLimit: this.queueLimit
-                    });
-                    continue;
-                }
+                    }));
+                } catch (e) {}
 
-                this.queue.push({ webhook, event, data, meta });
-                this.updateGauges();
+                logger.warn('Webhook queue is full; dropping delivery', {
+                    category: 'webhook',
+                    webhookId: webhook.id,
+                    event,
+                    queueLimit: this.queueLimit
+                });
+                triggered.push(summarize(webhook, 'dropped'));
+                continue;
             }
+
+            this.queue.push({ webhook, event, data, meta });
+            this.updateGauges();
+            triggered.push(summarize(webhook, 'queued'));
         }
 
         this.schedulePump();
+        return triggered;
     }
 
     async shutdown({ timeoutMs = 5000 } = {}) {
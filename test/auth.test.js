@@ -108,8 +108,8 @@ function createClient() {
         });
     }
 
-    async function api(method, urlPath, body) {
-        const headers = {};
+    async function api(method, urlPath, body, extraHeaders) {
+        const headers = { ...(extraHeaders || {}) };
         if (!['GET', 'HEAD'].includes(String(method).toUpperCase())) {
             const csrfToken = await refreshCsrfToken();
             if (csrfToken) {
@@ -560,6 +560,64 @@ test('scheduled messages CRUD works (no WhatsApp required)', async () => {
     assert.equal(delParsed.success, true);
 });
 
+test('campaigns create/list/cancel/delete works (no WhatsApp required)', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const invalid = await client.api('POST', '/api/campaigns', {
+        name: 'Eksik hedef',
+        message: 'Merhaba',
+        target_type: 'chats'
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(JSON.parse(invalid.body).error, 'chat_ids required');
+
+    const badCsv = await client.api('POST', '/api/campaigns', {
+        name: 'CSV',
+        message: 'Merhaba {name}',
+        target_type: 'csv',
+        csv: 'name\nAli'
+    });
+    assert.equal(badCsv.status, 400);
+
+    const create = await client.api('POST', '/api/campaigns', {
+        name: 'Kampanya',
+        message: 'Merhaba {name}',
+        target_type: 'csv',
+        csv: 'phone,name\n905555555555,Ali\n905555555556,Ayse\n905555555555,Ali'
+    });
+    assert.equal(create.status, 200);
+    const created = JSON.parse(create.body);
+    assert.equal(created.success, true);
+    assert.equal(created.progress.status, 'draft');
+    assert.equal(created.progress.total, 2);
+    assert.equal(created.progress.counts.queued, 2);
+
+    const list = await client.request({ method: 'GET', urlPath: '/api/campaigns' });
+    assert.equal(list.status, 200);
+    assert.ok(JSON.parse(list.body).some(item => item.id === created.id));
+
+    const recipients = await client.request({ method: 'GET', urlPath: `/api/campaigns/${created.id}/recipients?status=queued` });
+    assert.equal(recipients.status, 200);
+    assert.deepEqual(
+        JSON.parse(recipients.body).recipients.map(item => item.chat_id),
+        ['905555555555@c.us', '905555555556@c.us']
+    );
+
+    const pause = await client.api('POST', `/api/campaigns/${created.id}/pause`);
+    assert.equal(pause.status, 409);
+
+    const cancel = await client.api('POST', `/api/campaigns/${created.id}/cancel`);
+    assert.equal(cancel.status, 200);
+    assert.equal(JSON.parse(cancel.body).progress.status, 'cancelled');
+
+    const del = await client.api('DELETE', `/api/campaigns/${created.id}`);
+    assert.equal(del.status, 200);
+
+    const missing = await client.request({ method: 'GET', urlPath: `/api/campaigns/${created.id}` });
+    assert.equal(missing.status, 404);
+});
+
 test('script sandbox test endpoint works', async () => {
     const client = createClient();
     await client.login('admin', 'test-password');
@@ -636,6 +694,24 @@ test('GET /api/roles and /api/users work for admin', async () => {
     assert.ok(users.some(u => u.username === 'admin'));
 });
 
+test('POST /api/users creates a user who can log in', async () => {
+    const admin = createClient();
+    await admin.login('admin', 'test-password');
+
+    const roles = JSON.parse((await admin.request({ method: 'GET', urlPath: '/api/roles' })).body);
+    const agentRole = roles.find(role => role.name === 'agent');
+    const created = await admin.api('POST', '/api/users', { username: 'created-agent', password: 'Created-pass-123', roleId: agentRole.id });
+    assert.equal(created.status, 200);
+    assert.ok(JSON.parse(created.body).id);
+
+    const duplicate = await admin.api('POST', '/api/users', { username: 'created-agent', password: 'Created-pass-123', roleId: agentRole.id });
+    assert.equal(duplicate.status, 409);
+
+    const agent = createClient();
+    const login = await agent.login('created-agent', 'Created-pass-123');
+    assert.equal(login.status, 200);
+});
+
 test('PUT /api/users/me/preferences stores preferences', async () => {
     const client = createClient();
     await client.login('admin', 'test-password');
@@ -754,6 +830,935 @@ test('POST /api/send validates input without WhatsApp', async () => {
     assert.ok(invalidParsed.issues.some(issue => issue.path === 'chatId'));
 });
 
+test('POST /api/send queues into the outbox while WhatsApp is disconnected', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const sendRes = await client.api('POST', '/api/send', { chatId: '905555555555@c.us', message: 'kuyruk' });
+    assert.equal(sendRes.status, 202);
+    const sent = JSON.parse(sendRes.body);
+    assert.equal(sent.queued, true);
+    assert.equal(sent.status, 'pending');
+    assert.ok(sent.outboxId);
+
+    const list = await client.request({ method: 'GET', urlPath: '/api/outbox?status=pending' });
+    assert.equal(list.status, 200);
+    const listed = JSON.parse(list.body);
+    assert.ok(listed.items.some(item => item.id === sent.outboxId && item.body === 'kuyruk'));
+    assert.ok(listed.counts.pending >= 1);
+
+    const badStatus = await client.request({ method: 'GET', urlPath: '/api/outbox?status=nope' });
+    assert.equal(badStatus.status, 400);
+
+    const retry = await client.api('POST', `/api/outbox/${sent.outboxId}/retry`);
+    assert.equal(retry.status, 409);
+
+    const cancel = await client.api('DELETE', `/api/outbox/${sent.outboxId}`);
+    assert.equal(cancel.status, 200);
+
+    const missing = await client.request({ method: 'GET', urlPath: `/api/outbox/${sent.outboxId}` });
+    assert.equal(missing.status, 404);
+});
+
+test('Idempotency-Key replays the original response for send and scheduled', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const sendBody = { chatId: '905555555557@c.us', message: 'tek sefer' };
+    const first = await client.api('POST', '/api/send', sendBody, { 'Idempotency-Key': 'send-key-1' });
+    assert.equal(first.status, 202);
+    const firstParsed = JSON.parse(first.body);
+
+    const second = await client.api('POST', '/api/send', sendBody, { 'Idempotency-Key': 'send-key-1' });
+    assert.equal(second.status, 202);
+    assert.equal(second.headers['idempotent-replayed'], 'true');
+    assert.deepEqual(JSON.parse(second.body), firstParsed);
+
+    const outbox = JSON.parse((await client.request({ method: 'GET', urlPath: '/api/outbox?limit=500' })).body);
+    assert.equal(outbox.items.filter(item => item.body === 'tek sefer').length, 1);
+
+    const mismatch = await client.api('POST', '/api/send', { ...sendBody, message: 'baska' }, { 'Idempotency-Key': 'send-key-1' });
+    assert.equal(mismatch.status, 422);
+
+    const invalidKey = await client.api('POST', '/api/send', sendBody, { 'Idempotency-Key': 'bad key with spaces' });
+    assert.equal(invalidKey.status, 400);
+
+    const scheduledBody = {
+        chat_id: '905555555557@c.us',
+        message: 'Hello later',
+        scheduled_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    };
+    const createA = await client.api('POST', '/api/scheduled', scheduledBody, { 'Idempotency-Key': 'sched-1' });
+    const createB = await client.api('POST', '/api/scheduled', scheduledBody, { 'Idempotency-Key': 'sched-1' });
+    assert.equal(createA.status, 200);
+    assert.equal(createB.status, 200);
+    assert.equal(JSON.parse(createB.body).id, JSON.parse(createA.body).id);
+
+    // Scopes are independent: the same key on another endpoint is a new request
+    const sendOther = await client.api('POST', '/api/send', sendBody, { 'Idempotency-Key': 'sched-1' });
+    assert.equal(sendOther.status, 202);
+    assert.notEqual(JSON.parse(sendOther.body).outboxId, firstParsed.outboxId);
+
+    // Keys are per user: another user's request with the same key is not a replay
+    const roles = JSON.parse((await client.request({ method: 'GET', urlPath: '/api/roles' })).body);
+    const agentRole = roles.find(role => role.name === 'agent');
+    await client.api('POST', '/api/users', { username: 'idempotency-agent', password: 'Idempotency-pass-123', roleId: agentRole.id });
+    const agent = createClient();
+    await agent.login('idempotency-agent', 'Idempotency-pass-123');
+    const agentSend = await agent.api('POST', '/api/send', sendBody, { 'Idempotency-Key': 'send-key-1' });
+    assert.equal(agentSend.status, 202);
+    assert.equal(agentSend.headers['idempotent-replayed'], undefined);
+    assert.notEqual(JSON.parse(agentSend.body).outboxId, firstParsed.outboxId);
+
+    // A replayed upload does not leave a second copy in the media directory
+    const boundary = 'idempotency-boundary';
+    const multipart = [
+        `--${boundary}`,
+        'Content-Disposition: form-data; name="chatId"',
+        '',
+        '905555555557@c.us',
+        `--${boundary}`,
+        'Content-Disposition: form-data; name="media"; filename="idempotent.txt"',
+        'Content-Type: text/plain',
+        '',
+        'dosya',
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+    const mediaDir = accountManager.getAccountContext(accountManager.getDefaultAccountId()).config.MEDIA_DIR;
+    const uploads = () => (fs.existsSync(mediaDir) ? fs.readdirSync(mediaDir) : []).filter(name => name.endsWith('idempotent.txt'));
+    const sendUpload = async () => client.request({
+        method: 'POST',
+        urlPath: '/api/send',
+        rawBody: multipart,
+        headers: {
+            'Content-Type': `multipart/form-data; boundary=${boundary}`,
+            'X-CSRF-Token': await client.refreshCsrfToken(),
+            'Idempotency-Key': 'upload-key-1'
+        }
+    });
+    const firstUpload = await sendUpload();
+    assert.equal(firstUpload.status, 202);
+    assert.equal(uploads().length, 1);
+    const replayedUpload = await sendUpload();
+    assert.equal(replayedUpload.headers['idempotent-replayed'], 'true');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(uploads().length, 1);
+});
+
+test('group endpoints validate input and report disconnected WhatsApp', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const listRes = await client.request({ method: 'GET', urlPath: '/api/groups' });
+    assert.equal(listRes.status, 200);
+    assert.ok(Array.isArray(JSON.parse(listRes.body)));
+
+    const missingName = await client.api('POST', '/api/groups', { participants: ['905551112233'] });
+    assert.equal(missingName.status, 400);
+
+    const badParticipant = await client.api('POST', '/api/groups', { name: 'Ekip', participants: ['x@g.us'] });
+    assert.equal(badParticipant.status, 400);
+    assert.equal(JSON.parse(badParticipant.body).error, 'Invalid participant id');
+
+    const notGroup = await client.api('PUT', '/api/groups/905551112233@c.us/name', { name: 'Yeni' });
+    assert.equal(notGroup.status, 400);
+    assert.equal(JSON.parse(notGroup.body).error, 'Invalid group id');
+
+    const badAction = await client.api('POST', '/api/groups/123@g.us/participants/kick', { participants: ['905551112233'] });
+    assert.equal(badAction.status, 400);
+
+    const disconnected = await client.api('POST', '/api/groups/123@g.us/participants/add', { participants: ['+90 555 111 22 33'] });
+    assert.equal(disconnected.status, 400);
+    assert.equal(JSON.parse(disconnected.body).error, 'WhatsApp not connected');
+
+    const missingGroup = await client.request({ method: 'GET', urlPath: '/api/groups/123@g.us' });
+    assert.equal(missingGroup.status, 404);
+
+    const context = accountManager.getAccountContext(accountManager.getDefaultAccountId());
+    const groupId = '120363000000000009@g.us';
+    context.db.chats.upsert.run(groupId, 'Bayiler', 1, null, '', Date.now(), 0);
+    context.db.groupParticipants.upsert.run(groupId, '905551112233@c.us', 1, 0, 1700000000000);
+    context.db.groupMembershipEvents.add.run(groupId, '905551112233@c.us', 'add', null, 'event', 1700000000000);
+
+    const participantsRes = await client.request({ method: 'GET', urlPath: `/api/groups/${groupId}/participants` });
+    assert.equal(participantsRes.status, 200);
+    const participants = JSON.parse(participantsRes.body);
+    assert.equal(participants.total, 1);
+    assert.equal(participants.admins, 1);
+
+    const historyRes = await client.request({ method: 'GET', urlPath: `/api/groups/${groupId}/history?participant=905551112233@c.us` });
+    assert.equal(historyRes.status, 200);
+    const history = JSON.parse(historyRes.body);
+    assert.equal(history.total, 1);
+    assert.equal(history.events[0].action, 'add');
+
+    const missingHistory = await client.request({ method: 'GET', urlPath: '/api/groups/123@g.us/history' });
+    assert.equal(missingHistory.status, 404);
+});
+
+test('chat messages include reactions and react requires a connection', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const context = accountManager.getAccountContext(accountManager.getDefaultAccountId());
+    const chatId = '905554443322@c.us';
+    const messageId = 'false_905554443322@c.us_REACT1';
+    context.db.messages.save.run(messageId, chatId, '905554443322', null, 'Ayse', 'Selam', 'chat', null, null, null, null, null, null, 0, 0, 0, Date.now());
+    context.db.messageReactions.upsert.run(messageId, chatId, '905554443322@c.us', '👍', Date.now(), 0);
+
+    const messagesRes = await client.request({ method: 'GET', urlPath: `/api/chats/${chatId}/messages` });
+    assert.equal(messagesRes.status, 200);
+    const { messages } = JSON.parse(messagesRes.body);
+    const message = messages.find(item => item.message_id === messageId);
+    assert.equal(message.reactions.length, 1);
+    assert.equal(message.reactions[0].reaction, '👍');
+
+    const reactionsRes = await client.request({ method: 'GET', urlPath: `/api/messages/${messageId}/reactions` });
+    assert.equal(JSON.parse(reactionsRes.body).length, 1);
+
+    const reactRes = await client.api('POST', `/api/messages/${messageId}/react`, { reaction: '❤️' });
+    assert.equal(reactRes.status, 400);
+    assert.equal(JSON.parse(reactRes.body).error, 'WhatsApp not connected');
+
+    const tooLong = await client.api('POST', `/api/messages/${messageId}/react`, { reaction: 'x'.repeat(40) });
+    assert.equal(tooLong.status, 400);
+});
+
+test('GET /api/messages/:id/edits returns previous versions', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const context = accountManager.getAccountContext(accountManager.getDefaultAccountId());
+    const messageId = 'false_905554443322@c.us_EDITED1';
+    context.db.messages.save.run(messageId, '905554443322@c.us', '905554443322', null, 'Ayse', 'ilk', 'chat', null, null, null, null, null, null, 0, 0, 0, Date.now());
+    context.db.messageEdits.add.run(messageId, '905554443322@c.us', 'ilk', 'ikinci', Date.now());
+    context.db.messages.markEdited.run('ikinci', Date.now(), messageId);
+
+    const res = await client.request({ method: 'GET', urlPath: `/api/messages/${messageId}/edits` });
+    assert.equal(res.status, 200);
+    const parsed = JSON.parse(res.body);
+    assert.equal(parsed.isEdited, true);
+    assert.equal(parsed.body, 'ikinci');
+    assert.equal(parsed.edits[0].previous_body, 'ilk');
+
+    const missing = await client.request({ method: 'GET', urlPath: '/api/messages/nope/edits' });
+    assert.equal(missing.status, 404);
+});
+
+test('polls can be queued via /api/send and expose aggregated results', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const poll = { question: 'Toplanti gunu?', options: ['Pazartesi', 'Sali'], allowMultipleAnswers: true };
+    const sendRes = await client.api('POST', '/api/send', { chatId: '905554443322@c.us', poll });
+    assert.equal(sendRes.status, 202);
+    const { outboxId } = JSON.parse(sendRes.body);
+
+    const context = accountManager.getAccountContext(accountManager.getDefaultAccountId());
+    const item = context.db.outbox.getById.get(outboxId);
+    assert.equal(item.body, 'Toplanti gunu?');
+    assert.deepEqual(JSON.parse(item.options).poll, poll);
+    assert.equal((await client.api('DELETE', `/api/outbox/${outboxId}`)).status, 200);
+
+    const tooFew = await client.api('POST', '/api/send', { chatId: '905554443322@c.us', poll: { question: 'Tek?', options: ['Evet'] } });
+    assert.equal(tooFew.status, 400);
+    assert.equal(JSON.parse(tooFew.body).error, 'Poll needs at least 2 options');
+    const duplicate = await client.api('POST', '/api/send', { chatId: '905554443322@c.us', poll: { question: 'Ayni?', options: ['A', 'A'] } });
+    assert.equal(duplicate.status, 400);
+
+    const chatId = '905554443322@c.us';
+    const messageId = 'true_905554443322@c.us_POLL1';
+    context.db.messages.save.run(messageId, chatId, '905550000000', chatId, 'Ben', 'Toplanti gunu?', 'poll_creation', null, null, null, null, null, null, 0, 1, 1, Date.now());
+    context.db.polls.upsert.run(messageId, chatId, 'Toplanti gunu?', JSON.stringify([{ localId: 0, name: 'Pazartesi' }, { localId: 1, name: 'Sali' }]), 1, Date.now());
+    context.db.pollVotes.upsert.run(messageId, '905554443322@c.us', JSON.stringify([0, 1]), Date.now());
+    context.db.pollVotes.upsert.run(messageId, '905551112233@c.us', JSON.stringify([1]), Date.now());
+
+    const resultsRes = await client.request({ method: 'GET', urlPath: `/api/messages/${messageId}/poll` });
+    assert.equal(resultsRes.status, 200);
+    const results = JSON.parse(resultsRes.body);
+    assert.equal(results.totalVoters, 2);
+    assert.deepEqual(results.options.map(option => [option.name, option.votes]), [['Pazartesi', 1], ['Sali', 2]]);
+
+    const messagesRes = await client.request({ method: 'GET', urlPath: `/api/chats/${chatId}/messages` });
+    const { messages } = JSON.parse(messagesRes.body);
+    assert.equal(messages.find(message => message.message_id === messageId).poll.totalVotes, 3);
+
+    const mediaRes = await client.request({ method: 'GET', urlPath: `/api/media/items?kind=poll&chatId=${chatId}` });
+    const { items } = JSON.parse(mediaRes.body);
+    assert.equal(items.length, 1);
+    assert.equal(items[0].kind, 'poll');
+    assert.equal(items[0].poll.question, 'Toplanti gunu?');
+
+    const missing = await client.request({ method: 'GET', urlPath: '/api/messages/nope/poll' });
+    assert.equal(missing.status, 404);
+});
+
+test('locations and contact cards can be sent and received vCards imported', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+    const context = accountManager.getAccountContext(accountManager.getDefaultAccountId());
+    const chatId = '905554443322@c.us';
+
+    const locationRes = await client.api('POST', '/api/send', {
+        chatId,
+        location: { latitude: 41.0082, longitude: '28.9784', name: 'Ofis', address: 'Istanbul' }
+    });
+    assert.equal(locationRes.status, 202);
+    const locationItem = context.db.outbox.getById.get(JSON.parse(locationRes.body).outboxId);
+    assert.equal(locationItem.body, 'Ofis\nIstanbul');
+    assert.equal(JSON.parse(locationItem.options).location.longitude, 28.9784);
+    assert.equal((await client.api('DELETE', `/api/outbox/${locationItem.id}`)).status, 200);
+
+    const contactRes = await client.api('POST', '/api/send', { chatId, contact: { name: 'Ali', phone: '+90 555 111 22 33' } });
+    assert.equal(contactRes.status, 202);
+    const contactItem = context.db.outbox.getById.get(JSON.parse(contactRes.body).outboxId);
+    assert.deepEqual(JSON.parse(contactItem.options).contact, { name: 'Ali', phone: '905551112233' });
+    assert.equal((await client.api('DELETE', `/api/outbox/${contactItem.id}`)).status, 200);
+
+    const badLatitude = await client.api('POST', '/api/send', { chatId, location: { latitude: 120, longitude: 10 } });
+    assert.equal(badLatitude.status, 400);
+    assert.equal(JSON.parse(badLatitude.body).error, 'Invalid latitude');
+    const both = await client.api('POST', '/api/send', {
+        chatId,
+        location: { latitude: 1, longitude: 2 },
+        contact: { name: 'Ali', phone: '905551112233' }
+    });
+    assert.equal(both.status, 400);
+    assert.equal(JSON.parse(both.body).error, 'Only one of media, poll, location or contact can be sent');
+
+    const messageId = 'false_905554443322@c.us_VCARD1';
+    context.db.messages.save.run(messageId, chatId, '905554443322', null, 'Ayse', 'Mehmet', 'vcard', null, null, null, null, null, null, 0, 0, 0, Date.now());
+    context.db.messages.setVcards.run(JSON.stringify([
+        { name: 'Mehmet', org: '', phones: [{ number: '+90 555 777 66 55', waid: '905557776655' }], emails: [] },
+        { name: 'Numarasiz', org: '', phones: [], emails: [] }
+    ]), messageId);
+
+    const importRes = await client.api('POST', `/api/messages/${messageId}/vcards/import`, {});
+    assert.equal(importRes.status, 200);
+    const imported = JSON.parse(importRes.body);
+    assert.deepEqual(imported.imported, [{ chatId: '905557776655@c.us', name: 'Mehmet', phone: '905557776655' }]);
+    assert.equal(imported.skipped.length, 1);
+    assert.equal(context.db.contacts.getByChatId.get('905557776655@c.us').name, 'Mehmet');
+
+    const badIndex = await client.api('POST', `/api/messages/${messageId}/vcards/import`, { index: 5 });
+    assert.equal(badIndex.status, 400);
+
+    const plainId = 'false_905554443322@c.us_PLAIN1';
+    context.db.messages.save.run(plainId, chatId, '905554443322', null, 'Ayse', 'Selam', 'chat', null, null, null, null, null, null, 0, 0, 0, Date.now());
+    const noCards = await client.api('POST', `/api/messages/${plainId}/vcards/import`, {});
+    assert.equal(noCards.status, 400);
+});
+
+test('POST /api/messages/:id/forward validates targets and requires a connection', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+    const messageId = 'false_905554443322@c.us_FWD1';
+
+    const missingTargets = await client.api('POST', `/api/messages/${messageId}/forward`, {});
+    assert.equal(missingTargets.status, 400);
+    assert.equal(JSON.parse(missingTargets.body).error, 'chatId or chatIds required');
+
+    const invalidTarget = await client.api('POST', `/api/messages/${messageId}/forward`, { chatIds: ['bad id'] });
+    assert.equal(invalidTarget.status, 400);
+    assert.equal(JSON.parse(invalidTarget.body).error, 'Invalid chatId format');
+
+    const tooMany = await client.api('POST', `/api/messages/${messageId}/forward`, {
+        chatIds: Array.from({ length: 21 }, (_, index) => `90555000${String(index).padStart(4, '0')}@c.us`)
+    });
+    assert.equal(tooMany.status, 400);
+
+    const disconnected = await client.api('POST', `/api/messages/${messageId}/forward`, { chatId: '120363000000000001@g.us' });
+    assert.equal(disconnected.status, 400);
+    assert.equal(JSON.parse(disconnected.body).error, 'WhatsApp not connected');
+
+    const copies = await client.request({ method: 'GET', urlPath: `/api/messages/${messageId}/forwards` });
+    assert.equal(copies.status, 200);
+    assert.deepEqual(JSON.parse(copies.body), []);
+});
+
+test('chat state and presence endpoints validate input and require a connection', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+    const chatId = encodeURIComponent('905554443322@c.us');
+
+    const invalidState = await client.api('POST', `/api/chats/${chatId}/state`, { state: 'dancing' });
+    assert.equal(invalidState.status, 400);
+    assert.equal(JSON.parse(invalidState.body).error, 'state must be typing, recording or paused');
+
+    await client.api('POST', '/api/settings', { ghostMode: true });
+    const ghost = await client.api('POST', `/api/chats/${chatId}/state`, { state: 'typing' });
+    assert.equal(ghost.status, 200);
+    assert.deepEqual(JSON.parse(ghost.body), { success: false, reason: 'Ghost Mode is enabled' });
+
+    await client.api('POST', '/api/settings', { ghostMode: false });
+    const disconnected = await client.api('POST', `/api/chats/${chatId}/state`, { state: 'typing' });
+    assert.equal(disconnected.status, 400);
+    assert.equal(JSON.parse(disconnected.body).error, 'WhatsApp not connected');
+
+    const subscribe = await client.api('POST', `/api/chats/${chatId}/presence/subscribe`);
+    assert.equal(subscribe.status, 400);
+
+    const presence = await client.request({ method: 'GET', urlPath: `/api/chats/${chatId}/presence` });
+    assert.equal(presence.status, 200);
+    const body = JSON.parse(presence.body);
+    assert.equal(body.chatId, '905554443322@c.us');
+    assert.equal(body.state, null);
+});
+
+test('call log, call report and call reject settings endpoints work', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const invalidSettings = await client.api('POST', '/api/settings', { callRejectTemplateId: 'abc' });
+    assert.equal(invalidSettings.status, 400);
+
+    const settingsRes = await client.api('POST', '/api/settings', {
+        rejectCalls: true,
+        callRejectMessage: '  Su an aranamiyoruz  ',
+        callRejectTemplateId: null
+    });
+    assert.equal(settingsRes.status, 200);
+    const updated = JSON.parse(settingsRes.body).settings;
+    assert.equal(updated.rejectCalls, true);
+    assert.equal(updated.callRejectMessage, 'Su an aranamiyoruz');
+    assert.equal(updated.callRejectTemplateId, null);
+    await client.api('POST', '/api/settings', { rejectCalls: false });
+
+    const { db } = accountManager.getAccountContext(accountManager.getDefaultAccountId());
+    const now = Date.now();
+    db.calls.upsert.run('AUTH_CALL_1', '905557778899@c.us', 1, 0, 'rejected', now - 1000);
+    db.calls.upsert.run('AUTH_CALL_2', '905557778800@c.us', 0, 0, 'received', now);
+
+    const list = await client.request({ method: 'GET', urlPath: '/api/calls?limit=10' });
+    assert.equal(list.status, 200);
+    const listBody = JSON.parse(list.body);
+    assert.deepEqual(listBody.items.slice(0, 2).map(item => item.call_id), ['AUTH_CALL_2', 'AUTH_CALL_1']);
+
+    const byCaller = await client.request({ method: 'GET', urlPath: '/api/calls?caller=905557778899%40c.us' });
+    assert.deepEqual(JSON.parse(byCaller.body).items.map(item => item.call_id), ['AUTH_CALL_1']);
+
+    const badCaller = await client.request({ method: 'GET', urlPath: '/api/calls?caller=bad%20id' });
+    assert.equal(badCaller.status, 400);
+
+    const report = await client.request({ method: 'GET', urlPath: `/api/reports/calls?start=${now - 60000}&end=${now + 1000}` });
+    assert.equal(report.status, 200);
+    const reportBody = JSON.parse(report.body);
+    assert.equal(reportBody.summary.total, 2);
+    assert.equal(reportBody.summary.video, 1);
+    assert.equal(reportBody.summary.rejected, 1);
+    assert.equal(reportBody.topCallers.length, 2);
+    assert.equal(reportBody.trend.reduce((sum, point) => sum + point.total, 0), 2);
+});
+
+test('status updates endpoints list stored statuses and validate posts', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const { db } = accountManager.getAccountContext(accountManager.getDefaultAccountId());
+    const now = Date.now();
+    db.statusUpdates.save.run('AUTH_STATUS_1', '905557778899@c.us', 'Ayse', 'chat', 'Merhaba', null, 0, now, now + 60000);
+
+    const list = await client.request({ method: 'GET', urlPath: '/api/status/updates' });
+    assert.equal(list.status, 200);
+    const contacts = JSON.parse(list.body).contacts;
+    assert.equal(contacts[0].authorId, '905557778899@c.us');
+    assert.equal(contacts[0].statuses[0].body, 'Merhaba');
+
+    const badAuthor = await client.request({ method: 'GET', urlPath: '/api/status/updates?author=bad%20id' });
+    assert.equal(badAuthor.status, 400);
+
+    const tooLong = await client.api('POST', '/api/status/updates', { text: 'x'.repeat(701) });
+    assert.equal(tooLong.status, 400);
+
+    const disconnected = await client.api('POST', '/api/status/updates', { text: 'Merhaba' });
+    assert.equal(disconnected.status, 400);
+    assert.equal(JSON.parse(disconnected.body).error, 'WhatsApp not connected');
+
+    const connection = await client.request({ method: 'GET', urlPath: '/api/status' });
+    assert.equal(connection.status, 200);
+    assert.ok('whatsapp' in JSON.parse(connection.body));
+});
+
+test('label-backed tags are flagged and protected from panel edits', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const { db } = accountManager.getAccountContext(accountManager.getDefaultAccountId());
+    const labelTagId = db.tags.createFromLabel.run('Auth Label', '#ff9485', 'auth-label-1').lastInsertRowid;
+
+    const list = await client.request({ method: 'GET', urlPath: '/api/tags' });
+    assert.equal(list.status, 200);
+    const labelTag = JSON.parse(list.body).find(tag => tag.id === labelTagId);
+    assert.equal(labelTag.label_backed, true);
+    assert.equal(labelTag.wa_label_id, 'auth-label-1');
+
+    const rename = await client.api('PUT', `/api/tags/${labelTagId}`, { name: 'Yeni ad' });
+    assert.equal(rename.status, 409);
+    const remove = await client.api('DELETE', `/api/tags/${labelTagId}`);
+    assert.equal(remove.status, 409);
+
+    const assign = await client.api('POST', '/api/chats/905557778899%40c.us/tags', { tag_id: labelTagId });
+    assert.equal(assign.status, 200);
+    assert.deepEqual(JSON.parse(assign.body).labelSync, { success: false, reason: 'WhatsApp not connected' });
+
+    const sync = await client.api('POST', '/api/tags/sync-labels');
+    assert.equal(sync.status, 400);
+    assert.equal(JSON.parse(sync.body).error, 'WhatsApp not connected');
+
+    const roles = JSON.parse((await client.request({ method: 'GET', urlPath: '/api/roles' })).body);
+    const agentRole = roles.find(role => role.name === 'agent');
+    const username = `labels${Date.now()}`;
+    const created = await client.api('POST', '/api/users', { username, password: 'Label-pass-123', roleId: agentRole.id });
+    assert.equal(created.status, 200);
+    const agent = createClient();
+    await agent.login(username, 'Label-pass-123');
+    assert.equal((await agent.api('POST', '/api/tags/sync-labels')).status, 403);
+
+    const unassign = await agent.api('DELETE', `/api/chats/905557778899%40c.us/tags/${labelTagId}`);
+    assert.equal(unassign.status, 200);
+    assert.deepEqual(JSON.parse(unassign.body).labelSync, { success: false, reason: 'WhatsApp not connected' });
+    assert.deepEqual(db.contactTags.getChatIdsByTagId.all(labelTagId), []);
+});
+
+test('chat action endpoints validate input and pinned chats sort first', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const { db } = accountManager.getAccountContext(accountManager.getDefaultAccountId());
+    db.chats.upsert.run('905557770001@c.us', 'Eski', 0, null, 'a', 1000, 0);
+    db.chats.upsert.run('905557770002@c.us', 'Yeni', 0, null, 'b', Date.now(), 0);
+    db.chats.setPinned.run(1, Date.now(), '905557770001@c.us');
+
+    const list = await client.request({ method: 'GET', urlPath: '/api/chats' });
+    assert.equal(list.status, 200);
+    assert.equal(JSON.parse(list.body)[0].chat_id, '905557770001@c.us');
+
+    const badDuration = await client.api('POST', '/api/chats/905557770002%40c.us/mute', { duration: '2d' });
+    assert.equal(badDuration.status, 400);
+    assert.equal(JSON.parse(badDuration.body).error, 'duration must be 8h, 1w or forever');
+
+    for (const action of ['pin', 'unpin', 'mute', 'unmute', 'mark-unread', 'block', 'unblock']) {
+        const res = await client.api('POST', `/api/chats/905557770002%40c.us/${action}`);
+        assert.equal(res.status, 400, action);
+        assert.equal(JSON.parse(res.body).error, 'WhatsApp not connected');
+    }
+});
+
+test('connection history lists recorded events with supervisor state', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const { db } = accountManager.getAccountContext(accountManager.getDefaultAccountId());
+    db.connectionEvents.add.run('disconnected', 'NAVIGATION', 0, null, Date.now() - 1000);
+    db.connectionEvents.add.run('reconnect_scheduled', 'NAVIGATION', 1, 5000, Date.now());
+
+    const history = await client.request({ method: 'GET', urlPath: '/api/status/history?limit=5' });
+    assert.equal(history.status, 200);
+    const body = JSON.parse(history.body);
+    assert.equal(body.items[0].event, 'reconnect_scheduled');
+    assert.equal(body.items[0].delay_ms, 5000);
+    assert.equal(body.limit, 5);
+    assert.equal(body.supervisor.running, false);
+
+    const filtered = await client.request({ method: 'GET', urlPath: '/api/status/history?event=disconnected' });
+    assert.ok(JSON.parse(filtered.body).items.every(item => item.event === 'disconnected'));
+
+    const badEvent = await client.request({ method: 'GET', urlPath: '/api/status/history?event=unknown' });
+    assert.equal(badEvent.status, 400);
+    assert.equal(JSON.parse(badEvent.body).error, 'Invalid event');
+});
+
+test('session archives export and restore into a new account', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const sourceId = accountManager.getDefaultAccountId();
+    const { db } = accountManager.getAccountContext(sourceId);
+    db.chats.upsert.run('905557779900@c.us', 'Yedek', 0, null, 'yedek', Date.now(), 0);
+
+    const exported = await client.request({ method: 'GET', urlPath: `/api/accounts/${sourceId}/session/export` });
+    assert.equal(exported.status, 200);
+    assert.match(exported.headers['content-disposition'], /whatsapp-session-.*\.tar\.gz/);
+
+    const missingAccount = await client.request({ method: 'GET', urlPath: '/api/accounts/no-such-account/session/export' });
+    assert.equal(missingAccount.status, 404);
+
+    const noFile = await client.api('POST', '/api/accounts/session/import', {});
+    assert.equal(noFile.status, 400);
+    assert.equal(JSON.parse(noFile.body).error, 'Session archive required');
+
+    const archivePath = path.join(tempDir, 'auth-session-backup.tar.gz');
+    await accountManager.exportSessionArchive(sourceId, archivePath);
+    await assert.rejects(
+        () => accountManager.importSessionArchive(archivePath, { accountId: 'no-such-account' }),
+        /Account not found/
+    );
+
+    const { account } = await accountManager.importSessionArchive(archivePath, { name: 'Tasinan hesap' });
+    assert.notEqual(account.id, sourceId);
+    assert.equal(account.name, 'Tasinan hesap');
+    const restored = accountManager.getAccountContext(account.id);
+    assert.equal(restored.db.chats.getById.get('905557779900@c.us').name, 'Yedek');
+    assert.equal(fs.existsSync(archivePath), true);
+
+    // Kurulum yarida kalirsa yeni hesap geride birakilmaz
+    const accountCount = accountManager.listAccounts().length;
+    const getAccountContext = accountManager.getAccountContext;
+    accountManager.getAccountContext = () => {
+        throw new Error('Context failed');
+    };
+    try {
+        await assert.rejects(() => accountManager.importSessionArchive(archivePath, { name: 'Yarim hesap' }), /Context failed/);
+    } finally {
+        accountManager.getAccountContext = getAccountContext;
+    }
+    assert.equal(accountManager.listAccounts().length, accountCount);
+    assert.equal(accountManager.listAccounts().some(item => item.name === 'Yarim hesap'), false);
+    assert.deepEqual(fs.readdirSync(path.join(tempDir, 'accounts')).filter(name => name.startsWith('yarim-hesap')), []);
+
+    // Gecersiz arsiv hazirlik dizini birakmaz; ayni hesaba ikinci yukleme arsivi acmadan reddedilir
+    const garbagePath = path.join(tempDir, 'auth-session-garbage.tar.gz');
+    fs.writeFileSync(garbagePath, 'not an archive');
+    await assert.rejects(() => accountManager.importSessionArchive(garbagePath, { name: 'Bozuk' }), /not a valid tar\.gz/);
+    await assert.rejects(() => accountManager.importSessionArchive(garbagePath, { accountId: account.id }), /not a valid tar\.gz/);
+    const [first, second] = await Promise.allSettled([
+        accountManager.importSessionArchive(archivePath, { accountId: account.id }),
+        accountManager.importSessionArchive(archivePath, { accountId: account.id })
+    ]);
+    assert.equal(first.status, 'fulfilled');
+    assert.equal(second.status, 'rejected');
+    assert.match(second.reason.message, /Session operation already in progress/);
+    assert.deepEqual(fs.readdirSync(path.join(tempDir, 'accounts')).filter(name => name.startsWith('.restore-')), []);
+    assert.equal(accountManager.listAccounts().some(item => item.name === 'Bozuk'), false);
+    fs.rmSync(garbagePath, { force: true });
+    fs.rmSync(archivePath, { force: true });
+});
+
+test('pairing code endpoint validates phone numbers and refuses when connected', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const missing = await client.api('POST', '/api/connect/pairing-code', {});
+    assert.equal(missing.status, 400);
+    assert.equal(JSON.parse(missing.body).error, 'Phone number required');
+
+    const invalid = await client.api('POST', '/api/connect/pairing-code', { phoneNumber: '12-ab' });
+    assert.equal(invalid.status, 400);
+    assert.equal(JSON.parse(invalid.body).error, 'Invalid phone number');
+
+    const { whatsapp } = accountManager.getAccountContext(accountManager.getDefaultAccountId());
+    const previousStatus = whatsapp.status;
+    whatsapp.status = 'ready';
+    try {
+        const connected = await client.api('POST', '/api/connect/pairing-code', { phoneNumber: '+90 555 123 45 67' });
+        assert.equal(connected.status, 409);
+        assert.equal(JSON.parse(connected.body).error, 'WhatsApp already connected');
+    } finally {
+        whatsapp.status = previousStatus;
+    }
+
+    const status = await client.request({ method: 'GET', urlPath: '/api/status' });
+    assert.ok('pairingCode' in JSON.parse(status.body).whatsapp);
+});
+
+test('simulator accounts use the simulator transport and accept injected messages only there', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const invalid = await client.api('POST', '/api/accounts', { name: 'Bad Transport', transport: 'telegram' });
+    assert.equal(invalid.status, 400);
+    assert.equal(JSON.parse(invalid.body).error, 'Invalid transport');
+
+    const defaultAccount = await client.api('POST', '/api/simulator/incoming', { chatId: '905550000001@c.us', body: 'Merhaba' });
+    assert.equal(defaultAccount.status, 409);
+    assert.equal(JSON.parse(defaultAccount.body).error, 'Simulator transport not active');
+
+    const createRes = await client.api('POST', '/api/accounts', { name: 'Demo Simulator', transport: 'simulator' });
+    assert.equal(createRes.status, 200);
+    const created = JSON.parse(createRes.body).account;
+    assert.equal(created.transport, 'simulator');
+
+    const list = JSON.parse((await client.request({ method: 'GET', urlPath: '/api/accounts' })).body);
+    assert.equal(list.accounts.find(acc => acc.id === created.id).transport, 'simulator');
+    assert.equal(list.accounts.find(acc => acc.id === accountManager.getDefaultAccountId()).transport, 'webjs');
+
+    await client.api('POST', '/api/accounts/select', { accountId: created.id });
+
+    const missingBody = await client.api('POST', '/api/simulator/incoming', { chatId: '905550000001@c.us' });
+    assert.equal(missingBody.status, 400);
+    assert.equal(JSON.parse(missingBody.body).error, 'Message body required');
+
+    const notConnected = await client.api('POST', '/api/simulator/incoming', { chatId: '905550000001@c.us', body: 'Merhaba' });
+    assert.equal(notConnected.status, 409);
+    assert.equal(JSON.parse(notConnected.body).error, 'WhatsApp not connected');
+
+    const status = JSON.parse((await client.request({ method: 'GET', urlPath: '/api/status' })).body);
+    assert.equal(status.whatsapp.transport, 'simulator');
+});
+
+test('simulate message dry-run reports fired automations without side effects', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const unique = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    const chatId = `90555${Date.now().toString().slice(-7)}@c.us`;
+
+    const ruleRes = await client.api('POST', '/api/auto-replies', {
+        trigger_word: `fiyat-${unique}`,
+        response: 'Merhaba {name}, fiyat listemiz ektedir.',
+        match_type: 'contains',
+        is_active: true
+    });
+    const ruleId = JSON.parse(ruleRes.body).id;
+    const scriptRes = await client.api('POST', '/api/scripts', {
+        name: `sim-${unique}`,
+        code: "await reply('Script: ' + msg.body);",
+        trigger_type: 'message',
+        trigger_filter: { chatIds: [chatId] }
+    });
+    const scriptId = JSON.parse(scriptRes.body).id;
+    const webhookRes = await client.api('POST', '/api/webhooks', {
+        name: `sim-${unique}`,
+        url: 'https://example.com/hooks/whatsapp',
+        events: 'message'
+    });
+    const webhookId = JSON.parse(webhookRes.body).id;
+
+    const groupRes = await client.api('POST', '/api/simulate/message', { chatId: '120363000000000001@g.us', body: 'selam' });
+    assert.equal(groupRes.status, 400);
+    assert.equal(JSON.parse(groupRes.body).error, 'Sender required for group chats');
+
+    const res = await client.api('POST', '/api/simulate/message', {
+        chatId,
+        body: `fiyat-${unique} nedir?`,
+        fromName: 'Deneme Musteri',
+        dryRun: true
+    });
+    assert.equal(res.status, 200);
+    const report = JSON.parse(res.body);
+    assert.equal(report.dryRun, true);
+    assert.equal(report.message.chatId, chatId);
+    assert.equal(report.message.isFromMe, false);
+    assert.equal(report.autoReply.ruleId, ruleId);
+    assert.equal(report.autoReply.response, 'Merhaba Deneme Musteri, fiyat listemiz ektedir.');
+    assert.deepEqual(report.scripts.map(run => ({ id: run.scriptId, success: run.success })), [{ id: scriptId, success: true }]);
+    assert.equal(report.webhooks.find(hook => hook.id === webhookId).status, 'dry_run');
+    assert.deepEqual(report.sent, [
+        { source: 'auto_reply', chatId, message: 'Merhaba Deneme Musteri, fiyat listemiz ektedir.' },
+        { source: 'script', chatId, message: `Script: fiyat-${unique} nedir?` }
+    ]);
+    assert.deepEqual(report.errors, []);
+
+    const { db } = accountManager.getAccountContext(accountManager.getDefaultAccountId());
+    assert.equal(db.scripts.getById.get(scriptId).run_count, 0);
+    assert.equal(db.db.prepare('SELECT reply_count FROM auto_replies WHERE id = ?').get(ruleId).reply_count, 0);
+    assert.equal(db.db.prepare('SELECT COUNT(*) AS count FROM outbox WHERE chat_id = ?').get(chatId).count, 0);
+
+    await client.api('DELETE', `/api/webhooks/${webhookId}`);
+    await client.api('DELETE', `/api/scripts/${scriptId}`);
+    await client.api('DELETE', `/api/auto-replies/${ruleId}`);
+});
+
+test('GET /api/messages/search returns ranked, paginated, highlighted results scoped by chat', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const context = accountManager.getAccountContext(accountManager.getDefaultAccountId());
+    const unique = `ftsara${Date.now()}`;
+    const firstChat = '905557770001@c.us';
+    const secondChat = '905557770002@c.us';
+    context.db.messages.save.run(`false_${firstChat}_FTS1`, firstChat, '905557770001', null, 'Ayse', `${unique} kargo <yolda>`, 'chat', null, null, null, null, null, null, 0, 0, 0, Date.now());
+    context.db.messages.save.run(`false_${firstChat}_FTS2`, firstChat, '905557770001', null, 'Ayse', `${unique} ${unique} tekrar`, 'chat', null, null, null, null, null, null, 0, 0, 0, Date.now());
+    context.db.messages.save.run(`false_${secondChat}_FTS3`, secondChat, '905557770002', null, 'Mehmet', `${unique} fatura`, 'chat', null, null, null, null, null, null, 0, 0, 0, Date.now());
+
+    const allRes = await client.request({ method: 'GET', urlPath: `/api/messages/search?q=${unique}&limit=2` });
+    assert.equal(allRes.status, 200);
+    const all = JSON.parse(allRes.body);
+    assert.equal(all.total, 3);
+    assert.equal(all.items.length, 2);
+    assert.equal(all.items[0].message_id, `false_${firstChat}_FTS2`);
+
+    const scopedRes = await client.request({ method: 'GET', urlPath: `/api/messages/search?q=${unique}%20kargo&chatId=${firstChat}` });
+    const scoped = JSON.parse(scopedRes.body);
+    assert.equal(scoped.total, 1);
+    assert.equal(scoped.items[0].highlight.body, `<mark>${unique}</mark> <mark>kargo</mark> &lt;yolda&gt;`);
+
+    const emptyRes = await client.request({ method: 'GET', urlPath: '/api/messages/search?q=' });
+    assert.deepEqual(JSON.parse(emptyRes.body).items, []);
+
+    const invalidRes = await client.request({ method: 'GET', urlPath: `/api/messages/search?q=${unique}&chatId=bad%20chat` });
+    assert.equal(invalidRes.status, 400);
+});
+
+test('search query language filters messages and chats and reports syntax errors as 400', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const context = accountManager.getAccountContext(accountManager.getDefaultAccountId());
+    const unique = `dsl${Date.now()}`;
+    const chatId = '905557770003@c.us';
+    context.db.chats.upsert.run(chatId, `Dsl Musteri ${unique}`, 0, null, null, Date.now(), 0);
+    context.db.messages.save.run(`false_${chatId}_DSL1`, chatId, '905557770003', null, 'Dsl Musteri', `${unique} fiyat`, 'chat', null, null, null, null, null, null, 0, 0, 0, Date.now());
+    context.db.messages.save.run(`true_${chatId}_DSL2`, chatId, null, chatId, 'Ben', `${unique} teklif`, 'chat', null, null, null, null, null, null, 0, 1, 1, Date.now());
+
+    const q = encodeURIComponent(`${unique} -is:fromme in:${chatId}`);
+    const messagesRes = await client.request({ method: 'GET', urlPath: `/api/messages/search?q=${q}` });
+    assert.equal(messagesRes.status, 200);
+    assert.deepEqual(JSON.parse(messagesRes.body).items.map(item => item.message_id), [`false_${chatId}_DSL1`]);
+
+    const chatsRes = await client.request({ method: 'GET', urlPath: `/api/chats/search?q=${encodeURIComponent(`${unique} from:me`)}` });
+    assert.equal(chatsRes.status, 200);
+    assert.deepEqual(JSON.parse(chatsRes.body).map(chat => chat.chat_id), [chatId]);
+
+    const badRes = await client.request({ method: 'GET', urlPath: `/api/chats/search?q=${encodeURIComponent('has:link')}` });
+    assert.equal(badRes.status, 400);
+    const bad = JSON.parse(badRes.body);
+    assert.match(bad.error, /Unknown has: value "link"/);
+    assert.deepEqual(bad.issues.map(issue => [issue.path, issue.code]), [['q', 'custom']]);
+
+    const unterminatedRes = await client.request({ method: 'GET', urlPath: `/api/messages/search?q=${encodeURIComponent('"fiyat')}` });
+    assert.equal(unterminatedRes.status, 400);
+});
+
+test('chat and message lists page by cursor and jump to a message window', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const context = accountManager.getAccountContext(accountManager.getDefaultAccountId());
+    const chatId = '905557770004@c.us';
+    const chatPathId = encodeURIComponent(chatId);
+    const base = Date.now() - 60000;
+    for (let i = 1; i <= 5; i += 1) {
+        context.db.messages.save.run(`false_${chatId}_PAGE${i}`, chatId, '905557770004', null, 'Sayfa', `mesaj ${i}`, 'chat', null, null, null, null, null, null, 0, 0, 0, base + i);
+    }
+
+    const firstRes = await client.request({ method: 'GET', urlPath: `/api/chats/${chatPathId}/messages?limit=2` });
+    assert.equal(firstRes.status, 200);
+    const first = JSON.parse(firstRes.body);
+    assert.deepEqual(first.messages.map(message => message.message_id), [`false_${chatId}_PAGE5`, `false_${chatId}_PAGE4`]);
+    assert.equal(first.pagination.hasOlder, true);
+    assert.ok(Array.isArray(first.messages[0].reactions));
+
+    const olderRes = await client.request({ method: 'GET', urlPath: `/api/chats/${chatPathId}/messages?limit=2&before=${first.pagination.olderCursor}` });
+    const older = JSON.parse(olderRes.body);
+    assert.deepEqual(older.messages.map(message => message.message_id), [`false_${chatId}_PAGE3`, `false_${chatId}_PAGE2`]);
+    assert.equal(older.pagination.hasNewer, true);
+
+    const windowRes = await client.request({ method: 'GET', urlPath: `/api/chats/${chatPathId}/messages/around/false_${chatId}_PAGE2?limit=3` });
+    assert.equal(windowRes.status, 200);
+    const windowPage = JSON.parse(windowRes.body);
+    assert.equal(windowPage.anchor, `false_${chatId}_PAGE2`);
+    assert.deepEqual(windowPage.messages.map(message => message.message_id), [`false_${chatId}_PAGE3`, `false_${chatId}_PAGE2`, `false_${chatId}_PAGE1`]);
+    assert.ok(Array.isArray(windowPage.tags));
+
+    const missingRes = await client.request({ method: 'GET', urlPath: `/api/chats/${chatPathId}/messages/around/nope?limit=3` });
+    assert.equal(missingRes.status, 404);
+
+    const listRes = await client.request({ method: 'GET', urlPath: '/api/messages?limit=1' });
+    const list = JSON.parse(listRes.body);
+    assert.equal(list.messages.length, 1);
+    assert.ok(list.pagination.olderCursor);
+    const nextRes = await client.request({ method: 'GET', urlPath: `/api/messages?limit=1&before=${list.pagination.olderCursor}` });
+    assert.notEqual(JSON.parse(nextRes.body).messages[0].message_id, list.messages[0].message_id);
+
+    const badRes = await client.request({ method: 'GET', urlPath: `/api/chats/${chatPathId}/messages?before=not-a-cursor` });
+    assert.equal(badRes.status, 400);
+    assert.equal(JSON.parse(badRes.body).error, 'Invalid cursor');
+    const bothRes = await client.request({ method: 'GET', urlPath: `/api/messages?before=${list.pagination.olderCursor}&after=${list.pagination.olderCursor}` });
+    assert.equal(bothRes.status, 400);
+});
+
+test('GET /api/chats/:id/export streams transcripts as attachments', async () => {
+    const client = createClient();
+    await client.login('admin', 'test-password');
+
+    const context = accountManager.getAccountContext(accountManager.getDefaultAccountId());
+    const chatId = '905557770005@c.us';
+    const chatPathId = encodeURIComponent(chatId);
+    const base = new Date(2024, 2, 1, 10, 30).getTime();
+    context.db.chats.upsert.run(chatId, 'Dokum Musteri', 0, null, null, base, 0);
+    context.db.messages.save.run(`false_${chatId}_EXP1`, chatId, '905557770005', null, 'Dokum Musteri', 'Siparis durumu?', 'chat', null, null, null, null, null, null, 0, 0, 0, base);
+    context.db.messages.save.run(`true_${chatId}_EXP2`, chatId, null, chatId, 'Ben', 'Kargoda', 'chat', null, null, null, null, null, null, 0, 1, 1, base + 60000);
+
+    const txtRes = await client.request({ method: 'GET', urlPath: `/api/chats/${chatPathId}/export` });
+    assert.equal(txtRes.status, 200);
+    assert.match(String(txtRes.headers['content-disposition']), /attachment; filename="whatsapp-chat-Dokum Musteri-\d{4}-\d{2}-\d{2}\.txt"/);
+    assert.ok(String(txtRes.headers['content-type']).includes('text/plain'));
+    assert.equal(txtRes.body, '01.03.2024 10:30 - Dokum Musteri: Siparis durumu?\n01.03.2024 10:31 - Ben: Kargoda\n');
+
+    const jsonRes = await client.request({ method: 'GET', urlPath: `/api/chats/${chatPathId}/export?format=json&start=${base + 1}` });
+    assert.equal(jsonRes.status, 200);
+    assert.deepEqual(JSON.parse(jsonRes.body).messages.map(message => message.id), [`true_${chatId}_EXP2`]);
+
+    const zipRes = await client.request({ method: 'GET', urlPath: `/api/chats/${chatPathId}/export?format=html&zip=1` });
+    assert.equal(zipRes.status, 200);
+    assert.ok(String(zipRes.headers['content-type']).includes('application/zip'));
+
+    const logs = context.db.logs.getByCategory.all('export', 10);
+    assert.ok(logs.some(log => JSON.parse(log.data).chatId === chatId && JSON.parse(log.data).zip === true));
+
+    const badFormatRes = await client.request({ method: 'GET', urlPath: `/api/chats/${chatPathId}/export?format=pdf` });
+    assert.equal(badFormatRes.status, 400);
+    assert.equal(JSON.parse(badFormatRes.body).error, 'format must be one of: txt, json, html');
+    const badRangeRes = await client.request({ method: 'GET', urlPath: `/api/chats/${chatPathId}/export?start=10&end=5` });
+    assert.equal(badRangeRes.status, 400);
+    const missingRes = await client.request({ method: 'GET', urlPath: '/api/chats/905557779999%40c.us/export' });
+    assert.equal(missingRes.status, 404);
+});
+
+test('saved searches are per user, shareable and pinnable as folders with counts', async () => {
+    const admin = createClient();
+    await admin.login('admin', 'test-password');
+
+    const roles = JSON.parse((await admin.request({ method: 'GET', urlPath: '/api/roles' })).body);
+    const agentRole = roles.find(role => role.name === 'agent');
+    const username = `folders${Date.now()}`;
+    const created = await admin.api('POST', '/api/users', { username, password: 'Folder-pass-123', roleId: agentRole.id });
+    assert.equal(created.status, 200);
+    const agent = createClient();
+    await agent.login(username, 'Folder-pass-123');
+
+    const context = accountManager.getAccountContext(accountManager.getDefaultAccountId());
+    const chatId = '905557770010@c.us';
+    context.db.chats.upsert.run(chatId, `Klasor Musteri ${username}`, 0, null, 'Fatura?', Date.now(), 2);
+
+    const invalid = await admin.api('POST', '/api/saved-searches', { name: 'Bozuk', query: 'is:starred' });
+    assert.equal(invalid.status, 400);
+    assert.match(JSON.parse(invalid.body).error, /Unknown is: value/);
+    const empty = await admin.api('POST', '/api/saved-searches', { name: 'Bos', query: '' });
+    assert.equal(JSON.parse(empty.body).error, 'Search criteria required');
+
+    const privateRes = await admin.api('POST', '/api/saved-searches', { name: 'Benim', query: username, pinned: true });
+    const privateId = JSON.parse(privateRes.body).id;
+    const sharedRes = await admin.api('POST', '/api/saved-searches', { name: 'Ekip', query: `${username} is:unread`, shared: true });
+    const sharedId = JSON.parse(sharedRes.body).id;
+
+    const agentList = JSON.parse((await agent.request({ method: 'GET', urlPath: '/api/saved-searches' })).body);
+    assert.deepEqual(agentList.map(item => [item.id, item.is_owner, item.is_pinned]), [[sharedId, 0, 0]]);
+    assert.equal(agentList[0].owner_name, 'Admin');
+    assert.equal((await agent.request({ method: 'GET', urlPath: `/api/saved-searches/${privateId}/chats` })).status, 404);
+    assert.equal((await agent.api('PUT', `/api/saved-searches/${sharedId}`, { name: 'X', query: 'x' })).status, 403);
+
+    const pinRes = await agent.api('POST', `/api/saved-searches/${sharedId}/pin`);
+    assert.deepEqual(JSON.parse(pinRes.body).counts, [{ id: sharedId, chats: 1, unreadChats: 1, unreadMessages: 2 }]);
+    const chatsRes = await agent.request({ method: 'GET', urlPath: `/api/saved-searches/${sharedId}/chats` });
+    assert.deepEqual(JSON.parse(chatsRes.body).map(chat => chat.chat_id), [chatId]);
+
+    const adminCounts = JSON.parse((await admin.request({ method: 'GET', urlPath: '/api/saved-searches/counts' })).body);
+    assert.deepEqual(adminCounts.counts.map(count => count.id), [privateId]);
+
+    // Paylasim kaldirilinca diger kullanicinin pini ve erisimi gider
+    const unshare = await admin.api('PUT', `/api/saved-searches/${sharedId}`, { name: 'Ekip', query: `${username} is:unread`, shared: false });
+    assert.equal(unshare.status, 200);
+    assert.deepEqual(JSON.parse((await agent.request({ method: 'GET', urlPath: '/api/saved-searches' })).body), []);
+    assert.equal(context.db.db.prepare('SELECT COUNT(*) AS count FROM saved_search_pins WHERE saved_search_id = ?').get(sharedId).count, 0);
+
+    assert.equal((await admin.api('DELETE', `/api/saved-searches/${sharedId}`)).status, 200);
+    assert.equal((await admin.api('DELETE', `/api/saved-searches/${privateId}`)).status, 200);
+    assert.equal(context.db.savedSearches.getById.get(privateId), undefined);
+});
+
 test('auto replies CRUD works (admin)', async () => {
     const client = createClient();
     await client.login('admin', 'test-password');
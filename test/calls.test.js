@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createReadyClient, createTestDatabase } = require('./helpers');
+const { createCallReplyService } = require('../services/callReply');
+
+// Arama servisi loglari test ciktisini kirletmesin
+function createCallClient(db, dataDir) {
+    const client = createReadyClient(db, dataDir);
+    client.whatsapp.log = () => {};
+    return client;
+}
+
+function createCall(overrides = {}) {
+    const call = {
+        id: 'CALL1',
+        from: '905551112233@c.us',
+        timestamp: 1700000000,
+        isVideo: false,
+        isGroup: false,
+        fromMe: false,
+        rejected: 0,
+        reject: async () => {
+            call.rejected += 1;
+        },
+        ...overrides
+    };
+    return call;
+}
+
+test('incoming calls are stored and broadcast; auto reject follows the setting', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('calls');
+    try {
+        const { whatsapp, events } = createCallClient(db, dataDir);
+
+        const ringing = createCall();
+        const received = await whatsapp.handleIncomingCall(ringing);
+        assert.equal(received.outcome, 'received');
+        assert.equal(received.timestamp, 1700000000000);
+        assert.equal(ringing.rejected, 0);
+
+        whatsapp.updateSettings({ rejectCalls: true });
+        const video = createCall({ id: 'CALL2', isVideo: true });
+        const rejected = await whatsapp.handleIncomingCall(video);
+        assert.equal(rejected.outcome, 'rejected');
+        assert.equal(video.rejected, 1);
+
+        const failing = createCall({ id: 'CALL3', reject: async () => { throw new Error('boom'); } });
+        assert.equal((await whatsapp.handleIncomingCall(failing)).outcome, 'reject_failed');
+
+        assert.equal(await whatsapp.handleIncomingCall(createCall({ id: 'CALL4', fromMe: true })), null);
+
+        const stored = db.calls.list.all(10, 0);
+        assert.deepEqual(stored.map(row => [row.call_id, row.outcome, row.is_video]), [
+            ['CALL3', 'reject_failed', 0],
+            ['CALL2', 'rejected', 1],
+            ['CALL1', 'received', 0]
+        ]);
+
+        const summary = db.reports.getCallSummary.get(0, Date.now());
+        assert.equal(summary.total, 3);
+        assert.equal(summary.video, 1);
+        assert.equal(summary.rejected, 1);
+        assert.equal(summary.callers, 1);
+
+        assert.equal(events.filter(e => e.event === 'incoming_call').length, 3);
+    } finally {
+        cleanup();
+    }
+});
+
+test('call reply service renders the template once per cooldown and skips group calls', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('calls');
+    try {
+        const { whatsapp, sent } = createCallClient(db, dataDir);
+        const callReply = createCallReplyService(db, whatsapp);
+        db.chats.upsert.run('905551112233@c.us', 'Ayse', 0, null, '', Date.now(), 0);
+        whatsapp.updateSettings({ rejectCalls: true, callRejectMessage: 'Merhaba {name}, {callType} aramani alamadik.' });
+
+        const first = await whatsapp.handleIncomingCall(createCall());
+        assert.equal(await callReply.handleCall(first), true);
+        assert.deepEqual(sent.map(({ chatId, content }) => ({ chatId, content })), [{ chatId: '905551112233@c.us', content: 'Merhaba Ayse, sesli aramani alamadik.' }]);
+        assert.ok(db.calls.getByCallId.get('CALL1').replied_at);
+
+        const second = await whatsapp.handleIncomingCall(createCall({ id: 'CALL2' }));
+        assert.equal(await callReply.handleCall(second), false);
+
+        const group = await whatsapp.handleIncomingCall(createCall({ id: 'CALL3', from: '905554443322@c.us', isGroup: true }));
+        assert.equal(await callReply.handleCall(group), false);
+
+        const templateId = db.messageTemplates.create.run('Arama', 'Sablon: {phone}', null, 'genel').lastInsertRowid;
+        whatsapp.updateSettings({ callRejectTemplateId: templateId });
+        const other = await whatsapp.handleIncomingCall(createCall({ id: 'CALL4', from: '905554443322@c.us' }));
+        assert.equal(await callReply.handleCall(other), true);
+        assert.equal(sent[1].content, 'Sablon: 905554443322');
+        assert.equal(sent.length, 2);
+    } finally {
+        cleanup();
+    }
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createTestDatabase } = require('./helpers');
+const { createCampaignService, parseRecipientsCsv } = require('../services/campaigns');
+const { createOutboxService } = require('../services/outbox');
+
+function createFakeWhatsApp({ failFor = [], failOnceFor = [] } = {}) {
+    const sent = [];
+    const failOnce = new Set(failOnceFor);
+    const events = [];
+    let counter = 0;
+    return {
+        sent,
+        events,
+        isReady: () => true,
+        emit: (event, data) => events.push({ event, data }),
+        sendMessage: async (chatId, message) => {
+            if (failFor.includes(chatId)) {
+                throw new Error('send failed');
+            }
+            if (failOnce.delete(chatId)) {
+                throw new Error('connection lost');
+            }
+            counter += 1;
+            sent.push({ chatId, message });
+            return { id: { _serialized: `msg-${counter}` } };
+        }
+    };
+}
+
+async function waitFor(predicate, timeoutMs = 2000) {
+    const startedAt = Date.now();
+    while (!predicate()) {
+        if (Date.now() - startedAt > timeoutMs) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+test('parseRecipientsCsv maps phone/name columns and keeps extra columns as variables', () => {
+    const recipients = parseRecipientsCsv('phone,name,city\n+90 555 111 2233,"Ali, Veli",Ankara\n\n905551112244;Ayse;Izmir\n');
+    assert.deepEqual(recipients, [
+        { chatId: '905551112233@c.us', name: 'Ali, Veli', variables: { name: 'Ali, Veli', city: 'Ankara' } },
+        { chatId: '905551112244@c.us', name: 'Ayse', variables: { name: 'Ayse', city: 'Izmir' } }
+    ]);
+    assert.throws(() => parseRecipientsCsv('name,city\nAli,Ankara'), /chat_id or phone/);
+});
+
+test('campaign sends rendered messages with throttling and tracks acks', async () => {
+    const { db, cleanup } = createTestDatabase('campaigns');
+    try {
+        const whatsapp = createFakeWhatsApp({ failFor: ['333@c.us'] });
+        const campaigns = createCampaignService(db, whatsapp, {}, null, { accountId: 'a1' });
+        db.chats.upsert.run('111@c.us', 'Ali', 0, null, null, null, 0);
+
+        const recipients = campaigns.resolveRecipients({ type: 'chats', chatIds: ['111@c.us', '222@c.us', '111@c.us', '333@c.us'] });
+        assert.equal(recipients.length, 3);
+
+        const campaign = campaigns.createCampaign({
+            name: 'Kampanya',
+            message: 'Merhaba {name} ({phone})',
+            target: { type: 'chats', chatIds: recipients.map(r => r.chatId) },
+            recipients,
+            throttleMs: 1
+        });
+        assert.equal(campaign.status, 'draft');
+        assert.equal(campaign.total_count, 3);
+
+        campaigns.startCampaign(campaign.id);
+        await waitFor(() => db.campaigns.getById.get(campaign.id).status === 'completed');
+
+        assert.deepEqual(whatsapp.sent, [
+            { chatId: '111@c.us', message: 'Merhaba Ali (111)' },
+            { chatId: '222@c.us', message: 'Merhaba  (222)' }
+        ]);
+
+        campaigns.handleAck('msg-1', 2);
+        campaigns.handleAck('msg-2', 3);
+
+        const progress = campaigns.getProgress(campaign.id);
+        assert.equal(progress.status, 'completed');
+        assert.deepEqual(progress.counts, { queued: 0, sent: 0, delivered: 1, read: 1, failed: 1 });
+
+        const lastEvent = whatsapp.events[whatsapp.events.length - 1];
+        assert.equal(lastEvent.event, 'campaign_progress');
+        assert.equal(lastEvent.data.campaignId, campaign.id);
+    } finally {
+        cleanup();
+    }
+});
+
+test('campaign pause stops sending and cancel rejects further transitions', async () => {
+    const { db, cleanup } = createTestDatabase('campaigns');
+    try {
+        const whatsapp = createFakeWhatsApp();
+        const campaigns = createCampaignService(db, whatsapp, {}, null, { accountId: 'a1' });
+        const recipients = campaigns.resolveRecipients({ type: 'chats', chatIds: ['1@c.us', '2@c.us', '3@c.us'] });
+        const campaign = campaigns.createCampaign({
+            name: 'Yavas',
+            message: 'Selam',
+            target: { type: 'chats' },
+            recipients,
+            throttleMs: 60 * 1000
+        });
+
+        campaigns.startCampaign(campaign.id);
+        await waitFor(() => campaigns.getProgress(campaign.id).counts.sent === 1);
+
+        const paused = campaigns.pauseCampaign(campaign.id);
+        assert.equal(paused.status, 'paused');
+        assert.equal(paused.counts.queued, 2);
+        assert.deepEqual(campaigns.pauseCampaign(campaign.id), { error: 'Campaign is paused' });
+
+        const cancelled = campaigns.cancelCampaign(campaign.id);
+        assert.equal(cancelled.status, 'cancelled');
+        assert.deepEqual(campaigns.resumeCampaign(campaign.id), { error: 'Campaign is cancelled' });
+        assert.equal(whatsapp.sent.length, 1);
+    } finally {
+        cleanup();
+    }
+});
+
+test('campaign sends go through the outbox and recipients follow the outbox result', async () => {
+    const { db, cleanup } = createTestDatabase('campaigns');
+    try {
+        const whatsapp = createFakeWhatsApp({ failOnceFor: ['2@c.us'] });
+        const outbox = createOutboxService(db, whatsapp, { OUTBOX_RETRY_BASE_MS: 60000 });
+        const campaigns = createCampaignService(db, whatsapp, {}, null, { accountId: 'a1', outbox });
+        const recipients = campaigns.resolveRecipients({ type: 'chats', chatIds: ['1@c.us', '2@c.us'] });
+        const campaign = campaigns.createCampaign({ name: 'Outbox', message: 'Selam', target: { type: 'chats' }, recipients, throttleMs: 1 });
+
+        campaigns.startCampaign(campaign.id);
+        await waitFor(() => db.outbox.list.all(10, 0).length === 2);
+
+        // Gecici hata alicinin basarisiz sayilmasina yol acmaz; outbox tekrar dener
+        const items = db.outbox.list.all(10, 0);
+        assert.ok(items.every(item => item.source === 'campaign'));
+        const retrying = items.find(item => item.chat_id === '2@c.us');
+        assert.equal(retrying.status, 'pending');
+        await waitFor(() => campaigns.getProgress(campaign.id).counts.sent === 1);
+        assert.equal(campaigns.getProgress(campaign.id).counts.queued, 1);
+        assert.equal(db.campaigns.getById.get(campaign.id).status, 'running');
+
+        db.db.prepare('UPDATE outbox SET next_attempt_at = NULL WHERE id = ?').run(retrying.id);
+        await outbox.flush();
+        await waitFor(() => db.campaigns.getById.get(campaign.id).status === 'completed');
+
+        const progress = campaigns.getProgress(campaign.id);
+        assert.deepEqual(progress.counts, { queued: 0, sent: 2, delivered: 0, read: 0, failed: 0 });
+        assert.deepEqual(whatsapp.sent.map(entry => entry.chatId), ['1@c.us', '2@c.us']);
+
+        campaigns.handleAck(db.outbox.getById.get(retrying.id).message_id, 3);
+        assert.equal(campaigns.getProgress(campaign.id).counts.read, 1);
+    } finally {
+        cleanup();
+    }
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createReadyClient, createTestDatabase } = require('./helpers');
+
+function createActionClient(db, dataDir) {
+    const calls = [];
+    const state = { pinLimitReached: false };
+    const { whatsapp, events } = createReadyClient(db, dataDir, {
+        getChatById: async (chatId) => ({
+            id: { _serialized: chatId },
+            pin: async () => {
+                calls.push(['pin', chatId]);
+                return !state.pinLimitReached;
+            },
+            unpin: async () => {
+                calls.push(['unpin', chatId]);
+                return false;
+            },
+            mute: async (unmuteDate) => {
+                calls.push(['mute', chatId, unmuteDate]);
+                return { isMuted: true, muteExpiration: unmuteDate ? Math.floor(unmuteDate.getTime() / 1000) : -1 };
+            },
+            unmute: async () => {
+                calls.push(['unmute', chatId]);
+                return { isMuted: false, muteExpiration: 0 };
+            },
+            markUnread: async () => calls.push(['markUnread', chatId])
+        }),
+        getContactById: async (contactId) => ({
+            id: { _serialized: contactId },
+            block: async () => calls.push(['block', contactId]),
+            unblock: async () => calls.push(['unblock', contactId])
+        })
+    });
+    return { whatsapp, events, calls, state };
+}
+
+function saveChat(db, chatId, lastMessageAt) {
+    db.chats.upsert.run(chatId, chatId.split('@')[0], chatId.endsWith('@g.us') ? 1 : 0, null, 'merhaba', lastMessageAt, 0);
+}
+
+test('pinned chats are listed first and pin state is broadcast', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('chat-actions');
+    try {
+        const { whatsapp, events, state } = createActionClient(db, dataDir);
+        saveChat(db, '905550000001@c.us', 1000);
+        saveChat(db, '905550000002@c.us', 3000);
+        saveChat(db, '905550000003@c.us', 2000);
+
+        const result = await whatsapp.setChatPinned('905550000001@c.us', true);
+        assert.equal(result.isPinned, true);
+        assert.deepEqual(
+            db.chats.getActive.all().map(chat => chat.chat_id),
+            ['905550000001@c.us', '905550000002@c.us', '905550000003@c.us']
+        );
+        const event = events.find(e => e.event === 'chat_updated');
+        assert.equal(event.data.chatId, '905550000001@c.us');
+        assert.equal(event.data.isPinned, true);
+
+        await whatsapp.setChatPinned('905550000001@c.us', false);
+        assert.equal(db.chats.getById.get('905550000001@c.us').pinned_at, null);
+        assert.equal(db.chats.getActive.all()[0].chat_id, '905550000002@c.us');
+
+        state.pinLimitReached = true;
+        await assert.rejects(() => whatsapp.setChatPinned('905550000003@c.us', true), /Pinned chat limit reached/);
+        assert.equal(db.chats.getById.get('905550000003@c.us').is_pinned, 0);
+    } finally {
+        cleanup();
+    }
+});
+
+test('mute, mark-unread and block persist to the chats table', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('chat-actions');
+    try {
+        const { whatsapp, calls } = createActionClient(db, dataDir);
+        const chatId = '905550000001@c.us';
+        saveChat(db, chatId, 1000);
+        saveChat(db, '120363000000000001@g.us', 1000);
+
+        const before = Date.now();
+        const muted = await whatsapp.muteChat(chatId, 8 * 60 * 60 * 1000);
+        assert.equal(muted.isMuted, true);
+        assert.ok(muted.mutedUntil >= before + 8 * 60 * 60 * 1000);
+        assert.equal(calls[0][2] instanceof Date, true);
+
+        const forever = await whatsapp.muteChat(chatId, null);
+        assert.equal(forever.mutedUntil, -1);
+        assert.equal(calls[1][2], undefined);
+
+        const unmuted = await whatsapp.unmuteChat(chatId);
+        assert.equal(unmuted.isMuted, false);
+        assert.equal(db.chats.getById.get(chatId).muted_until, null);
+
+        await whatsapp.markChatUnread(chatId);
+        assert.equal(db.chats.getById.get(chatId).marked_unread, 1);
+        whatsapp.settings.ghostMode = true;
+        await whatsapp.markAsRead(chatId);
+        assert.equal(db.chats.getById.get(chatId).marked_unread, 0);
+
+        const blocked = await whatsapp.setContactBlocked(chatId, true);
+        assert.equal(blocked.isBlocked, true);
+        await whatsapp.setContactBlocked(chatId, false);
+        assert.equal(db.chats.getById.get(chatId).is_blocked, 0);
+        await assert.rejects(() => whatsapp.setContactBlocked('120363000000000001@g.us', true), /Groups cannot be blocked/);
+        assert.deepEqual(calls.slice(-2).map(call => call[0]), ['block', 'unblock']);
+    } finally {
+        cleanup();
+    }
+});
+
+test('indexChat picks up pin and mute state from WhatsApp', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('chat-actions');
+    try {
+        const { whatsapp } = createActionClient(db, dataDir);
+        whatsapp.enqueueProfilePicRefresh = () => {};
+        const expiration = Math.floor(Date.now() / 1000) + 3600;
+
+        whatsapp.indexChat({
+            id: { _serialized: '905550000001@c.us', user: '905550000001' },
+            name: 'Ayse',
+            pinned: true,
+            isMuted: true,
+            muteExpiration: expiration,
+            lastMessage: { body: 'selam', type: 'chat', timestamp: 1700000000 }
+        });
+        let row = db.chats.getById.get('905550000001@c.us');
+        assert.equal(row.is_pinned, 1);
+        assert.equal(row.pinned_at, 1700000000 * 1000);
+        assert.equal(row.muted_until, expiration * 1000);
+
+        whatsapp.indexChat({
+            id: { _serialized: '905550000001@c.us', user: '905550000001' },
+            name: 'Ayse',
+            pinned: false,
+            isMuted: false,
+            muteExpiration: 0
+        });
+        row = db.chats.getById.get('905550000001@c.us');
+        assert.equal(row.is_pinned, 0);
+        assert.equal(row.muted_until, null);
+    } finally {
+        cleanup();
+    }
+});
@@ -0,0 +1,199 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { Writable } = require('node:stream');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createTestDatabase } = require('./helpers');
+const { exportFileName, writeChatExport } = require('../services/chatExport');
+
+const CHAT_ID = '905551111111@c.us';
+
+function createExportDatabase() {
+    const fixture = createTestDatabase('chat-export');
+    fixture.mediaDir = path.join(fixture.dataDir, 'media');
+    fs.mkdirSync(fixture.mediaDir);
+    return fixture;
+}
+
+function saveMessage(db, messageId, body, timestamp, options = {}) {
+    db.messages.save.run(
+        messageId, CHAT_ID, options.fromMe ? null : '905551111111', null, options.fromMe ? 'Ben' : 'Ali Veli', body, options.type || 'chat',
+        options.mediaPath || null, null, options.mimetype || null, null, null, null,
+        0, options.fromMe ? 1 : 0, 0, timestamp
+    );
+}
+
+function createCollector() {
+    const chunks = [];
+    const stream = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(Buffer.from(chunk));
+            callback();
+        }
+    });
+    return { stream, buffer: () => Buffer.concat(chunks) };
+}
+
+async function exportToBuffer(options) {
+    const collector = createCollector();
+    const result = await writeChatExport(collector.stream, options);
+    return { result, buffer: collector.buffer() };
+}
+
+// Merkez dizinden okuyan kucuk ZIP okuyucu (sadece testler icin)
+function readZip(buffer) {
+    const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(endOffset + 10);
+    let offset = buffer.readUInt32LE(endOffset + 16);
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        assert.equal(buffer.readUInt32LE(offset), 0x02014b50);
+        const method = buffer.readUInt16LE(offset + 10);
+        const crc = buffer.readUInt32LE(offset + 16);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+        const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+        const data = method === 8 ? zlib.inflateRawSync(raw) : raw;
+        if (typeof zlib.crc32 === 'function') {
+            assert.equal(zlib.crc32(data), crc);
+        }
+        entries.set(name, data);
+        offset += 46 + nameLength;
+    }
+    return entries;
+}
+
+function seedChat(db, mediaDir) {
+    const base = new Date(2024, 0, 15, 9, 5).getTime();
+    db.chats.upsert.run(CHAT_ID, 'Ali Veli', 0, null, null, base, 0);
+    const photo = path.join(mediaDir, 'photo.jpg');
+    fs.writeFileSync(photo, Buffer.from('fake-jpeg-bytes'));
+    saveMessage(db, 'e1', 'Merhaba\nikinci satir', base);
+    saveMessage(db, 'e2', 'Fotograf <b>', base + 60000, { type: 'image', mediaPath: photo, mimetype: 'image/jpeg' });
+    saveMessage(db, 'e3', 'Tamam', base + 24 * 60 * 60 * 1000, { fromMe: true });
+    saveMessage(db, 'e4', 'Disaridaki dosya', base + 2 * 24 * 60 * 60 * 1000, { type: 'document', mediaPath: '/etc/passwd', mimetype: 'text/plain' });
+    db.messages.markDeletedForEveryone.run(base, 'e3');
+    return base;
+}
+
+test('chat export writes WhatsApp txt, JSON and HTML transcripts with date ranges', async () => {
+    const { db, mediaDir, cleanup } = createExportDatabase();
+    try {
+        const base = seedChat(db, mediaDir);
+        const chat = db.chats.getById.get(CHAT_ID);
+
+        const txt = await exportToBuffer({ db, chat, format: 'txt', mediaDir });
+        assert.equal(txt.result.messages, 4);
+        const lines = txt.buffer.toString('utf8').split('\n');
+        assert.equal(lines[0], '15.01.2024 09:05 - Ali Veli: Merhaba');
+        assert.equal(lines[1], 'ikinci satir');
+        assert.equal(lines[2], '15.01.2024 09:06 - Ali Veli: <Medya dahil edilmedi>');
+        assert.equal(lines[3], 'Fotograf <b>');
+        assert.equal(lines[4], '16.01.2024 09:05 - Ben: Tamam <Bu mesaj silindi>');
+
+        const ranged = await exportToBuffer({ db, chat, format: 'json', start: base + 1, end: base + 24 * 60 * 60 * 1000, mediaDir, now: base });
+        const parsed = JSON.parse(ranged.buffer.toString('utf8'));
+        assert.equal(parsed.format, 'wp-panel-chat-export');
+        assert.deepEqual(parsed.chat, { chat_id: CHAT_ID, name: 'Ali Veli', is_group: false });
+        assert.deepEqual(parsed.messages.map(message => message.id), ['e2', 'e3']);
+        assert.equal(parsed.count, 2);
+        assert.deepEqual(parsed.messages[0].media, { fileName: 'photo.jpg', mimetype: 'image/jpeg', file: null });
+        assert.equal(parsed.messages[1].deleted, true);
+
+        const html = (await exportToBuffer({ db, chat, format: 'html', mediaDir })).buffer.toString('utf8');
+        assert.match(html, /^<!DOCTYPE html>/);
+        assert.match(html, /Fotograf &lt;b&gt;/);
+        assert.doesNotMatch(html, /Fotograf <b>/);
+        assert.equal((html.match(/class="day"/g) || []).length, 3);
+        assert.match(html, /@media print/);
+
+        const empty = await exportToBuffer({ db, chat, format: 'json', start: 0, end: 1, mediaDir });
+        assert.deepEqual(JSON.parse(empty.buffer.toString('utf8')).messages, []);
+
+        assert.equal(exportFileName({ chat_id: CHAT_ID, name: 'Ali/Veli: VIP' }, 'html', false, base), 'whatsapp-chat-Ali_Veli_ VIP-2024-01-15.html');
+        assert.match(exportFileName({ chat_id: CHAT_ID, name: null }, 'txt', true, base), /^whatsapp-chat-905551111111-\d{4}-\d{2}-\d{2}\.zip$/);
+    } finally {
+        cleanup();
+    }
+});
+
+test('chat export ZIP bundles the transcript and only media inside the media directory', async () => {
+    const { db, mediaDir, cleanup } = createExportDatabase();
+    try {
+        seedChat(db, mediaDir);
+        const chat = db.chats.getById.get(CHAT_ID);
+
+        const { result, buffer } = await exportToBuffer({ db, chat, format: 'html', zip: true, mediaDir });
+        assert.deepEqual(result, { messages: 4, mediaFiles: 1 });
+        const entries = readZip(buffer);
+        assert.deepEqual(Array.from(entries.keys()), ['chat.html', 'media/photo.jpg']);
+        assert.equal(entries.get('media/photo.jpg').toString(), 'fake-jpeg-bytes');
+        const html = entries.get('chat.html').toString('utf8');
+        assert.match(html, /<img src="media\/photo\.jpg"/);
+        assert.match(html, /Medya dahil edilmedi: passwd/);
+
+        const txtZip = readZip((await exportToBuffer({ db, chat, format: 'txt', zip: true, mediaDir })).buffer);
+        assert.match(txtZip.get('chat.txt').toString('utf8'), /photo\.jpg \(dosya ekli\)/);
+
+        // Ayni dosyayi gosteren ikinci mesaj ayni girdiyi kullanir; ayni adli baska dosya numaralanir
+        const otherDir = path.join(mediaDir, 'other');
+        fs.mkdirSync(otherDir);
+        fs.writeFileSync(path.join(otherDir, 'photo.jpg'), Buffer.from('other-jpeg-bytes'));
+        const base = new Date(2024, 0, 15, 9, 5).getTime();
+        saveMessage(db, 'e5', 'Tekrar', base + 120000, { type: 'image', mediaPath: path.join(mediaDir, 'photo.jpg'), mimetype: 'image/jpeg' });
+        saveMessage(db, 'e6', 'Baska', base + 180000, { type: 'image', mediaPath: path.join(otherDir, 'photo.jpg'), mimetype: 'image/jpeg' });
+        const deduped = await exportToBuffer({ db, chat, format: 'json', zip: true, mediaDir });
+        assert.equal(deduped.result.mediaFiles, 2);
+        const dedupedEntries = readZip(deduped.buffer);
+        assert.deepEqual(Array.from(dedupedEntries.keys()), ['chat.json', 'media/photo.jpg', 'media/photo-1.jpg']);
+        assert.equal(dedupedEntries.get('media/photo-1.jpg').toString(), 'other-jpeg-bytes');
+        const records = JSON.parse(dedupedEntries.get('chat.json').toString('utf8')).messages;
+        assert.deepEqual(records.filter(record => record.media?.file).map(record => [record.id, record.media.file]), [
+            ['e2', 'media/photo.jpg'],
+            ['e5', 'media/photo.jpg'],
+            ['e6', 'media/photo-1.jpg']
+        ]);
+    } finally {
+        cleanup();
+    }
+});
+
+test('chat export ZIP streams many media files without piling listeners on the output', async () => {
+    const { db, mediaDir, cleanup } = createExportDatabase();
+    const warnings = [];
+    const onWarning = (warning) => warnings.push(warning.name);
+    process.on('warning', onWarning);
+    try {
+        const base = new Date(2024, 0, 15, 9, 5).getTime();
+        db.chats.upsert.run(CHAT_ID, 'Ali Veli', 0, null, null, base, 0);
+        for (let i = 0; i < 15; i++) {
+            const file = path.join(mediaDir, `photo-${i}.jpg`);
+            fs.writeFileSync(file, Buffer.from(`jpeg-${i}`));
+            saveMessage(db, `m${i}`, '', base + i * 60000, { type: 'image', mediaPath: file, mimetype: 'image/jpeg' });
+        }
+        const chat = db.chats.getById.get(CHAT_ID);
+
+        const collector = createCollector();
+        const listeners = () => ['error', 'close', 'finish', 'drain'].map(event => collector.stream.listenerCount(event));
+        const before = listeners();
+        const result = await writeChatExport(collector.stream, { db, chat, format: 'json', zip: true, mediaDir });
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepEqual(result, { messages: 15, mediaFiles: 15 });
+        assert.deepEqual(listeners(), before);
+        assert.deepEqual(warnings.filter(name => name === 'MaxListenersExceededWarning'), []);
+        const entries = readZip(collector.buffer());
+        assert.equal(entries.size, 16);
+        assert.equal(entries.get('media/photo-14.jpg').toString(), 'jpeg-14');
+    } finally {
+        process.off('warning', onWarning);
+        cleanup();
+    }
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createTestDatabase } = require('./helpers');
+const { createWhatsAppClient } = require('../whatsapp');
+const { createConnectionSupervisor } = require('../services/connectionSupervisor');
+
+function createSupervisedClient(db, dataDir) {
+    const whatsapp = createWhatsAppClient({ DATA_DIR: dataDir, WHATSAPP_INIT_TIMEOUT_MS: 10000 }, db, null);
+    const events = [];
+    whatsapp.emit = (event, data) => events.push({ event, data });
+    const supervisor = createConnectionSupervisor(db, whatsapp, {
+        RECONNECT_BASE_MS: 1000,
+        RECONNECT_MAX_MS: 8000,
+        WHATSAPP_INIT_TIMEOUT_MS: 10000
+    }, null, { random: () => 1 });
+    return { whatsapp, supervisor, events };
+}
+
+function setStatus(whatsapp, status, reason = null) {
+    whatsapp.status = status;
+    whatsapp.statusReason = reason;
+    whatsapp.emitStatus();
+}
+
+function historyEvents(db) {
+    return db.connectionEvents.list.all(50, 0).reverse().map(row => row.event);
+}
+
+test('disconnects schedule reconnects with capped exponential backoff', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('supervisor');
+    const { whatsapp, supervisor, events } = createSupervisedClient(db, dataDir);
+    try {
+        assert.deepEqual([1, 2, 3, 4, 5, 6].map(n => supervisor.getDelayMs(n)), [1000, 2000, 4000, 8000, 8000, 8000]);
+
+        // Calismiyorken yalnizca gecmis tutulur
+        setStatus(whatsapp, 'ready');
+        setStatus(whatsapp, 'disconnected', 'NAVIGATION');
+        assert.equal(supervisor.getState().nextAttemptAt, null);
+
+        supervisor.start();
+        setStatus(whatsapp, 'ready');
+        setStatus(whatsapp, 'disconnected', 'CONFLICT');
+        const state = supervisor.getState();
+        assert.equal(state.attempt, 1);
+        assert.ok(state.nextAttemptAt > Date.now());
+        const scheduled = events.find(e => e.event === 'reconnect_scheduled');
+        assert.deepEqual({ attempt: scheduled.data.attempt, delayMs: scheduled.data.delayMs }, { attempt: 1, delayMs: 1000 });
+
+        // Ayni kopus icin ikinci deneme planlanmaz
+        setStatus(whatsapp, 'error', 'boom');
+        assert.equal(supervisor.getState().attempt, 1);
+
+        let initCalls = 0;
+        whatsapp.initialize = async () => {
+            initCalls += 1;
+            setStatus(whatsapp, 'initializing');
+            setStatus(whatsapp, 'ready');
+        };
+        supervisor.clearReconnect();
+        await supervisor.reconnect();
+        assert.equal(initCalls, 1);
+        assert.equal(supervisor.getState().attempt, 0);
+
+        const latest = db.connectionEvents.list.all(50, 0).find(row => row.event === 'reconnect_scheduled');
+        assert.equal(latest.reason, 'CONFLICT');
+        assert.equal(latest.delay_ms, 1000);
+        assert.deepEqual(historyEvents(db), [
+            'connected',
+            'disconnected',
+            'connected',
+            'disconnected',
+            'reconnect_scheduled',
+            'init_failed',
+            'reconnect_attempt',
+            'connected'
+        ]);
+    } finally {
+        supervisor.stop();
+        cleanup();
+    }
+});
+
+test('intentional disconnects and auth failures do not trigger reconnects', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('supervisor');
+    const { whatsapp, supervisor } = createSupervisedClient(db, dataDir);
+    try {
+        supervisor.start();
+        setStatus(whatsapp, 'ready');
+        await whatsapp.logout();
+        assert.equal(supervisor.getState().nextAttemptAt, null);
+
+        setStatus(whatsapp, 'qr');
+        setStatus(whatsapp, 'auth_failure', 'bad session');
+        assert.equal(supervisor.getState().nextAttemptAt, null);
+
+        await whatsapp.destroy({ reason: 'shutdown' });
+        assert.equal(supervisor.getState().nextAttemptAt, null);
+
+        const rows = db.connectionEvents.list.all(50, 0);
+        assert.equal(rows.find(row => row.event === 'auth_failure').reason, 'bad session');
+        assert.deepEqual(db.connectionEvents.listByEvent.all('disconnected', 50, 0).map(row => row.reason), ['shutdown', 'logout']);
+    } finally {
+        supervisor.stop();
+        cleanup();
+    }
+});
+
+test('stuck initialization restarts the browser once', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('supervisor');
+    const { whatsapp, supervisor } = createSupervisedClient(db, dataDir);
+    try {
+        const restarts = [];
+        let finishRestart;
+        whatsapp.restartBrowser = (reason) => {
+            restarts.push(reason);
+            return new Promise(resolve => {
+                finishRestart = resolve;
+            });
+        };
+
+        setStatus(whatsapp, 'initializing');
+        assert.equal(supervisor.checkStuck(Date.now() + 5000), false);
+        assert.equal(supervisor.checkStuck(Date.now() + 11000), true);
+        assert.equal(supervisor.getState().restarting, true);
+        assert.equal(supervisor.checkStuck(Date.now() + 12000), false);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(restarts, ['browser_restart']);
+
+        finishRestart();
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(supervisor.getState().restarting, false);
+        assert.match(db.connectionEvents.listByEvent.all('browser_restart', 1, 0)[0].reason, /Stuck in initializing/);
+
+        setStatus(whatsapp, 'ready');
+        assert.equal(supervisor.checkStuck(Date.now() + 60000), false);
+    } finally {
+        supervisor.stop();
+        cleanup();
+    }
+});
+
+test('restartBrowser kills a browser that fails to close and reinitializes', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('supervisor');
+    const { whatsapp, supervisor } = createSupervisedClient(db, dataDir);
+    try {
+        const calls = [];
+        setStatus(whatsapp, 'authenticated');
+        whatsapp.initPromise = new Promise(() => {});
+        whatsapp.client = {
+            removeAllListeners: () => calls.push('removeAllListeners'),
+            destroy: async () => {
+                throw new Error('Target closed');
+            },
+            pupBrowser: { process: () => ({ kill: (signal) => calls.push(signal) }) }
+        };
+        whatsapp.initialize = async () => {
+            calls.push('initialize:' + whatsapp.status);
+        };
+
+        await whatsapp.restartBrowser();
+        assert.deepEqual(calls, ['removeAllListeners', 'SIGKILL', 'initialize:disconnected']);
+        assert.equal(whatsapp.client, null);
+        assert.equal(whatsapp.initPromise, null);
+        assert.equal(whatsapp.getStatus().statusReason, 'browser_restart');
+        assert.deepEqual(historyEvents(db), ['disconnected']);
+    } finally {
+        supervisor.stop();
+        cleanup();
+    }
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createReadyClient, createTestDatabase } = require('./helpers');
+
+const SOURCE_ID = 'false_905551112233@c.us_IMG1';
+
+function forwardedImage(chatId, id, mediaKey) {
+    return {
+        id: { _serialized: id, remote: chatId },
+        type: 'image',
+        hasMedia: true,
+        mediaKey,
+        fromMe: true,
+        isForwarded: true,
+        from: '905550000000@c.us',
+        to: chatId,
+        body: '',
+        ack: 1,
+        timestamp: Math.floor(Date.now() / 1000),
+        getChat: async () => ({ id: { _serialized: chatId }, isGroup: chatId.endsWith('@g.us') })
+    };
+}
+
+/**
+ * Iletme sirasinda olusan kopyayi message_create ile yayinlayan sahte istemci.
+ * emitCreate false ise kopya sadece fetchMessages ile bulunur; beforeForward
+ * iletmeyle ayni anda olusan baska mesajlari taklit eder.
+ */
+function createForwardingClient(db, dataDir, { emitCreate = true, beforeForward = () => [] } = {}) {
+    const forwarded = [];
+    const copies = {};
+    const emitter = new EventEmitter();
+
+    const source = {
+        id: { _serialized: SOURCE_ID },
+        type: 'image',
+        hasMedia: true,
+        mediaKey: 'KEY1',
+        forward: async (chatId) => {
+            if (chatId === '120363000000000009@g.us') throw new Error('Chat not found');
+            forwarded.push(chatId);
+            const created = [...beforeForward(chatId), forwardedImage(chatId, `true_${chatId}_FWD${forwarded.length}`, 'KEY1')];
+            copies[chatId] = [...(copies[chatId] || []), ...created];
+            if (emitCreate) created.forEach(copy => emitter.emit('message_create', copy));
+        }
+    };
+
+    const { whatsapp, events } = createReadyClient(db, dataDir, {
+        on: (event, listener) => emitter.on(event, listener),
+        removeListener: (event, listener) => emitter.removeListener(event, listener),
+        getMessageById: async (id) => (id === SOURCE_ID ? source : null),
+        getChatById: async (chatId) => ({
+            id: { _serialized: chatId },
+            fetchMessages: async () => copies[chatId] || []
+        })
+    });
+    whatsapp.info = { pushname: 'Panel', wid: { user: '905550000000', _serialized: '905550000000@c.us' } };
+    return { whatsapp, events, forwarded, emitter };
+}
+
+function saveSource(db) {
+    db.messages.save.run(SOURCE_ID, '905551112233@c.us', '905551112233', null, 'Ali', '', 'image', '/data/media/img1.jpg', 'api/media/img1.jpg', 'image/jpeg', null, null, null, 0, 0, 0, Date.now());
+}
+
+test('forwardMessage forwards to each target and links the copies to the source', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('forward');
+    try {
+        const { whatsapp, events, forwarded, emitter } = createForwardingClient(db, dataDir);
+        saveSource(db);
+
+        const result = await whatsapp.forwardMessage(SOURCE_ID, [
+            '120363000000000001@g.us',
+            '905554443322@c.us',
+            '120363000000000001@g.us',
+            '120363000000000009@g.us'
+        ]);
+
+        assert.deepEqual(forwarded, ['120363000000000001@g.us', '905554443322@c.us']);
+        assert.equal(result.forwarded, 2);
+        assert.deepEqual(result.results.map(item => [item.chatId, item.success]), [
+            ['120363000000000001@g.us', true],
+            ['905554443322@c.us', true],
+            ['120363000000000009@g.us', false]
+        ]);
+        assert.equal(result.results[2].error, 'Chat not found');
+
+        const stored = db.messages.getForwardedCopies.all(SOURCE_ID);
+        assert.deepEqual(stored.map(row => row.chat_id), ['120363000000000001@g.us', '905554443322@c.us']);
+        assert.ok(stored.every(row => row.is_forwarded === 1 && row.is_from_me === 1));
+        assert.equal(stored[0].media_url, 'api/media/img1.jpg');
+        assert.equal(stored[0].message_id, result.results[0].messageId);
+
+        const event = events.find(e => e.event === 'message_forwarded');
+        assert.equal(event.data.messageId, SOURCE_ID);
+        assert.equal(emitter.listenerCount('message_create'), 0);
+    } finally {
+        cleanup();
+    }
+});
+
+test('forwardMessage rejects unknown messages and disconnected clients', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('forward');
+    try {
+        const { whatsapp } = createForwardingClient(db, dataDir);
+        await assert.rejects(() => whatsapp.forwardMessage('missing', ['905554443322@c.us']), /Message not found/);
+        await assert.rejects(() => whatsapp.forwardMessage(SOURCE_ID, []), /Invalid target chat/);
+
+        whatsapp.status = 'disconnected';
+        await assert.rejects(() => whatsapp.forwardMessage(SOURCE_ID, ['905554443322@c.us']), /WhatsApp not connected/);
+    } finally {
+        cleanup();
+    }
+});
+
+test('forwardMessage links only the copy produced by the forward and skips ambiguous matches', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('forward');
+    try {
+        // Ayni sohbete baska bir resim ve telefondan ayni resim ayni anda iletiliyor
+        const { whatsapp } = createForwardingClient(db, dataDir, {
+            beforeForward: (chatId) => chatId === '905554443322@c.us'
+                ? [forwardedImage(chatId, 'true_905554443322@c.us_PHONE', 'KEY1')]
+                : [forwardedImage(chatId, `true_${chatId}_OTHER`, 'KEY2')]
+        });
+        saveSource(db);
+
+        const result = await whatsapp.forwardMessage(SOURCE_ID, ['120363000000000001@g.us', '905554443322@c.us']);
+
+        assert.equal(result.forwarded, 2);
+        assert.equal(result.results[0].messageId, 'true_120363000000000001@g.us_FWD1');
+        assert.equal(result.results[1].messageId, null);
+        assert.deepEqual(db.messages.getForwardedCopies.all(SOURCE_ID).map(row => row.message_id), ['true_120363000000000001@g.us_FWD1']);
+    } finally {
+        cleanup();
+    }
+});
+
+test('forwardMessage falls back to recent messages and does not relink an already linked copy', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('forward');
+    try {
+        const { whatsapp } = createForwardingClient(db, dataDir, { emitCreate: false });
+        saveSource(db);
+
+        const first = await whatsapp.forwardMessage(SOURCE_ID, ['905554443322@c.us']);
+        assert.equal(first.results[0].messageId, 'true_905554443322@c.us_FWD1');
+
+        // Ikinci iletmede son mesajlarda iki kopya var; bagli olan atlanir
+        const second = await whatsapp.forwardMessage(SOURCE_ID, ['905554443322@c.us']);
+        assert.equal(second.results[0].messageId, 'true_905554443322@c.us_FWD2');
+        assert.equal(db.messages.getForwardedCopies.all(SOURCE_ID).length, 2);
+    } finally {
+        cleanup();
+    }
+});
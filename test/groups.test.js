@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createReadyClient, createTestDatabase } = require('./helpers');
+
+function createFakeGroup(chatId) {
+    const calls = [];
+    return {
+        calls,
+        id: { _serialized: chatId },
+        isGroup: true,
+        setSubject: async (subject) => { calls.push(['setSubject', subject]); return true; },
+        setDescription: async (description) => { calls.push(['setDescription', description]); return true; },
+        addParticipants: async (ids) => {
+            calls.push(['addParticipants', ids]);
+            return Object.fromEntries(ids.map(id => [id, { code: 200, message: 'ok', isInviteV4Sent: false }]));
+        },
+        promoteParticipants: async (ids) => { calls.push(['promoteParticipants', ids]); return { status: 200 }; },
+        getInviteCode: async () => 'abc123',
+        revokeInvite: async () => 'def456',
+        leave: async () => { calls.push(['leave']); }
+    };
+}
+
+function createGroupClient(db, dataDir, chats = {}) {
+    return createReadyClient(db, dataDir, {
+        getChatById: async (id) => chats[id] || null,
+        createGroup: async (title, participants) => ({
+            title,
+            gid: { _serialized: '120363000000000001@g.us' },
+            participants: Object.fromEntries(participants.map(id => [id, { statusCode: 200 }]))
+        })
+    });
+}
+
+test('group actions update the chats table and emit group_updated', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('groups');
+    try {
+        const { whatsapp, events } = createGroupClient(db, dataDir);
+
+        const created = await whatsapp.createGroup('  Musteriler ', ['905551112233@c.us']);
+        assert.equal(created.chatId, '120363000000000001@g.us');
+        assert.equal(created.name, 'Musteriler');
+        const row = db.chats.getById.get(created.chatId);
+        assert.equal(row.is_group, 1);
+        assert.equal(row.name, 'Musteriler');
+
+        const group = createFakeGroup(created.chatId);
+        whatsapp.client.getChatById = async (id) => (id === created.chatId ? group : null);
+
+        await whatsapp.renameGroup(created.chatId, 'VIP Musteriler');
+        await whatsapp.setGroupDescription(created.chatId, 'Sadece duyurular');
+        const updated = db.chats.getById.get(created.chatId);
+        assert.equal(updated.name, 'VIP Musteriler');
+        assert.equal(updated.description, 'Sadece duyurular');
+
+        const added = await whatsapp.updateGroupParticipants(created.chatId, 'add', ['905559998877@c.us']);
+        assert.equal(added.result['905559998877@c.us'].code, 200);
+        await whatsapp.updateGroupParticipants(created.chatId, 'promote', ['905559998877@c.us']);
+
+        const invite = await whatsapp.getGroupInviteLink(created.chatId);
+        assert.equal(invite.link, 'https://chat.whatsapp.com/abc123');
+        const revoked = await whatsapp.revokeGroupInvite(created.chatId);
+        assert.equal(revoked.code, 'def456');
+
+        await whatsapp.leaveGroup(created.chatId);
+        assert.ok(db.chats.getById.get(created.chatId).left_at > 0);
+
+        assert.deepEqual(group.calls.map(call => call[0]), [
+            'setSubject', 'setDescription', 'addParticipants', 'promoteParticipants', 'leave'
+        ]);
+        assert.deepEqual(events.filter(e => e.event === 'group_updated').map(e => e.data.action), [
+            'created', 'renamed', 'description', 'participants_add', 'participants_promote', 'invite_revoked', 'left'
+        ]);
+    } finally {
+        cleanup();
+    }
+});
+
+test('group actions reject non-group chats and disconnected clients', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('groups');
+    try {
+        const { whatsapp } = createGroupClient(db, dataDir, {
+            '905551112233@c.us': { id: { _serialized: '905551112233@c.us' }, isGroup: false }
+        });
+
+        await assert.rejects(() => whatsapp.renameGroup('905551112233@c.us', 'X'), /Group not found/);
+        await assert.rejects(() => whatsapp.updateGroupParticipants('1@g.us', 'kick', ['1@c.us']), /Invalid participant action/);
+
+        whatsapp.status = 'disconnected';
+        await assert.rejects(() => whatsapp.leaveGroup('1@g.us'), /WhatsApp not connected/);
+    } finally {
+        cleanup();
+    }
+});
+
+test('participant sync and group notifications maintain membership and history', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('groups');
+    try {
+        const { whatsapp, events } = createGroupClient(db, dataDir);
+        whatsapp.info = { wid: { _serialized: '905550000000@c.us' } };
+        const groupId = '120363000000000002@g.us';
+        db.chats.upsert.run(groupId, 'Destek', 1, null, '', Date.now(), 0);
+
+        const participant = (id, isAdmin = false, isSuperAdmin = false) => ({ id: { _serialized: id }, isAdmin, isSuperAdmin });
+        const initial = whatsapp.syncGroupParticipants({
+            id: { _serialized: groupId },
+            isGroup: true,
+            participants: [participant('905550000000@c.us', true, true), participant('905551111111@c.us')]
+        });
+        assert.equal(initial.total, 2);
+        assert.deepEqual(initial.added, []);
+        assert.equal(db.groupMembershipEvents.countByGroup.get(groupId).total, 0);
+
+        await whatsapp.handleGroupNotification({
+            chatId: groupId,
+            type: 'add',
+            author: '905550000000@c.us',
+            recipientIds: [{ _serialized: '905552222222@c.us' }],
+            timestamp: 1700000000
+        });
+        await whatsapp.handleGroupNotification({
+            chatId: groupId,
+            type: 'promote',
+            author: '905550000000@c.us',
+            recipientIds: ['905552222222@c.us'],
+            timestamp: 1700000100
+        });
+        await whatsapp.handleGroupNotification({
+            chatId: groupId,
+            type: 'leave',
+            author: '905551111111@c.us',
+            recipientIds: ['905551111111@c.us'],
+            timestamp: 1700000200
+        });
+
+        const members = db.groupParticipants.getByGroup.all(groupId);
+        assert.deepEqual(members.map(m => [m.participant_id, m.is_admin]), [
+            ['905550000000@c.us', 1],
+            ['905552222222@c.us', 1]
+        ]);
+        assert.equal(members[1].joined_at, 1700000000 * 1000);
+
+        // A later full sync records the difference as history
+        const resync = whatsapp.syncGroupParticipants({
+            id: { _serialized: groupId },
+            isGroup: true,
+            participants: [participant('905550000000@c.us', true, true), participant('905553333333@c.us')]
+        });
+        assert.deepEqual(resync.added, ['905553333333@c.us']);
+        assert.deepEqual(resync.removed, ['905552222222@c.us']);
+
+        const history = db.groupMembershipEvents.getByGroup.all(groupId, 10, 0);
+        assert.deepEqual(history.map(e => [e.action, e.source]).slice(0, 2).sort(), [['add', 'sync'], ['remove', 'sync']]);
+        assert.deepEqual(history.slice(2).map(e => [e.participant_id, e.action, e.actor_id]), [
+            ['905551111111@c.us', 'leave', '905551111111@c.us'],
+            ['905552222222@c.us', 'promote', '905550000000@c.us'],
+            ['905552222222@c.us', 'add', '905550000000@c.us']
+        ]);
+
+        await whatsapp.handleGroupNotification({
+            chatId: groupId,
+            type: 'remove',
+            author: '905553333333@c.us',
+            recipientIds: ['905550000000@c.us'],
+            timestamp: 1700000300
+        });
+        assert.equal(db.chats.getById.get(groupId).left_at, 1700000300 * 1000);
+        assert.ok(events.filter(e => e.event === 'group_participants_updated').length >= 4);
+    } finally {
+        cleanup();
+    }
+});
+
+test('a join notification for a known participant keeps their admin flags', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('groups');
+    try {
+        const { whatsapp } = createGroupClient(db, dataDir);
+        const groupId = '120363000000000003@g.us';
+        db.chats.upsert.run(groupId, 'Yonetim', 1, null, '', Date.now(), 0);
+        whatsapp.syncGroupParticipants({
+            id: { _serialized: groupId },
+            isGroup: true,
+            participants: [{ id: { _serialized: '905551111111@c.us' }, isAdmin: true, isSuperAdmin: true }]
+        });
+
+        await whatsapp.handleGroupNotification({
+            chatId: groupId,
+            type: 'invite',
+            recipientIds: ['905551111111@c.us'],
+            timestamp: 1700000000
+        });
+
+        const [member] = db.groupParticipants.getByGroup.all(groupId);
+        assert.equal(member.is_admin, 1);
+        assert.equal(member.is_super_admin, 1);
+        assert.equal(member.joined_at, 1700000000 * 1000);
+    } finally {
+        cleanup();
+    }
+});
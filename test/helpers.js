@@ -0,0 +1,58 @@
+/**
+ * Test dosyalari icin ortak yardimcilar.
+ */
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createDatabase } = require('../database');
+
+/**
+ * Gecici dizinde bos bir hesap veritabani acar.
+ * reopen() migration'lari yeniden calistirmak icin veritabanini kapatip acar; cleanup() dizini siler.
+ */
+function createTestDatabase(name = 'test') {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `wp-panel-${name}-`));
+    const config = { DATA_DIR: dataDir, DB_PATH: path.join(dataDir, 'whatsapp.db') };
+    const fixture = {
+        db: createDatabase(config),
+        dataDir,
+        reopen: () => {
+            fixture.db.close();
+            fixture.db = createDatabase(config);
+            return fixture.db;
+        },
+        cleanup: () => {
+            fixture.db.close();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+    return fixture;
+}
+
+/**
+ * Bagli (ready) gibi davranan WhatsApp istemcisi. Yayinlanan olaylar events'e,
+ * client.sendMessage cagrilari sent'e yazilir; client ile sahte metotlar eklenir ya da ezilir.
+ */
+function createReadyClient(db, dataDir, client = {}) {
+    // whatsapp.js sadece istemci gereken testlerde yuklensin
+    const { createWhatsAppClient } = require('../whatsapp');
+    const whatsapp = createWhatsAppClient({ DATA_DIR: dataDir }, db, null);
+    const events = [];
+    const sent = [];
+    whatsapp.status = 'ready';
+    whatsapp.emit = (event, data) => events.push({ event, data });
+    whatsapp.client = {
+        sendMessage: async (chatId, content, options) => {
+            sent.push({ chatId, content, options });
+            return { id: { _serialized: 'true_' + chatId + '_SENT' } };
+        },
+        ...client
+    };
+    return { whatsapp, events, sent };
+}
+
+module.exports = {
+    createTestDatabase,
+    createReadyClient
+};
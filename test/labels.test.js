@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createReadyClient, createTestDatabase } = require('./helpers');
+
+function createLabelClient(db, dataDir, state) {
+    const labelUpdates = [];
+    const { whatsapp, events } = createReadyClient(db, dataDir, {
+        getLabels: async () => state.labels,
+        getChatsByLabelId: async (labelId) => (state.assignments[labelId] || []).map(chatId => ({ id: { _serialized: chatId } })),
+        getChatById: async (chatId) => ({
+            getLabels: async () => state.labels.filter(label => (state.assignments[label.id] || []).includes(chatId))
+        }),
+        addOrRemoveLabels: async (labelIds, chatIds) => {
+            if (state.notBusiness) throw new Error('[LT01] Only Whatsapp business');
+            labelUpdates.push({ labelIds, chatIds });
+        }
+    });
+    return { whatsapp, events, labelUpdates };
+}
+
+test('syncLabels maps business labels to tags and mirrors chat assignments', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('labels');
+    try {
+        const existing = db.tags.create.run('Yeni musteri', '#ffffff').lastInsertRowid;
+        db.tags.create.run('Odeme bekliyor', null);
+        db.contactTags.add.run('905550000001@c.us', existing);
+        db.contactTags.add.run('905550000009@c.us', existing);
+
+        const state = {
+            labels: [
+                { id: '1', name: 'Yeni musteri', hexColor: '#ff9485' },
+                { id: '2', name: 'Siparis', hexColor: '#64c4ff' }
+            ],
+            assignments: {
+                1: ['905550000001@c.us', '905550000002@c.us'],
+                2: ['905550000003@c.us']
+            }
+        };
+        const { whatsapp, events } = createLabelClient(db, dataDir, state);
+
+        const result = await whatsapp.syncLabels();
+        assert.deepEqual(result, { success: true, labels: 2, assigned: 3, removed: 0 });
+
+        // Ayni adli panel etiketi devralinmaz; atamalari oldugu gibi kalir
+        const panelTag = db.tags.getById.get(existing);
+        assert.equal(panelTag.wa_label_id, null);
+        assert.equal(panelTag.color, '#ffffff');
+        assert.deepEqual(
+            db.contactTags.getChatIdsByTagId.all(existing).map(row => row.chat_id).sort(),
+            ['905550000001@c.us', '905550000009@c.us']
+        );
+        const labelTag = db.tags.getByLabelId.get('1');
+        assert.equal(labelTag.name, 'Yeni musteri (1)');
+        assert.equal(labelTag.color, '#ff9485');
+        assert.deepEqual(
+            db.contactTags.getChatIdsByTagId.all(labelTag.id).map(row => row.chat_id).sort(),
+            ['905550000001@c.us', '905550000002@c.us']
+        );
+        assert.equal(db.tags.getByLabelId.get('2').name, 'Siparis');
+        assert.equal(db.tags.getByName.get('Odeme bekliyor').wa_label_id, null);
+        assert.equal(db.contacts.getByChatId.get('905550000003@c.us').phone, '905550000003');
+        assert.equal(events.filter(e => e.event === 'labels_synced').length, 1);
+
+        // Telefonda yeniden adlandirilan etiket izlenir, silinen etiket normal etikete doner
+        state.labels = [{ id: '2', name: 'Siparis alindi', hexColor: '#64c4ff' }];
+        await whatsapp.syncLabels();
+        assert.equal(db.tags.getByLabelId.get('2').name, 'Siparis alindi');
+        assert.equal(db.tags.getById.get(labelTag.id).wa_label_id, null);
+        assert.equal(db.contactTags.getChatIdsByTagId.all(labelTag.id).length, 2);
+        assert.equal(db.contactTags.getChatIdsByTagId.all(existing).length, 2);
+    } finally {
+        cleanup();
+    }
+});
+
+test('syncChatLabels writes label-backed tags back and reports failures', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('labels');
+    try {
+        const state = { labels: [{ id: '5', name: 'VIP', hexColor: '#000000' }], assignments: {} };
+        const { whatsapp, labelUpdates } = createLabelClient(db, dataDir, state);
+        await whatsapp.syncLabels();
+
+        const labelTag = db.tags.getByLabelId.get('5');
+        const panelTag = db.tags.create.run('Sadece panel', null).lastInsertRowid;
+        db.contactTags.add.run('905550000001@c.us', labelTag.id);
+        db.contactTags.add.run('905550000001@c.us', panelTag);
+
+        const ok = await whatsapp.syncChatLabels('905550000001@c.us');
+        assert.equal(ok.success, true);
+        assert.deepEqual(labelUpdates, [{ labelIds: ['5'], chatIds: ['905550000001@c.us'] }]);
+
+        // Telefonda eklenen ve panelin henuz bilmedigi etiket korunur; panelden kaldirilan dusurulur
+        state.labels.push({ id: '6', name: 'Telefonda', hexColor: null });
+        state.assignments = { 5: ['905550000001@c.us'], 6: ['905550000001@c.us'] };
+        db.contactTags.remove.run('905550000001@c.us', labelTag.id);
+        labelUpdates.length = 0;
+        const merged = await whatsapp.syncChatLabels('905550000001@c.us');
+        assert.equal(merged.success, true);
+        assert.deepEqual(labelUpdates, [{ labelIds: ['6'], chatIds: ['905550000001@c.us'] }]);
+        db.contactTags.add.run('905550000001@c.us', labelTag.id);
+
+        state.notBusiness = true;
+        const failed = await whatsapp.syncChatLabels('905550000001@c.us');
+        assert.equal(failed.success, false);
+        assert.match(failed.reason, /Only Whatsapp business/);
+
+        whatsapp.status = 'disconnected';
+        assert.deepEqual(await whatsapp.syncChatLabels('905550000001@c.us'), { success: false, reason: 'WhatsApp not connected' });
+        await assert.rejects(() => whatsapp.syncLabels(), /WhatsApp not connected/);
+    } finally {
+        cleanup();
+    }
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { Location } = require('whatsapp-web.js');
+const { createReadyClient, createTestDatabase } = require('./helpers');
+const { buildVCard, getVCardChatId, parseVCard } = require('../lib/vcard');
+
+const SAMPLE_VCARD = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'N:Yilmaz;Ayse;;;',
+    'FN:Ayse Yilmaz',
+    'ORG:Ornek A.S.',
+    'item1.TEL;waid=905551112233:+90 555 111 22 33',
+    'item1.X-ABLabel:Cep',
+    'EMAIL;type=INTERNET:ayse@example.com',
+    'END:VCARD'
+].join('\r\n');
+
+test('parseVCard extracts name, organisation, phones and emails', () => {
+    const card = parseVCard(SAMPLE_VCARD);
+    assert.equal(card.name, 'Ayse Yilmaz');
+    assert.equal(card.org, 'Ornek A.S.');
+    assert.deepEqual(card.phones, [{ number: '+90 555 111 22 33', waid: '905551112233' }]);
+    assert.deepEqual(card.emails, ['ayse@example.com']);
+    assert.equal(getVCardChatId(card), '905551112233@c.us');
+
+    const withoutFn = parseVCard('BEGIN:VCARD\nN:Demir;Ali;;;\nTEL:0212 444 00 00\nEND:VCARD');
+    assert.equal(withoutFn.name, 'Ali Demir');
+    assert.equal(getVCardChatId(withoutFn), '02124440000@c.us');
+
+    assert.equal(parseVCard('merhaba'), null);
+
+    const built = parseVCard(buildVCard({ name: 'Veli; Kaya', phone: '905559998877' }));
+    assert.equal(built.name, 'Veli; Kaya');
+    assert.equal(built.phones[0].waid, '905559998877');
+});
+
+test('location and vcard messages are stored in structured columns', () => {
+    const { db, dataDir, cleanup } = createTestDatabase('location');
+    try {
+        const { whatsapp } = createReadyClient(db, dataDir);
+        const locationMsg = {
+            id: { _serialized: 'false_905551112233@c.us_LOC' },
+            type: 'location',
+            body: '/9j/4AAQSkZJRgABAQ',
+            location: new Location(41.0082, 28.9784, { name: 'Ofis', address: 'Istanbul' })
+        };
+        const vcardMsg = {
+            id: { _serialized: 'false_905551112233@c.us_VCARD' },
+            type: 'multi_vcard',
+            body: '',
+            vCards: [SAMPLE_VCARD, 'BEGIN:VCARD\nFN:Ali\nTEL;waid=905554443322:+90 555 444 33 22\nEND:VCARD']
+        };
+
+        assert.equal(whatsapp.getMessageBody(locationMsg), 'Ofis\nIstanbul');
+        assert.equal(whatsapp.getMessageBody(vcardMsg), 'Ayse Yilmaz, Ali');
+
+        for (const msg of [locationMsg, vcardMsg]) {
+            db.messages.save.run(msg.id._serialized, '905551112233@c.us', '905551112233', null, 'Ayse', whatsapp.getMessageBody(msg), msg.type, null, null, null, null, null, null, 0, 0, 0, Date.now());
+        }
+
+        const locationFields = whatsapp.saveStructuredContent(locationMsg);
+        assert.deepEqual(locationFields.location, { latitude: 41.0082, longitude: 28.9784, description: 'Ofis\nIstanbul' });
+        const storedLocation = db.messages.getByMessageId.get(locationMsg.id._serialized);
+        assert.equal(storedLocation.location_latitude, 41.0082);
+        assert.equal(storedLocation.location_longitude, 28.9784);
+        assert.equal(storedLocation.body, 'Ofis\nIstanbul');
+
+        const vcardFields = whatsapp.saveStructuredContent(vcardMsg);
+        assert.equal(vcardFields.vcards.length, 2);
+        const storedCards = JSON.parse(db.messages.getByMessageId.get(vcardMsg.id._serialized).vcards);
+        assert.deepEqual(storedCards.map(card => card.name), ['Ayse Yilmaz', 'Ali']);
+
+        assert.deepEqual(whatsapp.saveStructuredContent({ id: { _serialized: 'x' }, type: 'chat' }), {});
+    } finally {
+        cleanup();
+    }
+});
+
+test('sendMessage sends Location objects and contact cards', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('location');
+    try {
+        const { whatsapp, sent } = createReadyClient(db, dataDir);
+        await whatsapp.sendMessage('905551112233@c.us', 'Ofis', {
+            location: { latitude: 41.0082, longitude: 28.9784, name: 'Ofis' }
+        });
+        await whatsapp.sendMessage('905551112233@c.us', 'Ali', {
+            contact: { name: 'Ali', phone: '905554443322' }
+        });
+
+        assert.ok(sent[0].content instanceof Location);
+        assert.equal(sent[0].content.latitude, 41.0082);
+        assert.equal(sent[0].content.description, 'Ofis');
+        assert.match(sent[1].content, /^BEGIN:VCARD/);
+        assert.match(sent[1].content, /waid=905554443322/);
+    } finally {
+        cleanup();
+    }
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createTestDatabase } = require('./helpers');
+const { createWhatsAppClient } = require('../whatsapp');
+
+test('message edits keep every previous body and flag the message', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('edits');
+    try {
+        const whatsapp = createWhatsAppClient({ DATA_DIR: dataDir }, db, null);
+        const events = [];
+        whatsapp.emit = (event, data) => events.push({ event, data });
+
+        const messageId = 'false_905551111111@c.us_EDIT1';
+        db.messages.save.run(messageId, '905551111111@c.us', '905551111111', null, 'Ali', 'Fiyat 100 TL', 'chat', null, null, null, null, null, null, 0, 0, 0, 1700000000000);
+        const msg = (editedAt) => ({
+            id: { _serialized: messageId },
+            from: '905551111111@c.us',
+            fromMe: false,
+            latestEditSenderTimestampMs: editedAt
+        });
+
+        const first = await whatsapp.handleMessageEdit(msg(1700000100000), 'Fiyat 120 TL', 'Fiyat 100 TL');
+        assert.equal(first.previousBody, 'Fiyat 100 TL');
+        assert.equal(first.chatId, '905551111111@c.us');
+        await whatsapp.handleMessageEdit(msg(1700000200000), 'Fiyat 150 TL', 'Fiyat 120 TL');
+
+        // The same edit delivered twice is ignored
+        assert.equal(await whatsapp.handleMessageEdit(msg(1700000200000), 'Fiyat 150 TL', 'Fiyat 120 TL'), null);
+
+        const stored = db.messages.getByMessageId.get(messageId);
+        assert.equal(stored.body, 'Fiyat 150 TL');
+        assert.equal(stored.is_edited, 1);
+        assert.equal(stored.edited_at, 1700000200000);
+
+        const edits = db.messageEdits.getByMessageId.all(messageId);
+        assert.deepEqual(edits.map(edit => [edit.previous_body, edit.new_body]), [
+            ['Fiyat 100 TL', 'Fiyat 120 TL'],
+            ['Fiyat 120 TL', 'Fiyat 150 TL']
+        ]);
+        assert.equal(events.filter(e => e.event === 'message_edited').length, 2);
+
+        // Messages we never stored still get a history row from prevBody
+        const unknown = await whatsapp.handleMessageEdit({ id: { _serialized: 'true_1@c.us_X' }, fromMe: true, to: '1@c.us' }, 'yeni', 'eski');
+        assert.equal(unknown.previousBody, 'eski');
+        assert.equal(db.messageEdits.getByMessageId.all('true_1@c.us_X').length, 1);
+    } finally {
+        cleanup();
+    }
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createTestDatabase } = require('./helpers');
+const {
+    decodeMessageCursor,
+    encodeMessageCursor,
+    getMessageWindow,
+    listMessagePage
+} = require('../lib/messagePages');
+
+const CHAT_ID = '905551111111@c.us';
+
+function saveMessage(db, messageId, chatId, timestamp) {
+    db.messages.save.run(
+        messageId, chatId, chatId.split('@')[0], null, 'Musteri', messageId, 'chat',
+        null, null, null, null, null, null, 0, 0, 0, timestamp
+    );
+}
+
+function ids(page) {
+    return page.messages.map(message => message.message_id);
+}
+
+test('message cursors round-trip and reject garbage', () => {
+    const cursor = encodeMessageCursor({ timestamp: 1700000000000, id: 42 });
+    assert.deepEqual(decodeMessageCursor(cursor), { timestamp: 1700000000000, id: 42 });
+    assert.throws(() => decodeMessageCursor('bm90LWEtY3Vyc29y'), { code: 'INVALID_CURSOR' });
+    assert.throws(() => decodeMessageCursor(''), { code: 'INVALID_CURSOR' });
+});
+
+test('cursor pages walk both directions without skipping or repeating rows', () => {
+    const { db, cleanup } = createTestDatabase('message-pages');
+    try {
+        // Ayni timestamp'li mesajlar id ile siralanir
+        ['m1', 'm2', 'm3', 'm4', 'm5'].forEach((id, index) => saveMessage(db, id, CHAT_ID, 1000 + Math.floor(index / 2)));
+        saveMessage(db, 'other', '905552222222@c.us', 5000);
+
+        const latest = listMessagePage(db, { chatId: CHAT_ID, limit: 2 });
+        assert.deepEqual(ids(latest), ['m5', 'm4']);
+        assert.equal(latest.pagination.hasOlder, true);
+        assert.equal(latest.pagination.hasNewer, false);
+
+        // Kaydirma sirasinda gelen yeni mesaj sonraki eski sayfayi kaydirmaz
+        saveMessage(db, 'm6', CHAT_ID, 3000);
+        const older = listMessagePage(db, { chatId: CHAT_ID, limit: 2, before: decodeMessageCursor(latest.pagination.olderCursor) });
+        assert.deepEqual(ids(older), ['m3', 'm2']);
+        assert.equal(older.pagination.hasNewer, true);
+
+        const oldest = listMessagePage(db, { chatId: CHAT_ID, limit: 2, before: decodeMessageCursor(older.pagination.olderCursor) });
+        assert.deepEqual(ids(oldest), ['m1']);
+        assert.equal(oldest.pagination.hasOlder, false);
+
+        const newer = listMessagePage(db, { chatId: CHAT_ID, limit: 2, after: decodeMessageCursor(latest.pagination.newerCursor) });
+        assert.deepEqual(ids(newer), ['m6']);
+        assert.equal(newer.pagination.hasNewer, false);
+        assert.equal(newer.pagination.hasOlder, true);
+
+        const caughtUp = listMessagePage(db, { chatId: CHAT_ID, limit: 2, after: decodeMessageCursor(newer.pagination.newerCursor) });
+        assert.deepEqual(ids(caughtUp), []);
+        assert.equal(caughtUp.pagination.newerCursor, newer.pagination.newerCursor);
+
+        assert.deepEqual(ids(listMessagePage(db, { limit: 3 })), ['other', 'm6', 'm5']);
+        assert.throws(() => listMessagePage(db, { before: { timestamp: 1, id: 1 }, after: { timestamp: 1, id: 1 } }), { code: 'INVALID_CURSOR' });
+    } finally {
+        cleanup();
+    }
+});
+
+test('message window centers the anchor and stays inside its chat', () => {
+    const { db, cleanup } = createTestDatabase('message-pages');
+    try {
+        for (let i = 1; i <= 9; i += 1) {
+            saveMessage(db, `w${i}`, CHAT_ID, 1000 + i);
+        }
+
+        const page = getMessageWindow(db, { chatId: CHAT_ID, messageId: 'w5', limit: 5 });
+        assert.equal(page.anchor, 'w5');
+        assert.deepEqual(ids(page), ['w7', 'w6', 'w5', 'w4', 'w3']);
+        assert.equal(page.pagination.hasOlder, true);
+        assert.equal(page.pagination.hasNewer, true);
+
+        const next = listMessagePage(db, { chatId: CHAT_ID, limit: 5, after: decodeMessageCursor(page.pagination.newerCursor) });
+        assert.deepEqual(ids(next), ['w9', 'w8']);
+
+        const edge = getMessageWindow(db, { chatId: CHAT_ID, messageId: 'w9', limit: 5 });
+        assert.deepEqual(ids(edge), ['w9', 'w8', 'w7', 'w6', 'w5']);
+        assert.equal(edge.pagination.hasNewer, false);
+
+        assert.equal(getMessageWindow(db, { chatId: '905552222222@c.us', messageId: 'w5' }), null);
+        assert.equal(getMessageWindow(db, { chatId: CHAT_ID, messageId: 'missing' }), null);
+    } finally {
+        cleanup();
+    }
+});
@@ -147,3 +147,59 @@ test('message pipeline passes traceId to webhook trigger', async () => {
     assert.equal(typeof receivedMeta.traceId, 'string');
     assert.ok(receivedMeta.traceId.length > 0);
 });
+
+test('message pipeline dry-run reports task results and captures sends', async () => {
+    const receivedOptions = [];
+    const pipeline = createMessagePipeline({
+        autoReply: {
+            processMessage: async (msgData, options) => {
+                receivedOptions.push(options.dryRun);
+                await options.deliver(msgData.chatId, 'Otomatik yanit', 'auto_reply');
+                return { ruleId: 7 };
+            }
+        },
+        webhook: { trigger: async (event, data, meta, options) => [{ id: 3, status: options.dryRun ? 'dry_run' : 'queued' }] },
+        scriptRunner: {
+            processMessage: async (msgData, options) => {
+                await options.deliver('c2', 'Script mesaji', 'script');
+                throw new Error('script patladi');
+            }
+        },
+        logger: { error: () => {} }
+    });
+
+    const report = await pipeline.process({
+        msgData: { messageId: 'm1', chatId: 'c1' },
+        fromMe: false,
+        accountId: 'a1',
+        dryRun: true
+    });
+
+    assert.deepEqual(receivedOptions, [true]);
+    assert.equal(report.dryRun, true);
+    assert.deepEqual(report.tasks.autoReply, { outcome: 'success', result: { ruleId: 7 } });
+    assert.deepEqual(report.tasks.webhook.result, [{ id: 3, status: 'dry_run' }]);
+    assert.deepEqual(report.tasks.scriptRunner, { outcome: 'error', error: 'script patladi' });
+    assert.deepEqual(report.sent, [
+        { source: 'auto_reply', chatId: 'c1', message: 'Otomatik yanit' },
+        { source: 'script', chatId: 'c2', message: 'Script mesaji' }
+    ]);
+});
+
+test('message pipeline forwards non-message events to webhooks and scripts only', async () => {
+    const calls = [];
+    const pipeline = createMessagePipeline({
+        autoReply: { processMessage: async () => calls.push('autoReply') },
+        webhook: { trigger: async (event, data) => calls.push(`webhook:${event}:${data.reaction}`) },
+        scriptRunner: { processEvent: async (event, data) => calls.push(`scriptRunner:${event}:${data.messageId}`) },
+        logger: { error: () => {} }
+    });
+
+    await pipeline.processEvent({
+        event: 'reaction',
+        data: { messageId: 'm1', chatId: 'c1', senderId: 's1', reaction: '👍' },
+        accountId: 'a1'
+    });
+
+    assert.deepEqual(calls, ['webhook:reaction:👍', 'scriptRunner:reaction:m1']);
+});
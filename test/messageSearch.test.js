@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createTestDatabase } = require('./helpers');
+const { searchMessages } = require('../lib/messageSearch');
+const { compileMessageSearch, isEmptySearch, parseSearchQuery } = require('../lib/searchQuery');
+
+function saveMessage(db, messageId, chatId, fromName, body, options = {}) {
+    db.messages.save.run(
+        messageId, chatId, chatId.split('@')[0], null, fromName, body, options.type || 'chat',
+        options.mediaPath || null, null, null, null, options.quotedBody || null, null,
+        0, 0, 0, options.timestamp || 1700000000000
+    );
+}
+
+test('search words become FTS prefix terms and FTS syntax is not exposed', () => {
+    const parsed = parseSearchQuery('kargo  teslim');
+    assert.deepEqual(parsed.text.map(term => term.value), ['kargo', 'teslim']);
+    assert.equal(compileMessageSearch(parsed).params[0], '"kargo"* "teslim"*');
+    assert.equal(compileMessageSearch(parseSearchQuery('kargo OR -')).params[0], '"kargo"* "OR"*');
+    assert.equal(isEmptySearch(parseSearchQuery('  ')), true);
+    assert.equal(isEmptySearch(parseSearchQuery(undefined)), true);
+});
+
+test('messages_fts follows inserts, upserts, edits and deletes', () => {
+    const { db, cleanup } = createTestDatabase('search');
+    try {
+        saveMessage(db, 'm1', '905551111111@c.us', 'Ali Veli', 'Kargonuz bugun teslim edilecek', { timestamp: 1 });
+        saveMessage(db, 'm2', '905552222222@c.us', 'Ayse', 'Teslimat adresi degisti', { quotedBody: 'kargo nerede' });
+        saveMessage(db, 'm3', '905552222222@c.us', 'Ayse', 'fatura.pdf', {
+            type: 'document',
+            mediaPath: '/data/accounts/default/media/Mart_Faturasi.pdf'
+        });
+
+        assert.deepEqual(searchMessages(db, { query: 'kargo' }).items.map(row => row.message_id).sort(), ['m1', 'm2']);
+        assert.deepEqual(searchMessages(db, { query: 'kargo', chatId: '905552222222@c.us' }).items.map(row => row.message_id), ['m2']);
+        assert.deepEqual(searchMessages(db, { query: 'ali' }).items.map(row => row.message_id), ['m1']);
+        // Medya dosya adi aranir, dizin adlari aranmaz
+        assert.deepEqual(searchMessages(db, { query: 'faturasi' }).items.map(row => row.message_id), ['m3']);
+        assert.equal(searchMessages(db, { query: 'accounts' }).total, 0);
+
+        const hit = searchMessages(db, { query: 'teslim' }).items.find(row => row.message_id === 'm1');
+        assert.equal(hit.highlight.body, 'Kargonuz bugun <mark>teslim</mark> edilecek');
+        assert.equal(typeof hit.rank, 'number');
+
+        db.messages.markEdited.run('Siparis iptal <b>edildi</b>', 1700000100000, 'm1');
+        assert.equal(searchMessages(db, { query: 'kargonuz' }).total, 0);
+        const edited = searchMessages(db, { query: 'iptal' }).items[0];
+        assert.equal(edited.message_id, 'm1');
+        assert.equal(edited.highlight.body, 'Siparis <mark>iptal</mark> &lt;b&gt;edildi&lt;/b&gt;');
+
+        db.db.prepare('DELETE FROM messages WHERE message_id = ?').run('m1');
+        assert.equal(searchMessages(db, { query: 'iptal' }).total, 0);
+        assert.equal(db.db.prepare('SELECT COUNT(*) AS n FROM messages_fts').get().n, 2);
+    } finally {
+        cleanup();
+    }
+});
+
+test('fts migration backfills existing messages and ranks and paginates results', () => {
+    const fixture = createTestDatabase('search');
+    try {
+        for (let i = 0; i < 5; i++) {
+            saveMessage(fixture.db, `b${i}`, '905553333333@c.us', 'Musteri', `Randevu görüşme hatırlatması ${i}`, { timestamp: 1000 + i });
+        }
+        saveMessage(fixture.db, 'best', '905553333333@c.us', 'Musteri', 'randevu randevu randevu');
+
+        // Goc oncesi veritabanini taklit et: FTS tablosu ve trigger'lar yok
+        fixture.db.db.exec(`
+            DROP TRIGGER messages_fts_insert;
+            DROP TRIGGER messages_fts_update;
+            DROP TRIGGER messages_fts_delete;
+            DROP TABLE messages_fts;
+            DELETE FROM schema_migrations WHERE version = 23;
+        `);
+        const db = fixture.reopen();
+
+        const page = searchMessages(db, { query: 'randevu', limit: 2, offset: 0 });
+        assert.equal(page.total, 6);
+        assert.equal(page.items.length, 2);
+        assert.equal(page.items[0].message_id, 'best');
+        const rest = searchMessages(db, { query: 'randevu', limit: 10, offset: 2 });
+        assert.equal(rest.items.length, 4);
+        const seen = new Set([...page.items, ...rest.items].map(row => row.message_id));
+        assert.equal(seen.size, 6);
+
+        // Diyakritik farklari eslesmeyi engellemez
+        assert.equal(searchMessages(db, { query: 'gorusme' }).total, 5);
+    } finally {
+        fixture.cleanup();
+    }
+});
@@ -0,0 +1,199 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createTestDatabase } = require('./helpers');
+const { createOutboxService } = require('../services/outbox');
+const { createSchedulerService } = require('../services/scheduler');
+
+function createFakeWhatsApp({ ready = false, failures = 0 } = {}) {
+    const state = { ready, failures, sent: [], events: [] };
+    return {
+        state,
+        isReady: () => state.ready,
+        emit: (event, data) => state.events.push({ event, data }),
+        sendMessage: async (chatId, message, options) => {
+            if (state.failures > 0) {
+                state.failures -= 1;
+                throw new Error('temporary failure');
+            }
+            state.sent.push({ chatId, message, options });
+            return { id: { _serialized: `msg-${state.sent.length}` } };
+        }
+    };
+}
+
+test('outbox queues sends while disconnected and flushes them once ready', async () => {
+    const { db, cleanup } = createTestDatabase('outbox');
+    try {
+        const whatsapp = createFakeWhatsApp();
+        const outbox = createOutboxService(db, whatsapp, {}, null, { accountId: 'a1' });
+
+        const first = await outbox.send('1@c.us', 'ilk', { quotedMessageId: 'q1', ignored: true }, { source: 'api' });
+        const second = await outbox.send('2@c.us', 'ikinci', {}, { source: 'script' });
+        assert.equal(first.queued, true);
+        assert.equal(first.result, null);
+        assert.equal(first.item.status, 'pending');
+        assert.equal(second.item.source, 'script');
+        assert.deepEqual(outbox.getCounts(), { pending: 2, sending: 0, sent: 0, failed: 0 });
+
+        whatsapp.state.ready = true;
+        await outbox.flush();
+
+        assert.deepEqual(whatsapp.state.sent, [
+            { chatId: '1@c.us', message: 'ilk', options: { quotedMessageId: 'q1' } },
+            { chatId: '2@c.us', message: 'ikinci', options: {} }
+        ]);
+        const sentItem = db.outbox.getById.get(first.item.id);
+        assert.equal(sentItem.status, 'sent');
+        assert.equal(sentItem.message_id, 'msg-1');
+        assert.equal(sentItem.attempts, 1);
+        assert.ok(whatsapp.state.events.some(e => e.event === 'outbox_update' && e.data.id === first.item.id && e.data.status === 'sent'));
+    } finally {
+        cleanup();
+    }
+});
+
+test('outbox retries with backoff and marks items failed after max attempts', async () => {
+    const { db, cleanup } = createTestDatabase('outbox');
+    try {
+        const whatsapp = createFakeWhatsApp({ ready: true, failures: 2 });
+        const outbox = createOutboxService(db, whatsapp, { OUTBOX_MAX_ATTEMPTS: 2, OUTBOX_RETRY_BASE_MS: 60000 });
+
+        const startedAt = Date.now();
+        const first = await outbox.send('1@c.us', 'merhaba');
+        assert.equal(first.queued, true);
+        assert.equal(first.item.status, 'pending');
+        assert.equal(first.item.last_error, 'temporary failure');
+        assert.ok(Date.parse(first.item.next_attempt_at) >= startedAt + 60000);
+
+        // Not due yet: flush leaves it alone
+        await outbox.flush();
+        assert.equal(db.outbox.getById.get(first.item.id).attempts, 1);
+
+        db.db.prepare('UPDATE outbox SET next_attempt_at = NULL WHERE id = ?').run(first.item.id);
+        await outbox.flush();
+        const failed = db.outbox.getById.get(first.item.id);
+        assert.equal(failed.status, 'failed');
+        assert.equal(failed.attempts, 2);
+
+        const retried = outbox.retry(first.item.id);
+        assert.equal(retried.status, 'pending');
+        await outbox.flush();
+        assert.equal(db.outbox.getById.get(first.item.id).status, 'sent');
+        assert.equal(outbox.retry(first.item.id), null);
+    } finally {
+        cleanup();
+    }
+});
+
+test('scheduler hands due messages to the outbox and mirrors the outbox result', async () => {
+    const { db, cleanup } = createTestDatabase('outbox');
+    try {
+        const whatsapp = createFakeWhatsApp();
+        const outbox = createOutboxService(db, whatsapp, { OUTBOX_MAX_ATTEMPTS: 1 });
+        const scheduler = createSchedulerService(db, whatsapp, {}, null, { accountId: 'a1', outbox });
+        const dueAt = new Date(Date.now() - 1000).toISOString();
+
+        const result = db.scheduled.create.run('1@c.us', 'Ali', 'Selam {chatName}', null, dueAt, 0, null);
+        await scheduler.checkPendingMessages();
+
+        // Baglanti yokken kuyrukta bekler, gonderilmis sayilmaz ve tekrar secilmez
+        const [item] = db.outbox.list.all(10, 0);
+        assert.equal(item.chat_id, '1@c.us');
+        assert.equal(item.body, 'Selam Ali');
+        assert.equal(item.source, 'scheduler');
+        assert.equal(item.source_ref, String(result.lastInsertRowid));
+        assert.equal(item.status, 'pending');
+        const queued = db.scheduled.getById.get(result.lastInsertRowid);
+        assert.equal(queued.is_sent, 0);
+        assert.equal(queued.outbox_id, item.id);
+        await scheduler.checkPendingMessages();
+        assert.equal(db.outbox.list.all(10, 0).length, 1);
+
+        whatsapp.state.ready = true;
+        await outbox.flush();
+        assert.equal(db.scheduled.getById.get(result.lastInsertRowid).is_sent, 1);
+
+        // Outbox'ta kalici olarak basarisiz olan kayit zamanli mesaja yansir; elle tekrar deneme gonderir
+        whatsapp.state.failures = 1;
+        const failing = db.scheduled.create.run('2@c.us', 'Veli', 'Merhaba', null, dueAt, 0, null);
+        await scheduler.checkPendingMessages();
+        const failed = db.scheduled.getById.get(failing.lastInsertRowid);
+        const [failedItem] = db.outbox.list.all(10, 0).filter(entry => entry.chat_id === '2@c.us');
+        assert.equal(failed.is_sent, 0);
+        assert.equal(failed.last_error, 'temporary failure');
+        assert.equal(failedItem.status, 'failed');
+        assert.equal(db.scheduled.getPending.all(5).length, 0);
+
+        outbox.retry(failedItem.id);
+        await outbox.flush();
+        const retried = db.scheduled.getById.get(failing.lastInsertRowid);
+        assert.equal(retried.is_sent, 1);
+        assert.equal(retried.last_error, null);
+    } finally {
+        cleanup();
+    }
+});
+
+test('scheduled messages settled as failed go back to the scheduler retry limit', async () => {
+    const { db, cleanup } = createTestDatabase('outbox');
+    try {
+        const whatsapp = createFakeWhatsApp({ ready: true, failures: 1 });
+        const outbox = createOutboxService(db, whatsapp, { OUTBOX_MAX_ATTEMPTS: 1 });
+        const scheduler = createSchedulerService(db, whatsapp, { SCHEDULER_MAX_RETRIES: 2, SCHEDULER_RETRY_BASE_MS: 60000 }, null, { accountId: 'a1', outbox });
+        const dueAt = new Date(Date.now() - 1000).toISOString();
+
+        const result = db.scheduled.create.run('1@c.us', 'Ali', 'Merhaba', null, dueAt, 0, null);
+        const startedAt = Date.now();
+        await scheduler.checkPendingMessages();
+
+        const failed = db.scheduled.getById.get(result.lastInsertRowid);
+        assert.equal(failed.is_sent, 0);
+        assert.equal(failed.outbox_id, null);
+        assert.equal(failed.retry_count, 1);
+        assert.equal(failed.last_error, 'temporary failure');
+        assert.ok(Date.parse(failed.next_attempt_at) >= startedAt + 60000);
+        assert.equal(db.scheduled.getPending.all(2).length, 0);
+
+        // Bekleme suresi dolunca yeni bir outbox kaydiyla tekrar denenir
+        db.db.prepare('UPDATE scheduled_messages SET next_attempt_at = NULL WHERE id = ?').run(result.lastInsertRowid);
+        whatsapp.state.failures = 1;
+        await scheduler.checkPendingMessages();
+        assert.equal(db.outbox.list.all(10, 0).length, 2);
+
+        const exhausted = db.scheduled.getById.get(result.lastInsertRowid);
+        assert.equal(exhausted.retry_count, 2);
+        assert.equal(exhausted.outbox_id, null);
+        db.db.prepare('UPDATE scheduled_messages SET next_attempt_at = NULL WHERE id = ?').run(result.lastInsertRowid);
+        assert.equal(db.scheduled.getPending.all(2).length, 0);
+    } finally {
+        cleanup();
+    }
+});
+
+test('scheduled messages cancelled in the outbox are not sent again', async () => {
+    const { db, cleanup } = createTestDatabase('outbox');
+    try {
+        const whatsapp = createFakeWhatsApp();
+        const outbox = createOutboxService(db, whatsapp, {});
+        const scheduler = createSchedulerService(db, whatsapp, { SCHEDULER_MAX_RETRIES: 5 }, null, { accountId: 'a1', outbox });
+        const dueAt = new Date(Date.now() - 1000).toISOString();
+
+        const result = db.scheduled.create.run('1@c.us', 'Ali', 'Merhaba', null, dueAt, 0, null);
+        await scheduler.checkPendingMessages();
+        const queued = db.scheduled.getById.get(result.lastInsertRowid);
+        outbox.cancel(queued.outbox_id);
+
+        const cancelled = db.scheduled.getById.get(result.lastInsertRowid);
+        assert.equal(cancelled.is_sent, 0);
+        assert.equal(cancelled.outbox_id, null);
+        assert.equal(cancelled.retry_count, 5);
+        assert.equal(cancelled.next_attempt_at, null);
+        assert.equal(cancelled.last_error, 'Cancelled from outbox');
+        assert.equal(db.scheduled.getPending.all(5).length, 0);
+    } finally {
+        cleanup();
+    }
+});
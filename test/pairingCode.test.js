@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createTestDatabase } = require('./helpers');
+const { createWhatsAppClient } = require('../whatsapp');
+
+function createPairingClient(db, dataDir) {
+    const whatsapp = createWhatsAppClient({ DATA_DIR: dataDir, WHATSAPP_INIT_TIMEOUT_MS: 5000 }, db, null);
+    const events = [];
+    const handlers = {};
+    whatsapp.emit = (event, data) => events.push({ event, data });
+    whatsapp.client = { on: (event, handler) => { handlers[event] = handler; } };
+    whatsapp.setupEventHandlers();
+    whatsapp.client = null;
+    return { whatsapp, events, handlers };
+}
+
+test('requestPairingCode restarts in pairing mode and resolves with the code', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('pairing');
+    try {
+        const { whatsapp, events, handlers } = createPairingClient(db, dataDir);
+        const restarts = [];
+        whatsapp.restartBrowser = async (reason) => {
+            restarts.push({ reason, phone: whatsapp.pairingPhoneNumber });
+            setImmediate(() => handlers.code('ABCD1234'));
+        };
+
+        const code = await whatsapp.requestPairingCode('+90 555 123 45 67');
+        assert.equal(code, 'ABCD1234');
+        assert.deepEqual(restarts, [{ reason: 'pairing', phone: '905551234567' }]);
+        assert.equal(whatsapp.status, 'qr');
+        assert.equal(whatsapp.getStatus().pairingCode, 'ABCD1234');
+        assert.equal(whatsapp.getStatus().qrCode, null);
+        assert.deepEqual(events.find(e => e.event === 'pairing_code').data, { code: 'ABCD1234' });
+        assert.equal(whatsapp.pairingCodeWaiters.size, 0);
+
+        // Suresi dolan kodun yerine gelen yeni kod durumda guncellenir
+        handlers.code('WXYZ9876');
+        assert.equal(whatsapp.getStatus().pairingCode, 'WXYZ9876');
+
+        handlers.authenticated();
+        assert.equal(whatsapp.getStatus().pairingCode, null);
+        assert.equal(whatsapp.pairingPhoneNumber, null);
+    } finally {
+        cleanup();
+    }
+});
+
+test('requestPairingCode validates input and reports restart failures', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('pairing');
+    try {
+        const { whatsapp } = createPairingClient(db, dataDir);
+        await assert.rejects(() => whatsapp.requestPairingCode('12ab'), /Invalid phone number/);
+
+        whatsapp.status = 'ready';
+        await assert.rejects(() => whatsapp.requestPairingCode('905551234567'), /WhatsApp already connected/);
+
+        whatsapp.status = 'qr';
+        whatsapp.restartBrowser = async () => {
+            throw new Error('WhatsApp init timed out after 5000ms');
+        };
+        await assert.rejects(() => whatsapp.requestPairingCode('905551234567'), /init timed out/);
+        assert.equal(whatsapp.pairingCodeWaiters.size, 0);
+        assert.equal(whatsapp.pairingPhoneNumber, null);
+    } finally {
+        cleanup();
+    }
+});
+
+test('pairing mode is dropped when no code arrives or the client is destroyed', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('pairing');
+    try {
+        const { whatsapp, handlers } = createPairingClient(db, dataDir);
+        whatsapp.restartBrowser = async () => {};
+
+        await assert.rejects(() => whatsapp.requestPairingCode('905551234567'), /Pairing code timed out/);
+        assert.equal(whatsapp.pairingPhoneNumber, null);
+        assert.equal(whatsapp.pairingCodeWaiters.size, 0);
+
+        whatsapp.restartBrowser = async () => {
+            setImmediate(() => handlers.code('ABCD1234'));
+        };
+        await whatsapp.requestPairingCode('905551234567');
+        assert.equal(whatsapp.pairingPhoneNumber, '905551234567');
+        await whatsapp.destroy({ reason: 'test' });
+        assert.equal(whatsapp.pairingPhoneNumber, null);
+        assert.equal(whatsapp.getStatus().pairingCode, null);
+    } finally {
+        cleanup();
+    }
+});
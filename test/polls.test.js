@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { Poll } = require('whatsapp-web.js');
+const { createReadyClient, createTestDatabase } = require('./helpers');
+const { summarizePoll } = require('../lib/polls');
+
+const POLL_ID = 'true_905551111111@c.us_POLL';
+
+function createPollMessage() {
+    return {
+        id: { _serialized: POLL_ID },
+        type: 'poll_creation',
+        fromMe: true,
+        from: '905550000000@c.us',
+        to: '905551111111@c.us',
+        body: 'Hangi saat?',
+        pollName: 'Hangi saat?',
+        pollOptions: [{ name: '10:00', localId: 0 }, { name: '14:00', localId: 1 }, { name: '16:00', localId: 2 }],
+        allowMultipleAnswers: false,
+        timestamp: 1700000000
+    };
+}
+
+test('sendMessage sends a Poll when poll options are given', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('polls');
+    try {
+        const { whatsapp, sent } = createReadyClient(db, dataDir);
+        await whatsapp.sendMessage('905551111111@c.us', 'Hangi saat?', {
+            poll: { question: 'Hangi saat?', options: ['10:00', '14:00'], allowMultipleAnswers: true }
+        });
+
+        assert.equal(sent.length, 1);
+        assert.ok(sent[0].content instanceof Poll);
+        assert.equal(sent[0].content.pollName, 'Hangi saat?');
+        assert.deepEqual(sent[0].content.pollOptions.map(option => option.name), ['10:00', '14:00']);
+        assert.equal(sent[0].content.options.allowMultipleAnswers, true);
+    } finally {
+        cleanup();
+    }
+});
+
+test('vote updates replace the voter selection and emit aggregated results', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('polls');
+    try {
+        const { whatsapp, events } = createReadyClient(db, dataDir);
+        const parent = createPollMessage();
+
+        const vote = (voter, localIds, ts) => ({
+            voter,
+            selectedOptions: localIds.map(localId => ({ localId, name: parent.pollOptions[localId].name })),
+            interractedAtTs: ts,
+            parentMessage: parent,
+            parentMsgKey: { _serialized: POLL_ID }
+        });
+
+        // Poll kaydi yoksa ilk oyda ana mesajdan olusturulur
+        const first = await whatsapp.handleVoteUpdate(vote('905551111111@c.us', [0], 1700000001000));
+        assert.equal(first.chatId, '905551111111@c.us');
+        assert.equal(db.polls.getByMessageId.get(POLL_ID).question, 'Hangi saat?');
+
+        await whatsapp.handleVoteUpdate(vote('905552222222@c.us', [1], 1700000002000));
+        await whatsapp.handleVoteUpdate(vote('905551111111@c.us', [1], 1700000003000));
+
+        let results = whatsapp.getPollResults(POLL_ID);
+        assert.equal(results.totalVoters, 2);
+        assert.deepEqual(results.options.map(option => option.votes), [0, 2, 0]);
+        assert.deepEqual(results.options[1].voters, ['905552222222@c.us', '905551111111@c.us']);
+
+        // Bos secim oyun geri cekildigi anlamina gelir
+        await whatsapp.handleVoteUpdate(vote('905552222222@c.us', [], 1700000004000));
+        results = whatsapp.getPollResults(POLL_ID);
+        assert.equal(results.totalVoters, 1);
+        assert.equal(db.pollVotes.getByPoll.all(POLL_ID).length, 1);
+
+        const voteEvents = events.filter(e => e.event === 'poll_vote');
+        assert.equal(voteEvents.length, 4);
+        assert.deepEqual(voteEvents[3].data.selectedOptions, []);
+        assert.equal(voteEvents[3].data.results.totalVoters, 1);
+    } finally {
+        cleanup();
+    }
+});
+
+test('summarizePoll ignores unknown options and counts multi-select votes', () => {
+    const poll = {
+        message_id: POLL_ID,
+        chat_id: '905551111111@c.us',
+        question: 'Hangi gunler?',
+        options: JSON.stringify([{ localId: 0, name: 'Pzt' }, { localId: 1, name: 'Sal' }]),
+        allow_multiple: 1
+    };
+    const summary = summarizePoll(poll, [
+        { voter_id: 'a@c.us', selected_options: '[0,1]' },
+        { voter_id: 'b@c.us', selected_options: '[7]' },
+        { voter_id: 'c@c.us', selected_options: 'bozuk' }
+    ]);
+
+    assert.equal(summary.allowMultipleAnswers, true);
+    assert.equal(summary.totalVoters, 1);
+    assert.equal(summary.totalVotes, 2);
+    assert.deepEqual(summary.options.map(option => [option.name, option.votes]), [['Pzt', 1], ['Sal', 1]]);
+});
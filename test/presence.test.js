@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createReadyClient, createTestDatabase } = require('./helpers');
+
+function createPresenceClient(db, dataDir) {
+    const states = [];
+    const client = createReadyClient(db, dataDir, {
+        getChatById: async (chatId) => ({
+            id: { _serialized: chatId },
+            sendStateTyping: async () => states.push([chatId, 'typing']),
+            sendStateRecording: async () => states.push([chatId, 'recording']),
+            clearState: async () => states.push([chatId, 'paused'])
+        })
+    });
+    return { ...client, states };
+}
+
+test('presence updates are normalized, cached and broadcast', () => {
+    const { db, dataDir, cleanup } = createTestDatabase('presence');
+    try {
+        const { whatsapp, events } = createPresenceClient(db, dataDir);
+
+        const typing = whatsapp.handlePresenceUpdate({
+            chatId: { _serialized: '120363000000000001@g.us' },
+            participantId: '905551112233@c.us',
+            state: 'typing',
+            isOnline: true
+        });
+        assert.equal(typing.state, 'typing');
+        assert.equal(typing.participantId, '905551112233@c.us');
+
+        assert.equal(whatsapp.handlePresenceUpdate({ chatId: '905554443322@c.us', state: 'recording_audio' }).state, 'recording');
+
+        const idle = whatsapp.handlePresenceUpdate({ chatId: '905554443322@c.us', state: null, isOnline: false, lastSeen: 1700000000 });
+        assert.equal(idle.state, 'paused');
+        assert.equal(idle.isOnline, false);
+        assert.equal(idle.lastSeen, 1700000000000);
+
+        assert.equal(whatsapp.handlePresenceUpdate({ state: 'typing' }), null);
+        assert.equal(whatsapp.getPresence('905554443322@c.us').state, 'paused');
+        assert.equal(whatsapp.getPresence('905559999999@c.us'), null);
+
+        const broadcast = events.filter(e => e.event === 'presence_update');
+        assert.equal(broadcast.length, 3);
+        assert.equal(broadcast[0].data.chatId, '120363000000000001@g.us');
+    } finally {
+        cleanup();
+    }
+});
+
+test('sendChatState maps states to chat calls and respects ghost mode', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('presence');
+    try {
+        const { whatsapp, states } = createPresenceClient(db, dataDir);
+
+        await whatsapp.sendChatState('905554443322@c.us', 'typing');
+        await whatsapp.sendChatState('905554443322@c.us', 'recording');
+        const result = await whatsapp.sendChatState('905554443322@c.us', 'paused');
+        assert.deepEqual(result, { success: true, chatId: '905554443322@c.us', state: 'paused' });
+        assert.deepEqual(states.map(item => item[1]), ['typing', 'recording', 'paused']);
+
+        await assert.rejects(() => whatsapp.sendChatState('905554443322@c.us', 'dancing'), /Invalid chat state/);
+
+        whatsapp.settings.ghostMode = true;
+        const ghost = await whatsapp.sendChatState('905554443322@c.us', 'typing');
+        assert.equal(ghost.success, false);
+        assert.equal(states.length, 3);
+
+        whatsapp.settings.ghostMode = false;
+        whatsapp.status = 'disconnected';
+        await assert.rejects(() => whatsapp.sendChatState('905554443322@c.us', 'typing'), /WhatsApp not connected/);
+    } finally {
+        cleanup();
+    }
+});
+
+test('presence tracking exposes the page callback only once across reconnects', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('presence');
+    try {
+        const { whatsapp } = createPresenceClient(db, dataDir);
+        const exposed = new Map();
+        whatsapp.client.pupPage = {
+            // Tek argumanli cagri isim kontrolu, digeri presence kancasi
+            evaluate: async (fn, name) => (name === undefined ? true : exposed.has(name)),
+            exposeFunction: async (name, fn) => {
+                if (exposed.has(name)) throw new Error(`Failed to add page binding with name ${name}`);
+                exposed.set(name, fn);
+            }
+        };
+
+        assert.equal(await whatsapp.setupPresenceTracking(), true);
+        assert.equal(await whatsapp.setupPresenceTracking(), true);
+        assert.deepEqual([...exposed.keys()], ['onPanelPresenceEvent']);
+
+        exposed.get('onPanelPresenceEvent')({ chatId: '905554443322@c.us', state: 'typing' });
+        assert.equal(whatsapp.getPresence('905554443322@c.us')?.state, 'typing');
+    } finally {
+        cleanup();
+    }
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { attachMessageExtras } = require('../lib/messagePages');
+const { createReadyClient, createTestDatabase } = require('./helpers');
+
+test('message reactions are stored, replaced and removed per sender', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('reactions');
+    try {
+        const { whatsapp, events } = createReadyClient(db, dataDir);
+        whatsapp.info = { wid: { _serialized: '905550000000@c.us' } };
+        db.messages.save.run('false_905551111111@c.us_ABC', '905551111111@c.us', '905551111111', null, 'Ali', 'Merhaba', 'chat', null, null, null, null, null, null, 0, 0, 0, 1700000000000);
+
+        const reaction = (emoji, senderId, timestamp) => ({
+            msgId: { _serialized: 'false_905551111111@c.us_ABC', remote: '905551111111@c.us' },
+            senderId,
+            reaction: emoji,
+            timestamp,
+            id: { fromMe: senderId === '905550000000@c.us' }
+        });
+
+        const first = await whatsapp.handleMessageReaction(reaction('👍', '905551111111@c.us', 1700000001));
+        assert.equal(first.chatId, '905551111111@c.us');
+        assert.equal(first.timestamp, 1700000001000);
+        await whatsapp.handleMessageReaction(reaction('❤️', '905551111111@c.us', 1700000002000));
+        await whatsapp.handleMessageReaction(reaction('😂', '905550000000@c.us', 1700000003000));
+
+        let stored = db.messageReactions.getByMessageId.all('false_905551111111@c.us_ABC');
+        assert.deepEqual(stored.map(r => [r.sender_id, r.reaction, r.is_from_me]), [
+            ['905551111111@c.us', '❤️', 0],
+            ['905550000000@c.us', '😂', 1]
+        ]);
+        const [page] = attachMessageExtras(db, [{ message_id: 'false_905551111111@c.us_ABC' }]);
+        assert.deepEqual(page.reactions.map(r => [r.reaction, r.is_from_me]), [['❤️', 0], ['😂', 1]]);
+
+        const removed = await whatsapp.handleMessageReaction(reaction('', '905550000000@c.us', 1700000004000));
+        assert.equal(removed.removed, true);
+        assert.equal(removed.isFromMe, true);
+        stored = db.messageReactions.getByMessageId.all('false_905551111111@c.us_ABC');
+        assert.equal(stored.length, 1);
+        assert.equal(events.filter(e => e.event === 'message_reaction').length, 4);
+    } finally {
+        cleanup();
+    }
+});
+
+test('reactToMessage sends the reaction and stores it as our own', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('reactions');
+    try {
+        const { whatsapp } = createReadyClient(db, dataDir);
+        whatsapp.info = { wid: { _serialized: '905550000000@c.us' } };
+        const reacted = [];
+        whatsapp.client.getMessageById = async (id) => ({
+            id: { _serialized: id },
+            fromMe: false,
+            from: '905551111111@c.us',
+            react: async (emoji) => reacted.push(emoji)
+        });
+
+        const result = await whatsapp.reactToMessage('false_905551111111@c.us_XYZ', ' 🙏 ');
+        assert.deepEqual(reacted, ['🙏']);
+        assert.equal(result.chatId, '905551111111@c.us');
+        assert.equal(result.senderId, '905550000000@c.us');
+        const [own] = db.messageReactions.getByMessageId.all('false_905551111111@c.us_XYZ');
+        assert.equal(own.reaction, '🙏');
+        assert.equal(own.is_from_me, 1);
+
+        whatsapp.status = 'disconnected';
+        await assert.rejects(() => whatsapp.reactToMessage('x', '👍'), /WhatsApp not connected/);
+    } finally {
+        cleanup();
+    }
+});
+
+test('reaction is_from_me migration marks reactions stored as "me"', () => {
+    const fixture = createTestDatabase('reactions');
+    try {
+        // Goc oncesi veritabanini taklit et: is_from_me kolonu yok
+        fixture.db.db.exec(`
+            ALTER TABLE message_reactions DROP COLUMN is_from_me;
+            INSERT INTO message_reactions (message_id, chat_id, sender_id, reaction, timestamp)
+            VALUES ('m1', '905551111111@c.us', 'me', '👍', 1), ('m1', '905551111111@c.us', '905551111111@c.us', '❤️', 2);
+            DELETE FROM schema_migrations WHERE version = 26;
+        `);
+        const db = fixture.reopen();
+
+        assert.deepEqual(
+            db.messageReactions.getByMessageId.all('m1').map(r => [r.sender_id, r.is_from_me]),
+            [['me', 1], ['905551111111@c.us', 0]]
+        );
+    } finally {
+        fixture.cleanup();
+    }
+});
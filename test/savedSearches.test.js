@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createTestDatabase } = require('./helpers');
+const { createSavedSearchService, userRoom } = require('../services/savedSearches');
+
+function createFakeIo() {
+    const emitted = [];
+    return {
+        emitted,
+        to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) })
+    };
+}
+
+function saveMessage(db, messageId, chatId, body, fromMe) {
+    db.messages.save.run(
+        messageId, chatId, fromMe ? null : chatId.split('@')[0], null, fromMe ? 'Ben' : 'Musteri', body, 'chat',
+        null, null, null, null, null, null, 0, fromMe ? 1 : 0, 0, Date.now()
+    );
+}
+
+test('saved search folders count unread and unanswered chats', () => {
+    const { db, cleanup } = createTestDatabase('saved-search');
+    try {
+        const now = Date.now();
+        db.tags.create.run('VIP', '#f1c40f');
+        const vipId = db.tags.getByName.get('VIP').id;
+        db.chats.upsert.run('905551111111@c.us', 'Ali', 0, null, 'Fiyat?', now, 3);
+        db.chats.upsert.run('905552222222@c.us', 'Ayse', 0, null, 'Tamam', now, 0);
+        db.chats.upsert.run('905553333333@c.us', 'Can', 0, null, 'Merhaba', now, 0);
+        ['905551111111@c.us', '905552222222@c.us'].forEach(chatId => db.contactTags.add.run(chatId, vipId));
+        saveMessage(db, 'a1', '905551111111@c.us', 'Fiyat?', false);
+        saveMessage(db, 'b1', '905552222222@c.us', 'Siparis', false);
+        saveMessage(db, 'b2', '905552222222@c.us', 'Tamam', true);
+        db.chats.setMarkedUnread.run(1, '905553333333@c.us');
+
+        const service = createSavedSearchService(db, { io: null }, { accountId: 'default' });
+        const vip = { id: 1, query: 'tag:vip is:unanswered', tag: null, note: null };
+        assert.deepEqual(service.listChats(vip).map(chat => chat.chat_id), ['905551111111@c.us']);
+        assert.deepEqual(service.getCounts(vip), { id: 1, chats: 1, unreadChats: 1, unreadMessages: 3 });
+
+        const all = { id: 2, query: '', tag: String(vipId), note: null };
+        assert.deepEqual(service.getCounts(all), { id: 2, chats: 2, unreadChats: 1, unreadMessages: 3 });
+        assert.deepEqual(service.getCounts({ id: 3, query: 'is:unread', tag: null, note: null }), {
+            id: 3, chats: 2, unreadChats: 2, unreadMessages: 3
+        });
+    } finally {
+        cleanup();
+    }
+});
+
+test('saved search refresh pushes changed counts to each pinning user room', async () => {
+    const { db, cleanup } = createTestDatabase('saved-search');
+    try {
+        const io = createFakeIo();
+        const service = createSavedSearchService(db, { io }, { accountId: 'acc1', debounceMs: 5 });
+        db.chats.upsert.run('905551111111@c.us', 'Ali Veli', 0, null, null, Date.now(), 0);
+
+        const own = Number(db.savedSearches.create.run(1, 'Ali', 'ali', null, null, 0).lastInsertRowid);
+        const shared = Number(db.savedSearches.create.run(1, 'Herkes', 'veli', null, null, 1).lastInsertRowid);
+        db.savedSearchPins.pin.run(own, 1, 0);
+        db.savedSearchPins.pin.run(shared, 2, 0);
+
+        service.refresh();
+        assert.deepEqual(io.emitted.map(item => [item.room, item.data.counts.map(count => count.id)]), [
+            [userRoom('acc1', 1), [own]],
+            [userRoom('acc1', 2), [shared]]
+        ]);
+
+        // Degisiklik yoksa tekrar yayin yapilmaz
+        service.refresh();
+        assert.equal(io.emitted.length, 2);
+
+        db.chats.upsert.run('905551111111@c.us', 'Ali Veli', 0, null, 'Selam', Date.now(), 2);
+        service.scheduleRefresh();
+        service.scheduleRefresh();
+        await new Promise(resolve => setTimeout(resolve, 30));
+        assert.equal(io.emitted.length, 4);
+        assert.equal(io.emitted[3].data.counts[0].unreadMessages, 2);
+        service.stop();
+    } finally {
+        cleanup();
+    }
+});
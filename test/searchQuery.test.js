@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createTestDatabase } = require('./helpers');
+const { searchMessages } = require('../lib/messageSearch');
+const { parseSearchQuery, compileChatSearch } = require('../lib/searchQuery');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function saveMessage(db, messageId, chatId, fromName, body, options = {}) {
+    db.messages.save.run(
+        messageId, chatId, options.fromMe ? null : chatId.split('@')[0], null, fromName, body, options.type || 'chat',
+        options.mediaPath || null, null, options.mimetype || null, null, null, null,
+        0, options.fromMe ? 1 : 0, 0, options.timestamp || Date.now()
+    );
+}
+
+function ids(result) {
+    return result.items.map(row => row.message_id).sort();
+}
+
+test('parseSearchQuery splits operators, phrases and negations', () => {
+    const now = new Date(2024, 4, 10, 12).getTime();
+    const parsed = parseSearchQuery('kargo "teslim edildi" -iptal from:"Ali Veli" -has:media type:DOCUMENT after:7d before:2024/05/09 is:fromme saat:10', { now });
+
+    assert.deepEqual(parsed.text, [
+        { value: 'kargo', phrase: false, negated: false },
+        { value: 'teslim edildi', phrase: true, negated: false },
+        { value: 'iptal', phrase: false, negated: true },
+        { value: 'saat:10', phrase: false, negated: false }
+    ]);
+    assert.deepEqual(parsed.filters.map(filter => [filter.key, filter.value, filter.negated]), [
+        ['from', 'Ali Veli', false],
+        ['has', 'media', true],
+        ['type', 'document', false],
+        ['after', '7d', false],
+        ['before', '2024/05/09', false],
+        ['is', 'fromme', false]
+    ]);
+    assert.equal(parsed.filters[3].timestamp, now - 7 * DAY);
+    assert.equal(parsed.filters[4].timestamp, new Date(2024, 4, 9).getTime());
+    assert.equal(parseSearchQuery('from:me').filters[0].me, true);
+    assert.deepEqual(parseSearchQuery('  - ""  '), { text: [], filters: [] });
+
+    assert.throws(() => parseSearchQuery('"kargo'), /Unterminated quote/);
+    assert.throws(() => parseSearchQuery('from: ali'), /Missing value for from:/);
+    assert.throws(() => parseSearchQuery('has:link'), /Unknown has: value "link"/);
+    assert.throws(() => parseSearchQuery('is:starred'), /Unknown is: value/);
+    assert.throws(() => parseSearchQuery('type:gif'), /Unknown type: value/);
+    assert.throws(() => parseSearchQuery('before:2024-02-30'), /Invalid date for before:/);
+});
+
+test('compiled message search applies every operator', () => {
+    const { db, cleanup } = createTestDatabase('search-query');
+    try {
+        const now = Date.now();
+        const ali = '905551111111@c.us';
+        const group = '120363000000000001@g.us';
+        db.chats.upsert.run(group, 'Proje Ekibi', 1, null, null, now, 0);
+        db.chats.upsert.run(ali, 'Ali Veli', 0, null, null, now, 0);
+        db.tags.create.run('VIP', '#ff0000');
+        db.contactTags.add.run(ali, db.tags.getByName.get('VIP').id);
+
+        saveMessage(db, 'a1', ali, 'Ali Veli', 'Kargo teslim edildi', { timestamp: now - 2 * DAY });
+        saveMessage(db, 'a2', ali, 'Ben', 'Kargo iptal edildi', { fromMe: true, timestamp: now - 10 * DAY });
+        saveMessage(db, 'a3', ali, 'Ali Veli', 'fatura.pdf', { type: 'document', mediaPath: '/media/fatura.pdf', mimetype: 'application/pdf' });
+        saveMessage(db, 'g1', group, 'Zeynep', 'Kargo edildi teslim mi?', { timestamp: now - DAY });
+        db.messages.markDeletedForEveryone.run(now, 'g1');
+
+        assert.deepEqual(ids(searchMessages(db, { query: 'kargo' })), ['a1', 'a2', 'g1']);
+        assert.deepEqual(ids(searchMessages(db, { query: '"teslim edildi"' })), ['a1']);
+        assert.deepEqual(ids(searchMessages(db, { query: 'kargo -iptal' })), ['a1', 'g1']);
+        assert.deepEqual(ids(searchMessages(db, { query: '-kargo' })), ['a3']);
+        assert.deepEqual(ids(searchMessages(db, { query: 'from:zeynep' })), ['g1']);
+        assert.deepEqual(ids(searchMessages(db, { query: 'from:905551111111@c.us' })), ['a1', 'a3']);
+        assert.deepEqual(ids(searchMessages(db, { query: 'from:me' })), ['a2']);
+        assert.deepEqual(ids(searchMessages(db, { query: 'kargo in:proje' })), ['g1']);
+        assert.deepEqual(ids(searchMessages(db, { query: `in:${ali} -is:fromme` })), ['a1', 'a3']);
+        assert.deepEqual(ids(searchMessages(db, { query: 'tag:vip has:media' })), ['a3']);
+        assert.deepEqual(ids(searchMessages(db, { query: 'type:document' })), ['a3']);
+        assert.deepEqual(ids(searchMessages(db, { query: 'kargo after:5d' })), ['a1', 'g1']);
+        assert.deepEqual(ids(searchMessages(db, { query: 'kargo before:5d' })), ['a2']);
+        assert.deepEqual(ids(searchMessages(db, { query: 'is:deleted' })), ['g1']);
+
+        const filtersOnly = searchMessages(db, { query: `in:${ali}` });
+        assert.deepEqual(filtersOnly.items.map(row => row.message_id), ['a3', 'a1', 'a2']);
+        assert.equal(filtersOnly.items[0].rank, null);
+    } finally {
+        cleanup();
+    }
+});
+
+test('compileChatSearch matches names and requires one message for all message filters', () => {
+    const { db, cleanup } = createTestDatabase('search-query');
+    try {
+        const now = Date.now();
+        db.chats.upsert.run('905551111111@c.us', 'Ali Veli', 0, null, null, now, 0);
+        db.chats.upsert.run('905552222222@c.us', 'Ayse Kaya', 0, null, null, now, 0);
+        db.chats.upsert.run('905553333333@c.us', 'Can Demir', 0, null, null, now, 0);
+        saveMessage(db, 'c1', '905553333333@c.us', 'Can Demir', 'Toplanti saat kacta?', { timestamp: now });
+        saveMessage(db, 'a1', '905551111111@c.us', 'Ali Veli', 'rapor.pdf', { type: 'document', timestamp: now - 30 * DAY });
+        saveMessage(db, 'a2', '905551111111@c.us', 'Ali Veli', 'Merhaba', { timestamp: now });
+        saveMessage(db, 'b1', '905552222222@c.us', 'Ayse Kaya', 'teklif.pdf', { type: 'document', timestamp: now - DAY });
+
+        const search = (query) => {
+            const compiled = compileChatSearch(parseSearchQuery(query));
+            return db.db.prepare(`SELECT c.chat_id FROM chats c WHERE ${compiled.where.join(' AND ')} ORDER BY c.chat_id`)
+                .all(...compiled.params)
+                .map(row => row.chat_id);
+        };
+
+        assert.deepEqual(search('veli'), ['905551111111@c.us']);
+        assert.deepEqual(search('-veli'), ['905552222222@c.us', '905553333333@c.us']);
+        assert.deepEqual(search('type:document'), ['905551111111@c.us', '905552222222@c.us']);
+        // Belge ve son 7 gun ayni mesajda saglanmali
+        assert.deepEqual(search('type:document after:7d'), ['905552222222@c.us']);
+        assert.deepEqual(search('-has:media'), ['905553333333@c.us']);
+        assert.deepEqual(search('-type:chat'), ['905552222222@c.us']);
+    } finally {
+        cleanup();
+    }
+});
@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const zlib = require('node:zlib');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createDatabase } = require('../database');
+const { writeSessionArchive, extractSessionArchive, installSessionArchive } = require('../services/sessionArchive');
+
+function createAccountDir(root, name) {
+    const dataDir = path.join(root, name);
+    const accountConfig = {
+        DATA_DIR: dataDir,
+        SESSION_DIR: path.join(dataDir, 'session'),
+        DB_PATH: path.join(dataDir, 'whatsapp.db')
+    };
+    fs.mkdirSync(accountConfig.SESSION_DIR, { recursive: true });
+    return accountConfig;
+}
+
+function writeFile(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+}
+
+async function createSourceArchive(root) {
+    const accountConfig = createAccountDir(root, 'source');
+    const db = createDatabase(accountConfig);
+    db.chats.upsert.run('905550000001@c.us', 'Ayse', 0, null, 'selam', 1000, 0);
+    writeFile(path.join(accountConfig.SESSION_DIR, 'session', 'Default', 'Local Storage', 'leveldb', '000003.log'), 'oturum');
+    writeFile(path.join(accountConfig.SESSION_DIR, 'session', 'Default', 'Cache', 'data_0'), 'onbellek');
+    writeFile(path.join(accountConfig.SESSION_DIR, 'session', 'SingletonLock'), 'lock');
+    writeFile(path.join(accountConfig.DATA_DIR, 'drive-token.json'), '{"token":"x"}');
+
+    const archivePath = path.join(root, 'backup.tar.gz');
+    try {
+        const manifest = await writeSessionArchive({ accountConfig, db, account: { id: 'source', name: 'Kaynak' } }, archivePath);
+        return { archivePath, manifest };
+    } finally {
+        db.close();
+    }
+}
+
+test('session archives round-trip the database, session files and settings', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-panel-archive-'));
+    try {
+        const { archivePath, manifest } = await createSourceArchive(root);
+        assert.equal(manifest.account.name, 'Kaynak');
+        assert.deepEqual(manifest.files.map(file => file.path).sort(), [
+            'drive-token.json',
+            'session/session/Default/Local Storage/leveldb/000003.log',
+            'whatsapp.db'
+        ]);
+
+        const target = createAccountDir(root, 'target');
+        writeFile(target.DB_PATH + '-wal', 'stale');
+        writeFile(path.join(target.SESSION_DIR, 'old-session'), 'eski');
+
+        const stagingDir = path.join(root, '.restore-test');
+        const restored = await extractSessionArchive(archivePath, stagingDir);
+        assert.equal(restored.account.id, 'source');
+        installSessionArchive(stagingDir, target);
+
+        assert.equal(fs.existsSync(stagingDir), false);
+        assert.deepEqual(fs.readdirSync(target.DATA_DIR).filter(name => name.endsWith('.bak')), []);
+        assert.equal(fs.existsSync(target.DB_PATH + '-wal'), false);
+        assert.equal(fs.existsSync(path.join(target.SESSION_DIR, 'old-session')), false);
+        assert.equal(fs.readFileSync(path.join(target.SESSION_DIR, 'session', 'Default', 'Local Storage', 'leveldb', '000003.log'), 'utf8'), 'oturum');
+        assert.equal(fs.readFileSync(path.join(target.DATA_DIR, 'drive-token.json'), 'utf8'), '{"token":"x"}');
+
+        const db = createDatabase(target);
+        try {
+            assert.equal(db.chats.getById.get('905550000001@c.us').name, 'Ayse');
+        } finally {
+            db.close();
+        }
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('tampered or unsafe archives are rejected before anything is installed', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-panel-archive-'));
+    try {
+        const { archivePath } = await createSourceArchive(root);
+        const tar = zlib.gunzipSync(fs.readFileSync(archivePath));
+
+        // Oturum dosyasinin icerigi degisirse manifest ozeti tutmaz
+        const tampered = Buffer.from(tar);
+        const offset = tampered.indexOf('oturum');
+        tampered.write('OTURUM', offset);
+        const tamperedPath = path.join(root, 'tampered.tar.gz');
+        fs.writeFileSync(tamperedPath, zlib.gzipSync(tampered));
+        const stagingDir = path.join(root, '.restore-tampered');
+        await assert.rejects(
+            () => extractSessionArchive(tamperedPath, stagingDir),
+            (error) => error.code === 'INVALID_SESSION_ARCHIVE' && /Checksum mismatch for session\//.test(error.message)
+        );
+        assert.equal(fs.existsSync(stagingDir), false);
+
+        // Dizin disina yazmaya calisan girdi
+        const unsafe = Buffer.from(tar.subarray(0, 512));
+        unsafe.fill(0, 0, 100);
+        unsafe.write('../escape.txt', 0);
+        unsafe.fill(' ', 148, 156);
+        let checksum = 0;
+        for (const byte of unsafe) checksum += byte;
+        unsafe.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+        const unsafePath = path.join(root, 'unsafe.tar.gz');
+        fs.writeFileSync(unsafePath, zlib.gzipSync(Buffer.concat([unsafe, tar.subarray(512)])));
+        await assert.rejects(() => extractSessionArchive(unsafePath, path.join(root, '.restore-unsafe')), /Unexpected file in archive: \.\.\/escape\.txt/);
+        assert.equal(fs.existsSync(path.join(root, 'escape.txt')), false);
+
+        const truncatedPath = path.join(root, 'truncated.tar.gz');
+        fs.writeFileSync(truncatedPath, zlib.gzipSync(tar.subarray(0, 1024)));
+        await assert.rejects(() => extractSessionArchive(truncatedPath, path.join(root, '.restore-truncated')), /Archive is truncated/);
+
+        // Acilan boyut yuklenen arsiv sinirinin katini gecerse yazma durdurulur
+        const bombStaging = path.join(root, '.restore-bomb');
+        await assert.rejects(
+            () => extractSessionArchive(archivePath, bombStaging, { maxBytes: 1024 }),
+            (error) => error.code === 'INVALID_SESSION_ARCHIVE' && /too large when extracted/.test(error.message)
+        );
+        assert.equal(fs.existsSync(bombStaging), false);
+
+        const garbagePath = path.join(root, 'garbage.tar.gz');
+        fs.writeFileSync(garbagePath, 'not an archive');
+        await assert.rejects(() => extractSessionArchive(garbagePath, path.join(root, '.restore-garbage')), /not a valid tar\.gz/);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('a failed install puts the previous database and session back', async (t) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-panel-archive-'));
+    try {
+        const { archivePath } = await createSourceArchive(root);
+        const target = createAccountDir(root, 'target');
+        const targetDb = createDatabase(target);
+        targetDb.chats.upsert.run('905550000002@c.us', 'Eski', 0, null, 'eski', 1000, 0);
+        targetDb.close();
+        writeFile(target.DB_PATH + '-wal', 'wal');
+        writeFile(path.join(target.SESSION_DIR, 'old-session'), 'eski');
+
+        const stagingDir = path.join(root, '.restore-test');
+        await extractSessionArchive(archivePath, stagingDir);
+
+        // Oturum dizini tasinirken hata: veritabani zaten yerine konmustur ve geri alinmalidir
+        const renameSync = fs.renameSync;
+        t.mock.method(fs, 'renameSync', (from, to) => {
+            if (from === path.join(stagingDir, 'session')) throw new Error('disk full');
+            return renameSync(from, to);
+        });
+        assert.throws(() => installSessionArchive(stagingDir, target), /disk full/);
+        t.mock.restoreAll();
+
+        assert.equal(fs.readFileSync(target.DB_PATH + '-wal', 'utf8'), 'wal');
+        assert.equal(fs.readFileSync(path.join(target.SESSION_DIR, 'old-session'), 'utf8'), 'eski');
+        assert.deepEqual(fs.readdirSync(target.DATA_DIR).filter(name => name.endsWith('.bak')), []);
+        fs.rmSync(target.DB_PATH + '-wal');
+        const db = createDatabase(target);
+        try {
+            assert.equal(db.chats.getById.get('905550000002@c.us').name, 'Eski');
+            assert.equal(db.chats.getById.get('905550000001@c.us'), undefined);
+        } finally {
+            db.close();
+        }
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
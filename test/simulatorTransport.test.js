@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createTestDatabase } = require('./helpers');
+const { createWhatsAppClient } = require('../whatsapp');
+const { createTransport } = require('../services/transports');
+
+async function createSimulatorClient(db, dataDir) {
+    fs.mkdirSync(path.join(dataDir, 'media'), { recursive: true });
+    const whatsapp = createWhatsAppClient({
+        DATA_DIR: dataDir,
+        MEDIA_DIR: path.join(dataDir, 'media'),
+        WHATSAPP_TRANSPORT: 'simulator',
+        SIMULATOR_ACK_DELAY_MS: 5
+    }, db, null);
+    const events = [];
+    whatsapp.emit = (event, data) => events.push({ event, data });
+    whatsapp.settings.syncOnConnect = false;
+    whatsapp.getChatProfilePic = async () => null;
+    // Gercek indirme yolu tarayici yedeklerini ve uzun zaman asimlarini kullanir
+    whatsapp.downloadMediaWithRetry = (msg) => msg.downloadMedia();
+
+    whatsapp.client = whatsapp.transport.createClient({});
+    whatsapp.setupEventHandlers();
+    await whatsapp.client.initialize();
+    return { whatsapp, events };
+}
+
+function waitFor(predicate, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+        const startedAt = Date.now();
+        const check = () => {
+            const value = predicate();
+            if (value) return resolve(value);
+            if (Date.now() - startedAt > timeoutMs) return reject(new Error('waitFor timed out'));
+            setTimeout(check, 5);
+        };
+        check();
+    });
+}
+
+test('createTransport defaults to whatsapp-web.js and rejects unknown names', () => {
+    assert.equal(createTransport(undefined, {}).name, 'webjs');
+    assert.equal(createTransport('simulator', {}).name, 'simulator');
+    assert.throws(() => createTransport('telegram', {}), /Unknown transport: telegram/);
+});
+
+test('simulator connects without a phone and round-trips sends through acks', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('simulator');
+    try {
+        const { whatsapp, events } = await createSimulatorClient(db, dataDir);
+        assert.equal(whatsapp.status, 'ready');
+        assert.equal(whatsapp.getStatus().transport, 'simulator');
+        assert.equal(whatsapp.getStatus().info.platform, 'simulator');
+
+        const chats = await whatsapp.client.getChats();
+        assert.equal(chats.length, 4);
+        assert.equal(chats.filter(chat => chat.isGroup).length, 1);
+        assert.equal((await chats[0].fetchMessages({ limit: 10 })).length, 3);
+
+        const sent = await whatsapp.sendMessage('905550000001@c.us', 'Kargonuz yolda');
+        const messageId = sent.id._serialized;
+        await waitFor(() => events.find(e => e.event === 'message_ack' && e.data.messageId === messageId && e.data.ack === 3));
+        const row = db.db.prepare('SELECT * FROM messages WHERE message_id = ?').get(messageId);
+        assert.equal(row.body, 'Kargonuz yolda');
+        assert.equal(row.is_from_me, 1);
+        assert.equal(row.ack, 3);
+
+        const location = await whatsapp.sendMessage('905550000002@c.us', '', {
+            location: { latitude: 41.0082, longitude: 28.9784, name: 'Ofis' }
+        });
+        const locationRow = await waitFor(() => db.db.prepare('SELECT * FROM messages WHERE message_id = ?').get(location.id._serialized));
+        assert.equal(locationRow.type, 'location');
+        assert.equal(locationRow.body, 'Ofis');
+
+        // Yeni numaraya yazmak sohbeti olusturur
+        await whatsapp.sendMessage('905559990000@c.us', 'Merhaba');
+        const freshChat = await waitFor(() => db.chats.getById.get('905559990000@c.us'));
+        assert.equal(freshChat.last_message, 'Merhaba');
+
+        await whatsapp.logout();
+        assert.equal(whatsapp.client.timers.size, 0);
+    } finally {
+        cleanup();
+    }
+});
+
+test('simulated inbound messages reach handleMessage with downloadable media', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('simulator');
+    try {
+        const { whatsapp, events } = await createSimulatorClient(db, dataDir);
+
+        const text = whatsapp.simulateIncomingMessage('905550000003@c.us', { body: 'Siparis durumu?' });
+        await waitFor(() => events.find(e => e.event === 'message' && e.data.messageId === text.messageId));
+        const message = events.find(e => e.event === 'message' && e.data.messageId === text.messageId).data;
+        assert.equal(message.fromName, 'Zeynep Kaya');
+        assert.equal(message.isFromMe, false);
+
+        const group = whatsapp.simulateIncomingMessage('120363000000000001@g.us', {
+            type: 'image',
+            body: 'Toplanti notu',
+            author: '905550000001@c.us'
+        });
+        const downloaded = await waitFor(() => events.find(e => e.event === 'media_downloaded' && e.data.messageId === group.messageId));
+        assert.equal(downloaded.data.mediaMimetype, 'image/png');
+        const row = db.db.prepare('SELECT * FROM messages WHERE message_id = ?').get(group.messageId);
+        assert.equal(row.chat_id, '120363000000000001@g.us');
+        assert.equal(row.from_number, '905550000001');
+        assert.equal(row.is_group, 1);
+        assert.ok(fs.existsSync(row.media_path));
+
+        assert.throws(() => whatsapp.simulateIncomingMessage('120363999999999999@g.us', { body: 'x' }), /Chat not found/);
+
+        const webjs = createWhatsAppClient({ DATA_DIR: dataDir }, db, null);
+        assert.throws(() => webjs.simulateIncomingMessage('905550000003@c.us', { body: 'x' }), /Simulator transport not active/);
+
+        await whatsapp.destroy();
+    } finally {
+        cleanup();
+    }
+});
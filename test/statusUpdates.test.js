@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createReadyClient, createTestDatabase } = require('./helpers');
+const { createCleanupService } = require('../services/cleanup');
+
+function createStatusClient(db, dataDir) {
+    const sent = [];
+    const queued = [];
+    const { whatsapp, events } = createReadyClient(db, dataDir, {
+        getContactById: async (id) => ({ id: { _serialized: id }, pushname: 'Ayse', isMyContact: true }),
+        sendMessage: async (chatId, content, options) => {
+            sent.push({ chatId, content, options });
+            return {
+                id: { _serialized: 'true_status@broadcast_OWN' + sent.length },
+                from: '905550000000@c.us',
+                to: chatId,
+                fromMe: true,
+                type: typeof content === 'string' ? 'chat' : 'image',
+                body: typeof content === 'string' ? content : '',
+                hasMedia: typeof content !== 'string',
+                timestamp: Math.floor(Date.now() / 1000)
+            };
+        }
+    });
+    whatsapp.info = { pushname: 'Panel', wid: { user: '905550000000', _serialized: '905550000000@c.us' } };
+    whatsapp.enqueueMediaDownload = (messageId, options) => queued.push({ messageId, options });
+    return { whatsapp, events, sent, queued };
+}
+
+function statusMessage(id, author, overrides = {}) {
+    return {
+        id: { _serialized: `false_status@broadcast_${id}_${author}`, remote: 'status@broadcast', participant: author },
+        from: 'status@broadcast',
+        author,
+        isStatus: true,
+        type: 'chat',
+        body: 'Merhaba',
+        timestamp: Math.floor(Date.now() / 1000),
+        getChat: async () => {
+            throw new Error('status messages must not reach the chat flow');
+        },
+        ...overrides
+    };
+}
+
+test('status messages are stored separately from chat messages', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('status');
+    try {
+        const { whatsapp, events, queued } = createStatusClient(db, dataDir);
+        whatsapp.settings.downloadMedia = true;
+
+        const textMsg = statusMessage('S1', '905551112233@c.us');
+        const imageMsg = statusMessage('S2', '905551112233@c.us', { type: 'image', body: 'Tatil', hasMedia: true, mimetype: 'image/jpeg' });
+
+        assert.equal(await whatsapp.handleMessage(textMsg, false), null);
+        assert.equal(await whatsapp.handleMessage(imageMsg, false), null);
+        // Ayni durum ikinci kez gelirse olay tekrar yayinlanmaz
+        await whatsapp.handleMessage(textMsg, false);
+
+        const stored = db.statusUpdates.getByMessageId.get(textMsg.id._serialized);
+        assert.equal(stored.author_id, '905551112233@c.us');
+        assert.equal(stored.author_name, 'Ayse');
+        assert.equal(stored.body, 'Merhaba');
+        assert.equal(stored.expires_at - stored.timestamp, 24 * 60 * 60 * 1000);
+        assert.equal(db.db.prepare('SELECT COUNT(*) as count FROM messages').get().count, 0);
+
+        assert.deepEqual(queued, [{ messageId: imageMsg.id._serialized, options: { kind: 'status' } }]);
+        assert.equal(events.filter(e => e.event === 'status_update').length, 2);
+        assert.equal(events.some(e => e.event === 'new_message'), false);
+    } finally {
+        cleanup();
+    }
+});
+
+test('full sync and message snapshots skip the status broadcast chat', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('status');
+    try {
+        const { whatsapp } = createStatusClient(db, dataDir);
+        const indexed = [];
+        const backfilled = [];
+        whatsapp.getChatsWithRetry = async () => [
+            { id: { _serialized: 'status@broadcast' }, timestamp: 1700000200 },
+            { id: { _serialized: '905551112233@c.us' }, timestamp: 1700000100 }
+        ];
+        whatsapp.indexChat = (chat) => indexed.push(chat.id._serialized);
+        whatsapp.backfillChatHistory = async (chat) => backfilled.push(chat.id._serialized);
+        whatsapp.syncLabels = async () => ({ success: true });
+        whatsapp.processMediaTasks = async () => {};
+        whatsapp.processProfilePicTasks = async () => {};
+
+        const totals = JSON.stringify({ chatsTotal: 0, chatsIndexed: 0, chatsBackfilled: 0 });
+        const runId = db.syncRuns.create.run('running', 'init', null, totals).lastInsertRowid;
+        await whatsapp.executeFullSyncRun(runId);
+
+        assert.deepEqual(indexed, ['905551112233@c.us']);
+        assert.deepEqual(backfilled, ['905551112233@c.us']);
+        assert.equal(JSON.parse(db.syncRuns.getById.get(runId).totals_json).chatsTotal, 1);
+
+        const snapshot = await whatsapp.storeMessageSnapshot(statusMessage('S3', '905551112233@c.us'));
+        assert.equal(snapshot.stored, false);
+        assert.equal(db.db.prepare('SELECT COUNT(*) as count FROM messages').get().count, 0);
+        assert.equal(db.db.prepare("SELECT COUNT(*) as count FROM chats WHERE chat_id = 'status@broadcast'").get().count, 0);
+    } finally {
+        cleanup();
+    }
+});
+
+test('getActiveStatuses groups by author with own statuses first', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('status');
+    try {
+        const { whatsapp } = createStatusClient(db, dataDir);
+        const now = Math.floor(Date.now() / 1000);
+        await whatsapp.handleStatusMessage(statusMessage('A1', '905551112233@c.us', { timestamp: now - 600 }), false);
+        await whatsapp.handleStatusMessage(statusMessage('A2', '905551112233@c.us', { timestamp: now - 60 }), false);
+        await whatsapp.handleStatusMessage(statusMessage('B1', '905554443322@c.us', { timestamp: now - 300 }), false);
+        await whatsapp.handleStatusMessage(statusMessage('OLD', '905554443322@c.us', { timestamp: now - 25 * 3600 }), false);
+        await whatsapp.handleStatusMessage(statusMessage('ME', '905550000000@c.us', { timestamp: now - 3000, fromMe: true }), true);
+
+        const contacts = whatsapp.getActiveStatuses();
+        assert.deepEqual(contacts.map(c => c.authorId), ['905550000000@c.us', '905551112233@c.us', '905554443322@c.us']);
+        assert.equal(contacts[0].isFromMe, true);
+        assert.equal(contacts[0].authorName, 'Panel');
+        assert.deepEqual(contacts[1].statuses.map(s => s.message_id.split('_')[2]), ['A1', 'A2']);
+        assert.equal(contacts[1].latestAt, (now - 60) * 1000);
+        assert.equal(contacts[2].statuses.length, 1);
+
+        const single = whatsapp.getActiveStatuses({ authorId: '905554443322@c.us' });
+        assert.equal(single.length, 1);
+        assert.equal(single[0].statuses[0].message_id.includes('B1'), true);
+    } finally {
+        cleanup();
+    }
+});
+
+test('postStatus sends to the status broadcast and links uploaded images', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('status');
+    try {
+        const { whatsapp, sent, queued } = createStatusClient(db, dataDir);
+        whatsapp.settings.downloadMedia = true;
+
+        const textStatus = await whatsapp.postStatus({ text: '  Bugun kapaliyiz  ' });
+        assert.equal(sent[0].chatId, 'status@broadcast');
+        assert.equal(sent[0].content, 'Bugun kapaliyiz');
+        assert.equal(sent[0].options.sendSeen, false);
+        assert.equal(textStatus.is_from_me, 1);
+        assert.equal(textStatus.author_id, '905550000000@c.us');
+
+        const imagePath = path.join(dataDir, 'upload-status.png');
+        fs.writeFileSync(imagePath, Buffer.from('89504e470d0a1a0a', 'hex'));
+        const imageStatus = await whatsapp.postStatus({ text: 'Kampanya', mediaPath: imagePath, mimetype: 'image/png' });
+        assert.equal(sent[1].options.caption, 'Kampanya');
+        assert.equal(imageStatus.media_path, imagePath);
+        assert.equal(imageStatus.media_url, 'api/media/upload-status.png');
+        assert.equal(imageStatus.media_mimetype, 'image/png');
+        assert.deepEqual(queued, []);
+
+        await assert.rejects(() => whatsapp.postStatus({ text: '   ' }), /Status text or image required/);
+        whatsapp.status = 'disconnected';
+        await assert.rejects(() => whatsapp.postStatus({ text: 'x' }), /WhatsApp not connected/);
+    } finally {
+        cleanup();
+    }
+});
+
+test('daily cleanup removes expired statuses and their media', async () => {
+    const { db, dataDir, cleanup } = createTestDatabase('status');
+    try {
+        const { whatsapp } = createStatusClient(db, dataDir);
+        const now = Math.floor(Date.now() / 1000);
+        const expired = statusMessage('EXP', '905551112233@c.us', { timestamp: now - 25 * 3600 });
+        await whatsapp.handleStatusMessage(expired, false);
+        await whatsapp.handleStatusMessage(statusMessage('LIVE', '905551112233@c.us'), false);
+
+        const mediaPath = path.join(dataDir, 'expired-status.jpg');
+        fs.writeFileSync(mediaPath, 'jpg');
+        db.statusUpdates.setMedia.run(mediaPath, 'api/media/expired-status.jpg', 'image/jpeg', expired.id._serialized);
+
+        const service = createCleanupService(db, { LOG_RETENTION_DAYS: 7, SCRIPT_LOG_RETENTION_DAYS: 30 });
+        assert.equal(service.cleanupExpiredStatuses(Date.now()), 1);
+        assert.equal(fs.existsSync(mediaPath), false);
+        assert.equal(db.statusUpdates.getByMessageId.get(expired.id._serialized), undefined);
+        assert.equal(whatsapp.getActiveStatuses().length, 1);
+    } finally {
+        cleanup();
+    }
+});
@@ -3,7 +3,7 @@
  * Fast sync with batching, caching, and parallel processing
  */
 /* global window */
-const { Client, LocalAuth, MessageMedia, Message } = require('whatsapp-web.js');
+const { MessageMedia, Message, Poll, Location } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
 const crypto = require('crypto');
 const fs = require('fs');
@@ -11,6 +11,10 @@ const https = require('https');
 const path = require('path');
 const mime = require('mime-types');
 
+const { summarizePoll } = require('./lib/polls');
+const { buildVCard, parseVCards } = require('./lib/vcard');
+const { createTransport } = require('./services/transports');
+
 const CONSTANTS = {
     SYNC_DELAY_MS: 2000,
     DEFAULT_MAX_RETRIES: 5,
@@ -31,16 +35,42 @@ const CONSTANTS = {
     FULL_SYNC_PROFILE_CONCURRENCY: 2,
     FULL_SYNC_PAGE_LIMIT: 250,
     FULL_SYNC_MAX_MEDIA_ATTEMPTS: 5,
-    FULL_SYNC_MAX_PROFILE_ATTEMPTS: 5
+    FULL_SYNC_MAX_PROFILE_ATTEMPTS: 5,
+    STATUS_BROADCAST_ID: 'status@broadcast',
+    STATUS_TTL_MS: 24 * 60 * 60 * 1000,
+    LABEL_NAME_MAX_LENGTH: 60,
+    BROWSER_CLOSE_TIMEOUT_MS: 15000
 };
 
+function withTimeout(promise, timeoutMs, message) {
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Fonksiyonu sayfaya bir kez acar. Yeniden baglanmada ayni isimle tekrar
+ * exposeFunction cagrilirsa Puppeteer hata verir.
+ */
+async function exposeFunctionIfAbsent(page, name, fn) {
+    const exists = await page.evaluate((fnName) => Boolean(window[fnName]), name);
+    if (exists) return;
+    await page.exposeFunction(name, fn);
+}
+
 class WhatsAppClient {
     constructor(config, db, drive) {
         this.config = config;
         this.db = db;
         this.drive = drive;
+        this.transport = createTransport(config.WHATSAPP_TRANSPORT, config);
         this.client = null;
         this.qrCode = null;
+        this.pairingCode = null;
+        this.pairingPhoneNumber = null;
+        this.pairingCodeWaiters = new Set();
         this.status = 'disconnected';
         this.info = null;
         this.io = null;
@@ -48,6 +78,11 @@ class WhatsAppClient {
         this.syncProgress = { syncing: false, current: 0, total: 0, chat: '' };
         this.lastError = null;
         this.initPromise = null;
+        this.initGeneration = 0;
+        this.statusReason = null;
+        this.statusChangedAt = Date.now();
+        this.lastNotifiedStatus = this.status;
+        this.statusListeners = new Set();
         this.settings = {
             downloadMedia: true,
             downloadProfilePictures: false,
@@ -55,12 +90,16 @@ class WhatsAppClient {
             maxMessagesPerChat: 1000,
             uploadToDrive: true,
             downloadMediaOnSync: true,
-            ghostMode: false
+            ghostMode: false,
+            rejectCalls: false,
+            callRejectMessage: '',
+            callRejectTemplateId: null
         };
         this.loadSettingsFromDb();
         this.contactCache = new Map();
         this.chatProfileCache = new Map();
         this.contactProfilePicCache = new Map(); // contactId -> { url, fetchedAt }
+        this.presence = new Map(); // chatId -> { state, participantId, isOnline, lastSeen, updatedAt }
         this.lastProgressEmit = 0;
         this.fullSyncPromise = null;
         this.fullSyncRunId = null;
@@ -249,6 +288,14 @@ class WhatsAppClient {
         if (typeof input.uploadToDrive === 'boolean') output.uploadToDrive = input.uploadToDrive;
         if (typeof input.downloadMediaOnSync === 'boolean') output.downloadMediaOnSync = input.downloadMediaOnSync;
         if (typeof input.ghostMode === 'boolean') output.ghostMode = input.ghostMode;
+        if (typeof input.rejectCalls === 'boolean') output.rejectCalls = input.rejectCalls;
+        if (typeof input.callRejectMessage === 'string') {
+            output.callRejectMessage = input.callRejectMessage.trim().slice(0, 1000);
+        }
+        if (input.callRejectTemplateId !== undefined) {
+            const parsed = parseInt(String(input.callRejectTemplateId), 10);
+            output.callRejectTemplateId = Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+        }
 
         if (input.maxMessagesPerChat !== undefined) {
             const parsed = parseInt(String(input.maxMessagesPerChat), 10);
@@ -459,10 +506,20 @@ class WhatsAppClient {
     }
 
     getMessageBody(msg) {
+        // Konum mesajlarinda body kucuk resmin base64 verisidir; aciklama kullanilir
+        if (msg.type === 'location') {
+            return msg.location?.description || '';
+        }
+        if (msg.type === 'vcard' || msg.type === 'multi_vcard') {
+            return parseVCards(msg.vCards).map(card => card.name).filter(Boolean).join(', ');
+        }
         let body = msg.body || '';
         if (!body && msg.type === 'document') {
             body = msg.filename || msg._data?.filename || '';
         }
+        if (!body && msg.type === 'poll_creation') {
+            body = msg.pollName || '';
+        }
         return body;
     }
 
@@ -540,6 +597,23 @@ class WhatsAppClient {
 
     emitStatus() {
         this.emit('status', this.getStatus());
+        if (this.status === this.lastNotifiedStatus) return;
+        this.lastNotifiedStatus = this.status;
+        this.statusChangedAt = Date.now();
+        for (const listener of this.statusListeners) {
+            try {
+                listener(this.status, this.statusReason);
+            } catch (e) {}
+        }
+    }
+
+    /**
+     * Durum degisikliklerini dinler (ayni durum tekrar bildirilmez).
+     * @returns {Function} dinleyiciyi kaldiran fonksiyon
+     */
+    onStatusChange(listener) {
+        this.statusListeners.add(listener);
+        return () => this.statusListeners.delete(listener);
     }
 
     emitProgress() {
@@ -616,10 +690,11 @@ class WhatsAppClient {
         this.fullSyncLockOwner = null;
     }
 
-    enqueueMediaDownload(messageId) {
+    enqueueMediaDownload(messageId, options = {}) {
         const id = typeof messageId === 'string' ? messageId.trim() : '';
         if (!id) return false;
         if (this.mediaQueueIds.has(id)) return false;
+        const kind = options.kind === 'status' ? 'status' : 'message';
 
         const maxQueue = 10000;
         if (this.mediaQueue.length >= maxQueue) {
@@ -628,7 +703,7 @@ class WhatsAppClient {
         }
 
         this.mediaQueueIds.add(id);
-        this.mediaQueue.push({ messageId: id, attempts: 0 });
+        this.mediaQueue.push({ messageId: id, attempts: 0, kind });
 
         // Avoid competing with heavy sync fetches; start processing after sync finishes.
         if (!this.syncProgress.syncing) {
@@ -647,6 +722,10 @@ class WhatsAppClient {
         const updateMessage = this.db.db.prepare(
             'UPDATE messages SET media_path = ?, media_url = ?, media_mimetype = ? WHERE message_id = ?'
         );
+        // Durum (story) medyasi ayni kuyrukta indirilir ama status_updates tablosuna yazilir
+        const getStatusRow = this.db.db.prepare(
+            `SELECT '${CONSTANTS.STATUS_BROADCAST_ID}' as chat_id, media_url, timestamp FROM status_updates WHERE message_id = ?`
+        );
 
         const run = async () => {
             const warmCache = { chatId: null, fetchedAt: 0, limit: 0, messages: [] };
@@ -684,13 +763,14 @@ class WhatsAppClient {
                 if (!task || !task.messageId) continue;
 
                 const { messageId } = task;
+                const isStatus = task.kind === 'status';
 
                 try {
                     if (!this.isReady()) {
                         throw new Error('WhatsApp not connected');
                     }
 
-                    const row = getMessageRow.get(messageId);
+                    const row = isStatus ? getStatusRow.get(messageId) : getMessageRow.get(messageId);
                     if (!row) {
                         this.mediaQueueIds.delete(messageId);
                         continue;
@@ -744,9 +824,13 @@ class WhatsAppClient {
                     const ts = Number(row.timestamp) || (msg.timestamp ? msg.timestamp * 1000 : Date.now());
                     const mediaResult = await this.saveMedia(media, messageId, ts);
 
-                    updateMessage.run(mediaResult.mediaPath, mediaResult.mediaUrl, media.mimetype, messageId);
+                    if (isStatus) {
+                        this.db.statusUpdates.setMedia.run(mediaResult.mediaPath, mediaResult.mediaUrl, media.mimetype, messageId);
+                    } else {
+                        updateMessage.run(mediaResult.mediaPath, mediaResult.mediaUrl, media.mimetype, messageId);
+                    }
 
-                    this.emit('media_downloaded', {
+                    this.emit(isStatus ? 'status_media_downloaded' : 'media_downloaded', {
                         messageId,
                         mediaUrl: mediaResult.mediaUrl,
                         mediaMimetype: media.mimetype
@@ -893,19 +977,24 @@ class WhatsAppClient {
         }
 
         this.lastError = null;
+        this.statusReason = null;
         this.status = 'initializing';
         this.emitStatus();
 
         const timeoutMs = Math.max(5000, Number(this.config.WHATSAPP_INIT_TIMEOUT_MS) || 60000);
+        const generation = ++this.initGeneration;
 
         this.initPromise = (async () => {
             if (this.client) {
-                await this.destroy();
+                await this.destroy({ reason: 'reinitialize' });
+                this.status = 'initializing';
+                this.emitStatus();
             }
 
-            this.client = new Client({
-                authStrategy: new LocalAuth({ dataPath: this.config.SESSION_DIR }),
-                puppeteer: { headless: true, args: this.config.PUPPETEER_ARGS }
+            this.client = this.transport.createClient({
+                pairWithPhoneNumber: this.pairingPhoneNumber
+                    ? { phoneNumber: this.pairingPhoneNumber, showNotification: true }
+                    : null
             });
             this.setupEventHandlers();
             this.log('info', 'whatsapp', 'Initializing WhatsApp client...');
@@ -917,10 +1006,13 @@ class WhatsAppClient {
         })()
             .catch(async (error) => {
                 const message = error?.message || String(error);
+                // restartBrowser yeni bir baslatma yaptiysa eski deneme yeni istemciye dokunmaz
+                if (generation !== this.initGeneration) throw error;
                 try {
-                    await this.destroy({ preserveError: true });
+                    await this.destroy({ preserveError: true, reason: 'init_failed' });
                 } catch (e) {}
                 this.status = 'error';
+                this.statusReason = message;
                 this.lastError = message;
                 this.emitStatus();
                 this.emit('whatsapp_error', { message });
@@ -928,7 +1020,9 @@ class WhatsAppClient {
                 throw error;
             })
             .finally(() => {
-                this.initPromise = null;
+                if (generation === this.initGeneration) {
+                    this.initPromise = null;
+                }
             });
 
         return this.initPromise;
@@ -937,29 +1031,24 @@ class WhatsAppClient {
     setupEventHandlers() {
         this.client.on('qr', async (qr) => {
             this.status = 'qr';
+            this.pairingCode = null;
             this.qrCode = await qrcode.toDataURL(qr);
             this.emit('qr', this.qrCode);
             this.emitStatus();
         });
 
-        this.client.on('ready', async () => {
-            this.status = 'ready';
-            this.info = this.client.info;
-            this.qrCode = null;
-            this.lastError = null;
-            this.emit('ready', { pushname: this.info.pushname, wid: this.info.wid.user });
-            this.emitStatus();
-            this.log('info', 'whatsapp', 'Connected as ' + this.info.pushname);
-
-            if (this.drive) this.drive.initialize().catch(() => {});
+        this.client.on('code', (code) => {
+            this.handlePairingCode(code);
+        });
 
-            if (this.settings.syncOnConnect) {
-                setTimeout(() => this.fullSync(), CONSTANTS.SYNC_DELAY_MS);
-            }
+        this.client.on('ready', async () => {
+            await this.handleReady();
         });
 
         this.client.on('authenticated', () => {
             this.status = 'authenticated';
+            this.pairingCode = null;
+            this.pairingPhoneNumber = null;
             this.emit('authenticated');
             this.emitStatus();
             this.log('info', 'whatsapp', 'Authenticated');
@@ -968,12 +1057,14 @@ class WhatsAppClient {
         this.client.on('auth_failure', (msg) => {
             this.status = 'auth_failure';
             this.lastError = msg ? String(msg) : 'auth_failure';
+            this.statusReason = this.lastError;
             this.emit('auth_failure', msg);
             this.emitStatus();
         });
 
         this.client.on('disconnected', (reason) => {
             this.status = 'disconnected';
+            this.statusReason = reason ? String(reason) : 'disconnected';
             this.info = null;
             this.emit('disconnected', reason);
             this.emitStatus();
@@ -988,12 +1079,7 @@ class WhatsAppClient {
         });
 
         this.client.on('message_ack', async (msg, ack) => {
-            try {
-                this.db.messages.updateAck.run(ack, msg.id._serialized);
-                this.emit('message_ack', { messageId: msg.id._serialized, ack });
-            } catch (e) {
-                // Ignore errors if message not found
-            }
+            await this.handleMessageAck(msg, ack);
         });
 
         this.client.on('message_revoke_everyone', async (msg, revokedMsg) => {
@@ -1005,6 +1091,59 @@ class WhatsAppClient {
                 });
             }
         });
+
+        this.client.on('message_edit', async (msg, newBody, prevBody) => {
+            try {
+                await this.handleMessageEdit(msg, newBody, prevBody);
+            } catch (error) {
+                this.log('warn', 'message', 'Failed to handle message edit: ' + error.message, {
+                    messageId: msg?.id?._serialized || null
+                });
+            }
+        });
+
+        this.client.on('message_reaction', async (reaction) => {
+            try {
+                await this.handleMessageReaction(reaction);
+            } catch (error) {
+                this.log('warn', 'message', 'Failed to handle message reaction: ' + error.message, {
+                    messageId: reaction?.msgId?._serialized || null
+                });
+            }
+        });
+
+        this.client.on('vote_update', async (vote) => {
+            try {
+                await this.handleVoteUpdate(vote);
+            } catch (error) {
+                this.log('warn', 'poll', 'Failed to handle poll vote: ' + error.message, {
+                    messageId: vote?.parentMsgKey?._serialized || null
+                });
+            }
+        });
+
+        this.client.on('call', async (call) => {
+            try {
+                await this.handleIncomingCall(call);
+            } catch (error) {
+                this.log('warn', 'call', 'Failed to handle incoming call: ' + error.message, {
+                    callId: call?.id || null
+                });
+            }
+        });
+
+        ['group_join', 'group_leave', 'group_admin_changed'].forEach((event) => {
+            this.client.on(event, async (notification) => {
+                try {
+                    await this.handleGroupNotification(notification);
+                } catch (error) {
+                    this.log('warn', 'group', 'Failed to handle group notification: ' + error.message, {
+                        event,
+                        chatId: notification?.chatId || null
+                    });
+                }
+            });
+        });
     }
 
     async downloadMediaWithRetry(msg, maxRetries = CONSTANTS.DEFAULT_MAX_RETRIES, timeoutMs = CONSTANTS.DEFAULT_DOWNLOAD_TIMEOUT_MS) {
@@ -1497,6 +1636,11 @@ class WhatsAppClient {
     }
 
     async handleMessage(msg, fromMe) {
+        if (this.isStatusMessage(msg)) {
+            // Durumlar sohbet akisina ve otomasyonlara karismaz
+            await this.handleStatusMessage(msg, fromMe);
+            return null;
+        }
         try {
             const chat = await msg.getChat();
             const contact = await this.getContactCached(msg);
@@ -1566,6 +1710,10 @@ class WhatsAppClient {
                 msg.ack || 0,
                 msgData.timestamp
             );
+            if (this.savePollFromMessage(msg, msgData.chatId)) {
+                msgData.poll = this.getPollResults(msgData.messageId);
+            }
+            Object.assign(msgData, this.saveStructuredContent(msg));
 
             const lastPreview = msgData.body || (msg.hasMedia ? (msg.type === 'document' ? '[Dosya]' : '[Medya]') : '');
             const profilePic = await this.getChatProfilePic(chat);
@@ -1634,9 +1782,42 @@ class WhatsAppClient {
         }
     }
 
+    /**
+     * handleMessage'in gelen mesaj icin urettigi msgData'yi gercek mesaj olmadan kurar (otomasyon simulasyonu).
+     * Adlar veritabanindaki sohbet/kisi kayitlarindan tamamlanir; hicbir sey kaydedilmez veya yayinlanmaz.
+     */
+    buildSimulatedMessageData({ chatId, body, type = 'chat', from = null, fromName = null }) {
+        const isGroup = chatId.endsWith('@g.us');
+        const senderId = isGroup ? from : chatId;
+        const chat = this.db.chats.getById.get(chatId);
+        const contact = senderId ? this.db.contacts.getByChatId.get(senderId) : null;
+        const senderNumber = this.extractPhoneFromId(senderId);
+        return {
+            messageId: 'simulated_' + crypto.randomUUID(),
+            chatId,
+            from: chatId,
+            to: this.info?.wid?._serialized || null,
+            fromName: fromName || contact?.name || (isGroup ? null : chat?.name) || senderNumber,
+            fromNumber: senderNumber,
+            body,
+            type,
+            timestamp: Date.now(),
+            isGroup,
+            isFromMe: false,
+            quotedMessageId: null,
+            quotedBody: null,
+            quotedFromName: null,
+            mediaMimetype: null,
+            mediaPath: null,
+            mediaUrl: null,
+            isArchived: chat?.is_archived === 1 ? 1 : 0,
+            simulated: true
+        };
+    }
+
     async storeMessageSnapshot(msg, options = {}) {
         const messageId = msg?.id?._serialized;
-        if (!messageId) return { stored: false };
+        if (!messageId || this.isStatusMessage(msg)) return { stored: false };
 
         try {
             const existing = this.db.db.prepare('SELECT message_id FROM messages WHERE message_id = ?').get(messageId);
@@ -1708,11 +1889,531 @@ class WhatsAppClient {
                     this.db.messages.markDeletedForEveryone.run(timestampMs, messageId);
                 } catch (e) {}
             }
+            this.savePollFromMessage(msg, chatId);
+            this.saveStructuredContent(msg);
         } catch (e) {}
 
         return { stored: true, messageId, chatId };
     }
 
+    async handleReady() {
+        this.status = 'ready';
+        this.statusReason = null;
+        this.info = this.client.info;
+        this.qrCode = null;
+        this.lastError = null;
+        this.emit('ready', { pushname: this.info.pushname, wid: this.info.wid.user });
+        this.emitStatus();
+        this.log('info', 'whatsapp', 'Connected as ' + this.info.pushname);
+
+        if (this.drive) this.drive.initialize().catch(() => {});
+
+        this.setupPresenceTracking().catch((error) => {
+            this.log('warn', 'presence', 'Presence tracking unavailable: ' + error.message);
+        });
+        this.syncStatuses().catch((error) => {
+            this.log('warn', 'status', 'Status sync failed: ' + error.message);
+        });
+
+        if (this.settings.syncOnConnect) {
+            setTimeout(() => this.fullSync(), CONSTANTS.SYNC_DELAY_MS);
+        }
+        return { status: this.status };
+    }
+
+    async handleMessageAck(msg, ack) {
+        const messageId = msg?.id?._serialized || null;
+        if (!messageId) return null;
+        try {
+            this.db.messages.updateAck.run(ack, messageId);
+            this.emit('message_ack', { messageId, ack });
+        } catch (e) {
+            // Ignore errors if message not found
+        }
+        return { messageId, ack };
+    }
+
+    /**
+     * message_edit olayinda eski govdeyi gecmise yazar ve mesaji duzenlendi olarak isaretler.
+     */
+    async handleMessageEdit(msg, newBody, prevBody) {
+        const messageId = msg?.id?._serialized || null;
+        if (!messageId) return null;
+
+        const stored = this.db.messages.getByMessageId.get(messageId);
+        const body = typeof newBody === 'string' ? newBody : (this.getMessageBody(msg) || '');
+        const previousBody = stored ? stored.body : (typeof prevBody === 'string' ? prevBody : null);
+        if (previousBody === body) return null;
+
+        const chatId = stored?.chat_id || (msg.fromMe ? msg.to : msg.from) || null;
+        const editedAt = Number(msg.latestEditSenderTimestampMs) || Date.now();
+
+        const editTx = this.db.db.transaction(() => {
+            this.db.messageEdits.add.run(messageId, chatId, previousBody, body, editedAt);
+            this.db.messages.markEdited.run(body, editedAt, messageId);
+        });
+        editTx();
+
+        const editData = { messageId, chatId, body, previousBody, editedAt };
+        this.emit('message_edited', editData);
+        return editData;
+    }
+
+    /**
+     * message_reaction olayini kaydeder. Bos tepki metni, gonderenin tepkisini kaldirdigi anlamina gelir.
+     */
+    async handleMessageReaction(reaction) {
+        const messageId = this.normalizeWid(reaction?.msgId);
+        const senderId = this.normalizeWid(reaction?.senderId);
+        if (!messageId || !senderId) return null;
+
+        const stored = this.db.messages.getByMessageId.get(messageId);
+        const chatId = stored?.chat_id || this.normalizeWid(reaction.msgId?.remote);
+        const emoji = typeof reaction.reaction === 'string' ? reaction.reaction : '';
+        const rawTs = Number(reaction.timestamp) || Date.now();
+        const timestamp = rawTs < 1e12 ? rawTs * 1000 : rawTs;
+        const ownId = this.info?.wid?._serialized || null;
+
+        return this.saveReaction({
+            messageId,
+            chatId: chatId || null,
+            senderId,
+            reaction: emoji,
+            timestamp,
+            isFromMe: Boolean(reaction.id?.fromMe) || (ownId !== null && senderId === ownId)
+        });
+    }
+
+    saveReaction(data) {
+        if (data.reaction) {
+            this.db.messageReactions.upsert.run(data.messageId, data.chatId, data.senderId, data.reaction, data.timestamp, data.isFromMe ? 1 : 0);
+        } else {
+            this.db.messageReactions.remove.run(data.messageId, data.senderId);
+        }
+
+        const reactionData = { ...data, removed: !data.reaction };
+        this.emit('message_reaction', reactionData);
+        return reactionData;
+    }
+
+    async reactToMessage(messageId, reaction) {
+        if (!this.isReady()) throw new Error('WhatsApp not connected');
+        const id = typeof messageId === 'string' ? messageId.trim() : '';
+        if (!id) throw new Error('Invalid message id');
+        const emoji = typeof reaction === 'string' ? reaction.trim() : '';
+
+        const msg = await withTimeout(this.client.getMessageById(id), 15000, 'getMessageById timeout');
+        if (!msg) throw new Error('Message not found');
+
+        await withTimeout(msg.react(emoji), 15000, 'react timeout');
+
+        const stored = this.db.messages.getByMessageId.get(id);
+        const chatId = stored?.chat_id || (msg.fromMe ? msg.to : msg.from) || null;
+        const senderId = this.info?.wid?._serialized || 'me';
+        return this.saveReaction({
+            messageId: id,
+            chatId,
+            senderId,
+            reaction: emoji,
+            timestamp: Date.now(),
+            isFromMe: true
+        });
+    }
+
+    /**
+     * Mesaji whatsapp-web.js iletme ozelligiyle hedef sohbetlere iletir; medya yeniden yuklenmez.
+     * Her hedef icin olusan kopya bulunursa messages tablosunda kaynak mesaja baglanir.
+     * Bilerek outbox disindadir: iletme kaynak mesajin istemcide yuklu olmasina baglidir ve
+     * sonuc hedef basina hemen doner; baglanti yoksa hata verilir.
+     */
+    async forwardMessage(messageId, chatIds) {
+        if (!this.isReady()) throw new Error('WhatsApp not connected');
+        const id = typeof messageId === 'string' ? messageId.trim() : '';
+        if (!id) throw new Error('Invalid message id');
+        const targets = Array.from(new Set((Array.isArray(chatIds) ? chatIds : [chatIds])
+            .map(chatId => (typeof chatId === 'string' ? chatId.trim() : ''))
+            .filter(Boolean)));
+        if (!targets.length) throw new Error('Invalid target chat');
+
+        const msg = await withTimeout(this.client.getMessageById(id), 15000, 'getMessageById timeout');
+        if (!msg) throw new Error('Message not found');
+
+        const results = [];
+        for (const chatId of targets) {
+            const startedAt = Math.floor(Date.now() / 1000) - 1;
+            // Iletmenin kendi olusturdugu kopyalari yakala; ayni anda baska bir iletme de
+            // olursa eslesme belirsiz kalir ve baglanmaz
+            const created = [];
+            const onCreate = (candidate) => {
+                if (this.isForwardedCopyOf(candidate, msg, chatId)) created.push(candidate);
+            };
+            this.client.on?.('message_create', onCreate);
+            try {
+                await withTimeout(msg.forward(chatId), 30000, 'forward timeout');
+                const copy = await this.findForwardedCopy(chatId, msg, startedAt, created);
+                let copyId = null;
+                if (copy) {
+                    copyId = copy.id._serialized;
+                    await this.storeMessageSnapshot(copy);
+                    this.db.messages.linkForwardedCopy.run(id, id, id, id, copyId);
+                }
+                results.push({ chatId, success: true, messageId: copyId });
+            } catch (error) {
+                this.log('warn', 'message', 'Failed to forward message: ' + error.message, { messageId: id, chatId });
+                results.push({ chatId, success: false, error: error.message });
+            } finally {
+                this.client.removeListener?.('message_create', onCreate);
+            }
+        }
+
+        const forwardData = {
+            messageId: id,
+            forwarded: results.filter(result => result.success).length,
+            results
+        };
+        this.emit('message_forwarded', forwardData);
+        return forwardData;
+    }
+
+    /**
+     * Iletmeyle olusan kopyayi secer. message_create ile yakalanan kopya yoksa sohbetin son
+     * mesajlarina bakilir. Birden fazla aday varsa (eszamanli iletme, telefondan elle iletme)
+     * yanlis kopyayi baglamamak icin null doner.
+     */
+    async findForwardedCopy(chatId, source, sinceSeconds, created = []) {
+        try {
+            let candidates = created;
+            if (!candidates.length) {
+                const chat = await withTimeout(this.client.getChatById(chatId), 10000, 'Chat fetch timeout');
+                const recent = await withTimeout(chat.fetchMessages({ limit: 10, fromMe: true }), 10000, 'fetchMessages timeout');
+                candidates = (Array.isArray(recent) ? recent : [])
+                    .filter(m => this.isForwardedCopyOf(m, source, chatId) && Number(m.timestamp) >= sinceSeconds);
+            }
+            const unlinked = new Map();
+            for (const candidate of candidates) {
+                const candidateId = candidate.id?._serialized;
+                if (!candidateId) continue;
+                if (this.db.messages.getByMessageId.get(candidateId)?.forwarded_from_message_id) continue;
+                unlinked.set(candidateId, candidate);
+            }
+            return unlinked.size === 1 ? unlinked.values().next().value : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Mesajin, kaynak mesajin hedef sohbete iletilmis bir kopyasi olabilir mi?
+     * Metin mesajlarinda govde, medyada (varsa) mediaKey ayni olmalidir.
+     */
+    isForwardedCopyOf(candidate, source, chatId) {
+        if (!candidate?.fromMe || !candidate.isForwarded || candidate.type !== source.type) return false;
+        const candidateChat = this.normalizeWid(candidate.id?.remote) || candidate.to;
+        if (candidateChat !== chatId) return false;
+        if (source.hasMedia || candidate.hasMedia) {
+            return !source.mediaKey || !candidate.mediaKey || source.mediaKey === candidate.mediaKey;
+        }
+        return (candidate.body || '') === (source.body || '');
+    }
+
+    /**
+     * poll_creation mesajinin soru ve seceneklerini polls tablosuna yazar.
+     */
+    savePollFromMessage(msg, chatId) {
+        if (!msg || msg.type !== 'poll_creation') return null;
+        const messageId = msg.id?._serialized || null;
+        if (!messageId) return null;
+
+        const options = (Array.isArray(msg.pollOptions) ? msg.pollOptions : []).map((option, index) => ({
+            localId: Number.isFinite(Number(option?.localId)) ? Number(option.localId) : index,
+            name: String(option?.name || '')
+        }));
+        const question = msg.pollName || msg.body || '';
+        const createdAt = msg.timestamp ? msg.timestamp * 1000 : Date.now();
+
+        try {
+            this.db.polls.upsert.run(
+                messageId,
+                chatId || null,
+                question,
+                JSON.stringify(options),
+                msg.allowMultipleAnswers ? 1 : 0,
+                createdAt
+            );
+        } catch (e) {
+            this.log('warn', 'poll', 'Failed to save poll: ' + e.message, { messageId });
+            return null;
+        }
+        return this.db.polls.getByMessageId.get(messageId);
+    }
+
+    /**
+     * Konum ve kisi karti (vCard) mesajlarinin icerigini ve iletilme bilgisini ayri kolonlara yazar.
+     * Socket olayina eklenecek alanlari dondurur.
+     */
+    saveStructuredContent(msg) {
+        const messageId = msg?.id?._serialized || null;
+        if (!messageId) return {};
+
+        const fields = {};
+        try {
+            if (msg.isForwarded) {
+                this.db.messages.markForwarded.run(messageId);
+                fields.isForwarded = true;
+            }
+            if (msg.type === 'location' && msg.location) {
+                const location = {
+                    latitude: Number(msg.location.latitude),
+                    longitude: Number(msg.location.longitude),
+                    description: msg.location.description || null
+                };
+                if (Number.isFinite(location.latitude) && Number.isFinite(location.longitude)) {
+                    this.db.messages.setLocation.run(location.latitude, location.longitude, location.description, messageId);
+                    fields.location = location;
+                }
+            } else if (msg.type === 'vcard' || msg.type === 'multi_vcard') {
+                const vcards = parseVCards(msg.vCards);
+                if (vcards.length) {
+                    this.db.messages.setVcards.run(JSON.stringify(vcards), messageId);
+                    fields.vcards = vcards;
+                }
+            }
+        } catch (e) {
+            this.log('warn', 'message', 'Failed to save structured message content: ' + e.message, { messageId });
+        }
+        return fields;
+    }
+
+    getPollResults(messageId) {
+        const poll = this.db.polls.getByMessageId.get(messageId);
+        if (!poll) return null;
+        return summarizePoll(poll, this.db.pollVotes.getByPoll.all(messageId));
+    }
+
+    /**
+     * vote_update olayinda oy verenin guncel secimini saklar. Bos secim, oyun geri cekildigi anlamina gelir.
+     */
+    async handleVoteUpdate(vote) {
+        const parent = vote?.parentMessage || null;
+        const messageId = this.normalizeWid(vote?.parentMsgKey) || parent?.id?._serialized || null;
+        const voterId = this.normalizeWid(vote?.voter);
+        if (!messageId || !voterId) return null;
+
+        let poll = this.db.polls.getByMessageId.get(messageId);
+        if (!poll && parent?.type === 'poll_creation') {
+            const storedMessage = this.db.messages.getByMessageId.get(messageId);
+            const parentChatId = storedMessage?.chat_id || (parent.fromMe ? parent.to : parent.from) || null;
+            poll = this.savePollFromMessage(parent, parentChatId);
+        }
+
+        const selectedOptions = (Array.isArray(vote.selectedOptions) ? vote.selectedOptions : [])
+            .map(option => Number(option?.localId))
+            .filter(localId => Number.isFinite(localId));
+        const rawTs = Number(vote.interractedAtTs) || Date.now();
+        const votedAt = rawTs < 1e12 ? rawTs * 1000 : rawTs;
+
+        if (selectedOptions.length) {
+            this.db.pollVotes.upsert.run(messageId, voterId, JSON.stringify(selectedOptions), votedAt);
+        } else {
+            this.db.pollVotes.remove.run(messageId, voterId);
+        }
+
+        const voteData = {
+            messageId,
+            chatId: poll?.chat_id || null,
+            voterId,
+            selectedOptions,
+            votedAt,
+            results: this.getPollResults(messageId)
+        };
+        this.emit('poll_vote', voteData);
+        return voteData;
+    }
+
+    isStatusMessage(msg) {
+        if (!msg) return false;
+        return Boolean(msg.isStatus)
+            || msg.from === CONSTANTS.STATUS_BROADCAST_ID
+            || msg.to === CONSTANTS.STATUS_BROADCAST_ID
+            || msg.id?.remote === CONSTANTS.STATUS_BROADCAST_ID;
+    }
+
+    /**
+     * Durum (story) mesajini status_updates tablosuna yazar; medya indirme kuyruga birakilir.
+     * Ayni mesaj tekrar gelirse (sync + canli olay) kayit degismez.
+     */
+    async handleStatusMessage(msg, fromMe, options = {}) {
+        const messageId = msg?.id?._serialized;
+        if (!messageId) return null;
+        if (msg.type === 'protocol' || msg.type === 'revoked') return null;
+
+        const isFromMe = Boolean(fromMe || msg.fromMe);
+        const authorId = isFromMe
+            ? (this.info?.wid?._serialized || this.normalizeWid(msg.from))
+            : (this.getParticipantId(msg) || msg.from);
+        if (!authorId || authorId === CONSTANTS.STATUS_BROADCAST_ID) return null;
+
+        let authorName = isFromMe ? (this.info?.pushname || 'Me') : null;
+        if (!authorName) {
+            const contact = await this.getContactCached(msg);
+            authorName = this.getSenderName(contact, msg);
+        }
+
+        const timestamp = msg.timestamp ? msg.timestamp * 1000 : Date.now();
+        const expiresAt = timestamp + CONSTANTS.STATUS_TTL_MS;
+        const inserted = this.db.statusUpdates.save.run(
+            messageId,
+            authorId,
+            authorName,
+            msg.type || 'chat',
+            this.getMessageBody(msg),
+            msg.mimetype || msg._data?.mimetype || null,
+            isFromMe ? 1 : 0,
+            timestamp,
+            expiresAt
+        );
+
+        const status = this.db.statusUpdates.getByMessageId.get(messageId);
+        if (inserted.changes > 0) {
+            if (msg.hasMedia && !options.skipMediaDownload && this.settings.downloadMedia && expiresAt > Date.now()) {
+                this.enqueueMediaDownload(messageId, { kind: 'status' });
+            }
+            this.emit('status_update', status);
+        }
+        return status;
+    }
+
+    /**
+     * Kisilerin yayindaki durumlarini WhatsApp'tan ceker (baglanti kurulunca ve istek uzerine).
+     */
+    async syncStatuses() {
+        if (!this.isReady()) throw new Error('WhatsApp not connected');
+        const broadcasts = await withTimeout(this.client.getBroadcasts(), 60000, 'Status fetch timeout');
+
+        let stored = 0;
+        for (const broadcast of broadcasts || []) {
+            for (const msg of broadcast?.msgs || []) {
+                try {
+                    const before = this.db.statusUpdates.getByMessageId.get(msg?.id?._serialized || '');
+                    const status = await this.handleStatusMessage(msg, Boolean(msg.fromMe));
+                    if (status && !before) stored++;
+                } catch (error) {
+                    this.log('warn', 'status', 'Failed to store status: ' + error.message, {
+                        messageId: msg?.id?._serialized || null
+                    });
+                }
+            }
+        }
+        return { success: true, stored };
+    }
+
+    getActiveStatuses({ authorId = null, limit = 500 } = {}) {
+        const now = Date.now();
+        const rows = authorId
+            ? this.db.statusUpdates.listByAuthor.all(authorId, now)
+            : this.db.statusUpdates.listActive.all(now, limit).reverse();
+
+        const groups = new Map();
+        for (const row of rows) {
+            if (!groups.has(row.author_id)) {
+                groups.set(row.author_id, {
+                    authorId: row.author_id,
+                    authorName: row.author_name,
+                    isFromMe: row.is_from_me === 1,
+                    latestAt: row.timestamp,
+                    expiresAt: row.expires_at,
+                    statuses: []
+                });
+            }
+            const group = groups.get(row.author_id);
+            group.statuses.push(row);
+            group.latestAt = Math.max(group.latestAt, row.timestamp);
+            group.expiresAt = Math.max(group.expiresAt, row.expires_at);
+            if (row.author_name) group.authorName = row.author_name;
+        }
+
+        // Kendi durumlarimiz once, sonra en yeni durumu olan kisiler
+        return Array.from(groups.values()).sort((a, b) => {
+            if (a.isFromMe !== b.isFromMe) return a.isFromMe ? -1 : 1;
+            return b.latestAt - a.latestAt;
+        });
+    }
+
+    /**
+     * Durum (status@broadcast) paylasir. Bilerek outbox disindadir: durumlar 24 saat yasar,
+     * baglanti gelince gec paylasilmasi yaniltici olur; baglanti yoksa hata verilir.
+     */
+    async postStatus({ text = '', mediaPath = null, mimetype = null } = {}) {
+        if (!this.isReady()) throw new Error('WhatsApp not connected');
+        const caption = String(text || '').trim();
+        if (!caption && !mediaPath) throw new Error('Status text or image required');
+
+        let sent;
+        if (mediaPath) {
+            const media = MessageMedia.fromFilePath(mediaPath);
+            sent = await withTimeout(
+                this.client.sendMessage(CONSTANTS.STATUS_BROADCAST_ID, media, { caption: caption || undefined, sendSeen: false }),
+                60000,
+                'Status post timeout'
+            );
+        } else {
+            sent = await withTimeout(
+                this.client.sendMessage(CONSTANTS.STATUS_BROADCAST_ID, caption, { sendSeen: false }),
+                30000,
+                'Status post timeout'
+            );
+        }
+
+        const messageId = sent?.id?._serialized;
+        if (!messageId) throw new Error('Status post failed');
+
+        await this.handleStatusMessage(sent, true, { skipMediaDownload: Boolean(mediaPath) });
+        if (mediaPath) {
+            // Yuklenen dosya zaten medya klasorunde; tekrar indirmek yerine dogrudan baglanir
+            const mediaUrl = CONSTANTS.MEDIA_URL_PREFIX + encodeURIComponent(path.basename(mediaPath));
+            this.db.statusUpdates.setMedia.run(mediaPath, mediaUrl, mimetype || sent.mimetype || null, messageId);
+        }
+        return this.db.statusUpdates.getByMessageId.get(messageId);
+    }
+
+    /**
+     * Gelen aramayi calls tablosuna yazar; rejectCalls acikken arama reddedilir.
+     * Red sonrasi gonderilecek yanit mesaji accountManager'daki CallReplyService'e birakilir.
+     */
+    async handleIncomingCall(call) {
+        const callId = call?.id ? String(call.id) : null;
+        const callerId = this.normalizeWid(call?.from);
+        if (!callId || !callerId || call.fromMe) return null;
+
+        let outcome = 'received';
+        if (this.settings.rejectCalls) {
+            try {
+                await withTimeout(call.reject(), 10000, 'Call reject timeout');
+                outcome = 'rejected';
+            } catch (error) {
+                outcome = 'reject_failed';
+                this.log('warn', 'call', 'Failed to reject call: ' + error.message, { callId, callerId });
+            }
+        }
+
+        const rawTs = Number(call.timestamp) || Date.now();
+        const timestamp = rawTs < 1e12 ? rawTs * 1000 : rawTs;
+        this.db.calls.upsert.run(callId, callerId, call.isVideo ? 1 : 0, call.isGroup ? 1 : 0, outcome, timestamp);
+
+        const callData = {
+            callId,
+            chatId: callerId,
+            callerId,
+            isVideo: Boolean(call.isVideo),
+            isGroup: Boolean(call.isGroup),
+            outcome,
+            timestamp
+        };
+        this.log('info', 'call', `Incoming ${callData.isVideo ? 'video' : 'voice'} call (${outcome})`, { callId, callerId });
+        this.emit('incoming_call', callData);
+        return callData;
+    }
+
     async handleMessageRevokeEveryone(msg, revokedMsg) {
         const messageId = msg?.id?._serialized || revokedMsg?.id?._serialized || null;
         if (!messageId) return { success: false, reason: 'missing_message_id' };
@@ -1772,7 +2473,8 @@ class WhatsAppClient {
         ]);
         if (!msg) throw new Error('Message not found');
 
-        const canRevoke = await Promise.race([
+        // Tarayicisiz tasimalarda yetki kontrolu yapilamaz; kendi mesajlarimiz silinebilir kabul edilir
+        const canRevoke = !this.client.pupPage ? Boolean(msg.fromMe) : await Promise.race([
             this.client.pupPage.evaluate(async (msgId) => {
                 const msg = window.Store.Msg.get(msgId) || (await window.Store.Msg.getMessagesById([msgId]))?.messages?.[0];
                 if (!msg) return false;
@@ -1847,6 +2549,15 @@ class WhatsAppClient {
                 this.db.chats.setArchived.run(1, chatId);
             } catch (e) {}
         }
+        if (typeof chat.pinned === 'boolean' && chat.pinned !== (existingChat?.is_pinned === 1)) {
+            this.db.chats.setPinned.run(chat.pinned ? 1 : 0, chat.pinned ? (lastAt || Date.now()) : null, chatId);
+        }
+        if (typeof chat.isMuted === 'boolean') {
+            // muteExpiration saniye cinsinden; -1 suresiz sessiz
+            const expiration = Number(chat.muteExpiration) || 0;
+            const mutedUntil = chat.isMuted ? (expiration > 0 ? expiration * 1000 : -1) : null;
+            this.db.chats.setMutedUntil.run(mutedUntil, chatId);
+        }
 
         if (!profilePic) {
             this.enqueueProfilePicRefresh(chatId);
@@ -1859,6 +2570,107 @@ class WhatsAppClient {
         return this.startFullSyncAll();
     }
 
+    /**
+     * WhatsApp Business etiketini wa_label_id ile panel etiketine eslestirir; yoksa olusturur.
+     * Ayni adli panel etiketi devralinmaz (atamalari senkronda silinirdi), yeni etiket "ad (id)" olur.
+     */
+    upsertLabelTag(label) {
+        const labelId = String(label.id);
+        const name = String(label.name || '').trim().slice(0, CONSTANTS.LABEL_NAME_MAX_LENGTH) || ('Etiket ' + labelId);
+        const color = label.hexColor || null;
+
+        let tag = this.db.tags.getByLabelId.get(labelId);
+        if (!tag) {
+            const taken = this.db.tags.getByName.get(name);
+            const tagName = taken ? `${name} (${labelId})` : name;
+            const result = this.db.tags.createFromLabel.run(tagName, color, labelId);
+            return this.db.tags.getById.get(result.lastInsertRowid);
+        }
+
+        // Ad ve renk telefondaki etiketi izler; ad baska bir etikette kullaniliyorsa korunur
+        const taken = tag.name !== name ? this.db.tags.getByName.get(name) : null;
+        const nextName = taken ? tag.name : name;
+        const nextColor = color || tag.color;
+        if (nextName !== tag.name || nextColor !== tag.color) {
+            this.db.tags.update.run(nextName, nextColor, tag.id);
+            tag = this.db.tags.getById.get(tag.id);
+        }
+        return tag;
+    }
+
+    /**
+     * Business etiketlerini ve sohbet atamalarini panel etiketlerine aktarir.
+     * Etikete bagli panel etiketlerinde atamalar telefondaki durumla birebir esitlenir.
+     */
+    async syncLabels() {
+        if (!this.isReady()) throw new Error('WhatsApp not connected');
+        const labels = await withTimeout(this.client.getLabels(), 30000, 'Label fetch timeout');
+
+        const seen = new Set();
+        let assigned = 0;
+        let removed = 0;
+        for (const label of labels || []) {
+            if (label?.id === undefined || label?.id === null) continue;
+            const labelId = String(label.id);
+            seen.add(labelId);
+            const tag = this.upsertLabelTag(label);
+
+            const chats = await withTimeout(this.client.getChatsByLabelId(labelId), 60000, 'Label chats timeout');
+            const chatIds = new Set((chats || []).map(chat => chat?.id?._serialized).filter(Boolean));
+            const current = new Set(this.db.contactTags.getChatIdsByTagId.all(tag.id).map(row => row.chat_id));
+
+            this.db.db.transaction(() => {
+                for (const chatId of chatIds) {
+                    if (current.has(chatId)) continue;
+                    const chat = this.db.chats.getById.get(chatId);
+                    const phone = chatId.includes('@c.us') ? chatId.split('@')[0] : null;
+                    this.db.contacts.upsert.run(chatId, chat?.name || chatId, phone);
+                    this.db.contactTags.add.run(chatId, tag.id);
+                    assigned++;
+                }
+                for (const chatId of current) {
+                    if (chatIds.has(chatId)) continue;
+                    this.db.contactTags.remove.run(chatId, tag.id);
+                    removed++;
+                }
+            })();
+        }
+
+        // Telefonda silinen etiketler panelde normal etiket olarak kalir
+        for (const tag of this.db.tags.getLabelBacked.all()) {
+            if (!seen.has(tag.wa_label_id)) {
+                this.db.tags.setLabelId.run(null, tag.id);
+            }
+        }
+
+        const result = { success: true, labels: seen.size, assigned, removed };
+        this.emit('labels_synced', result);
+        return result;
+    }
+
+    /**
+     * Sohbetin etikete bagli panel etiketlerini telefona yazar. Yalnizca Business hesaplarda
+     * calisir; hata panel atamasini geri almaz, sonuc olarak dondurulur.
+     * addOrRemoveLabels sohbetin tum etiketlerini degistirdigi icin panelin bilmedigi etiketler korunur.
+     */
+    async syncChatLabels(chatId) {
+        if (!this.isReady()) return { success: false, reason: 'WhatsApp not connected' };
+        const assigned = this.db.contactTags.getLabelIdsByChatId.all(chatId).map(row => row.wa_label_id);
+        const known = new Set(this.db.tags.getLabelBacked.all().map(tag => tag.wa_label_id));
+        try {
+            const chat = await withTimeout(this.client.getChatById(chatId), 30000, 'Chat fetch timeout');
+            const current = (await withTimeout(chat.getLabels(), 30000, 'Label fetch timeout')) || [];
+            const kept = current.map(label => String(label.id)).filter(labelId => !known.has(labelId));
+            const labelIds = [...new Set([...kept, ...assigned])];
+            await withTimeout(this.client.addOrRemoveLabels(labelIds, [chatId]), 30000, 'Label update timeout');
+            return { success: true, labelIds };
+        } catch (error) {
+            const reason = error?.message || String(error);
+            this.log('warn', 'label', 'Chat label update failed: ' + reason, { chatId });
+            return { success: false, reason };
+        }
+    }
+
     async getChatsWithRetry() {
         if (!this.isReady()) throw new Error('WhatsApp not connected');
         let lastError = null;
@@ -1930,7 +2742,9 @@ class WhatsAppClient {
             const cutoffMs = this.parseCutoffMs(config.cutoffDate);
 
             this.db.syncRuns.updatePhase.run('loading_chats', runId);
-            const chats = await this.getChatsWithRetry();
+            // Durumlar status_updates tablosunda tutulur; status@broadcast sohbet olarak indekslenmez
+            const chats = (await this.getChatsWithRetry())
+                .filter(chat => chat?.id?._serialized !== CONSTANTS.STATUS_BROADCAST_ID);
             const lastMsCache = new Map();
             const getChatLastMs = (chat) => {
                 const chatId = chat?.id?._serialized || '';
@@ -1976,6 +2790,13 @@ class WhatsAppClient {
                 }
 
                 this.indexChat(chat);
+                if (chat.isGroup) {
+                    try {
+                        this.syncGroupParticipants(chat);
+                    } catch (error) {
+                        this.log('warn', 'group', 'Group participant sync failed: ' + error.message, { chatId });
+                    }
+                }
                 totals.chatsIndexed += 1;
                 this.db.syncRuns.updateTotals.run(JSON.stringify(totals), runId);
                 await new Promise(resolve => setImmediate(resolve));
@@ -1983,6 +2804,12 @@ class WhatsAppClient {
 
             this.emit('sync_chats_indexed', { chats: chats.length });
 
+            try {
+                await this.syncLabels();
+            } catch (error) {
+                this.log('warn', 'label', 'Label sync failed: ' + error.message);
+            }
+
             this.db.syncRuns.updatePhase.run('backfill', runId);
 
             const chatConcurrency = Math.max(1, config.chatConcurrency);
@@ -2135,7 +2962,8 @@ class WhatsAppClient {
                     isFromMe: msg.fromMe,
                     ack: msg.ack || 0,
                     timestamp: msg.timestamp * 1000,
-                    hasMedia: msg.hasMedia
+                    hasMedia: msg.hasMedia,
+                    msg
                 });
             }
 
@@ -2167,6 +2995,8 @@ class WhatsAppClient {
                             this.db.messages.markDeletedForEveryone.run(row.timestamp, row.messageId);
                         } catch (e) {}
                     }
+                    this.savePollFromMessage(row.msg, row.chatId);
+                    this.saveStructuredContent(row.msg);
                 }
 
                 upsertChatMeta();
@@ -2291,7 +3121,7 @@ class WhatsAppClient {
 
     async syncChat(chat, options = {}) {
         const chatId = chat?.id?._serialized;
-        if (!chatId) return { count: 0, lastMessageTs: null };
+        if (!chatId || chatId === CONSTANTS.STATUS_BROADCAST_ID) return { count: 0, lastMessageTs: null };
 
         const chatName = chat.name || chat.id?.user || chatId;
         const limitRaw = options.limit !== undefined ? options.limit : this.settings.maxMessagesPerChat;
@@ -2525,6 +3355,8 @@ class WhatsAppClient {
     }
 
     async loadEarlierMessagesWithRetry(chatId, targetCount) {
+        // loadEarlierMsgs yalnizca tarayici tabanli tasimada var; digerleri fetchMessages ile tum gecmisi verir
+        if (!this.client?.pupPage) return { loaded: 0, models: [] };
         let lastError = null;
         for (let attempt = 1; attempt <= CONSTANTS.SYNC_CHAT_MAX_RETRIES; attempt++) {
             try {
@@ -2709,6 +3541,17 @@ class WhatsAppClient {
     getSettings() { return this.settings; }
     getSyncProgress() { return this.syncProgress; }
 
+    /**
+     * Yalnizca simulator tasimasinda: sohbete karsi taraftan mesaj dusurur.
+     * Mesaj gercek istemcideki gibi 'message' olayiyla handleMessage ve otomasyonlara ulasir.
+     */
+    simulateIncomingMessage(chatId, data = {}) {
+        if (this.transport.name !== 'simulator') throw new Error('Simulator transport not active');
+        if (!this.isReady()) throw new Error('WhatsApp not connected');
+        const msg = this.client.simulateIncoming(chatId, data);
+        return { success: true, chatId: msg.chatId, messageId: msg.id._serialized };
+    }
+
     async sendMessage(chatId, message, options = {}) {
         if (!this.isReady()) throw new Error('WhatsApp not connected');
         let result;
@@ -2724,6 +3567,17 @@ class WhatsAppClient {
                 sendOptions.caption = message;
             }
             result = await this.client.sendMessage(chatId, media, sendOptions);
+        } else if (options.location) {
+            const { latitude, longitude, name, address, url } = options.location;
+            const location = new Location(latitude, longitude, { name, address, url });
+            result = await this.client.sendMessage(chatId, location, sendOptions);
+        } else if (options.contact) {
+            result = await this.client.sendMessage(chatId, buildVCard(options.contact), sendOptions);
+        } else if (options.poll) {
+            const poll = new Poll(options.poll.question || message, options.poll.options, {
+                allowMultipleAnswers: Boolean(options.poll.allowMultipleAnswers)
+            });
+            result = await this.client.sendMessage(chatId, poll, sendOptions);
         } else {
             result = await this.client.sendMessage(chatId, message, sendOptions);
         }
@@ -2731,7 +3585,134 @@ class WhatsAppClient {
         return result;
     }
 
+    /**
+     * WhatsApp Web presence koleksiyonunu dinler; yaziyor/kayit ediyor/cevrimici degisiklikleri
+     * handlePresenceUpdate uzerinden sokete yayinlanir. Sadece abone olunan sohbetler icin olay gelir.
+     */
+    async setupPresenceTracking() {
+        const page = this.client?.pupPage;
+        if (!page) return false;
+
+        await exposeFunctionIfAbsent(page, 'onPanelPresenceEvent', (data) => {
+            this.handlePresenceUpdate(data);
+        });
+
+        const hooked = await page.evaluate(() => {
+            if (window.__panelPresenceHooked) return true;
+            let collection = window.Store?.Presence || null;
+            if (!collection && typeof window.require === 'function') {
+                try {
+                    collection = window.require('WAWebPresenceCollection').PresenceCollection;
+                } catch (e) {
+                    collection = null;
+                }
+            }
+            if (!collection || typeof collection.on !== 'function') return false;
+            window.Store.Presence = collection;
+
+            const notify = (presence) => {
+                const states = presence.chatstates?.getModelsArray?.() || [];
+                const active = states.find(item => item.type === 'typing' || item.type === 'recording_audio')
+                    || presence.chatstate
+                    || null;
+                window.onPanelPresenceEvent({
+                    chatId: presence.id?._serialized || null,
+                    participantId: active?.id?._serialized || null,
+                    state: active?.type || null,
+                    isOnline: Boolean(presence.isOnline),
+                    lastSeen: active?.t || null
+                });
+            };
+            collection.on('change:isOnline change:chatstate.type', notify);
+            collection.on('change:chatstates', notify);
+            window.__panelPresenceHooked = true;
+            return true;
+        });
+
+        if (!hooked) {
+            this.log('warn', 'presence', 'Presence collection not found; typing indicators disabled');
+        }
+        return hooked;
+    }
+
+    handlePresenceUpdate(data) {
+        const chatId = this.normalizeWid(data?.chatId);
+        if (!chatId) return null;
+
+        const rawState = String(data.state || '').toLowerCase();
+        let state = 'paused';
+        if (rawState.includes('record')) state = 'recording';
+        else if (rawState === 'typing' || rawState === 'composing') state = 'typing';
+
+        const rawLastSeen = Number(data.lastSeen) || null;
+        const presence = {
+            chatId,
+            participantId: this.normalizeWid(data.participantId) || null,
+            state,
+            isOnline: typeof data.isOnline === 'boolean' ? data.isOnline : null,
+            lastSeen: rawLastSeen && rawLastSeen < 1e12 ? rawLastSeen * 1000 : rawLastSeen,
+            updatedAt: Date.now()
+        };
+        this.presence.set(chatId, presence);
+        this.emit('presence_update', presence);
+        return presence;
+    }
+
+    getPresence(chatId) {
+        return this.presence.get(chatId) || null;
+    }
+
+    async subscribePresence(chatId) {
+        if (!this.isReady()) throw new Error('WhatsApp not connected');
+        const id = typeof chatId === 'string' ? chatId.trim() : '';
+        if (!id) throw new Error('Invalid chatId');
+        if (!this.client?.pupPage) return { success: false, chatId: id };
+
+        const subscribed = await withTimeout(this.client.pupPage.evaluate(async (targetId) => {
+            const collection = window.Store?.Presence;
+            if (!collection || !window.Store.WidFactory) return false;
+            const wid = window.Store.WidFactory.createWid(targetId);
+            const presence = collection.get(wid) || await collection.find(wid);
+            if (!presence || typeof presence.subscribe !== 'function') return false;
+            await presence.subscribe();
+            return true;
+        }, id), 10000, 'Presence subscribe timeout');
+
+        return { success: Boolean(subscribed), chatId: id, presence: this.getPresence(id) };
+    }
+
+    /**
+     * Karsi tarafa yaziyor/ses kaydediyor durumunu gonderir. Ghost Mode acikken hicbir durum gonderilmez.
+     */
+    async sendChatState(chatId, state) {
+        if (this.settings.ghostMode) {
+            return { success: false, reason: 'Ghost Mode is enabled' };
+        }
+        if (!this.isReady()) throw new Error('WhatsApp not connected');
+        const id = typeof chatId === 'string' ? chatId.trim() : '';
+        if (!id) throw new Error('Invalid chatId');
+        if (!['typing', 'recording', 'paused'].includes(state)) throw new Error('Invalid chat state');
+
+        const chat = await withTimeout(this.client.getChatById(id), 10000, 'Chat fetch timeout');
+        if (!chat) throw new Error('Chat not found');
+
+        if (state === 'typing') {
+            await withTimeout(chat.sendStateTyping(), 10000, 'Chat state timeout');
+        } else if (state === 'recording') {
+            await withTimeout(chat.sendStateRecording(), 10000, 'Chat state timeout');
+        } else {
+            await withTimeout(chat.clearState(), 10000, 'Chat state timeout');
+        }
+        return { success: true, chatId: id, state };
+    }
+
     async markAsRead(chatId) {
+        // Panelde acilan sohbetin "okunmadi" isareti Ghost Mode'da da kaldirilir
+        const markedUnread = this.db.chats.getById.get(chatId)?.marked_unread === 1;
+        if (markedUnread) {
+            this.db.chats.setMarkedUnread.run(0, chatId);
+            this.emitChatActionState(chatId);
+        }
         if (this.settings.ghostMode) {
             return { success: false, reason: 'Ghost Mode is enabled' };
         }
@@ -2786,16 +3767,337 @@ class WhatsAppClient {
         return { success: true };
     }
 
+    async getChatForAction(chatId) {
+        if (!this.isReady()) throw new Error('WhatsApp not connected');
+        const id = typeof chatId === 'string' ? chatId.trim() : '';
+        if (!id) throw new Error('Invalid chatId');
+
+        const chat = await withTimeout(this.client.getChatById(id), 10000, 'Chat fetch timeout');
+        if (!chat) throw new Error('Chat not found');
+        return chat;
+    }
+
+    getChatActionState(chatId) {
+        const row = this.db.chats.getById.get(chatId);
+        const mutedUntil = row?.muted_until ?? null;
+        return {
+            chatId,
+            isPinned: row?.is_pinned === 1,
+            pinnedAt: row?.pinned_at || null,
+            isMuted: mutedUntil === -1 || (mutedUntil !== null && mutedUntil > Date.now()),
+            mutedUntil,
+            isBlocked: row?.is_blocked === 1,
+            markedUnread: row?.marked_unread === 1
+        };
+    }
+
+    // Sohbet listesi siralamasi ve rozetleri icin guncel durum yayinlanir
+    emitChatActionState(chatId) {
+        const state = this.getChatActionState(chatId);
+        this.emit('chat_updated', state);
+        return { success: true, ...state };
+    }
+
+    async setChatPinned(chatId, pinned) {
+        const chat = await this.getChatForAction(chatId);
+        const id = chat.id._serialized;
+        const result = await withTimeout(pinned ? chat.pin() : chat.unpin(), 10000, 'Chat pin timeout');
+        // WhatsApp en fazla 3 sohbetin sabitlenmesine izin verir; limit dolunca pin() false doner
+        if (pinned && result === false) throw new Error('Pinned chat limit reached');
+
+        this.db.chats.setPinned.run(pinned ? 1 : 0, pinned ? Date.now() : null, id);
+        return this.emitChatActionState(id);
+    }
+
+    /**
+     * durationMs verilmezse sohbet suresiz sessize alinir (muted_until = -1).
+     */
+    async muteChat(chatId, durationMs = null) {
+        const chat = await this.getChatForAction(chatId);
+        const id = chat.id._serialized;
+        const unmuteDate = durationMs ? new Date(Date.now() + durationMs) : null;
+        await withTimeout(chat.mute(unmuteDate || undefined), 10000, 'Chat mute timeout');
+
+        this.db.chats.setMutedUntil.run(unmuteDate ? unmuteDate.getTime() : -1, id);
+        return this.emitChatActionState(id);
+    }
+
+    async unmuteChat(chatId) {
+        const chat = await this.getChatForAction(chatId);
+        const id = chat.id._serialized;
+        await withTimeout(chat.unmute(), 10000, 'Chat unmute timeout');
+
+        this.db.chats.setMutedUntil.run(null, id);
+        return this.emitChatActionState(id);
+    }
+
+    async markChatUnread(chatId) {
+        const chat = await this.getChatForAction(chatId);
+        const id = chat.id._serialized;
+        await withTimeout(chat.markUnread(), 10000, 'Chat mark unread timeout');
+
+        this.db.chats.setMarkedUnread.run(1, id);
+        return this.emitChatActionState(id);
+    }
+
+    async setContactBlocked(chatId, blocked) {
+        if (!this.isReady()) throw new Error('WhatsApp not connected');
+        const id = typeof chatId === 'string' ? chatId.trim() : '';
+        if (!id) throw new Error('Invalid chatId');
+        if (id.endsWith('@g.us')) throw new Error('Groups cannot be blocked');
+
+        const contact = await withTimeout(this.client.getContactById(id), 10000, 'Contact fetch timeout');
+        if (!contact) throw new Error('Contact not found');
+        await withTimeout(blocked ? contact.block() : contact.unblock(), 10000, 'Contact block timeout');
+
+        this.db.chats.setBlocked.run(blocked ? 1 : 0, id);
+        this.contactCache.delete(id);
+        return this.emitChatActionState(id);
+    }
+
+    async getGroupChat(chatId) {
+        if (!this.isReady()) throw new Error('WhatsApp not connected');
+        const id = typeof chatId === 'string' ? chatId.trim() : '';
+        if (!id) throw new Error('Invalid chatId');
+
+        const chat = await withTimeout(this.client.getChatById(id), 10000, 'Chat fetch timeout');
+        if (!chat || !chat.isGroup) throw new Error('Group not found');
+        return chat;
+    }
+
+    async runGroupAction(chatId, label, action) {
+        const chat = await this.getGroupChat(chatId);
+        const result = await withTimeout(action(chat), 10000, `Group ${label} timeout`);
+        return { chat, result };
+    }
+
+    emitGroupUpdate(chatId, action, data = {}) {
+        this.emit('group_updated', { chatId, action, ...data });
+    }
+
+    async createGroup(title, participants = []) {
+        if (!this.isReady()) throw new Error('WhatsApp not connected');
+        const name = typeof title === 'string' ? title.trim() : '';
+        if (!name) throw new Error('Invalid group title');
+
+        const result = await withTimeout(this.client.createGroup(name, participants), 30000, 'Group create timeout');
+        // whatsapp-web.js hata durumunda nesne yerine metin donduruyor
+        if (!result || typeof result === 'string') {
+            throw new Error(typeof result === 'string' && result ? result : 'Group could not be created');
+        }
+
+        const chatId = result.gid?._serialized;
+        if (!chatId) throw new Error('Group could not be created');
+
+        try {
+            this.db.chats.upsert.run(chatId, result.title || name, 1, null, '', Date.now(), 0);
+        } catch (e) {}
+
+        this.log('info', 'group', 'Group created', { chatId, participants: participants.length });
+        this.emitGroupUpdate(chatId, 'created', { name: result.title || name });
+        return { success: true, chatId, name: result.title || name, participants: result.participants || {} };
+    }
+
+    async renameGroup(chatId, subject) {
+        const name = typeof subject === 'string' ? subject.trim() : '';
+        if (!name) throw new Error('Invalid group title');
+
+        const { chat, result } = await this.runGroupAction(chatId, 'rename', group => group.setSubject(name));
+        if (result === false) throw new Error('Group title could not be changed');
+
+        const id = chat.id._serialized;
+        try {
+            this.db.chats.setName.run(name, id);
+        } catch (e) {}
+
+        this.emitGroupUpdate(id, 'renamed', { name });
+        return { success: true, chatId: id, name };
+    }
+
+    async setGroupDescription(chatId, description) {
+        const text = typeof description === 'string' ? description.trim() : '';
+
+        const { chat, result } = await this.runGroupAction(chatId, 'description', group => group.setDescription(text));
+        if (result === false) throw new Error('Group description could not be changed');
+
+        const id = chat.id._serialized;
+        try {
+            this.db.chats.setDescription.run(text || null, id);
+        } catch (e) {}
+
+        this.emitGroupUpdate(id, 'description', { description: text });
+        return { success: true, chatId: id, description: text };
+    }
+
+    async updateGroupParticipants(chatId, action, participantIds) {
+        const ids = (Array.isArray(participantIds) ? participantIds : [participantIds])
+            .map(value => (typeof value === 'string' ? value.trim() : ''))
+            .filter(Boolean);
+        if (!ids.length) throw new Error('participants required');
+
+        const methods = {
+            add: 'addParticipants',
+            remove: 'removeParticipants',
+            promote: 'promoteParticipants',
+            demote: 'demoteParticipants'
+        };
+        const method = methods[action];
+        if (!method) throw new Error('Invalid participant action');
+
+        const { chat, result } = await this.runGroupAction(chatId, action, group => group[method](ids));
+        if (typeof result === 'string') throw new Error(result);
+
+        const id = chat.id._serialized;
+        this.log('info', 'group', 'Group participants updated', { chatId: id, action, count: ids.length });
+        this.emitGroupUpdate(id, `participants_${action}`, { participants: ids });
+        return { success: true, chatId: id, action, participants: ids, result: result || null };
+    }
+
+    async getGroupInviteLink(chatId) {
+        const { chat, result } = await this.runGroupAction(chatId, 'invite', group => group.getInviteCode());
+        if (!result) throw new Error('Invite link unavailable');
+        return { chatId: chat.id._serialized, code: result, link: `https://chat.whatsapp.com/${result}` };
+    }
+
+    async revokeGroupInvite(chatId) {
+        const { chat, result } = await this.runGroupAction(chatId, 'invite revoke', group => group.revokeInvite());
+        if (!result) throw new Error('Invite link unavailable');
+
+        const id = chat.id._serialized;
+        this.emitGroupUpdate(id, 'invite_revoked');
+        return { success: true, chatId: id, code: result, link: `https://chat.whatsapp.com/${result}` };
+    }
+
+    async leaveGroup(chatId) {
+        const { chat } = await this.runGroupAction(chatId, 'leave', group => group.leave());
+
+        const id = chat.id._serialized;
+        const leftAt = Date.now();
+        try {
+            this.db.chats.setLeftAt.run(leftAt, id);
+        } catch (e) {}
+
+        this.log('info', 'group', 'Left group', { chatId: id });
+        this.emitGroupUpdate(id, 'left', { leftAt });
+        return { success: true, chatId: id, leftAt };
+    }
+
+    normalizeWid(value) {
+        if (!value) return null;
+        if (typeof value === 'string') return value;
+        return value._serialized || null;
+    }
+
+    /**
+     * Grup katilimcilarini WhatsApp'taki listeyle esitler.
+     * Daha once bilinen bir liste varsa aradaki farklar gecmise 'sync' kaynagiyla yazilir.
+     */
+    syncGroupParticipants(chat) {
+        const groupId = chat?.id?._serialized;
+        const participants = chat?.participants || chat?.groupMetadata?.participants;
+        if (!groupId || !chat.isGroup || !Array.isArray(participants)) return null;
+
+        const now = Date.now();
+        const existing = new Set(this.db.groupParticipants.getIdsByGroup.all(groupId).map(row => row.participant_id));
+        const hadSnapshot = existing.size > 0;
+        const seen = new Set();
+        const changes = { added: [], removed: [] };
+
+        const syncTx = this.db.db.transaction(() => {
+            for (const participant of participants) {
+                const participantId = this.normalizeWid(participant?.id);
+                if (!participantId || seen.has(participantId)) continue;
+                seen.add(participantId);
+
+                this.db.groupParticipants.upsert.run(
+                    groupId,
+                    participantId,
+                    participant.isAdmin || participant.isSuperAdmin ? 1 : 0,
+                    participant.isSuperAdmin ? 1 : 0,
+                    hadSnapshot ? now : null
+                );
+                if (hadSnapshot && !existing.has(participantId)) {
+                    this.db.groupMembershipEvents.add.run(groupId, participantId, 'add', null, 'sync', now);
+                    changes.added.push(participantId);
+                }
+            }
+
+            for (const participantId of existing) {
+                if (seen.has(participantId)) continue;
+                this.db.groupParticipants.remove.run(groupId, participantId);
+                this.db.groupMembershipEvents.add.run(groupId, participantId, 'remove', null, 'sync', now);
+                changes.removed.push(participantId);
+            }
+        });
+        syncTx();
+
+        if (changes.added.length || changes.removed.length) {
+            this.emit('group_participants_updated', { chatId: groupId, action: 'sync', ...changes });
+        }
+        return { chatId: groupId, total: seen.size, ...changes };
+    }
+
+    /**
+     * group_join / group_leave / group_admin_changed bildirimlerini isler.
+     */
+    async handleGroupNotification(notification) {
+        const groupId = this.normalizeWid(notification?.chatId || notification?.id?.remote);
+        const action = notification?.type;
+        if (!groupId || !action) return null;
+
+        const participants = (notification.recipientIds || [])
+            .map(value => this.normalizeWid(value))
+            .filter(Boolean);
+        const actorId = this.normalizeWid(notification.author);
+        const occurredAt = notification.timestamp ? notification.timestamp * 1000 : Date.now();
+        const ownId = this.info?.wid?._serialized || null;
+
+        for (const participantId of participants) {
+            if (action === 'add' || action === 'invite') {
+                this.db.groupParticipants.addMember.run(groupId, participantId, occurredAt);
+            } else if (action === 'remove' || action === 'leave') {
+                this.db.groupParticipants.remove.run(groupId, participantId);
+            } else if (action === 'promote' || action === 'demote') {
+                const isAdmin = action === 'promote' ? 1 : 0;
+                const updated = this.db.groupParticipants.setAdmin.run(isAdmin, groupId, participantId);
+                if (!updated || updated.changes === 0) {
+                    this.db.groupParticipants.upsert.run(groupId, participantId, isAdmin, 0, null);
+                }
+            } else {
+                continue;
+            }
+            this.db.groupMembershipEvents.add.run(groupId, participantId, action, actorId, 'event', occurredAt);
+
+            if (ownId && participantId === ownId) {
+                try {
+                    if (action === 'remove' || action === 'leave') {
+                        this.db.chats.setLeftAt.run(occurredAt, groupId);
+                    } else if (action === 'add' || action === 'invite') {
+                        this.db.chats.setLeftAt.run(null, groupId);
+                    }
+                } catch (e) {}
+            }
+        }
+
+        const data = { chatId: groupId, action, participants, actorId, timestamp: occurredAt };
+        this.emit('group_participants_updated', data);
+        return data;
+    }
+
     isReady() { return this.status === 'ready' && this.client; }
 
     getStatus() {
         return {
             status: this.status,
+            transport: this.transport.name,
             qrCode: this.qrCode,
             info: this.info ? { pushname: this.info.pushname, wid: this.info.wid.user, platform: this.info.platform } : null,
+            pairingCode: this.pairingCode,
             syncProgress: this.syncProgress,
             settings: this.settings,
-            lastError: this.lastError
+            lastError: this.lastError,
+            statusReason: this.statusReason,
+            statusChangedAt: this.statusChangedAt
         };
     }
 
@@ -3019,8 +4321,11 @@ class WhatsAppClient {
         }
         this.lastError = null;
         this.status = 'disconnected';
+        this.statusReason = 'logout';
         this.info = null;
         this.qrCode = null;
+        this.pairingCode = null;
+        this.pairingPhoneNumber = null;
         this.emitStatus();
     }
 
@@ -3034,10 +4339,95 @@ class WhatsAppClient {
             this.lastError = null;
         }
         this.status = 'disconnected';
+        this.statusReason = options?.reason || 'destroy';
         this.info = null;
         this.qrCode = null;
+        this.pairingCode = null;
+        this.pairingPhoneNumber = null;
         this.emitStatus();
     }
+
+    /**
+     * Takilan Puppeteer tarayicisini kapatip istemciyi sifirdan baslatir.
+     * Kapanmayan tarayici sureci zorla sonlandirilir.
+     */
+    async restartBrowser(reason = 'browser_restart') {
+        this.initGeneration += 1;
+        this.initPromise = null;
+        const client = this.client;
+        this.client = null;
+
+        if (client) {
+            try { client.removeAllListeners(); } catch (e) {}
+            try {
+                await withTimeout(client.destroy(), CONSTANTS.BROWSER_CLOSE_TIMEOUT_MS, 'Browser close timed out');
+            } catch (e) {
+                this.log('warn', 'whatsapp', 'Browser did not close cleanly, killing process', { error: e.message });
+                try { client.pupBrowser?.process()?.kill('SIGKILL'); } catch (err) {}
+            }
+        }
+
+        this.status = 'disconnected';
+        this.statusReason = reason;
+        this.info = null;
+        this.qrCode = null;
+        this.pairingCode = null;
+        this.emitStatus();
+        this.log('warn', 'whatsapp', 'Browser restarted: ' + reason);
+        return this.initialize();
+    }
+
+    handlePairingCode(code) {
+        const pairingCode = String(code || '').trim();
+        if (!pairingCode) return;
+        this.status = 'qr';
+        this.qrCode = null;
+        this.pairingCode = pairingCode;
+        this.emit('pairing_code', { code: pairingCode });
+        this.emitStatus();
+        for (const resolve of this.pairingCodeWaiters) {
+            resolve(pairingCode);
+        }
+        this.pairingCodeWaiters.clear();
+    }
+
+    /**
+     * QR yerine telefon numarasi ile eslestirme kodu ister. wwebjs eslestirme
+     * modunu yalnizca istemci olusturulurken acabildigi icin tarayici yeniden baslatilir.
+     * Kod suresi dolunca yenisi `pairing_code` olayi ile gelir.
+     * @returns {Promise<string>} 8 karakterlik eslestirme kodu
+     */
+    async requestPairingCode(phoneNumber) {
+        const phone = String(phoneNumber || '').replace(/\D/g, '');
+        if (!/^\d{8,15}$/.test(phone)) {
+            throw new Error('Invalid phone number');
+        }
+        if (this.status === 'ready' || this.status === 'authenticated') {
+            throw new Error('WhatsApp already connected');
+        }
+
+        const timeoutMs = Math.max(5000, Number(this.config.WHATSAPP_INIT_TIMEOUT_MS) || 60000);
+        let waiter = null;
+        const codeReceived = new Promise((resolve) => {
+            waiter = resolve;
+            this.pairingCodeWaiters.add(resolve);
+        });
+
+        try {
+            this.pairingPhoneNumber = phone;
+            this.log('info', 'whatsapp', 'Pairing code requested');
+            const restarted = Promise.resolve(this.restartBrowser('pairing')).then(() => codeReceived);
+            return await withTimeout(Promise.race([codeReceived, restarted]), timeoutMs, 'Pairing code timed out');
+        } catch (error) {
+            // Sonraki duz initialize() telefonla eslestirmeyi tekrar denemesin
+            if (this.pairingPhoneNumber === phone) {
+                this.pairingPhoneNumber = null;
+            }
+            throw error;
+        } finally {
+            this.pairingCodeWaiters.delete(waiter);
+        }
+    }
 }
 
 function createWhatsAppClient(config, db, drive) {